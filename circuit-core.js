@@ -0,0 +1,349 @@
+// Headless circuit core: netlist in, results out, no DOM.
+// Takes the JSON produced by exportCircuit() ({ blocks: [{ id, type, dataset }], conns: [...] }),
+// joins connected terminals into nets and solves it with MNA, so circuits can be graded in batch
+// or checked in tests under Node. The browser uses it too (window.CircuitCore) for the values it
+// displays, so what a student sees is exactly what the tests check.
+//
+//   const core = require('./circuit-core.js');
+//   const res = core.simulate(JSON.parse(fs.readFileSync('circuit.json', 'utf8')), { explain: true });
+//   res.components.b3  // { type: 'led', color, current, voltageDrop, powered, brightness }
+//   res.explanation    // step-by-step derivation from explain.js
+//
+// Part models: LEDs are Shockley diodes with a series resistance, using the colour presets in
+// led-models.js (anode = right terminal); closed switches are 1 mΩ, open switches are left out. Gates (gates.js) drive their output to the supply (first battery)
+// voltage when high and to ground when low, through their output resistance; inputs read the
+// solved voltage against the VIL/VIH thresholds in gates.js, and an unconnected input is low.
+// Clocks, latches, flip-flops and counters (sequential.js) have the same inputs and outputs;
+// without a battery, logic runs at 5 V against a ground of its own.
+//
+// Stateful parts are simulated event by event: the circuit settles, then every clock edge in the
+// time being simulated is applied in order and the circuit settles again. Settling is a series of
+// propagation steps (solve, read every logic input, update gates and stateful parts) until nothing
+// changes, so a flip-flop clocked by another one sees its edge one step later, as in hardware.
+// A transient does the same in every time step, so logic and capacitors move on together.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./circuit-solver.js'), require('./explain.js'), require('./led-models.js'), require('./safety.js'), require('./gates.js'), require('./sequential.js'));
+  } else {
+    root.CircuitCore = factory(root.CircuitSolver, root.CircuitExplainer, root.LedModels, root.CircuitSafety, root.Gates, root.SequentialParts);
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function(CircuitSolver, CircuitExplainer, LedModels, CircuitSafety, Gates, SequentialParts) {
+  'use strict';
+
+  const SWITCH_ON_R = 1e-3;
+  const INDUCTOR_DC_R = 1e-6;
+  const MAX_GATE_PASSES = 10; // propagation steps before the logic counts as not settling (res.logicSettled)
+  const LOGIC_SUPPLY = 5; // V, when no battery sets it
+  // component.nets always has these keys (null when the part has no such terminal)
+  const BASE_TERMINALS = ['left', 'right', 'out'];
+
+  function terminalsOf(type) {
+    if (Gates.isGate(type)) return Gates.inputTerminals(type).concat(Gates.OUTPUT_TERMINAL);
+    if (SequentialParts.isSequential(type)) return SequentialParts.terminals(type);
+    return ['left', 'right'];
+  }
+
+  // Join every connected terminal into nets.
+  // Returns { netCount, netOf(blockId, terminal), components: [{ id, type, dataset, nets }] }
+  function buildNetlist(circuit) {
+    const blocks = (circuit && circuit.blocks) || [];
+    const conns = (circuit && circuit.conns) || [];
+    const parent = new Map();
+    const key = (id, terminal) => `${id}/${terminal}`;
+    function find(k) {
+      if (!parent.has(k)) parent.set(k, k);
+      let r = k;
+      while (parent.get(r) !== r) r = parent.get(r);
+      parent.set(k, r);
+      return r;
+    }
+    function union(a, b) { const ra = find(a), rb = find(b); if (ra !== rb) parent.set(rb, ra); }
+
+    const parts = blocks.filter(b => b.type !== 'node');
+    parts.forEach(b => terminalsOf(b.type).forEach(t => find(key(b.id, t))));
+    conns.forEach(c => {
+      if (c.conn1BlockId == null || c.conn2BlockId == null) return;
+      union(key(c.conn1BlockId, c.conn1Terminal), key(c.conn2BlockId, c.conn2Terminal));
+    });
+
+    // number nets in first-seen order so results are stable for a given file
+    const netIds = new Map();
+    let netCount = 0;
+    function netOf(id, terminal) {
+      const k = key(id, terminal);
+      if (!parent.has(k)) return null;
+      const r = find(k);
+      if (!netIds.has(r)) netIds.set(r, netCount++);
+      return netIds.get(r);
+    }
+    const components = parts.map(b => {
+      const nets = {};
+      BASE_TERMINALS.concat(terminalsOf(b.type)).forEach(t => { nets[t] = netOf(b.id, t); });
+      return { id: b.id, type: b.type, dataset: Object.assign({}, b.dataset, { id: b.id, type: b.type }), nets };
+    });
+    return { netCount, netOf, components };
+  }
+
+  // Solver model for a netlist. Entries carry the block `id` and a `block` descriptor ({ dataset }).
+  // Each LED gets an internal node between its series resistance and its junction; those nodes
+  // are numbered after the netlist's nets. Stateful logic parts are in `sequential`, with their
+  // pins' nets in `inputs` / `outputs` ({ pin: net }).
+  function buildModel(netlist, { dc = true } = {}) {
+    const resistors = [], vSources = [], diodes = [], capacitors = [], inductors = [], gates = [], sequential = [];
+    let numNodes = netlist.netCount;
+    netlist.components.forEach(c => {
+      const { left, right, out } = c.nets;
+      const d = c.dataset;
+      const block = { dataset: d };
+      // a logic output is an ideal source on an internal node behind the output resistance
+      const driveNode = net => {
+        if (net == null) return null;
+        const node = numNodes++;
+        resistors.push({ n1: node, n2: net, R: Gates.outputResistance(d) });
+        return node;
+      };
+      if (Gates.isGate(c.type)) {
+        gates.push({ id: c.id, type: c.type, inputs: Gates.inputTerminals(c.type).map(t => c.nets[t]), out, drive: driveNode(out), block });
+        return;
+      }
+      const part = SequentialParts.get(c.type);
+      if (part) {
+        const pins = list => Object.fromEntries(list.map(pin => [pin, c.nets[pin]]));
+        const outputs = pins(part.outputs);
+        const drives = Object.fromEntries(part.outputs.map(pin => [pin, driveNode(outputs[pin])]));
+        sequential.push({ id: c.id, type: c.type, inputs: pins(part.inputs), outputs, drives, block });
+        return;
+      }
+      if (left == null || right == null) return;
+      switch (c.type) {
+        case 'resistor': resistors.push({ id: c.id, n1: left, n2: right, R: Number(d.resistance) || 1e-12, block }); break;
+        case 'led': {
+          const led = LedModels.forDataset(d);
+          const junction = numNodes++;
+          resistors.push({ n1: right, n2: junction, R: led.Rs });
+          diodes.push({ id: c.id, n1: junction, n2: left, anode: right, cathode: left, Is: led.Is, nVt: led.nVt, led, block });
+          break;
+        }
+        case 'switch': if (d.state !== 'off') resistors.push({ id: c.id, n1: left, n2: right, R: SWITCH_ON_R, block }); break;
+        // battery + is the right terminal; one shorted by a bare wire cannot be solved (safety.js reports it)
+        case 'battery': if (left !== right) vSources.push({ id: c.id, nPlus: right, nMinus: left, V: Number(d.voltage) || 5, block }); break;
+        case 'capacitor':
+          // open circuit at DC
+          if (!dc) capacitors.push({ id: c.id, n1: right, n2: left, C: Number(d.capacitance) || 0.001, block });
+          break;
+        case 'inductor':
+          if (dc) resistors.push({ id: c.id, n1: right, n2: left, R: INDUCTOR_DC_R, block });
+          else inductors.push({ id: c.id, n1: right, n2: left, L: Number(d.inductance) || 1, block });
+          break;
+      }
+    });
+    // logic outputs are driven against the first battery's - terminal, or a node of their own
+    const logicGround = vSources.length ? vSources[0].nMinus : numNodes++;
+    return { numNodes, resistors, vSources, diodes, capacitors, inductors, gates, sequential, logicGround };
+  }
+
+  // I is the current into the part at its right terminal (a battery's or capacitor's + side): kept
+  // as signedCurrent, so a capacitor charging and discharging reads opposite ways
+  function componentResult(type, I, Vdrop) {
+    const current = Math.abs(I || 0);
+    return { type, current, signedCurrent: I || 0, voltageDrop: Math.abs(Vdrop || 0) };
+  }
+
+  // Stateful logic: { type, outputs: { pin: bool }, inputs: { pin: bool }, output? (clock level),
+  // value? (counter count / displayed digit), segments? (display) }
+  function sequentialResult(p, digital) {
+    const outputs = partOutputs(p, digital);
+    const r = { type: p.type, outputs, inputs: Object.assign({}, digital.inputs[p.id]) };
+    const st = digital.parts[p.id];
+    if (p.type === 'clock') r.output = outputs.out;
+    if (p.type === 'counter4') r.value = st.count;
+    if (p.type === 'seg7') { r.value = st.value; r.segments = SequentialParts.segments(st.value); }
+    return r;
+  }
+
+  // LEDs conduct one way only, so their current keeps its sign: negative is reverse leakage
+  function ledResult(d, I, V) {
+    const forward = Math.max(0, I);
+    const voltageDrop = (V[d.anode] || 0) - (V[d.cathode] || 0);
+    return { type: 'led', color: d.led.color, current: forward, signedCurrent: I, voltageDrop, powered: forward > LedModels.LIT_CURRENT, brightness: LedModels.brightness(d.led, forward) };
+  }
+
+  // Digital state carried from one simulate() call to the next (res.digital): the clock time, each
+  // stateful part's state and the input levels every logic part last saw, so an edge between calls
+  // is not missed and an input between VIL and VIH keeps its level. `reactive` holds each
+  // capacitor's and inductor's { v, i } after a transient, so the next one carries on from there.
+  function digitalState(model, prior) {
+    const parts = {}, inputs = {};
+    const previous = id => (prior && prior.inputs && prior.inputs[id]) || null;
+    model.sequential.forEach(p => {
+      parts[p.id] = (prior && prior.parts && prior.parts[p.id]) || SequentialParts.initialState(p.type);
+      inputs[p.id] = previous(p.id);
+    });
+    model.gates.forEach(g => { inputs[g.id] = previous(g.id); });
+    return { time: (prior && prior.time) || 0, parts, inputs, reactive: Object.assign({}, prior && prior.reactive) };
+  }
+
+  function partOutputs(p, digital) {
+    if (p.type === 'clock') return { out: SequentialParts.clockLevel(p.block.dataset, digital.time) };
+    return SequentialParts.outputs(p.type, digital.parts[p.id]);
+  }
+
+  // MNA solve with the logic resolved in propagation steps: drive every gate and stateful output
+  // from the input levels of the previous step until nothing changes, at the start time and again
+  // after each clock edge up to options.advance seconds later. A transient (options.time with
+  // capacitors or inductors) does this for every time step: the step is solved again until the
+  // logic settles, the clocks move on in proportion and the edges inside the step are applied,
+  // then the step is kept and the next one starts from it.
+  function solveWithMna(model, options) {
+    const supply = model.vSources.length ? Math.max(...model.vSources.map(v => Math.abs(v.V))) : LOGIC_SUPPLY;
+    const ground = model.logicGround;
+    const gateHigh = new Map(model.gates.map(g => [g.id, false]));
+    const digital = digitalState(model, options.state);
+    const advance = options.advance != null ? options.advance : (options.state ? 0 : options.time || 0);
+    const transient = options.time > 0 && (model.capacitors.length > 0 || model.inductors.length > 0);
+    const steps = transient ? Math.max(1, Math.round(options.time / (options.dt || 1e-3))) : 0;
+    const dt = transient ? options.time / steps : 0;
+    // from rest unless a previous transient left its state behind
+    const carried = list => list.map(p => digital.reactive[p.id] || { v: 0, i: 0 });
+    let state = Object.keys(digital.reactive).length ? { capacitors: carried(model.capacitors), inductors: carried(model.inductors) } : null;
+    let sol = null, drives = [];
+
+    function solve() {
+      drives = model.gates.filter(g => g.out != null).map(g => ({ id: g.id, type: g.type, nPlus: g.drive, pinNet: g.out, nMinus: ground, V: gateHigh.get(g.id) ? supply : 0, gate: true }));
+      model.sequential.forEach(p => {
+        const levels = partOutputs(p, digital);
+        Object.keys(p.outputs).forEach(pin => {
+          if (p.outputs[pin] != null) drives.push({ id: p.id, type: p.type, pin, nPlus: p.drives[pin], pinNet: p.outputs[pin], nMinus: ground, V: levels[pin] ? supply : 0, gate: true });
+        });
+      });
+      const vSources = model.vSources.concat(drives);
+      const solveOptions = { groundNode: ground, gmin: 1e-12, maxIter: 60, tol: 1e-8, damping: 0.7 };
+      sol = transient
+        ? CircuitSolver.stepTransient(model.numNodes, { resistors: model.resistors, vSources, diodes: model.diodes, capacitors: model.capacitors, inductors: model.inductors }, state, Object.assign({ dt }, solveOptions))
+        : CircuitSolver.solveMNA(model.numNodes, model.resistors, vSources, model.diodes, solveOptions);
+      return sol && sol.success;
+    }
+
+    // input level from the solved voltage (relative to the logic ground, which is node 0 of the solve)
+    const volts = net => (net == null ? 0 : (sol.V[net] || 0) - (sol.V[ground] || 0));
+    const high = (part, net, previous) => net != null && Gates.level(volts(net), Gates.thresholds(part.block.dataset, supply), previous);
+    let settled = true;
+    function settle() {
+      for (let pass = 0; pass < MAX_GATE_PASSES; pass++) {
+        if (!solve()) return false;
+        let changed = false;
+        model.gates.forEach(g => {
+          const previous = digital.inputs[g.id] || [];
+          const levels = g.inputs.map((net, i) => high(g, net, previous[i]));
+          digital.inputs[g.id] = levels;
+          const next = Gates.evaluate(g.type, levels);
+          if (next !== gateHigh.get(g.id)) { gateHigh.set(g.id, next); changed = true; }
+        });
+        model.sequential.forEach(p => {
+          if (p.type === 'clock') return;
+          const previous = digital.inputs[p.id] || {};
+          const now = {};
+          Object.keys(p.inputs).forEach(pin => { now[pin] = high(p, p.inputs[pin], previous[pin]); });
+          const before = digital.inputs[p.id] || now;
+          const was = partOutputs(p, digital);
+          digital.parts[p.id] = SequentialParts.step(p.type, digital.parts[p.id], now, before);
+          digital.inputs[p.id] = now;
+          const is = partOutputs(p, digital);
+          if (Object.keys(is).some(pin => is[pin] !== was[pin])) changed = true;
+        });
+        if (!changed) return true;
+      }
+      settled = false; // still changing: an oscillator such as a NOT gate fed back to itself
+      return true;
+    }
+
+    const start = digital.time, end = start + advance;
+    const edges = [];
+    model.sequential.filter(p => p.type === 'clock').forEach(p => edges.push(...SequentialParts.clockEdges(p.block.dataset, start, end)));
+    edges.sort((a, b) => a - b);
+    let nextEdge = 0;
+    // apply the clock edges up to time t, settling after each, and leave the clocks at t
+    function runClocksTo(t) {
+      for (; nextEdge < edges.length && edges[nextEdge] <= t; nextEdge++) {
+        if (edges[nextEdge] === digital.time) continue; // two clocks with an edge at the same moment
+        digital.time = edges[nextEdge];
+        if (!settle()) return false;
+      }
+      digital.time = t;
+      return true;
+    }
+
+    const failed = () => ({ success: false, reason: (sol && sol.reason) || 'solver-failed' });
+    if (transient) {
+      for (let k = 1; k <= steps; k++) {
+        if (!settle() || !runClocksTo(start + advance * k / steps)) return failed();
+        state = sol.state;
+      }
+      model.capacitors.forEach((c, i) => { digital.reactive[c.id] = state.capacitors[i]; });
+      model.inductors.forEach((l, i) => { digital.reactive[l.id] = state.inductors[i]; });
+    } else if (!settle() || !runClocksTo(end)) return failed();
+
+    const components = {};
+    sol.resistorResults.forEach(rr => {
+      const r = rr.meta;
+      if (!r || r.id == null) return; // LED series resistances, transient companion models
+      // resistors and switches run left to right in the model, an inductor at DC right to left
+      components[r.id] = componentResult(r.block.dataset.type, r.block.dataset.type === 'inductor' ? rr.I : -rr.I, rr.Vdrop);
+    });
+    sol.diodeResults.forEach((dr, i) => { components[model.diodes[i].id] = ledResult(model.diodes[i], dr.I, sol.V); });
+    (sol.capacitorResults || []).forEach((cr, i) => { components[model.capacitors[i].id] = componentResult('capacitor', cr.I, cr.Vdrop); });
+    (sol.inductorResults || []).forEach((ir, i) => { components[model.inductors[i].id] = componentResult('inductor', ir.I, ir.Vdrop); });
+    model.vSources.forEach((v, i) => { components[v.id] = componentResult('battery', sol.J[i], v.V); });
+    const inputLevels = g => g.inputs.map(volts);
+    model.gates.forEach(g => {
+      components[g.id] = { type: g.type, output: gateHigh.get(g.id), inputs: digital.inputs[g.id].slice(), inputVoltages: inputLevels(g), outputVoltage: volts(g.out) };
+    });
+    model.sequential.forEach(p => { components[p.id] = sequentialResult(p, digital); });
+    const nodeVoltages = Array.from({ length: model.numNodes }, (_, i) => sol.V[i] || 0);
+    const res = { success: true, nodeVoltages, components, digital, logicSettled: settled, time: transient ? options.time : undefined };
+    if (options.explain && !transient) {
+      const sources = model.vSources.map((v, i) => ({ id: v.id, type: 'battery', nPlus: v.nPlus, nMinus: v.nMinus, V: v.V, I: sol.J[i] }))
+        // a logic output is explained as the voltage at its pin, output resistance included
+        .concat(drives.filter(d => d.pinNet !== d.nMinus).map(d => ({ id: d.id, type: d.type, nPlus: d.pinNet, nMinus: d.nMinus, V: volts(d.pinNet) })));
+      res.explanation = CircuitExplainer.explain({
+        elements: model.resistors.filter(r => r.id != null).map(r => ({ id: r.id, type: r.block.dataset.type, n1: r.n1, n2: r.n2, R: r.R })),
+        leds: model.diodes.map(d => {
+          const c = components[d.id];
+          return { id: d.id, type: 'led', n1: d.anode, n2: d.cathode, I: c.current, Vd: c.voltageDrop, Vf: d.led.Vf, lit: c.powered };
+        }),
+        sources,
+        gates: model.gates.map(g => Object.assign({ id: g.id, type: g.type, inputs: inputLevels(g), levels: digital.inputs[g.id], high: gateHigh.get(g.id) }, Gates.thresholds(g.block.dataset, supply))),
+        V: sol.V
+      });
+    }
+    return res;
+  }
+
+  // Simulate an exported circuit.
+  // options.time / options.dt: run a transient of that many seconds in steps of dt when C/L parts
+  // are present (otherwise capacitors are open and inductors shorted, i.e. the DC operating point)
+  // options.explain: attach a step-by-step derivation of the DC solution (res.explanation)
+  // options.state: res.digital from the previous call, to carry on from there (omit for power-on);
+  // a transient also carries on from the capacitor and inductor state in it
+  // options.advance: seconds the clocks move on; by default options.time from power-on, else 0
+  // Returns { success, components: { id: { type, current, signedCurrent, voltageDrop, powered? | output?, inputs? } },
+  //           nodeVoltages (indexed by net), netOf(blockId, terminal), explanation?,
+  //           digital: state for the next call, issues: shorts and parts past their ratings (see safety.js) }
+  function simulate(circuit, options = {}) {
+    const netlist = buildNetlist(circuit);
+    const model = buildModel(netlist, { dc: !(options.time > 0) });
+    const names = CircuitExplainer.nameParts(netlist.components);
+    // a clock is a source in its own right; everything else needs a battery
+    if (!model.vSources.length && !model.sequential.some(p => p.type === 'clock')) {
+      const shorts = CircuitSafety.findShorts(netlist.components, names);
+      return { success: false, reason: shorts.length ? 'short-circuit' : 'no-source', components: {}, netOf: netlist.netOf, issues: shorts };
+    }
+    const res = solveWithMna(model, options);
+    res.netOf = netlist.netOf;
+    res.issues = res.success ? CircuitSafety.check(netlist.components, res.components, names) : CircuitSafety.findShorts(netlist.components, names);
+    return res;
+  }
+
+  return { buildNetlist, buildModel, simulate };
+});
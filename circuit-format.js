@@ -0,0 +1,324 @@
+// The saved circuit file: a versioned, documented format (docs/circuit-format.md) that is
+// validated as a whole on load. A file with any problem is rejected with the full list, rather
+// than loaded in part. Files from before the format was versioned (the raw exportCircuit() JSON,
+// { blocks, conns }) are version 1 and are migrated on load.
+//
+// Version 2:
+//   { format: 'circuit-studio', version: 2,
+//     meta:       { title, lesson?: { level, title, description? }, savedAt? },
+//     components: [{ id, type, name?, params: { resistance: 220, ... }, layout: { x, y, rotation?, flipped? } }],
+//     nodes:      [{ id, layout: { x, y } }],                        // wire nodes (junctions)
+//     wires:      [{ from: { part, pin }, to: { part, pin }, route?: [[x, y], ...] }],
+//     nets:       [['b1.right', 'b2.left'], ...] }                   // the pins each net joins
+// Parameters are typed per part (PARAMS); pins are the part's terminals (pins()), 'node' for a
+// wire node. `nets` is written from the wires; a file may give nets instead of wires, and a
+// file that has both must have matching ones.
+//
+//   CircuitFormat.save(exportCircuit(), { title: 'Blink', lesson })   // -> version 2 document
+//   CircuitFormat.paramProblem('resistor', 'resistance', 0)   // -> 'expected a number above 0 (Ω), got 0'
+//   CircuitFormat.load(jsonTextOrObject)
+//   // -> { ok: true, doc, circuit (the exportCircuit() shape for importCircuit), migratedFrom }
+//   // -> { ok: false, problems: ['components[2].params.resistance: expected a number above 0, got "x"', ...] }
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gates.js'), require('./sequential.js'), require('./led-models.js'));
+  else root.CircuitFormat = factory(root.Gates, root.SequentialParts, root.LedModels);
+})(typeof window !== 'undefined' ? window : globalThis, function(Gates, SequentialParts, LedModels) {
+  'use strict';
+
+  const FORMAT = 'circuit-studio';
+  const VERSION = 2;
+  const ROTATIONS = [0, 90, 180, 270];
+  const NODE_PIN = 'node';
+  // ids end up in CSS selectors and the page (shared links load other people's files): keep them plain
+  const ID_PATTERN = /^[A-Za-z][\w-]*$/;
+
+  // Parameter types: numbers with a unit and bounds, or one of a set of values
+  const number = (unit, min, above, max) => ({ kind: 'number', unit, min, above, max });
+  const oneOf = values => ({ kind: 'enum', values });
+  const LOGIC_IN = { vil: number('V', 0), vih: number('V', 0) };
+  const LOGIC_OUT = { rout: number('Ω', 0, true) };
+
+  const BASIC = {
+    battery: { voltage: number('V'), maxCurrent: number('A', 0, true) },
+    resistor: { resistance: number('Ω', 0, true), powerRating: number('W', 0, true) },
+    capacitor: { capacitance: number('F', 0, true) },
+    inductor: { inductance: number('H', 0, true) },
+    led: { color: oneOf(Object.keys(LedModels.COLORS)) },
+    switch: { state: oneOf(['on', 'off']) }
+  };
+
+  function params(type) {
+    if (BASIC[type]) return BASIC[type];
+    if (Gates.isGate(type)) return Object.assign({}, LOGIC_IN, LOGIC_OUT);
+    const part = SequentialParts.get(type);
+    if (!part) return null;
+    return Object.assign({}, part.inputs.length ? LOGIC_IN : {}, part.outputs.length ? LOGIC_OUT : {}, type === 'clock' ? { frequency: number('Hz', 0, true, SequentialParts.MAX_FREQUENCY) } : {});
+  }
+
+  function pins(type) {
+    if (BASIC[type]) return ['left', 'right'];
+    if (Gates.isGate(type)) return Gates.inputTerminals(type).concat(Gates.OUTPUT_TERMINAL);
+    return SequentialParts.terminals(type);
+  }
+
+  const TYPES = Object.keys(BASIC).concat(Gates.TYPES, SequentialParts.TYPES);
+
+  const isObject = v => v != null && typeof v === 'object' && !Array.isArray(v);
+  const isNumber = v => typeof v === 'number' && isFinite(v);
+  const show = v => (typeof v === 'string' ? `"${v}"` : JSON.stringify(v));
+  const pinKey = end => `${end.part}.${end.pin}`;
+
+  function describe(spec) {
+    if (spec.kind === 'enum') return `one of ${spec.values.join(', ')}`;
+    if (spec.min == null) return 'a number';
+    return `a number ${spec.above ? 'above' : 'of at least'} ${spec.min}${spec.max != null ? ` and at most ${spec.max}` : ''}`;
+  }
+
+  function checkParam(spec, value) {
+    if (spec.kind === 'enum') return spec.values.includes(value);
+    if (!isNumber(value)) return false;
+    if (spec.max != null && value > spec.max) return false;
+    return spec.min == null || (spec.above ? value > spec.min : value >= spec.min);
+  }
+
+  // What is wrong with one parameter value, or null if nothing is. The properties panel and SPICE
+  // import check values with this, so the workspace never holds one that load() would refuse.
+  function paramProblem(type, key, value) {
+    const spec = (params(type) || {})[key];
+    if (!spec) return `not a parameter of ${type}`;
+    if (checkParam(spec, value)) return null;
+    return `expected ${describe(spec)}${spec.unit ? ` (${spec.unit})` : ''}, got ${show(value)}`;
+  }
+
+  // Nets (groups of two or more pins) joined by the given wires, sorted so they compare
+  function netsOf(wires) {
+    const parent = new Map();
+    const find = k => { if (!parent.has(k)) parent.set(k, k); while (parent.get(k) !== k) k = parent.get(k); return k; };
+    wires.forEach(w => { const a = find(pinKey(w.from)), b = find(pinKey(w.to)); if (a !== b) parent.set(b, a); });
+    const groups = new Map();
+    parent.forEach((_, k) => { const r = find(k); if (!groups.has(r)) groups.set(r, []); groups.get(r).push(k); });
+    return Array.from(groups.values()).filter(g => g.length > 1).map(g => g.sort()).sort((a, b) => (a[0] < b[0] ? -1 : 1));
+  }
+
+  // Every problem with a version 2 document, as 'path: message' strings
+  function validate(doc) {
+    const problems = [];
+    const report = (path, message) => problems.push(`${path}: ${message}`);
+    if (!isObject(doc)) return ['file: expected a JSON object'];
+    Object.keys(doc).forEach(k => { if (!['format', 'version', 'meta', 'components', 'nodes', 'wires', 'nets'].includes(k)) report(k, 'unknown field'); });
+    if (doc.format !== FORMAT) report('format', `expected "${FORMAT}", got ${show(doc.format)}`);
+    if (doc.version !== VERSION) report('version', `expected ${VERSION}, got ${show(doc.version)}`);
+
+    if (!isObject(doc.meta)) report('meta', 'expected an object');
+    else {
+      if (typeof doc.meta.title !== 'string') report('meta.title', 'expected a string');
+      if (doc.meta.savedAt != null && (typeof doc.meta.savedAt !== 'string' || isNaN(Date.parse(doc.meta.savedAt)))) report('meta.savedAt', 'expected a date and time (ISO 8601)');
+      const lesson = doc.meta.lesson;
+      if (lesson != null) {
+        if (!isObject(lesson)) report('meta.lesson', 'expected an object');
+        else {
+          if (!Number.isInteger(lesson.level) || lesson.level < 0) report('meta.lesson.level', `expected a lesson number, got ${show(lesson.level)}`);
+          if (typeof lesson.title !== 'string') report('meta.lesson.title', 'expected a string');
+          if (lesson.description != null && typeof lesson.description !== 'string') report('meta.lesson.description', 'expected a string');
+        }
+      }
+    }
+
+    const partPins = new Map(); // id -> pins
+    const checkLayout = (path, layout, full) => {
+      if (!isObject(layout)) { report(path, 'expected an object with x and y'); return; }
+      if (!isNumber(layout.x)) report(`${path}.x`, `expected a number, got ${show(layout.x)}`);
+      if (!isNumber(layout.y)) report(`${path}.y`, `expected a number, got ${show(layout.y)}`);
+      if (full && layout.rotation != null && !ROTATIONS.includes(layout.rotation)) report(`${path}.rotation`, `expected one of ${ROTATIONS.join(', ')}, got ${show(layout.rotation)}`);
+      if (full && layout.flipped != null && typeof layout.flipped !== 'boolean') report(`${path}.flipped`, 'expected true or false');
+    };
+    const checkId = (path, id) => {
+      if (typeof id !== 'string' || !id) { report(`${path}.id`, 'expected a non-empty string'); return false; }
+      if (!ID_PATTERN.test(id)) { report(`${path}.id`, `expected a letter then letters, digits, _ or -, got ${show(id)}`); return false; }
+      if (partPins.has(id)) { report(`${path}.id`, `"${id}" is used twice`); return false; }
+      return true;
+    };
+
+    if (!Array.isArray(doc.components)) report('components', 'expected a list');
+    else doc.components.forEach((c, i) => {
+      const path = `components[${i}]`;
+      if (!isObject(c)) { report(path, 'expected an object'); return; }
+      Object.keys(c).forEach(k => { if (!['id', 'type', 'name', 'params', 'layout'].includes(k)) report(`${path}.${k}`, 'unknown field'); });
+      const known = TYPES.includes(c.type);
+      if (!known) report(`${path}.type`, `unknown part type ${show(c.type)}`);
+      if (checkId(path, c.id)) partPins.set(c.id, known ? pins(c.type) : null);
+      if (c.name != null && typeof c.name !== 'string') report(`${path}.name`, 'expected a string');
+      if (c.params != null && !isObject(c.params)) report(`${path}.params`, 'expected an object');
+      else if (known) {
+        Object.keys(c.params || {}).forEach(k => {
+          const problem = paramProblem(c.type, k, c.params[k]);
+          if (problem) report(`${path}.params.${k}`, problem);
+        });
+      }
+      checkLayout(`${path}.layout`, c.layout, true);
+    });
+
+    if (doc.nodes != null && !Array.isArray(doc.nodes)) report('nodes', 'expected a list');
+    else (doc.nodes || []).forEach((n, i) => {
+      const path = `nodes[${i}]`;
+      if (!isObject(n)) { report(path, 'expected an object'); return; }
+      if (checkId(path, n.id)) partPins.set(n.id, [NODE_PIN]);
+      checkLayout(`${path}.layout`, n.layout, false);
+    });
+
+    const checkEnd = (path, end) => {
+      if (!isObject(end)) { report(path, 'expected { part, pin }'); return false; }
+      if (!partPins.has(end.part)) { report(`${path}.part`, `no component or node ${show(end.part)}`); return false; }
+      const list = partPins.get(end.part);
+      if (list && !list.includes(end.pin)) { report(`${path}.pin`, `${show(end.pin)} is not a pin of ${end.part} (${list.join(', ')})`); return false; }
+      return !!list;
+    };
+
+    let wiresOk = true;
+    if (doc.wires != null && !Array.isArray(doc.wires)) { report('wires', 'expected a list'); wiresOk = false; }
+    else (doc.wires || []).forEach((w, i) => {
+      const path = `wires[${i}]`;
+      if (!isObject(w)) { report(path, 'expected an object'); wiresOk = false; return; }
+      const a = checkEnd(`${path}.from`, w.from), b = checkEnd(`${path}.to`, w.to);
+      if (!a || !b) wiresOk = false;
+      else if (pinKey(w.from) === pinKey(w.to)) { report(path, 'joins a pin to itself'); wiresOk = false; }
+      if (w.route != null && !(Array.isArray(w.route) && w.route.every(p => Array.isArray(p) && p.length === 2 && p.every(isNumber)))) report(`${path}.route`, 'expected a list of [x, y] points');
+    });
+
+    // nets next to broken wires would only repeat the wires' problems
+    if (doc.nets != null && (wiresOk || doc.wires == null)) {
+      if (!Array.isArray(doc.nets)) report('nets', 'expected a list');
+      else {
+        const seen = new Set();
+        let netsOk = true;
+        doc.nets.forEach((net, i) => {
+          if (!Array.isArray(net) || net.length < 2) { report(`nets[${i}]`, 'expected a list of two or more "part.pin" names'); netsOk = false; return; }
+          net.forEach((key, j) => {
+            const dot = typeof key === 'string' ? key.lastIndexOf('.') : -1;
+            if (dot < 0 || !checkEnd(`nets[${i}][${j}]`, { part: key.slice(0, dot), pin: key.slice(dot + 1) })) { netsOk = false; return; }
+            if (seen.has(key)) { report(`nets[${i}][${j}]`, `${key} is in more than one net`); netsOk = false; }
+            seen.add(key);
+          });
+        });
+        if (netsOk && doc.wires != null && JSON.stringify(netsOf(doc.wires)) !== JSON.stringify(netsOf(chain(doc.nets)))) {
+          report('nets', 'do not match the wires (remove "nets" to use the wires, or correct them)');
+        }
+      }
+    }
+    return problems;
+  }
+
+  // Wires joining each net's pins one after another
+  function chain(nets) {
+    const ends = key => { const dot = key.lastIndexOf('.'); return { part: key.slice(0, dot), pin: key.slice(dot + 1) }; };
+    const wires = [];
+    nets.forEach(net => { for (let i = 1; i < net.length; i++) wires.push({ from: ends(net[i - 1]), to: ends(net[i]) }); });
+    return wires;
+  }
+
+  const px = v => parseFloat(v) || 0;
+  const rotationOf = transform => {
+    const m = /rotate\((-?\d+)deg\)/.exec(transform || '');
+    return m ? ((Number(m[1]) % 360) + 360) % 360 : 0;
+  };
+
+  // The workspace (exportCircuit() JSON) as a version 2 document. Parameters are converted to
+  // their types; anything else in a block's dataset (solved values, ids) is left out.
+  function save(circuit, meta = {}) {
+    const blocks = (circuit && circuit.blocks) || [];
+    const doc = { format: FORMAT, version: VERSION, meta: { title: meta.title || 'Untitled circuit' }, components: [], nodes: [], wires: [], nets: [] };
+    if (meta.lesson) doc.meta.lesson = meta.lesson;
+    if (meta.savedAt) doc.meta.savedAt = meta.savedAt;
+    blocks.forEach(b => {
+      const layout = { x: px(b.left), y: px(b.top) };
+      if (b.type === 'node') { doc.nodes.push({ id: b.id, layout }); return; }
+      const d = b.dataset || {};
+      const c = { id: b.id, type: b.type, params: {}, layout };
+      if (d.name) c.name = d.name;
+      const specs = params(b.type) || {};
+      Object.keys(specs).forEach(k => {
+        if (d[k] == null || d[k] === '') return;
+        // numbers that do not parse are kept as they are, so validation can point at them
+        c.params[k] = specs[k].kind === 'number' && isFinite(Number(d[k])) ? Number(d[k]) : d[k];
+      });
+      const rotation = rotationOf(b.transform);
+      if (rotation) layout.rotation = rotation;
+      if (d.flipped === 'true') layout.flipped = true;
+      doc.components.push(c);
+    });
+    doc.wires = ((circuit && circuit.conns) || []).map(c => {
+      const w = { from: { part: c.conn1BlockId, pin: c.conn1Terminal }, to: { part: c.conn2BlockId, pin: c.conn2Terminal } };
+      if (c.route) w.route = c.route;
+      return w;
+    });
+    doc.nets = netsOf(doc.wires);
+    return doc;
+  }
+
+  // A valid version 2 document in the exportCircuit() shape importCircuit() takes
+  function toWorkspace(doc) {
+    const blocks = doc.components.map(c => {
+      const dataset = { type: c.type, id: c.id };
+      Object.keys(c.params || {}).forEach(k => { dataset[k] = String(c.params[k]); });
+      if (c.name) dataset.name = c.name;
+      if (c.layout.flipped) dataset.flipped = 'true';
+      return { id: c.id, type: c.type, dataset, left: `${c.layout.x}px`, top: `${c.layout.y}px`, transform: c.layout.rotation ? `rotate(${c.layout.rotation}deg)` : '' };
+    }).concat((doc.nodes || []).map(n => ({ id: n.id, type: 'node', dataset: { blockId: n.id, terminal: NODE_PIN }, left: `${n.layout.x}px`, top: `${n.layout.y}px` })));
+    const wires = doc.wires != null ? doc.wires : chain(doc.nets || []);
+    const conns = wires.map(w => {
+      const c = { conn1BlockId: w.from.part, conn1Terminal: w.from.pin, conn2BlockId: w.to.part, conn2Terminal: w.to.pin };
+      if (w.route) c.route = w.route;
+      return c;
+    });
+    return { blocks, conns };
+  }
+
+  // Version 1: { blocks: [{ id, type, dataset, left, top }], conns: [{ conn1BlockId, ... }] }
+  function checkV1(data) {
+    const problems = [];
+    if (!Array.isArray(data.blocks)) problems.push('blocks: expected a list');
+    else data.blocks.forEach((b, i) => {
+      if (!isObject(b)) problems.push(`blocks[${i}]: expected an object`);
+      else if (typeof b.type !== 'string') problems.push(`blocks[${i}].type: expected a string`);
+    });
+    if (data.conns != null && !Array.isArray(data.conns)) problems.push('conns: expected a list');
+    else (data.conns || []).forEach((c, i) => { if (!isObject(c)) problems.push(`conns[${i}]: expected an object`); });
+    return problems;
+  }
+
+  // MIGRATIONS[v] turns a version v file into version v + 1
+  const MIGRATIONS = {
+    1: data => save({ blocks: data.blocks, conns: data.conns || [] }, { title: 'Untitled circuit' })
+  };
+
+  function versionOf(data) {
+    if (data.format === undefined && data.version === undefined && 'blocks' in data) return 1;
+    return data.format === FORMAT && Number.isInteger(data.version) ? data.version : null;
+  }
+
+  function load(input) {
+    let data = input;
+    if (typeof input === 'string') {
+      try { data = JSON.parse(input); } catch (e) { return { ok: false, problems: [`file: not valid JSON (${e.message})`] }; }
+    }
+    if (!isObject(data)) return { ok: false, problems: ['file: expected a JSON object'] };
+    const from = versionOf(data);
+    if (from == null) return { ok: false, problems: [`file: not a Circuit Studio circuit (expected "format": "${FORMAT}")`] };
+    if (from > VERSION) return { ok: false, problems: [`version: saved by a newer version of the app (file version ${from}, this one reads up to ${VERSION})`] };
+    for (let v = from; v < VERSION; v++) {
+      if (!MIGRATIONS[v]) return { ok: false, problems: [`version: no version of the app saved file version ${from} (expected 1 to ${VERSION})`] };
+    }
+    if (from === 1) {
+      const problems = checkV1(data);
+      if (problems.length) return { ok: false, problems };
+    }
+    let doc = data;
+    for (let v = from; v < VERSION; v++) doc = MIGRATIONS[v](doc);
+    const problems = validate(doc);
+    if (problems.length) return { ok: false, problems };
+    return { ok: true, doc, circuit: toWorkspace(doc), migratedFrom: from < VERSION ? from : null };
+  }
+
+  return { FORMAT, VERSION, TYPES, params, pins, paramProblem, validate, save, load, toWorkspace, netsOf, MIGRATIONS };
+});
@@ -0,0 +1,153 @@
+// Pictures of the workspace for handouts: a standalone SVG drawing of the parts, wires and labels
+// (optionally with solved values), and a printable worksheet page around it.
+//
+// The drawing is made from a scene the page measures, in workspace pixels, and is cropped to
+// what is on it:
+//   scene: { parts: [{ name, label, cx, cy, w, h, rotation, icon?, symbol?, mirrored?, pins: [{ x, y, kind }],
+//                      values: [text] }],
+//            nodes: [{ x, y }], wires: [{ points: [{ x, y }], color }] }
+//   name is the short name (R1, LED2), label the text on the part, w and h its size before
+//   rotation (degrees), icon an SVG string, pin kind 'anode', 'cathode' or ''. A part with a
+//   symbol (schematic-symbols.js, w by h) is drawn as that instead of a box, mirrored if flipped.
+//
+//   CircuitImage.svg(scene)                                  // -> '<svg ...>...</svg>'
+//   CircuitImage.measurementRows([{ name: 'R1', type: 'resistor' }, ...])
+//   // -> [{ name: 'R1', quantity: 'Voltage across', unit: 'V' }, ...]
+//   CircuitImage.worksheet({ title, description, tips, image, rows })   // -> HTML page
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gates.js'), require('./sequential.js'));
+  else root.CircuitImage = factory(root.Gates, root.SequentialParts);
+})(typeof window !== 'undefined' ? window : globalThis, function(Gates, SequentialParts) {
+  'use strict';
+
+  const MARGIN = 24;
+  const VALUE_LINE = 14;   // px per line of text under a part
+  const PIN_R = 4;
+  const PIN_FILL = { anode: '#ef4444', cathode: '#3b82f6' };
+  const FONT = 'Arial, Helvetica, sans-serif';
+  const BLANK_ROWS = 3;    // spare worksheet rows for measurements of the student's own choosing
+
+  const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const n = v => Math.round(v * 10) / 10;
+
+  // Half the width and height a part covers once rotated
+  const extent = p => (p.rotation % 180 ? [p.h / 2, p.w / 2] : [p.w / 2, p.h / 2]);
+
+  function bounds(scene) {
+    const xs = [], ys = [];
+    const add = (x, y) => { xs.push(x); ys.push(y); };
+    scene.parts.forEach(p => {
+      const [ex, ey] = extent(p);
+      add(p.cx - ex, p.cy - ey);
+      add(p.cx + ex, p.cy + ey + VALUE_LINE * (1 + (p.values || []).length));
+      (p.pins || []).forEach(q => add(q.x, q.y));
+    });
+    (scene.nodes || []).forEach(q => add(q.x, q.y));
+    (scene.wires || []).forEach(w => w.points.forEach(q => add(q.x, q.y)));
+    if (!xs.length) return { x: 0, y: 0, w: 200, h: 100 };
+    const x = Math.min(...xs) - MARGIN, y = Math.min(...ys) - MARGIN;
+    return { x: n(x), y: n(y), w: n(Math.max(...xs) + MARGIN - x), h: n(Math.max(...ys) + MARGIN - y) };
+  }
+
+  // An icon or symbol (a whole <svg> element) moved to (x, y) and resized to w by h
+  function place(el, x, y, w, h) {
+    return el.replace(/^<svg\b[^>]*?\swidth="[^"]*"\s+height="[^"]*"/, m => m
+      .replace(/\swidth="[^"]*"/, ` x="${n(x)}" y="${n(y)}" width="${n(w)}"`)
+      .replace(/\sheight="[^"]*"/, ` height="${n(h)}"`));
+  }
+
+  function svg(scene) {
+    const b = bounds(scene);
+    const out = [];
+    out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${b.w}" height="${b.h}" viewBox="${b.x} ${b.y} ${b.w} ${b.h}" font-family="${FONT}">`);
+    out.push(`<rect x="${b.x}" y="${b.y}" width="${b.w}" height="${b.h}" fill="#ffffff"/>`);
+    out.push('<g fill="none" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">');
+    (scene.wires || []).forEach(w => {
+      if (w.points.length > 1) out.push(`<polyline points="${w.points.map(q => `${n(q.x)},${n(q.y)}`).join(' ')}" stroke="${esc(w.color || '#222')}"/>`);
+    });
+    out.push('</g>');
+    scene.parts.forEach(p => {
+      out.push(`<g transform="translate(${n(p.cx)} ${n(p.cy)})${p.rotation ? ` rotate(${p.rotation})` : ''}">`);
+      if (p.symbol) {
+        out.push(`<g color="#111827"${p.mirrored ? ' transform="scale(-1 1)"' : ''}>${place(p.symbol, -p.w / 2, -p.h / 2, p.w, p.h)}</g>`);
+      } else {
+        out.push(`<rect x="${n(-p.w / 2)}" y="${n(-p.h / 2)}" width="${n(p.w)}" height="${n(p.h)}" rx="8" fill="#f8fafc" stroke="#334155" stroke-width="1.5"/>`);
+        out.push(`<text y="${n(-p.h / 2 + 14)}" font-size="11" font-weight="bold" text-anchor="middle" fill="#111827">${esc(p.label)}</text>`);
+      }
+      if (p.icon && !p.symbol) {
+        const size = Math.max(0, Math.min(p.w - 8, p.h - 24, 40));
+        if (size > 8) out.push(place(p.icon, -size / 2, 6 - size / 2, size, size));
+      }
+      out.push('</g>');
+      // the name and values stay level under the part, whichever way it is turned
+      const [, ey] = extent(p);
+      [p.name].concat(p.values || []).forEach((t, i) => {
+        if (t) out.push(`<text x="${n(p.cx)}" y="${n(p.cy + ey + VALUE_LINE * (i + 1) - 2)}" font-size="${i ? 11 : 12}" text-anchor="middle" fill="${i ? '#1d4ed8' : '#111827'}">${esc(t)}</text>`);
+      });
+      (p.pins || []).forEach(q => out.push(`<circle cx="${n(q.x)}" cy="${n(q.y)}" r="${PIN_R}" fill="${PIN_FILL[q.kind] || '#6b7280'}" stroke="#ffffff"/>`));
+    });
+    (scene.nodes || []).forEach(q => out.push(`<circle cx="${n(q.x)}" cy="${n(q.y)}" r="${PIN_R}" fill="#222222"/>`));
+    out.push('</svg>');
+    return out.join('\n');
+  }
+
+  // What a student can measure on each part: logic parts by output level, the rest by voltage
+  // and current (a switch's current is the rest of its loop's, so only its voltage)
+  function measurementRows(parts) {
+    const rows = [];
+    parts.forEach(({ name, type }) => {
+      if (Gates.isGate(type)) rows.push({ name, quantity: 'Output', unit: 'high / low' });
+      else if (SequentialParts.isSequential(type)) {
+        SequentialParts.get(type).outputs.forEach(pin => rows.push({ name, quantity: `Output ${pin.toUpperCase()}`, unit: 'high / low' }));
+      } else {
+        rows.push({ name, quantity: 'Voltage across', unit: 'V' });
+        if (type !== 'switch') rows.push({ name, quantity: 'Current', unit: 'mA' });
+      }
+    });
+    return rows;
+  }
+
+  function worksheet({ title, description = '', tips = [], image = '', rows = [] }) {
+    const body = rows.concat(Array.from({ length: BLANK_ROWS }, () => ({ name: '', quantity: '', unit: '' })))
+      .map(r => `<tr><td>${esc(r.name)}</td><td>${esc(r.quantity)}</td><td class="unit">${esc(r.unit)}</td><td></td><td></td></tr>`).join('\n');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${esc(title)} — worksheet</title>
+<style>
+  body { font-family: ${FONT}; color: #111827; margin: 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .student { display: flex; gap: 24px; margin: 8px 0 16px; }
+  .student span { flex: 1; border-bottom: 1px solid #111827; padding-bottom: 2px; }
+  .figure { text-align: center; margin: 16px 0; }
+  .figure svg { max-width: 100%; height: auto; max-height: 9cm; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { border: 1px solid #6b7280; padding: 8px 6px; text-align: left; }
+  td { height: 18px; }
+  th { background: #f3f4f6; }
+  .unit { color: #4b5563; }
+  @media print { body { margin: 0; } .figure, table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<div class="student"><span>Name:</span><span>Date:</span></div>
+${description ? `<p>${esc(description)}</p>` : ''}
+${tips.length ? `<ol>${tips.map(t => `<li>${esc(t)}</li>`).join('')}</ol>` : ''}
+<div class="figure">${image}</div>
+<h2>Measurements</h2>
+<table>
+<thead><tr><th>Part</th><th>Quantity</th><th>Unit</th><th>Predicted</th><th>Measured</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+  }
+
+  return { svg, measurementRows, worksheet };
+});
@@ -1,9 +1,170 @@
 // Minimal CircuitSolver library
-// Provides solveMNA(N, resistors, vSources, diodes)
+// Provides solveMNA(N, resistors, vSources, diodes) and stepTransient(N, circuit, state, options)
 // resistors: [{n1,n2,R}]
 // vSources: [{nPlus,nMinus,V}]
-// diodes: [{n1,n2,Is,nVt,Vf}]
+// diodes: [{n1,n2,Is,nVt}]  n1 is the anode; Shockley model, Newton with junction limiting
+//   (returns { success:false, reason:'no-convergence' } if maxIter runs out)
+// capacitors: [{n1,n2,C}]   (transient only)
+// inductors: [{n1,n2,L}]    (transient only)
+// options.currentSources: [{n1,n2,I}] - I amps flow from n1 through the source into n2
+// options.groundNode: node held at 0 V (otherwise the node voltages float)
+// options.gmin: small conductance from every node to ground so floating islands stay solvable
+//
+// The MNA system is stored sparsely (one Map of col -> value per row) and factored with a
+// Markowitz-ordered sparse LU. The pivot sequence found for a circuit's structure is the
+// "symbolic" factorization: it is cached by structure and reused for every Newton iteration and
+// every later solve of the same topology, so only the numeric elimination is repeated.
 (function(global){
+  // pivots smaller than this are treated as singular
+  const PIVOT_ABS_TOL = 1e-18;
+  // a pivot must be at least this fraction of the largest entry in its column (threshold pivoting)
+  const PIVOT_REL_TOL = 1e-3;
+  const SYMBOLIC_CACHE_SIZE = 32;
+  // structure signature -> { pivots: [[row, col], ...] }
+  const symbolicCache = new Map();
+  const stats = { symbolicFactorizations: 0, numericFactorizations: 0, cacheHits: 0 };
+
+  // Sparse matrix as an array of row Maps
+  function createSparse(dim){
+    return Array.from({length:dim}, ()=>new Map());
+  }
+  function addEntry(rows, r, c, v){
+    if (r==null || c==null || v===0) return;
+    const row = rows[r];
+    row.set(c, (row.get(c)||0) + v);
+  }
+  function cloneSparse(rows){
+    return rows.map(row=>new Map(row));
+  }
+
+  // Gaussian elimination on sparse rows. With `symbolic` the recorded pivot sequence is replayed
+  // (numeric-only refactorization); without it pivots are chosen by Markowitz cost subject to a
+  // threshold test. Returns { steps, pivots } or null if the matrix is singular or a replayed pivot
+  // has become numerically unacceptable.
+  function factorSparse(rowsIn, dim, symbolic){
+    const rows = cloneSparse(rowsIn);
+    // column -> set of active rows with a nonzero in that column
+    const colRows = Array.from({length:dim}, ()=>new Set());
+    rows.forEach((row, r)=>row.forEach((v, c)=>{ if (v !== 0) colRows[c].add(r); }));
+    const rowDone = new Uint8Array(dim); const colDone = new Uint8Array(dim);
+    const steps = []; const pivots = [];
+
+    function colMax(c){
+      let m = 0;
+      colRows[c].forEach(r=>{ const v = Math.abs(rows[r].get(c)||0); if (v > m) m = v; });
+      return m;
+    }
+
+    function choosePivot(){
+      let best = null; let bestCost = Infinity; let bestMag = 0;
+      for (let r=0; r<dim; r++){
+        if (rowDone[r]) continue;
+        const rowCount = rows[r].size;
+        rows[r].forEach((v, c)=>{
+          const mag = Math.abs(v);
+          if (mag < PIVOT_ABS_TOL) return;
+          const cost = (rowCount-1) * (colRows[c].size-1);
+          if (cost > bestCost || (cost === bestCost && mag <= bestMag)) return;
+          if (mag < PIVOT_REL_TOL * colMax(c)) return;
+          best = [r, c]; bestCost = cost; bestMag = mag;
+        });
+      }
+      return best;
+    }
+
+    for (let k=0; k<dim; k++){
+      let pivot;
+      if (symbolic){
+        pivot = symbolic.pivots[k];
+        const v = Math.abs(rows[pivot[0]].get(pivot[1])||0);
+        if (!isFinite(v) || v < PIVOT_ABS_TOL || v < PIVOT_REL_TOL * colMax(pivot[1])) return null;
+      } else {
+        pivot = choosePivot();
+        if (!pivot) return null;
+      }
+      const [pr, pc] = pivot;
+      const prow = rows[pr];
+      const pval = prow.get(pc);
+      rowDone[pr] = 1; colDone[pc] = 1;
+      prow.forEach((_, c)=>colRows[c].delete(pr));
+      // eliminate column pc from every other active row
+      const lcol = [];
+      Array.from(colRows[pc]).forEach(r=>{
+        const row = rows[r];
+        const factor = row.get(pc) / pval;
+        row.delete(pc); colRows[pc].delete(r);
+        if (!isFinite(factor)) return;
+        lcol.push([r, factor]);
+        prow.forEach((v, c)=>{
+          if (c === pc) return;
+          const nv = (row.get(c)||0) - factor * v;
+          row.set(c, nv);
+          colRows[c].add(r);
+        });
+      });
+      const urow = [];
+      prow.forEach((v, c)=>{ if (c !== pc && v !== 0) urow.push([c, v]); });
+      steps.push({ row: pr, col: pc, pivot: pval, lcol, urow });
+      pivots.push(pivot);
+    }
+    return { steps, pivots };
+  }
+
+  function solveFactored(lu, rhsIn, dim){
+    const b = Array.from(rhsIn);
+    lu.steps.forEach(st=>{ const br = b[st.row]; if (br !== 0) st.lcol.forEach(([r, f])=>{ b[r] -= f * br; }); });
+    const x = Array(dim).fill(0);
+    for (let k=lu.steps.length-1; k>=0; k--){
+      const st = lu.steps[k];
+      let s = b[st.row];
+      st.urow.forEach(([c, v])=>{ s -= v * x[c]; });
+      x[st.col] = s / st.pivot;
+    }
+    return x;
+  }
+
+  // Factor using the cached pivot order for this structure when possible
+  function factorWithCache(rows, dim, signature){
+    const cached = symbolicCache.get(signature);
+    if (cached){
+      const lu = factorSparse(rows, dim, cached);
+      if (lu){ stats.cacheHits++; stats.numericFactorizations++; return lu; }
+    }
+    const lu = factorSparse(rows, dim, null);
+    if (!lu) return null;
+    stats.symbolicFactorizations++; stats.numericFactorizations++;
+    symbolicCache.delete(signature);
+    symbolicCache.set(signature, { pivots: lu.pivots });
+    if (symbolicCache.size > SYMBOLIC_CACHE_SIZE) symbolicCache.delete(symbolicCache.keys().next().value);
+    return lu;
+  }
+
+  // Shockley diode current and its derivative. Above MAX_EXP_ARG the exponential is continued
+  // linearly so a bad Newton guess cannot overflow.
+  const MAX_EXP_ARG = 80;
+  function diodeCurrent(Vd, Is, nVt){
+    const arg = Vd / nVt;
+    if (arg > MAX_EXP_ARG){
+      const e = Math.exp(MAX_EXP_ARG);
+      return { I: Is * (e * (1 + arg - MAX_EXP_ARG) - 1), G: Is * e / nVt };
+    }
+    const e = Math.exp(Math.max(arg, -MAX_EXP_ARG));
+    return { I: Is * (e - 1), G: Is * e / nVt };
+  }
+
+  // SPICE-style junction limiting (pnjlim): above the critical voltage, where the exponential
+  // turns steep, move the junction voltage along the log of the current instead of jumping to
+  // the raw Newton update, which would put the next guess far up the exponential.
+  function limitJunction(vNew, vOld, nVt, Is){
+    const vCrit = nVt * Math.log(nVt / (Math.SQRT2 * Is));
+    if (vNew <= vCrit || Math.abs(vNew - vOld) <= 2 * nVt) return vNew;
+    if (vOld > 0){
+      const arg = 1 + (vNew - vOld) / nVt;
+      return arg > 0 ? vOld + nVt * Math.log(arg) : vCrit;
+    }
+    return nVt * Math.log(vNew / nVt);
+  }
+
   const CircuitSolver = {
     solveMNA: function(numNodes, resistorList, voltageSourceList, diodeList, options={}){
       // ensure arrays are defined
@@ -14,99 +175,175 @@
       const maxIter = options.maxIter || 50;
       const tol = options.tol || 1e-6;
       const damping = (options.damping==null)?0.6:options.damping;
+      const currentSourceList = options.currentSources || [];
+      const gmin = options.gmin || 0;
+      const userSourceCount = voltageSourceList.length;
+      // the ground reference is modeled as an extra 0 V source from groundNode to the reference
+      if (options.groundNode != null) voltageSourceList = voltageSourceList.concat([{ nPlus: options.groundNode, nMinus: null, V: 0 }]);
       const numVoltageSources = voltageSourceList.length;
+      const totalDim = numNodes + numVoltageSources;
 
-      function solveLinear(matrixIn, rhsIn){
-        const dim = matrixIn.length;
-        if (dim === 0) return [];
-        const mat = Array.from({length:dim}, (_,i)=>Array.from(matrixIn[i]));
-        const vec = Array.from(rhsIn);
-        for (let i=0;i<dim;i++){
-          // partial pivoting: find max row in column i
-          let maxRow=i; let maxVal=Math.abs(mat[i][i]);
-          for (let r=i+1;r<dim;r++){ const v=Math.abs(mat[r][i]); if (v>maxVal){ maxVal=v; maxRow=r; } }
-          // if the largest pivot in this column is extremely small, consider matrix singular
-          if (maxVal < 1e-18) throw new Error('Singular matrix');
-          if (maxRow!==i){ const tmp=mat[i]; mat[i]=mat[maxRow]; mat[maxRow]=tmp; const tv=vec[i]; vec[i]=vec[maxRow]; vec[maxRow]=tv; }
-          const pivot = mat[i][i];
-          if (!isFinite(pivot) || Math.abs(pivot) < 1e-18) throw new Error('Singular pivot');
-          for (let r=i+1;r<dim;r++){
-            const factor = mat[r][i] / pivot;
-            if (!isFinite(factor)) continue;
-            for (let c=i;c<dim;c++) mat[r][c] -= factor * mat[i][c];
-            vec[r] -= factor * vec[i];
-          }
-        }
-        const solution = Array(dim).fill(0);
-        for (let i=dim-1;i>=0;i--){
-          let s=vec[i];
-          for (let j=i+1;j<dim;j++) s -= mat[i][j]*solution[j];
-          const denom = mat[i][i];
-          if (!isFinite(denom) || Math.abs(denom) < 1e-18) throw new Error('Singular pivot during back-substitution');
-          solution[i]=s/denom;
-        }
-        return solution;
+      function stampConductance(rows, n1, n2, g){
+        if (n1 == null || n2 == null) return;
+        if (n1 !== n2){ addEntry(rows, n1, n1, g); addEntry(rows, n2, n2, g); addEntry(rows, n1, n2, -g); addEntry(rows, n2, n1, -g); }
+        else addEntry(rows, n1, n1, g);
       }
 
+      // Linear part of the system: identical for every Newton iteration
+      const baseRows = createSparse(totalDim);
+      const baseRhs = Array(totalDim).fill(0);
+      resistorList.forEach(r=>{ stampConductance(baseRows, r.n1, r.n2, 1/(r.R||1e-12)); });
+      // independent current sources (also used for reactive companion models)
+      currentSourceList.forEach(cs=>{
+        const I = cs.I || 0;
+        if (cs.n1 != null) baseRhs[cs.n1] -= I;
+        if (cs.n2 != null) baseRhs[cs.n2] += I;
+      });
+      if (gmin > 0) for (let i=0;i<numNodes;i++) addEntry(baseRows, i, i, gmin);
+      voltageSourceList.forEach((vs,j)=>{
+        const k = numNodes + j;
+        if (vs.nPlus!=null){ addEntry(baseRows, vs.nPlus, k, 1); addEntry(baseRows, k, vs.nPlus, 1); }
+        if (vs.nMinus!=null){ addEntry(baseRows, vs.nMinus, k, -1); addEntry(baseRows, k, vs.nMinus, -1); }
+        baseRhs[k] = vs.V||0;
+      });
+      // diode positions are stamped (even with zero value) so the structure never changes between iterations
+      diodeList.forEach(d=>{ if (d.n1==null || d.n2==null) return; [[d.n1,d.n1],[d.n2,d.n2],[d.n1,d.n2],[d.n2,d.n1]].forEach(([r,c])=>{ if (!baseRows[r].has(c)) baseRows[r].set(c, 0); }); });
+
+      // structure signature used to look up a cached pivot order
+      const pattern = [totalDim];
+      baseRows.forEach((row, r)=>{ pattern.push(r + ':' + Array.from(row.keys()).sort((a,b)=>a-b).join(',')); });
+      const signature = pattern.join('|');
+
       // initial guess
       let voltageGuess = Array(numNodes).fill(0);
+      // junction voltage each diode was last linearized at (see limitJunction)
+      const diodeVd = diodeList.map(()=>0);
       let solutionVector = null;
+      let converged = !diodeList.length;
       for (let iter=0; iter<maxIter; iter++){
-        // build conductance matrix and RHS
-        const conductance = Array.from({length:numNodes},()=>Array(numNodes).fill(0));
-        const currentVec = Array(numNodes).fill(0);
-        // resistors
-        resistorList.forEach(r=>{
-          if (r.n1==null || r.n2==null) return;
-          const g = 1/(r.R||1e-12);
-          if (r.n1 !== r.n2){ conductance[r.n1][r.n1]+=g; conductance[r.n2][r.n2]+=g; conductance[r.n1][r.n2]-=g; conductance[r.n2][r.n1]-=g; }
-          else conductance[r.n1][r.n1]+=g;
-        });
+        const rows = diodeList.length ? cloneSparse(baseRows) : baseRows;
+        const rhs = diodeList.length ? Array.from(baseRhs) : baseRhs;
+        let limited = false;
         // diodes linearization
-        diodeList.forEach(diode=>{
+        diodeList.forEach((diode, idx)=>{
           if (diode.n1==null || diode.n2==null) return;
-          const v1 = voltageGuess[diode.n1]||0; const v2 = voltageGuess[diode.n2]||0; const Vd = v1 - v2;
           const Is = (diode.Is==null)?1e-12:diode.Is; const nVt = (diode.nVt==null || diode.nVt===0)?0.026:diode.nVt;
-          // clamp diode exponential argument to avoid overflow/underflow
-          const diodeExpArg = Math.max(-40, Math.min(40, Vd / nVt));
-          const diodeExp = Math.exp(diodeExpArg);
-          let diodeIcalc = Is * (diodeExp - 1);
-          let diodeG = (Is / nVt) * diodeExp;
+          const v1 = voltageGuess[diode.n1]||0; const v2 = voltageGuess[diode.n2]||0;
+          const Vd = limitJunction(v1 - v2, diodeVd[idx], nVt, Is);
+          if (Vd !== v1 - v2) limited = true;
+          diodeVd[idx] = Vd;
+          const { I: diodeIcalc, G } = diodeCurrent(Vd, Is, nVt);
           // cap conductance to a large but finite value to avoid ill-conditioning
-          const MAX_G = 1e12;
-          if (!isFinite(diodeG) || diodeG > MAX_G) diodeG = Math.min(diodeG, MAX_G);
+          const diodeG = Math.min(G, 1e12);
           const diodeIeq = diodeIcalc - diodeG * Vd;
-          if (diode.n1 !== diode.n2){ conductance[diode.n1][diode.n1]+=diodeG; conductance[diode.n2][diode.n2]+=diodeG; conductance[diode.n1][diode.n2]-=diodeG; conductance[diode.n2][diode.n1]-=diodeG; currentVec[diode.n1] -= diodeIeq; currentVec[diode.n2] += diodeIeq; }
-          else { conductance[diode.n1][diode.n1]+=diodeG; currentVec[diode.n1] -= diodeIeq; }
+          stampConductance(rows, diode.n1, diode.n2, diodeG);
+          if (diode.n1 !== diode.n2){ rhs[diode.n1] -= diodeIeq; rhs[diode.n2] += diodeIeq; }
+          else rhs[diode.n1] -= diodeIeq;
         });
 
-        // voltage sources
-        const Bmatrix = Array.from({length:numNodes},()=>Array(numVoltageSources).fill(0));
-        const Evector = voltageSourceList.map(v=>v.V||0);
-        voltageSourceList.forEach((vs,j)=>{ if (vs.nPlus!=null) Bmatrix[vs.nPlus][j]=1; if (vs.nMinus!=null) Bmatrix[vs.nMinus][j]=-1; });
-
-        const totalDim = numNodes + numVoltageSources; const A = Array.from({length:totalDim},()=>Array(totalDim).fill(0)); const z = Array(totalDim).fill(0);
-        for (let i=0;i<numNodes;i++) for (let j=0;j<numNodes;j++) A[i][j]=conductance[i][j];
-        for (let i=0;i<numNodes;i++) for (let j=0;j<numVoltageSources;j++) A[i][numNodes+j]=Bmatrix[i][j];
-        for (let i=0;i<numVoltageSources;i++) for (let j=0;j<numNodes;j++) A[numNodes+i][j]=Bmatrix[j][i];
-        for (let i=0;i<numNodes;i++) z[i]=currentVec[i];
-        for (let i=0;i<numVoltageSources;i++) z[numNodes+i]=Evector[i];
-
-        try { solutionVector = solveLinear(A,z); } catch(e){ return { success:false, reason:'linear-solve-failed' }; }
+        if (totalDim === 0) { solutionVector = []; break; }
+        const lu = factorWithCache(rows, totalDim, signature);
+        if (!lu) return { success:false, reason:'linear-solve-failed' };
+        solutionVector = solveFactored(lu, rhs, totalDim);
+        if (solutionVector.some(v=>!isFinite(v))) return { success:false, reason:'linear-solve-failed' };
+        // linear circuits are solved exactly by the first iteration
+        if (!diodeList.length) break;
         const newVoltages = solutionVector.slice(0,numNodes);
         // damping update for next iteration
         let maxDiff = 0;
         for (let i=0;i<numNodes;i++){ const vOld = voltageGuess[i]||0; const vN = newVoltages[i]||0; const vUpd = damping * vN + (1-damping) * vOld; maxDiff = Math.max(maxDiff, Math.abs(vUpd - vOld)); voltageGuess[i]=vUpd; }
-        if (maxDiff < tol) break;
+        // the damped step must settle and the last linearization must not have been limited
+        if (maxDiff < tol && !limited) { converged = true; break; }
       }
 
       if (!solutionVector) return { success:false };
-      const nodeVoltages = solutionVector.slice(0,numNodes); const sourceCurrents = solutionVector.slice(numNodes);
+      if (!converged) return { success:false, reason:'no-convergence' };
+      const nodeVoltages = solutionVector.slice(0,numNodes); const sourceCurrents = solutionVector.slice(numNodes, numNodes + userSourceCount);
       // compute branch currents
-  const resistorResults = resistorList.map((r, idx)=>{ if (r.n1==null || r.n2==null) return {meta:r, idx, I:0}; const v1=nodeVoltages[r.n1]||0; const v2=nodeVoltages[r.n2]||0; const I=(v1-v2)/(r.R||1e-12); return {meta:r, idx, I, v1, v2}; });
-  const diodeResults = diodeList.map((d, idx)=>{ if (d.n1==null || d.n2==null) return {meta:d, idx, I:0}; const v1=nodeVoltages[d.n1]||0; const v2=nodeVoltages[d.n2]||0; const Vd=v1-v2; const Is=(d.Is==null)?1e-12:d.Is; const Icalc = Is*(Math.exp(Vd/(d.nVt||0.026))-1); return {meta:d, idx, I:Icalc, Vd}; });
+  const resistorResults = resistorList.map((r, idx)=>{ if (r.n1==null || r.n2==null) return {meta:r, idx, I:0}; const v1=nodeVoltages[r.n1]||0; const v2=nodeVoltages[r.n2]||0; const I=(v1-v2)/(r.R||1e-12); return {meta:r, idx, I, v1, v2, Vdrop: v1-v2}; });
+  const diodeResults = diodeList.map((d, idx)=>{ if (d.n1==null || d.n2==null) return {meta:d, idx, I:0}; const v1=nodeVoltages[d.n1]||0; const v2=nodeVoltages[d.n2]||0; const Vd=v1-v2; const Is=(d.Is==null)?1e-12:d.Is; const Icalc = diodeCurrent(Vd, Is, d.nVt||0.026).I; return {meta:d, idx, I:Icalc, Vd}; });
       return { success:true, V: nodeVoltages, J: sourceCurrents, resistorResults, diodeResults };
+    },
+
+    // Drop all cached pivot orders (e.g. after loading a very different circuit)
+    clearSymbolicCache: function(){ symbolicCache.clear(); },
+
+    // Counters for how often a cached symbolic factorization was reused
+    stats: stats,
+
+    // Advance a circuit containing capacitors/inductors by one time step of options.dt seconds.
+    // Each reactive part is replaced by its companion model (a conductance in parallel with a
+    // current source that carries the previous step's state) and the result is solved with solveMNA.
+    // state: { capacitors:[{v,i}], inductors:[{v,i}] } from the previous step, or null to start
+    // from rest (capacitors discharged, no inductor current).
+    // options.method: 'trapezoidal' (default) or 'backward-euler'
+    // Returns the solveMNA result (plus capacitorResults/inductorResults) and the new state.
+    stepTransient: function(numNodes, circuit, state, options={}){
+      const resistors = circuit.resistors || [];
+      const vSources = circuit.vSources || [];
+      const diodes = circuit.diodes || [];
+      const capacitors = circuit.capacitors || [];
+      const inductors = circuit.inductors || [];
+      const dt = options.dt || 1e-3;
+      // the first step from rest uses backward Euler since there is no consistent previous current yet
+      const trapezoidal = options.method !== 'backward-euler' && !!state;
+      const prevCaps = (state && state.capacitors) || [];
+      const prevInds = (state && state.inductors) || [];
+
+      const companionResistors = []; const currentSources = [];
+      const capModels = capacitors.map((c, idx)=>{
+        const prev = prevCaps[idx] || { v:0, i:0 };
+        if (c.n1==null || c.n2==null || !(c.C > 0)) return null;
+        // BE:   i = C/dt (v - vPrev)
+        // trap: i = 2C/dt (v - vPrev) - iPrev
+        const G = (trapezoidal ? 2 : 1) * c.C / dt;
+        const Ieq = G * prev.v + (trapezoidal ? prev.i : 0);
+        companionResistors.push({ n1:c.n1, n2:c.n2, R:1/G, meta:{ type:'companion' } });
+        currentSources.push({ n1:c.n2, n2:c.n1, I:Ieq });
+        return { G, Ieq };
+      });
+      const indModels = inductors.map((l, idx)=>{
+        const prev = prevInds[idx] || { v:0, i:0 };
+        if (l.n1==null || l.n2==null || !(l.L > 0)) return null;
+        // BE:   i = iPrev + dt/L v
+        // trap: i = iPrev + dt/2L (v + vPrev)
+        const G = dt / ((trapezoidal ? 2 : 1) * l.L);
+        const Ieq = prev.i + (trapezoidal ? G * prev.v : 0);
+        companionResistors.push({ n1:l.n1, n2:l.n2, R:1/G, meta:{ type:'companion' } });
+        currentSources.push({ n1:l.n1, n2:l.n2, I:Ieq });
+        return { G, Ieq };
+      });
+
+      let groundNode = options.groundNode;
+      if (groundNode == null) groundNode = (vSources.find(v=>v.nMinus!=null) || {}).nMinus;
+      if (groundNode == null && numNodes > 0) groundNode = 0;
+      const solveOptions = Object.assign({}, options, {
+        groundNode,
+        gmin: options.gmin == null ? 1e-12 : options.gmin,
+        currentSources: (options.currentSources || []).concat(currentSources)
+      });
+      const sol = CircuitSolver.solveMNA(numNodes, resistors.concat(companionResistors), vSources, diodes, solveOptions);
+      if (!sol || !sol.success) return { success:false, reason: sol && sol.reason, state };
+
+      const V = sol.V;
+      const vAcross = p => (V[p.n1]||0) - (V[p.n2]||0);
+      const nextCaps = capacitors.map((c, idx)=>{
+        const m = capModels[idx]; if (!m) return { v:0, i:0 };
+        const v = vAcross(c);
+        return { v, i: m.G * v - m.Ieq };
+      });
+      const nextInds = inductors.map((l, idx)=>{
+        const m = indModels[idx]; if (!m) return { v:0, i:0 };
+        const v = vAcross(l);
+        return { v, i: m.G * v + m.Ieq };
+      });
+      sol.resistorResults = sol.resistorResults.slice(0, resistors.length);
+      sol.capacitorResults = capacitors.map((c, idx)=>({ meta:c, idx, I:nextCaps[idx].i, Vdrop:nextCaps[idx].v }));
+      sol.inductorResults = inductors.map((l, idx)=>({ meta:l, idx, I:nextInds[idx].i, Vdrop:nextInds[idx].v }));
+      return Object.assign(sol, { state: { capacitors: nextCaps, inductors: nextInds } });
     }
   };
-  global.CircuitSolver = CircuitSolver;
-})(window);
+  // CommonJS for Node (tests, batch grading), a global in the browser
+  if (typeof module === 'object' && module.exports) module.exports = CircuitSolver;
+  else global.CircuitSolver = CircuitSolver;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,333 @@
+// Teaching-mode explanations: a step-by-step derivation of an exact (MNA) DC solution.
+// For each group of connected parts driven by one source it first tries to reduce the network to
+// a single resistance (series and parallel combinations), applies Ohm's law to the total, and
+// works back out to every part. Networks that do not reduce (bridges, several sources) are
+// explained with node voltages and Kirchhoff's current law instead. A lit LED keeps an almost
+// fixed voltage across it, so it is treated like a source of the voltage the solver found (which
+// makes its circuit a nodal one); a dark LED is an open circuit. Every group ends with a
+// Kirchhoff's voltage law check around one loop. Numbers in the steps are the exact ones.
+//
+// explain({ elements, leds, sources, gates, V }) -> { groups: [{ method, ids, steps }] }
+//   elements: [{ id, type, n1, n2, R }]            two-terminal resistive parts (resistors, switches...)
+//   leds:     [{ id, n1, n2, I, Vd, Vf, lit }]     n1 is the anode; Vd the solved anode-cathode voltage
+//   sources:  [{ id, type, nPlus, nMinus, V, I }]  batteries, and logic outputs at their pin voltage
+//   gates:    [{ id, type, inputs: [volts...], levels: [bool...], high: bool, vil, vih }]
+//   V:        node voltages indexed by net
+// A step is { kind, text, ids, values }: `ids` are the parts it talks about, `values` the numbers
+// it states (values.current / values.voltage for one part, values.resistance for a combination).
+// Steps about one resistive part are kind 'ohm' and about one LED kind 'diode'; both carry values.id.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gates.js'));
+  else root.CircuitExplainer = factory(root.Gates);
+})(typeof window !== 'undefined' ? window : globalThis, function(Gates) {
+  'use strict';
+
+  const NO_CURRENT = 1e-9;
+  const PREFIX = {
+    resistor: 'R', led: 'LED', switch: 'S', inductor: 'L', battery: 'B',
+    clock: 'CLK', srlatch: 'SR', dff: 'DFF', jkff: 'JK', tff: 'TFF', counter4: 'CNT', seg7: 'DISP'
+  };
+
+  function sig(v) {
+    return String(Number(v.toPrecision(3)));
+  }
+  function fmt(v, unit) {
+    const a = Math.abs(v);
+    if (a < 1e-12) return `0 ${unit}`;
+    if (a >= 1e6) return `${sig(v / 1e6)} M${unit}`;
+    if (a >= 1e3) return `${sig(v / 1e3)} k${unit}`;
+    if (a >= 1) return `${sig(v)} ${unit}`;
+    if (a >= 1e-3) return `${sig(v * 1e3)} m${unit}`;
+    if (a >= 1e-6) return `${sig(v * 1e6)} µ${unit}`;
+    return `${sig(v * 1e9)} n${unit}`;
+  }
+  const volts = v => fmt(v, 'V');
+  const amps = v => fmt(v, 'A');
+  const ohms = v => fmt(v, 'Ω');
+
+  // Give every part a short name (R1, LED2, B1...) in the order it appears
+  function nameParts(list) {
+    const counts = {};
+    const names = new Map();
+    list.forEach(p => {
+      if (names.has(p.id)) return; // a gate is both a source (its output) and a gate
+      // gates go by their family label, so a 3-input AND is still AND1, AND2...
+      const prefix = PREFIX[p.type] || (Gates.isGate(p.type) ? Gates.get(p.type).label : p.type);
+      counts[prefix] = (counts[prefix] || 0) + 1;
+      names.set(p.id, `${prefix}${counts[prefix]}`);
+    });
+    return names;
+  }
+
+  // Split the circuit into groups of parts connected through shared nets. `dark` parts do not
+  // conduct, so they do not join nets; each is listed with a powered group it touches.
+  function connectedGroups(elements, sources, dark) {
+    const parent = new Map();
+    const find = n => { while (parent.get(n) !== n) n = parent.get(n); return n; };
+    const add = n => { if (n != null && !parent.has(n)) parent.set(n, n); };
+    const join = (a, b) => { if (a == null || b == null) return; add(a); add(b); const ra = find(a), rb = find(b); if (ra !== rb) parent.set(rb, ra); };
+    elements.forEach(e => join(e.n1, e.n2));
+    sources.forEach(s => join(s.nPlus, s.nMinus));
+    const groups = new Map();
+    const groupOf = n => { const r = find(n); if (!groups.has(r)) groups.set(r, { elements: [], sources: [], dark: [] }); return groups.get(r); };
+    elements.forEach(e => { if (e.n1 != null && e.n2 != null) groupOf(e.n1).elements.push(e); });
+    sources.forEach(s => { if (s.nPlus != null && s.nMinus != null) groupOf(s.nPlus).sources.push(s); });
+    dark.forEach(d => {
+      const g = [d.n1, d.n2].filter(n => parent.has(n)).map(groupOf).find(x => x.sources.length);
+      if (g) g.dark.push(d);
+    });
+    // LEDs are not sources of their own: a group needs a battery or a gate output
+    return Array.from(groups.values()).filter(g => g.sources.some(s => !s.led));
+  }
+
+  // --- Series/parallel reduction -------------------------------------------------------------
+
+  function wrap(edge) {
+    return edge.leaf ? edge.label : `(${edge.label})`;
+  }
+
+  // Reduce the network between terminals a and b. Returns { edge, steps } where edge is the
+  // single equivalent between a and b (or null if nothing connects them), or null if the network
+  // does not reduce to series and parallel parts.
+  function reduce(elements, a, b, names) {
+    let edges = elements.map(e => ({ a: e.n1, b: e.n2, R: e.R, label: names.get(e.id), leaf: e, ids: [e.id] }));
+    const steps = [];
+    const terminal = n => n === a || n === b;
+
+    for (let changed = true; changed;) {
+      changed = false;
+      // a part with both ends on the same net is shorted out
+      edges.filter(e => e.a === e.b).forEach(e => {
+        steps.push({ kind: 'open', text: `${e.label} has both ends on the same wire, so it is shorted out and carries no current.`, ids: e.ids, values: { current: 0 } });
+      });
+      edges = edges.filter(e => e.a !== e.b);
+
+      // a dead end: a net (other than the source terminals) that only one part touches
+      const degree = new Map();
+      edges.forEach(e => { degree.set(e.a, (degree.get(e.a) || 0) + 1); degree.set(e.b, (degree.get(e.b) || 0) + 1); });
+      const dangling = edges.filter(e => (!terminal(e.a) && degree.get(e.a) === 1) || (!terminal(e.b) && degree.get(e.b) === 1));
+      if (dangling.length) {
+        dangling.forEach(e => {
+            steps.push({ kind: 'open', text: `${e.label} is a dead end (not part of a closed loop), so no current flows through it.`, ids: e.ids, values: { current: 0 } });
+        });
+        edges = edges.filter(e => !dangling.includes(e));
+        changed = true;
+        continue;
+      }
+
+      // parallel: several parts between the same two nets
+      const byPair = new Map();
+      edges.forEach(e => { const k = e.a < e.b ? `${e.a}:${e.b}` : `${e.b}:${e.a}`; if (!byPair.has(k)) byPair.set(k, []); byPair.get(k).push(e); });
+      const group = Array.from(byPair.values()).find(list => list.length > 1);
+      if (group) {
+        const R = 1 / group.reduce((s, e) => s + 1 / e.R, 0);
+        const merged = { a: group[0].a, b: group[0].b, R, label: group.map(wrap).join(' ∥ '), parallel: group, ids: [].concat(...group.map(e => e.ids)) };
+        steps.push({
+          kind: 'parallel',
+          text: `${merged.label} are in parallel: 1 / (${group.map(e => `1/${ohms(e.R)}`).join(' + ')}) = ${ohms(R)}`,
+          ids: merged.ids, values: { resistance: R }
+        });
+        edges = edges.filter(e => !group.includes(e)).concat([merged]);
+        changed = true;
+        continue;
+      }
+
+      // series: a net (other than the terminals) joining exactly two parts
+      const node = Array.from(degree.keys()).find(n => !terminal(n) && degree.get(n) === 2);
+      if (node != null) {
+        const pair = edges.filter(e => e.a === node || e.b === node);
+        const [e1, e2] = pair;
+        const far1 = e1.a === node ? e1.b : e1.a;
+        const far2 = e2.a === node ? e2.b : e2.a;
+        // flatten nested series chains so the text reads R1 + R2 + R3
+        const parts = [].concat(e1.series || [e1], e2.series || [e2]);
+        const R = e1.R + e2.R;
+        const merged = { a: far1, b: far2, R, label: parts.map(wrap).join(' + '), series: parts, ids: [].concat(e1.ids, e2.ids) };
+        const step = { kind: 'series', text: `${merged.label} are in series: ${parts.map(e => ohms(e.R)).join(' + ')} = ${ohms(R)}`, ids: merged.ids, values: { resistance: R }, merged };
+        // extend the previous series step instead of repeating it for every link of a chain
+        const last = steps[steps.length - 1];
+        if (last && last.kind === 'series' && (last.merged === e1 || last.merged === e2)) steps[steps.length - 1] = step;
+        else steps.push(step);
+        edges = edges.filter(e => !pair.includes(e)).concat([merged]);
+        changed = true;
+      }
+    }
+
+    steps.forEach(s => { delete s.merged; });
+    if (!edges.length) return { edge: null, steps };
+    if (edges.length === 1 && ((edges[0].a === a && edges[0].b === b) || (edges[0].a === b && edges[0].b === a))) return { edge: edges[0], steps };
+    return null;
+  }
+
+  // "A, B and C"
+  function listOf(parts) {
+    const labels = parts.map(p => (p.leaf ? p.label : `(${p.label})`));
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+  }
+
+  // Work back from the total current to every part
+  function expand(edge, I, steps) {
+    const Vdrop = I * edge.R;
+    if (edge.leaf) {
+      steps.push({ kind: 'ohm', text: `${edge.label}: V = I × R = ${amps(I)} × ${ohms(edge.R)} = ${volts(Vdrop)}`, ids: edge.ids, values: { id: edge.leaf.id, current: I, voltage: Vdrop } });
+      return;
+    }
+    if (edge.series) {
+      steps.push({ kind: 'split', text: `Parts in series carry the same current, so ${listOf(edge.series)} each carry ${amps(I)}.`, ids: edge.ids, values: { current: I } });
+      edge.series.forEach(p => expand(p, I, steps));
+    } else {
+      steps.push({ kind: 'split', text: `Parts in parallel share the same voltage, so ${listOf(edge.parallel)} each have ${volts(Vdrop)} across them.`, ids: edge.ids, values: { voltage: Vdrop } });
+      edge.parallel.forEach(p => {
+        const Ip = Vdrop / p.R;
+        if (p.leaf) steps.push({ kind: 'ohm', text: `${p.label}: I = V / R = ${volts(Vdrop)} / ${ohms(p.R)} = ${amps(Ip)}`, ids: p.ids, values: { id: p.leaf.id, current: Ip, voltage: Vdrop } });
+        else expand(p, Ip, steps);
+      });
+    }
+  }
+
+  // --- Node voltages ---------------------------------------------------------------------------
+
+  function explainNodal(group, V, names) {
+    const steps = [];
+    const ground = group.sources[0].nMinus;
+    const known = new Map([[ground, 0]]);
+    const fixedBy = new Map();
+    // walk the sources outwards from ground: each one fixes the net on its other side
+    for (let grew = true; grew;) {
+      grew = false;
+      group.sources.forEach(s => {
+        if (known.has(s.nMinus) && !known.has(s.nPlus)) { known.set(s.nPlus, known.get(s.nMinus) + s.V); fixedBy.set(s.nPlus, s); grew = true; }
+        else if (known.has(s.nPlus) && !known.has(s.nMinus)) { known.set(s.nMinus, known.get(s.nPlus) - s.V); fixedBy.set(s.nMinus, s); grew = true; }
+      });
+    }
+    const first = group.sources[0];
+    const leds = group.sources.filter(s => s.led);
+    const why = leds.length
+      ? 'A lit LED keeps an almost fixed voltage across it, so solve this circuit with node voltages, using the LED voltages from the simulation.'
+      : 'This circuit does not reduce to series and parallel parts, so solve it with node voltages.';
+    steps.push({ kind: 'note', text: `${why} Take the − side of ${names.get(first.id)} as 0 V.`, ids: [first.id], values: {} });
+    fixedBy.forEach((s, net) => {
+      const v = known.get(net);
+      const text = s.led
+        ? `${names.get(s.id)} is lit with ${volts(s.V)} across it, so its ${net === s.nPlus ? 'anode' : 'cathode'} is at ${volts(v)}.`
+        : `${names.get(s.id)} fixes a node at ${volts(v)}.`;
+      steps.push({ kind: 'node', text, ids: [s.id], values: { voltage: v } });
+    });
+
+    const unknown = [];
+    group.elements.forEach(e => [e.n1, e.n2].forEach(n => { if (!known.has(n) && !unknown.includes(n)) unknown.push(n); }));
+    const nodeName = new Map(unknown.map((n, i) => [n, `V${String.fromCharCode(65 + (i % 26))}${i >= 26 ? Math.floor(i / 26) : ''}`]));
+    const vOf = n => (known.has(n) ? volts(known.get(n)) : nodeName.get(n));
+    if (unknown.length) {
+      steps.push({ kind: 'note', text: `Unknown node voltages: ${unknown.map(n => nodeName.get(n)).join(', ')}. At each one the current flowing in equals the current flowing out (Kirchhoff's current law):`, ids: [], values: {} });
+      unknown.forEach(n => {
+        const terms = group.elements.filter(e => (e.n1 === n || e.n2 === n) && e.n1 !== e.n2).map(e => {
+          const other = e.n1 === n ? e.n2 : e.n1;
+          return `(${nodeName.get(n)} − ${vOf(other)}) / ${ohms(e.R)}`;
+        });
+        // an LED between two unknown nodes: its current is one more unknown in the sum
+        leds.forEach(l => {
+          if (l.nPlus === n) terms.push(`I(${names.get(l.id)})`);
+          else if (l.nMinus === n) terms.push(`− I(${names.get(l.id)})`);
+        });
+        steps.push({ kind: 'kcl', text: `${terms.join(' + ').replace(/\+ −/g, '−')} = 0`, ids: group.elements.filter(e => e.n1 === n || e.n2 === n).map(e => e.id), values: {} });
+      });
+      // the solved voltages are measured from this group's own ground
+      const rel = n => (V[n] || 0) - (V[ground] || 0);
+      steps.push({ kind: 'node', text: `Solving these equations together: ${unknown.map(n => `${nodeName.get(n)} = ${volts(rel(n))}`).join(', ')}.`, ids: [], values: { nodes: unknown.map(rel) } });
+    }
+    group.elements.forEach(e => {
+      const Vd = (V[e.n1] || 0) - (V[e.n2] || 0);
+      const I = Vd / e.R;
+      steps.push({ kind: 'ohm', text: `${names.get(e.id)}: I = (${vOf(e.n1)} − ${vOf(e.n2)}) / ${ohms(e.R)} = ${amps(Math.abs(I))}`, ids: [e.id], values: { id: e.id, current: Math.abs(I), voltage: Math.abs(Vd) } });
+    });
+    leds.forEach(l => {
+      steps.push({ kind: 'diode', text: `${names.get(l.id)}: by Kirchhoff's current law it carries the ${amps(l.I)} flowing into its anode.`, ids: [l.id], values: { id: l.id, current: l.I, voltage: l.V } });
+    });
+    return steps;
+  }
+
+  // Why a dark LED carries (almost) no current
+  function darkLedStep(l, names) {
+    const text = l.Vd < 0
+      ? `${names.get(l.id)} is connected backwards (its cathode is ${volts(-l.Vd)} above its anode), so it blocks the current.`
+      : `${names.get(l.id)} has only ${volts(l.Vd)} across it, less than the ${volts(l.Vf)} it needs to light, so almost no current flows through it.`;
+    return { kind: 'diode', text, ids: [l.id], values: { id: l.id, current: Math.max(0, l.I), voltage: l.Vd } };
+  }
+
+  // --- Kirchhoff's voltage law check -----------------------------------------------------------
+
+  // Follow the current from the source's + side back to its − side and add up the drops
+  function kvlStep(source, elements, V, names) {
+    const prev = new Map([[source.nPlus, null]]);
+    const queue = [source.nPlus];
+    while (queue.length && !prev.has(source.nMinus)) {
+      const n = queue.shift();
+      elements.forEach(e => {
+        if (e.n1 !== n && e.n2 !== n) return;
+        const other = e.n1 === n ? e.n2 : e.n1;
+        const drop = (V[n] || 0) - (V[other] || 0);
+        const I = e.R ? drop / e.R : e.I;
+        if (prev.has(other) || Math.abs(I) < NO_CURRENT || drop < 0) return;
+        prev.set(other, { from: n, e, drop });
+        queue.push(other);
+      });
+    }
+    if (!prev.has(source.nMinus) || source.nPlus === source.nMinus) return null;
+    const path = [];
+    for (let n = source.nMinus; prev.get(n); n = prev.get(n).from) path.unshift(prev.get(n));
+    const sum = source.V - path.reduce((s, p) => s + p.drop, 0);
+    return {
+      kind: 'kvl',
+      text: `Check with Kirchhoff's voltage law around ${[names.get(source.id)].concat(path.map(p => names.get(p.e.id))).join(' → ')}: ${volts(source.V)} ${path.map(p => `− ${volts(p.drop)}`).join(' ')} = ${volts(Math.abs(sum) < 1e-9 ? 0 : sum)}`,
+      ids: [source.id].concat(path.map(p => p.e.id)),
+      values: { sum }
+    };
+  }
+
+  function explain({ elements = [], leds = [], sources = [], gates = [], V = [] }) {
+    const names = nameParts(sources.concat(elements, leds, gates));
+    const out = { groups: [] };
+
+    if (gates.length) {
+      const steps = gates.map(g => {
+        // between VIL and VIH an input keeps the level it had
+        const level = (v, i) => `${g.levels[i] ? 'high' : 'low'}${v > g.vil && v < g.vih ? ', held' : ''}`;
+        const levels = g.inputs.map((v, i) => ({ leaf: true, label: `${volts(v)} (${level(v, i)})` }));
+        return { kind: 'logic', text: `${names.get(g.id)}: input${levels.length > 1 ? 's' : ''} ${listOf(levels)} → output ${g.high ? 'high' : 'low'}. Inputs at or above ${volts(g.vih)} count as high and at or below ${volts(g.vil)} as low; in between they keep their last level.`, ids: [g.id], values: { high: g.high } };
+      });
+      out.groups.push({ method: 'logic', ids: gates.map(g => g.id), steps });
+    }
+
+    const lit = leds.filter(l => l.lit).map(l => ({ id: l.id, type: 'led', nPlus: l.n1, nMinus: l.n2, V: l.Vd, I: l.I, led: true }));
+    connectedGroups(elements, sources.concat(lit), leds.filter(l => !l.lit)).forEach(group => {
+      const ids = group.sources.map(s => s.id).concat(group.elements.map(e => e.id), group.dark.map(l => l.id));
+      const dark = group.dark.map(l => darkLedStep(l, names));
+      let steps = null, method = 'nodal';
+      if (group.sources.length === 1) {
+        const s = group.sources[0];
+        const red = reduce(group.elements, s.nPlus, s.nMinus, names);
+        if (red) {
+          method = 'reduction';
+          steps = red.steps;
+          if (!red.edge) {
+            steps.push({ kind: 'open', text: `Nothing connects the two sides of ${names.get(s.id)}: the circuit is open, so no current flows.`, ids: [s.id], values: { current: 0 } });
+          } else {
+            const I = s.V / red.edge.R;
+            steps.push({ kind: 'total', text: `${names.get(s.id)} sees a total of ${ohms(red.edge.R)}, so I = V / R = ${volts(s.V)} / ${ohms(red.edge.R)} = ${amps(I)}`, ids: [s.id], values: { resistance: red.edge.R, current: I } });
+            expand(red.edge, I, steps);
+          }
+        }
+      }
+      if (!steps) steps = explainNodal(group, V, names);
+      // lit LEDs are part of the loop for the KVL check
+      const loopParts = group.elements.concat(group.sources.filter(s => s.led).map(s => ({ id: s.id, n1: s.nPlus, n2: s.nMinus, I: s.I })));
+      group.sources.filter(s => !s.led).forEach(s => { const k = kvlStep(s, loopParts, V, names); if (k) steps.push(k); });
+      out.groups.push({ method, ids, steps: dark.concat(steps) });
+    });
+    return out;
+  }
+
+  return { explain, nameParts };
+});
@@ -0,0 +1,107 @@
+// Logic gate registry: every gate's truth function and pins, defined once and read by the solver
+// (circuit-core.js), the workspace (script.js), SPICE export/import (spice.js) and the explainer.
+//
+// A gate is one of three operations on its inputs, optionally inverted:
+//   and (all high), or (any high), xor (an odd number high)
+// NOT is a one-input inverted AND. 3- and 4-input variants are named <family><n> (and3, nor4).
+//
+// Pins: inputs are the 'left' and 'right' terminals (the first two, so two-input gates saved
+// before this registry still load) then 'in3', 'in4'; the output is 'out'.
+//
+// Electrical boundary, shared with the stateful parts in sequential.js: an input voltage (from
+// ground) is high at or above VIH and low at or below VIL; in between it keeps the level it had,
+// so a slowly moving input does not chatter. VIL/VIH default to 30% / 70% of the supply and can
+// be set per part in volts (dataset.vil, dataset.vih). An output is a voltage source of 0 V or the
+// supply behind its output resistance (dataset.rout, 25 Ω by default), so a heavy load pulls it.
+//
+//   Gates.get('nand3')                      // { type, family, label, title, op, invert, inputs, desc }
+//   Gates.evaluate('xor', [true, false])    // -> true
+//   Gates.inputTerminals('and3')            // -> ['left', 'right', 'in3']
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Gates = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const INPUT_TERMINALS = ['left', 'right', 'in3', 'in4'];
+  const OUTPUT_TERMINAL = 'out';
+  const VIL_FRACTION = 0.3;
+  const VIH_FRACTION = 0.7;
+  const OUTPUT_RESISTANCE = 25; // Ω, about a 74HC output
+
+  const OPS = {
+    and: ins => ins.every(Boolean),
+    or: ins => ins.some(Boolean),
+    xor: ins => ins.filter(Boolean).length % 2 === 1
+  };
+
+  const FAMILIES = [
+    { family: 'not', label: 'NOT', op: 'and', invert: true, sizes: [1], desc: 'Output is ON when the input is OFF, and OFF when it is ON.' },
+    { family: 'and', label: 'AND', op: 'and', invert: false, sizes: [2, 3, 4], desc: 'Output is ON only when every input is powered.' },
+    { family: 'or', label: 'OR', op: 'or', invert: false, sizes: [2, 3, 4], desc: 'Output is ON when any input is powered.' },
+    { family: 'nand', label: 'NAND', op: 'and', invert: true, sizes: [2, 3, 4], desc: 'NOT-AND: output is OFF only when every input is powered.' },
+    { family: 'nor', label: 'NOR', op: 'or', invert: true, sizes: [2, 3, 4], desc: 'NOT-OR: output is ON only when no input is powered.' },
+    { family: 'xor', label: 'XOR', op: 'xor', invert: false, sizes: [2], desc: 'Exclusive OR: output is ON when the inputs differ.' },
+    { family: 'xnor', label: 'XNOR', op: 'xor', invert: true, sizes: [2], desc: 'Exclusive NOR: output is ON when the inputs match.' }
+  ];
+
+  // type -> gate, in palette order (families, each smallest first)
+  const GATES = new Map();
+  FAMILIES.forEach(f => f.sizes.forEach(n => {
+    const type = n === f.sizes[0] ? f.family : `${f.family}${n}`;
+    const title = n === f.sizes[0] ? `${f.label} Gate` : `${n}-input ${f.label} Gate`;
+    const count = n === 1 ? 'One-input' : `${['', '', 'Two', 'Three', 'Four'][n]}-input`;
+    GATES.set(type, { type, family: f.family, label: f.label, title, op: f.op, invert: f.invert, inputs: n, desc: `${count} logic gate. ${f.desc}` });
+  }));
+
+  const TYPES = Array.from(GATES.keys());
+
+  function get(type) {
+    return GATES.get(type) || null;
+  }
+
+  function isGate(type) {
+    return GATES.has(type);
+  }
+
+  function inputTerminals(type) {
+    const g = GATES.get(type);
+    return g ? INPUT_TERMINALS.slice(0, g.inputs) : [];
+  }
+
+  // Output level for the input levels (booleans, in inputTerminals() order); missing inputs are low
+  function evaluate(type, levels) {
+    const g = GATES.get(type);
+    if (!g) return false;
+    const ins = Array.from({ length: g.inputs }, (_, i) => !!levels[i]);
+    return OPS[g.op](ins) !== g.invert;
+  }
+
+  // Gate with this operation and input count (for importers), or null
+  function find(op, invert, inputs) {
+    return TYPES.map(get).find(g => g.op === op && g.invert === invert && g.inputs === inputs) || null;
+  }
+
+  // Input thresholds in volts for a part at this supply voltage
+  function thresholds(dataset, supply) {
+    const volts = (v, fallback) => (v !== undefined && v !== '' && isFinite(Number(v)) ? Number(v) : fallback);
+    const vil = volts(dataset && dataset.vil, VIL_FRACTION * supply);
+    const vih = Math.max(vil, volts(dataset && dataset.vih, VIH_FRACTION * supply));
+    return { vil, vih };
+  }
+
+  // Logic level of an input at voltage v; `previous` is kept between the thresholds
+  function level(v, th, previous) {
+    if (v >= th.vih) return true;
+    if (v <= th.vil) return false;
+    return !!previous;
+  }
+
+  function outputResistance(dataset) {
+    const r = Number(dataset && dataset.rout);
+    return r > 0 ? r : OUTPUT_RESISTANCE;
+  }
+
+  return { TYPES, INPUT_TERMINALS, OUTPUT_TERMINAL, OUTPUT_RESISTANCE, get, isGate, inputTerminals, evaluate, find, thresholds, level, outputResistance };
+});
@@ -0,0 +1,107 @@
+// Undo/redo history of workspace edits as commands.
+//
+// Each edit is recorded after it has been done, as a command that knows how to take itself back
+// and do itself again: { label, undo(), redo() }. Undo and redo apply just that command, so the
+// rest of the workspace is left alone. Recording something new drops whatever had been undone
+// (it can no longer be redone); the oldest commands fall off past `limit`. While a command is
+// being undone or redone, record() is ignored, so commands can reuse the same workspace
+// functions the user's edits go through. group() makes one command of everything recorded while
+// its function runs, for edits made of several smaller ones (deleting a selection).
+//
+//   const history = CommandHistory.create({ limit: 100, onChange: h => render(h.entries()) });
+//   history.record({ label: 'Move LED', undo: () => moveTo(a), redo: () => moveTo(b) });
+//   history.undo(); history.redo();
+//   history.group('Delete 3 parts', () => parts.forEach(remove));
+//   history.jumpTo(0);     // back to before the first recorded command
+//   history.entries()      // [{ label, applied: true|false }], oldest first
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CommandHistory = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const DEFAULT_LIMIT = 100;
+
+  function create(options = {}) {
+    const limit = options.limit || DEFAULT_LIMIT;
+    const onChange = options.onChange || (() => {});
+    const commands = [];
+    let position = 0;      // commands[0..position) are applied
+    let applying = false;
+    let grouped = null;    // commands recorded inside group()
+
+    const changed = () => onChange(history);
+    const apply = (command, step) => {
+      applying = true;
+      try { command[step](); } finally { applying = false; }
+    };
+
+    const history = {
+      get position() { return position; },
+      get applying() { return applying; },
+      canUndo: () => position > 0,
+      canRedo: () => position < commands.length,
+
+      record(command) {
+        if (applying || !command) return;
+        if (grouped) { grouped.push(command); return; }
+        commands.splice(position, commands.length - position, command);
+        if (commands.length > limit) commands.splice(0, commands.length - limit);
+        position = commands.length;
+        changed();
+      },
+
+      undo() {
+        if (position === 0) return null;
+        const command = commands[--position];
+        apply(command, 'undo');
+        changed();
+        return command;
+      },
+
+      redo() {
+        if (position === commands.length) return null;
+        const command = commands[position++];
+        apply(command, 'redo');
+        changed();
+        return command;
+      },
+
+      // Run fn and record whatever it records as one command (nothing if it recorded nothing)
+      group(label, fn) {
+        if (grouped || applying) return fn();
+        const parts = grouped = [];
+        let result;
+        try { result = fn(); } finally { grouped = null; }
+        if (parts.length) {
+          history.record(parts.length === 1 ? parts[0] : {
+            label,
+            undo: () => parts.slice().reverse().forEach(c => c.undo()),
+            redo: () => parts.forEach(c => c.redo())
+          });
+        }
+        return result;
+      },
+
+      // Undo or redo until `n` commands are applied
+      jumpTo(n) {
+        const target = Math.max(0, Math.min(commands.length, n));
+        while (position > target) apply(commands[--position], 'undo');
+        while (position < target) apply(commands[position++], 'redo');
+        changed();
+      },
+
+      entries: () => commands.map((c, i) => ({ label: c.label, applied: i < position })),
+
+      clear() {
+        commands.length = 0;
+        position = 0;
+        changed();
+      }
+    };
+    return history;
+  }
+
+  return { DEFAULT_LIMIT, create };
+});
@@ -0,0 +1,42 @@
+// LED colour presets for the Shockley diode model used by the solvers.
+// Each preset describes the junction (saturation current Is, ideality n), a small series
+// resistance Rs, the forward voltage Vf it shows at its rated current (what a datasheet or a
+// lesson quotes), and the currents that set brightness (rated) and the absolute maximum.
+// Is was chosen so that Rs·I + n·Vt·ln(I/Is + 1) = Vf at the rated current.
+//
+//   LedModels.forDataset(block.dataset)  // -> preset for dataset.color (red when unset)
+//   LedModels.brightness(preset, I)      // -> 0..1, full brightness at the rated current
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LedModels = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  // thermal voltage kT/q at 300 K
+  const VT = 0.025852;
+
+  const COLORS = {
+    red:   { label: 'Red',      Vf: 1.8, Is: 1.9e-17, n: 1.9, Rs: 5, ratedCurrent: 0.02, maxCurrent: 0.03, glow: '#ef4444' },
+    green: { label: 'Green',    Vf: 2.1, Is: 3.2e-19, n: 2.0, Rs: 5, ratedCurrent: 0.02, maxCurrent: 0.03, glow: '#22c55e' },
+    blue:  { label: 'Blue',     Vf: 3.0, Is: 8.9e-21, n: 2.6, Rs: 8, ratedCurrent: 0.02, maxCurrent: 0.03, glow: '#3b82f6' },
+    white: { label: 'White',    Vf: 3.1, Is: 2e-21,   n: 2.6, Rs: 8, ratedCurrent: 0.02, maxCurrent: 0.03, glow: '#e5e7eb' },
+    // infrared: invisible to the eye, so it is drawn dim purple when lit
+    ir:    { label: 'Infrared', Vf: 1.3, Is: 1.3e-14, n: 1.6, Rs: 2, ratedCurrent: 0.05, maxCurrent: 0.1,  glow: '#a855f7' }
+  };
+  const DEFAULT_COLOR = 'red';
+  // forward current above which an LED counts as lit
+  const LIT_CURRENT = 1e-6;
+
+  Object.keys(COLORS).forEach(k => { COLORS[k].color = k; COLORS[k].nVt = COLORS[k].n * VT; });
+
+  function forDataset(dataset) {
+    return COLORS[dataset && dataset.color] || COLORS[DEFAULT_COLOR];
+  }
+
+  function brightness(preset, I) {
+    return Math.max(0, Math.min(1, I / preset.ratedCurrent));
+  }
+
+  return { COLORS, DEFAULT_COLOR, LIT_CURRENT, VT, forDataset, brightness };
+});
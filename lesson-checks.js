@@ -0,0 +1,184 @@
+// Lesson goal checks: small, machine-checkable criteria attached to each lesson level.
+// A criterion is { label, check(ctx) -> { pass, detail } }. The context is built by script.js
+// from buildCircuitModel() and the solver results so the checks never touch the DOM directly:
+//   ctx.components: [{ id, type, nets: { left, right, out }, state }]
+//   ctx.results:    Map(id -> { current, voltageDrop, powered })
+//   ctx.netSize(net): number of connectors sitting on a net
+//   ctx.truthTable(inputs):         TruthTable.generate() for the circuit, first `inputs` switches
+//
+//   LessonChecks.run([LessonChecks.usesPart('battery'), LessonChecks.circuitClosed()], ctx)
+//   // -> { passed, results: [{ label, pass, detail }] }
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./truth-table.js'));
+  else root.LessonChecks = factory(root.TruthTable);
+})(typeof window !== 'undefined' ? window : globalThis, function(TruthTable) {
+  'use strict';
+
+  function ofType(ctx, type) {
+    return ctx.components.filter(c => c.type === type);
+  }
+
+  function plural(n, word) {
+    if (n === 1) return `${n} ${word}`;
+    if (/[^aeiou]y$/.test(word)) return `${n} ${word.slice(0, -1)}ies`;
+    if (/(ch|sh|s|x)$/.test(word)) return `${n} ${word}es`;
+    return `${n} ${word}s`;
+  }
+
+  function formatCurrent(I) {
+    return `${(Math.abs(I || 0) * 1000).toFixed(1)} mA`;
+  }
+
+  // Require at least `count` parts of the given type on the workspace
+  function usesPart(type, count = 1, name = type) {
+    return {
+      label: `Uses at least ${plural(count, name)}`,
+      check(ctx) {
+        const found = ofType(ctx, type).length;
+        if (found >= count) return { pass: true, detail: `Found ${plural(found, name)}.` };
+        return { pass: false, detail: `Found ${plural(found, name)}; add ${count - found} more.` };
+      }
+    };
+  }
+
+  // At least `count` LEDs lit, each with a current below `maxCurrent` amps
+  function ledPowered({ count = 1, maxCurrent = 0.02 } = {}) {
+    return {
+      label: `${count === 1 ? 'An LED is' : `${count} LEDs are`} lit with less than ${formatCurrent(maxCurrent)}`,
+      check(ctx) {
+        const leds = ofType(ctx, 'led');
+        if (!leds.length) return { pass: false, detail: 'There is no LED on the workspace.' };
+        const lit = leds.filter(l => { const r = ctx.results.get(l.id); return r && r.powered; });
+        if (lit.length < count) {
+          return { pass: false, detail: `${plural(lit.length, 'LED')} lit; check the loop is closed back to the battery.` };
+        }
+        const safe = lit.filter(l => Math.abs(ctx.results.get(l.id).current || 0) < maxCurrent);
+        if (safe.length < count) {
+          const worst = lit.reduce((m, l) => Math.max(m, Math.abs(ctx.results.get(l.id).current || 0)), 0);
+          return { pass: false, detail: `LED current is ${formatCurrent(worst)}; add more resistance to stay under ${formatCurrent(maxCurrent)}.` };
+        }
+        return { pass: true, detail: `${plural(safe.length, 'LED')} lit at a safe current.` };
+      }
+    };
+  }
+
+  // Longest chain of batteries where one battery's + net is the next battery's - net
+  function longestBatteryChain(ctx) {
+    const batteries = ofType(ctx, 'battery').filter(b => b.nets.left != null && b.nets.right != null);
+    // battery + is the right connector, - is the left connector
+    const byMinus = new Map();
+    batteries.forEach(b => {
+      if (!byMinus.has(b.nets.left)) byMinus.set(b.nets.left, []);
+      byMinus.get(b.nets.left).push(b);
+    });
+    let best = batteries.length ? 1 : 0;
+    function walk(b, seen) {
+      let len = 1;
+      (byMinus.get(b.nets.right) || []).forEach(next => {
+        if (seen.has(next.id) || ctx.netSize(b.nets.right) !== 2) return;
+        seen.add(next.id);
+        len = Math.max(len, 1 + walk(next, seen));
+        seen.delete(next.id);
+      });
+      return len;
+    }
+    batteries.forEach(b => { best = Math.max(best, walk(b, new Set([b.id]))); });
+    return best;
+  }
+
+  function batteriesInSeries(count = 2) {
+    return {
+      label: `${plural(count, 'battery')} connected in series (+ to -)`,
+      check(ctx) {
+        const chain = longestBatteryChain(ctx);
+        if (chain >= count) return { pass: true, detail: `Found ${chain} batteries chained + to -.` };
+        if (ofType(ctx, 'battery').length < count) return { pass: false, detail: `Place at least ${count} batteries.` };
+        return { pass: false, detail: 'Connect the + (right) terminal of one battery directly to the - (left) terminal of the next.' };
+      }
+    };
+  }
+
+  // Two resistors are in series when they share a net that nothing else touches
+  function resistorsInSeries() {
+    return {
+      label: 'Two resistors connected in series',
+      check(ctx) {
+        const rs = ofType(ctx, 'resistor');
+        for (let i = 0; i < rs.length; i++) {
+          for (let j = i + 1; j < rs.length; j++) {
+            const a = [rs[i].nets.left, rs[i].nets.right];
+            const b = [rs[j].nets.left, rs[j].nets.right];
+            const shared = a.filter(n => n != null && b.includes(n) && ctx.netSize(n) === 2);
+            if (shared.length === 1) return { pass: true, detail: `${rs[i].id} and ${rs[j].id} are in series.` };
+          }
+        }
+        return { pass: false, detail: 'Wire one resistor end-to-end with another, with nothing else on the joining wire.' };
+      }
+    };
+  }
+
+  // Two resistors are in parallel when both of their terminals share the same pair of nets
+  function resistorsInParallel() {
+    return {
+      label: 'Two resistors connected in parallel',
+      check(ctx) {
+        const rs = ofType(ctx, 'resistor').filter(r => r.nets.left != null && r.nets.right != null && r.nets.left !== r.nets.right);
+        const key = r => [r.nets.left, r.nets.right].sort((x, y) => x - y).join(':');
+        const seen = new Map();
+        for (const r of rs) {
+          const k = key(r);
+          if (seen.has(k)) return { pass: true, detail: `${seen.get(k)} and ${r.id} are in parallel.` };
+          seen.set(k, r.id);
+        }
+        return { pass: false, detail: 'Connect both ends of one resistor to both ends of another.' };
+      }
+    };
+  }
+
+  // Some current is flowing through at least one part (battery currents are not always annotated)
+  function circuitClosed() {
+    return {
+      label: 'The circuit forms a closed loop',
+      check(ctx) {
+        if (!ofType(ctx, 'battery').length) return { pass: false, detail: 'Place a battery to power the circuit.' };
+        const flowing = ctx.components.some(c => { const r = ctx.results.get(c.id); return r && Math.abs(r.current || 0) > 1e-6; });
+        if (flowing) return { pass: true, detail: 'Current flows around the loop.' };
+        return { pass: false, detail: 'No current flows; make sure the parts form a loop from battery + back to battery -.' };
+      }
+    };
+  }
+
+  // The circuit's truth table (see truth-table.js) must have an output column equal to each of
+  // `expect`: 0/1 strings with one digit per row, rows from all-off with input A as the high bit
+  function matchesTruthTable({ inputs = 2, expect, description }) {
+    return {
+      label: description || `Truth table matches ${[].concat(expect).join(', ')}`,
+      check(ctx) {
+        const table = ctx.truthTable(inputs);
+        if (table.inputs.length < inputs) return { pass: false, detail: `Place ${plural(inputs, 'switch')} as inputs.` };
+        if (!table.outputs.length) return { pass: false, detail: 'Add an LED as the output.' };
+        const result = TruthTable.compare(table, expect);
+        if (result.pass) return { pass: true, detail: `${result.matched.map(k => table.outputs[k].name).join(', ')} matches all ${table.rows.length} rows.` };
+        const m = result.mismatch;
+        if (m.row == null) return { pass: false, detail: `Not quite: ${m.reason}.` };
+        const row = table.rows[m.row];
+        const when = table.inputs.map((input, i) => `${input.name} (${input.part}) ${row.inputs[i] ? 'ON' : 'OFF'}`).join(', ');
+        return { pass: false, detail: `Not quite: with ${when}, ${table.outputs[m.output].name} should be ${m.want ? 'on' : 'off'}.` };
+      }
+    };
+  }
+
+  // Evaluate a list of criteria against a context
+  function run(criteria, ctx) {
+    const results = (criteria || []).map(c => {
+      let outcome;
+      try { outcome = c.check(ctx) || { pass: false, detail: '' }; }
+      catch (e) { outcome = { pass: false, detail: `Check failed to run (${e.message}).` }; }
+      return { label: c.label, pass: !!outcome.pass, detail: outcome.detail || '' };
+    });
+    return { passed: results.every(r => r.pass), results };
+  }
+
+  return { usesPart, ledPowered, batteriesInSeries, resistorsInSeries, resistorsInParallel, circuitClosed, matchesTruthTable, run };
+});
@@ -0,0 +1,296 @@
+// Boolean expressions to circuits: parse "(A AND B) OR NOT C", optionally minimise it to a sum of
+// products (Quine–McCluskey), and lay it out as switches, gates from gates.js and an LED in the
+// exportCircuit() format, which script.js places on the workspace and the tests can solve.
+//
+// Syntax (keywords in any case): NOT / ! / ~ / ¬ / a trailing ', AND / & / * / ·, OR / | / +,
+// XOR / ^ / ⊕, and NAND, NOR, XNOR; 0 and 1 are constants, any other word a variable. NOT binds
+// tightest, then AND/NAND, XOR/XNOR and OR/NOR. Chains of AND, OR or XOR become one many-input
+// operation; the inverting ones pair up left to right (A NOR B NOR C is (A NOR B) NOR C).
+//
+//   const parsed = LogicSynth.parse('A & B | C');   // -> { expr, variables: ['A', 'B', 'C'] } or { error }
+//   LogicSynth.toString(LogicSynth.minimize(parsed.expr, parsed.variables));  // -> '(A AND B) OR C'
+//   LogicSynth.layout(parsed.expr, parsed.variables)                         // -> { blocks, conns }
+//
+// Expressions are trees of { op: 'var', name }, { op: 'const', value }, { op: 'not', arg } and
+// { op: 'and' | 'or' | 'xor', invert, args }. Variables are listed in alphabetical order, which
+// is also their order as inputs: the first is the most significant bit of a minterm index.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gates.js'));
+  else root.LogicSynth = factory(root.Gates);
+})(typeof window !== 'undefined' ? window : globalThis, function(Gates) {
+  'use strict';
+
+  const MAX_VARIABLES = 8;
+  const KEYWORDS = { NOT: 'not', AND: 'and', OR: 'or', XOR: 'xor', NAND: 'nand', NOR: 'nor', XNOR: 'xnor' };
+  const SYMBOLS = [['&&', 'and'], ['||', 'or'], ['!', 'not'], ['~', 'not'], ['¬', 'not'], ['&', 'and'], ['*', 'and'], ['·', 'and'], ['∧', 'and'],
+    ['|', 'or'], ['+', 'or'], ['∨', 'or'], ['^', 'xor'], ['⊕', 'xor'], ["'", 'prime'], ['(', '('], [')', ')']];
+  // binary operators by precedence level, loosest first: [base operation, inverted]
+  const LEVELS = [
+    { or: ['or', false], nor: ['or', true] },
+    { xor: ['xor', false], xnor: ['xor', true] },
+    { and: ['and', false], nand: ['and', true] }
+  ];
+  const PREC = { or: 1, xor: 2, and: 3, not: 4, var: 5, const: 5 };
+
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      if (/\s/.test(text[i])) { i++; continue; }
+      const word = /^[A-Za-z_][A-Za-z0-9_]*|^[01]\b/.exec(text.slice(i));
+      if (word) {
+        const w = word[0];
+        if (w === '0' || w === '1') tokens.push({ type: 'const', value: w === '1', pos: i });
+        else if (KEYWORDS[w.toUpperCase()]) tokens.push({ type: KEYWORDS[w.toUpperCase()], pos: i });
+        else tokens.push({ type: 'var', name: w, pos: i });
+        i += w.length;
+        continue;
+      }
+      const sym = SYMBOLS.find(([s]) => text.startsWith(s, i));
+      if (!sym) return { error: `Unexpected "${text[i]}" at position ${i + 1}` };
+      tokens.push({ type: sym[1], pos: i });
+      i += sym[0].length;
+    }
+    return { tokens };
+  }
+
+  function parse(text) {
+    const lexed = tokenize(String(text || ''));
+    if (lexed.error) return lexed;
+    const tokens = lexed.tokens;
+    let k = 0;
+    const fail = message => { throw { parseError: message }; };
+    const where = () => (k < tokens.length ? `at position ${tokens[k].pos + 1}` : 'at the end');
+
+    function atom() {
+      const t = tokens[k];
+      if (!t) fail('Expression ends too early');
+      if (t.type === 'not') { k++; return { op: 'not', arg: postfix() }; }
+      if (t.type === '(') {
+        k++;
+        const e = level(0);
+        if (!tokens[k] || tokens[k].type !== ')') fail(`Expected ")" ${where()}`);
+        k++;
+        return e;
+      }
+      if (t.type === 'var') { k++; return { op: 'var', name: t.name }; }
+      if (t.type === 'const') { k++; return { op: 'const', value: t.value }; }
+      return fail(`Expected a variable, NOT or "(" ${where()}`);
+    }
+    function postfix() {
+      let e = atom();
+      while (tokens[k] && tokens[k].type === 'prime') { k++; e = { op: 'not', arg: e }; }
+      return e;
+    }
+    function level(n) {
+      if (n === LEVELS.length) return postfix();
+      let left = level(n + 1);
+      while (tokens[k] && LEVELS[n][tokens[k].type]) {
+        const [op, invert] = LEVELS[n][tokens[k].type];
+        k++;
+        const right = level(n + 1);
+        if (!invert && left.op === op && !left.invert) left.args.push(right);
+        else left = { op, invert, args: [left, right] };
+      }
+      return left;
+    }
+
+    try {
+      if (!tokens.length) fail('Type an expression such as (A AND B) OR C');
+      const expr = level(0);
+      if (k < tokens.length) fail(`Unexpected "${text.slice(tokens[k].pos).trim().split(/\s+/)[0]}" ${where()}`);
+      const variables = Array.from(new Set(names(expr))).sort((a, b) => a.localeCompare(b));
+      if (variables.length > MAX_VARIABLES) fail(`At most ${MAX_VARIABLES} variables are supported`);
+      return { expr, variables };
+    } catch (e) {
+      if (e && e.parseError) return { error: e.parseError };
+      throw e;
+    }
+  }
+
+  function names(expr) {
+    if (expr.op === 'var') return [expr.name];
+    if (expr.op === 'not') return names(expr.arg);
+    if (expr.args) return [].concat(...expr.args.map(names));
+    return [];
+  }
+
+  // values: { name: bool }. Operations are worked out by the gates in gates.js: the gate with that
+  // many inputs, or for longer chains 2-input gates in a row (AND, OR and XOR are associative),
+  // then a NOT for the inverting ones
+  function evaluate(expr, values) {
+    switch (expr.op) {
+      case 'var': return !!values[expr.name];
+      case 'const': return expr.value;
+      case 'not': return Gates.evaluate('not', [evaluate(expr.arg, values)]);
+      default: {
+        const ins = expr.args.map(a => evaluate(a, values));
+        const g = Gates.find(expr.op, !!expr.invert, ins.length);
+        if (g) return Gates.evaluate(g.type, ins);
+        const pair = Gates.find(expr.op, false, 2).type;
+        const v = ins.reduce((acc, x) => Gates.evaluate(pair, [acc, x]));
+        return expr.invert ? Gates.evaluate('not', [v]) : v;
+      }
+    }
+  }
+
+  // Row indexes (first variable the most significant bit) where the expression is true
+  function minterms(expr, variables) {
+    const n = variables.length;
+    const out = [];
+    for (let m = 0; m < 1 << n; m++) {
+      const values = {};
+      variables.forEach((v, i) => { values[v] = !!(m & (1 << (n - 1 - i))); });
+      if (evaluate(expr, values)) out.push(m);
+    }
+    return out;
+  }
+
+  const ones = x => { let c = 0; for (; x; x &= x - 1) c++; return c; };
+
+  // Prime implicants as { value, mask } (mask bits are "don't care")
+  function primeImplicants(terms) {
+    let current = terms.map(m => ({ value: m, mask: 0 }));
+    const primes = [];
+    while (current.length) {
+      const used = new Set();
+      const next = new Map();
+      for (let i = 0; i < current.length; i++) {
+        for (let j = i + 1; j < current.length; j++) {
+          const a = current[i], b = current[j];
+          const diff = a.value ^ b.value;
+          if (a.mask !== b.mask || ones(diff) !== 1) continue;
+          used.add(i); used.add(j);
+          const merged = { value: a.value & ~diff, mask: a.mask | diff };
+          next.set(`${merged.value}/${merged.mask}`, merged);
+        }
+      }
+      current.forEach((t, i) => { if (!used.has(i)) primes.push(t); });
+      current = Array.from(next.values());
+    }
+    return primes;
+  }
+
+  const covers = (p, m) => (m & ~p.mask) === p.value;
+
+  // Sum of products with the fewest terms found: essential prime implicants first, then the one
+  // covering most of what is left (fewest literals on a tie)
+  function minimize(expr, variables) {
+    const n = variables.length;
+    const terms = minterms(expr, variables);
+    if (!terms.length) return { op: 'const', value: false };
+    if (terms.length === 1 << n) return { op: 'const', value: true };
+    const primes = primeImplicants(terms);
+    const chosen = [];
+    let left = terms.slice();
+    terms.forEach(m => {
+      const by = primes.filter(p => covers(p, m));
+      if (by.length === 1 && !chosen.includes(by[0])) chosen.push(by[0]);
+    });
+    left = left.filter(m => !chosen.some(p => covers(p, m)));
+    while (left.length) {
+      const gain = p => left.filter(m => covers(p, m)).length;
+      const best = primes.reduce((b, p) => (gain(p) > gain(b) || (gain(p) === gain(b) && ones(p.mask) > ones(b.mask)) ? p : b));
+      chosen.push(best);
+      left = left.filter(m => !covers(best, m));
+    }
+    const products = chosen.sort((a, b) => b.value - a.value || a.mask - b.mask).map(p => {
+      const literals = [];
+      variables.forEach((v, i) => {
+        const bit = 1 << (n - 1 - i);
+        if (p.mask & bit) return;
+        literals.push(p.value & bit ? { op: 'var', name: v } : { op: 'not', arg: { op: 'var', name: v } });
+      });
+      return literals.length === 1 ? literals[0] : { op: 'and', invert: false, args: literals };
+    });
+    return products.length === 1 ? products[0] : { op: 'or', invert: false, args: products };
+  }
+
+  function toString(expr) {
+    const wrap = (e, min) => (PREC[e.op] < min ? `(${toString(e)})` : toString(e));
+    switch (expr.op) {
+      case 'var': return expr.name;
+      case 'const': return expr.value ? '1' : '0';
+      case 'not': return `NOT ${wrap(expr.arg, PREC.not)}`;
+      default: {
+        const word = (expr.invert ? { and: 'NAND', or: 'NOR', xor: 'XNOR' } : { and: 'AND', or: 'OR', xor: 'XOR' })[expr.op];
+        // operations inside operations are always bracketed: (A AND B) OR C
+        return expr.args.map(a => wrap(a, PREC.not)).join(` ${word} `);
+      }
+    }
+  }
+
+  // Largest gate of this operation in the registry
+  function maxInputs(op) {
+    return Math.max(...Gates.TYPES.map(Gates.get).filter(g => g.op === op && !g.invert && g.inputs > 1).map(g => g.inputs));
+  }
+
+  const COLUMN = 150, ROW = 110;
+
+  // The expression as a circuit: a 5 V battery, a switch per variable (top to bottom in variable
+  // order, each feeding its variable from battery +), one gate per distinct subexpression and a
+  // 220 Ω resistor and LED from the output back to battery -. Parts sit in columns by logic
+  // depth, left to right from (x, y).
+  function layout(expr, variables, { x = 40, y = 40 } = {}) {
+    const blocks = [], conns = [];
+    const columns = [];
+    const place = (id, type, dataset, col) => {
+      columns[col] = (columns[col] || 0) + 1;
+      blocks.push({ id, type, dataset: Object.assign({ type }, dataset), left: `${x + col * COLUMN}px`, top: `${y + (columns[col] - 1) * ROW}px` });
+    };
+    const wire = (a, b) => conns.push({ conn1BlockId: a[0], conn1Terminal: a[1], conn2BlockId: b[0], conn2Terminal: b[1] });
+
+    place('bat', 'battery', { voltage: '5' }, 0);
+    const plus = ['bat', 'right'], minus = ['bat', 'left'];
+    const sources = new Map(); // subexpression -> { terminal, col }
+    variables.forEach((v, i) => {
+      const id = `s${i + 1}`;
+      place(id, 'switch', { state: 'off', name: v }, 1);
+      wire(plus, [id, 'left']);
+      sources.set(toString({ op: 'var', name: v }), { terminal: [id, 'right'], col: 1 });
+    });
+
+    let gateCount = 0;
+    function gate(type, inputs) {
+      const g = Gates.get(type);
+      const col = Math.max(...inputs.map(s => s.col)) + 1;
+      const id = `g${++gateCount}`;
+      place(id, type, {}, col);
+      inputs.forEach((s, i) => wire(s.terminal, [id, Gates.inputTerminals(g.type)[i]]));
+      return { terminal: [id, Gates.OUTPUT_TERMINAL], col };
+    }
+    // n inputs of one operation: a single gate when the registry has one, otherwise groups of the
+    // largest size combined by a last (possibly inverting) gate
+    function combine(op, invert, inputs) {
+      const g = Gates.find(op, invert, inputs.length);
+      if (g) return gate(g.type, inputs);
+      const size = maxInputs(op);
+      const groups = [];
+      for (let i = 0; i < inputs.length; i += size) {
+        const part = inputs.slice(i, i + size);
+        groups.push(part.length === 1 ? part[0] : combine(op, false, part));
+      }
+      return combine(op, invert, groups);
+    }
+    function build(e) {
+      if (e.op === 'const') return { terminal: e.value ? plus : minus, col: 0 };
+      const key = toString(e);
+      if (sources.has(key)) return sources.get(key);
+      const out = e.op === 'not' ? gate('not', [build(e.arg)]) : combine(e.op, !!e.invert, e.args.map(build));
+      sources.set(key, out);
+      return out;
+    }
+
+    const out = build(expr);
+    const last = Math.max(1, ...blocks.map(b => Math.round((parseFloat(b.left) - x) / COLUMN)));
+    place('r', 'resistor', { resistance: '220' }, last + 1);
+    place('d', 'led', {}, last + 2);
+    wire(out.terminal, ['r', 'left']);
+    wire(['r', 'right'], ['d', 'right']);
+    wire(['d', 'left'], minus);
+    return { blocks, conns };
+  }
+
+  return { MAX_VARIABLES, parse, evaluate, minterms, minimize, toString, layout };
+});
@@ -0,0 +1,89 @@
+// Multimeter: voltage, current and resistance between two probe points of a circuit in the
+// exportCircuit() format. A probe is { blockId, terminal } (a wire node is { blockId, terminal:
+// 'node' }); the red probe is `a`, the black one `b`.
+//   voltage:    V(a) - V(b) in the solved circuit
+//   current:    the meter is put in series between a and b (a 1 mΩ shunt, as in a real meter) and
+//               reads the current flowing in at a and out at b; probes on one net read 0
+//   resistance: batteries and logic parts (which are powered) are taken out, a small test
+//               voltage is applied from a to b and R = V / I; 'OL' when nothing conducts
+// Readings come from a DC solve with CircuitCore on a copy of the circuit.
+//
+//   Multimeter.measure(circuit, 'voltage', { blockId: 'b1', terminal: 'right' }, { blockId: 'b1', terminal: 'left' })
+//   // -> { mode: 'voltage', value: 9, unit: 'V', text: '9.00 V' }
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./circuit-core.js'), require('./gates.js'), require('./sequential.js'));
+  else root.Multimeter = factory(root.CircuitCore, root.Gates, root.SequentialParts);
+})(typeof window !== 'undefined' ? window : globalThis, function(CircuitCore, Gates, SequentialParts) {
+  'use strict';
+
+  const MODES = ['voltage', 'current', 'resistance'];
+  const UNITS = { voltage: 'V', current: 'A', resistance: 'Ω' };
+  const SHUNT_R = 1e-3;         // Ω, ammeter
+  const TEST_VOLTAGE = 1;       // V, ohmmeter
+  const OVER_RANGE = 1e8;       // Ω, above this the ohmmeter shows OL
+  const METER_ID = '__meter';
+
+  const same = (p, q) => p.blockId === q.blockId && p.terminal === q.terminal;
+  const isLogic = type => Gates.isGate(type) || SequentialParts.isSequential(type);
+
+  // Three significant figures with a metric prefix, like a meter's display
+  function format(value, unit) {
+    if (value === Infinity) return 'OL';
+    const a = Math.abs(value);
+    if (a < 1e-12) return `0.00 ${unit}`;
+    const steps = [[1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n']];
+    const [scale, prefix] = steps.find(([s]) => a >= s * 0.9995) || steps[steps.length - 1];
+    return `${(value / scale).toPrecision(3)} ${prefix}${unit}`;
+  }
+
+  function copyWith(circuit, blocks, conns) {
+    const c = JSON.parse(JSON.stringify({ blocks: (circuit && circuit.blocks) || [], conns: (circuit && circuit.conns) || [] }));
+    c.blocks = blocks(c.blocks);
+    c.conns = c.conns.concat(conns);
+    return c;
+  }
+
+  // The meter as a two-terminal part joined to the probes (left to a, right to b)
+  const leads = (a, b) => [
+    { conn1BlockId: a.blockId, conn1Terminal: a.terminal, conn2BlockId: METER_ID, conn2Terminal: 'left' },
+    { conn1BlockId: METER_ID, conn1Terminal: 'right', conn2BlockId: b.blockId, conn2Terminal: b.terminal }
+  ];
+
+  function volts(res, p) {
+    const net = res.netOf(p.blockId, p.terminal);
+    return net == null ? 0 : res.nodeVoltages[net] || 0;
+  }
+
+  function read(circuit, mode, a, b) {
+    if (mode === 'voltage') {
+      const res = CircuitCore.simulate(circuit);
+      return res.success ? volts(res, a) - volts(res, b) : 0;
+    }
+    const netlist = CircuitCore.buildNetlist(circuit);
+    const onOneNet = same(a, b) || (netlist.netOf(a.blockId, a.terminal) != null && netlist.netOf(a.blockId, a.terminal) === netlist.netOf(b.blockId, b.terminal));
+    if (mode === 'current') {
+      if (onOneNet) return 0;
+      const shunt = { id: METER_ID, type: 'resistor', dataset: { type: 'resistor', resistance: String(SHUNT_R) } };
+      const res = CircuitCore.simulate(copyWith(circuit, blocks => blocks.concat(shunt), leads(a, b)));
+      if (!res.success) return 0;
+      return (volts(res, { blockId: METER_ID, terminal: 'left' }) - volts(res, { blockId: METER_ID, terminal: 'right' })) / SHUNT_R;
+    }
+    if (onOneNet) return 0;
+    // battery + is its right terminal: drive a positive, b negative
+    const source = { id: METER_ID, type: 'battery', dataset: { type: 'battery', voltage: String(TEST_VOLTAGE) } };
+    const passive = blocks => blocks.filter(x => x.type !== 'battery' && !isLogic(x.type)).concat(source);
+    const res = CircuitCore.simulate(copyWith(circuit, passive, leads(b, a)));
+    const I = res.success ? (res.components[METER_ID] || {}).current || 0 : 0;
+    const R = I > 0 ? TEST_VOLTAGE / I : Infinity;
+    return R > OVER_RANGE ? Infinity : R;
+  }
+
+  function measure(circuit, mode, a, b) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown multimeter mode "${mode}"`);
+    const value = read(circuit, mode, a, b);
+    return { mode, value, unit: UNITS[mode], text: format(value, UNITS[mode]) };
+  }
+
+  return { MODES, UNITS, SHUNT_R, TEST_VOLTAGE, format, measure };
+});
@@ -0,0 +1,103 @@
+// Named circuits kept in the browser (IndexedDB), for autosave and the project browser.
+//
+// A project is { id, name, doc, thumbnail, created, updated }: `doc` is the circuit as a saved
+// file (CircuitFormat.save(), so it is validated and migrated like one when it is opened),
+// `thumbnail` an SVG string, and the times are milliseconds since 1970. Where IndexedDB cannot
+// be used (private windows in some browsers, file:// pages, node) projects are kept in memory
+// for the session and `persistent` is false.
+//
+//   ProjectStore.open().then(store => store.list())   // -> projects, most recently edited first
+//   store.get(id); store.put(project); store.remove(id)   // all return promises
+//   ProjectStore.create('Untitled 1', doc)            // -> a new project record
+//   ProjectStore.thumbnail({ width, height, parts: [box...], wires: [[{ x, y }...]] })   // -> '<svg ...>'
+//   ProjectStore.copyName('Blink', names)             // -> 'Blink (copy)', 'Blink (copy 2)', ...
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ProjectStore = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const DB_NAME = 'circuit-studio';
+  const DB_VERSION = 1;
+  const STORE = 'projects';
+  const THUMB_W = 160, THUMB_H = 100;
+
+  const newest = list => list.sort((a, b) => b.updated - a.updated);
+  const clone = v => (v == null ? null : JSON.parse(JSON.stringify(v)));
+
+  function memoryStore() {
+    const projects = new Map();
+    return {
+      persistent: false,
+      list: () => Promise.resolve(newest(Array.from(projects.values()).map(clone))),
+      get: id => Promise.resolve(clone(projects.get(id))),
+      put: p => { projects.set(p.id, clone(p)); return Promise.resolve(p); },
+      remove: id => { projects.delete(id); return Promise.resolve(); }
+    };
+  }
+
+  function idbStore(db) {
+    // resolves once the transaction has committed, so a finished put() survives a crash
+    const run = (mode, fn) => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+    return {
+      persistent: true,
+      list: () => run('readonly', s => s.getAll()).then(newest),
+      get: id => run('readonly', s => s.get(id)).then(p => p || null),
+      put: p => run('readwrite', s => s.put(p)).then(() => p),
+      remove: id => run('readwrite', s => s.delete(id)).then(() => {})
+    };
+  }
+
+  function open(idb = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+    if (!idb) return Promise.resolve(memoryStore());
+    return new Promise(resolve => {
+      let req;
+      try { req = idb.open(DB_NAME, DB_VERSION); } catch (e) { resolve(memoryStore()); return; }
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(idbStore(req.result));
+      req.onerror = () => resolve(memoryStore());
+    });
+  }
+
+  const newId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+  function create(name, doc, thumb = '') {
+    const now = Date.now();
+    return { id: newId(), name, doc, thumbnail: thumb, created: now, updated: now };
+  }
+
+  // The first of base, 'base 2', 'base 3'... not in names
+  function uniqueName(base, names) {
+    if (!names.includes(base)) return base;
+    let n = 2;
+    while (names.includes(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+  }
+
+  function copyName(name, names) {
+    const base = name.replace(/ \(copy(?: \d+)?\)$/, '');
+    if (!names.includes(`${base} (copy)`)) return `${base} (copy)`;
+    let n = 2;
+    while (names.includes(`${base} (copy ${n})`)) n++;
+    return `${base} (copy ${n})`;
+  }
+
+  // A small picture of the workspace: part boxes and wire paths, in workspace pixels
+  function thumbnail({ width, height, parts = [], wires = [] }) {
+    const r = v => Math.round(v);
+    const rects = parts.map(b => `<rect x="${r(b.left)}" y="${r(b.top)}" width="${r(b.right - b.left)}" height="${r(b.bottom - b.top)}" rx="4"/>`);
+    const lines = wires.filter(w => w.length > 1).map(w => `<polyline points="${w.map(p => `${r(p.x)},${r(p.y)}`).join(' ')}"/>`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${THUMB_W}" height="${THUMB_H}" viewBox="0 0 ${r(Math.max(1, width))} ${r(Math.max(1, height))}">` +
+      `<rect width="100%" height="100%" fill="#f8fafc"/>` +
+      `<g fill="none" stroke="#475569" stroke-width="3">${lines.join('')}</g>` +
+      `<g fill="#e2e8f0" stroke="#334155" stroke-width="2">${rects.join('')}</g></svg>`;
+  }
+
+  return { DB_NAME, STORE, open, create, uniqueName, copyName, thumbnail };
+});
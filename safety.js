@@ -0,0 +1,79 @@
+// Component ratings and short-circuit detection, run on every solved circuit.
+//
+// check(components, results, names) -> [{ id, kind, value, limit, message }]
+//   components: netlist components from CircuitCore.buildNetlist() ([{ id, type, dataset, nets }])
+//   results:    solved values by id ({ current, voltageDrop })
+//   names:      Map id -> display name (R1, LED2...), as CircuitExplainer.nameParts() gives
+// kind is 'short' (battery), 'burned' (LED), 'overheated' (resistor) or 'overloaded' (battery).
+// A part gets at most one issue; a short wins over the overload it causes. Issues are listed
+// cause first: shorts, then burned LEDs, overheated resistors and finally overloaded batteries.
+//
+// Ratings come from the block dataset when set (resistor powerRating in W, battery maxCurrent
+// in A) and otherwise from the defaults below; LEDs use the maximum current of their colour.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./led-models.js'));
+  else root.CircuitSafety = factory(root.LedModels);
+})(typeof window !== 'undefined' ? window : globalThis, function(LedModels) {
+  'use strict';
+
+  const DEFAULT_RESISTOR_POWER = 0.25; // W, the usual through-hole resistor
+  const DEFAULT_BATTERY_CURRENT = 1;   // A
+
+  const round = v => String(Number(v.toPrecision(3)));
+  const mA = I => `${round(I * 1000)} mA`;
+
+  // Parts with (next to) no resistance: closed switches, and coils, which are plain wire once
+  // the current has settled
+  function isZeroOhm(c) {
+    return (c.type === 'switch' && c.dataset.state !== 'off') || c.type === 'inductor';
+  }
+
+  // Batteries whose two terminals are joined by wires and zero-ohm parts alone
+  function findShorts(components, names) {
+    const parent = new Map();
+    const find = n => { if (!parent.has(n)) parent.set(n, n); while (parent.get(n) !== n) n = parent.get(n); return n; };
+    const bridges = components.filter(c => isZeroOhm(c) && c.nets.left != null && c.nets.right != null);
+    bridges.forEach(c => { const a = find(c.nets.left), b = find(c.nets.right); if (a !== b) parent.set(b, a); });
+    return components.filter(c => c.type === 'battery' && c.nets.left != null && find(c.nets.left) === find(c.nets.right)).map(c => {
+      const root = find(c.nets.left);
+      const via = c.nets.left === c.nets.right ? [] : bridges.filter(b => find(b.nets.left) === root).map(b => names.get(b.id) || b.id);
+      return {
+        id: c.id, kind: 'short', value: Infinity, limit: 0,
+        message: `${names.get(c.id) || c.id} is short-circuited ${via.length ? `through ${via.join(', ')}` : 'by a wire'}: nothing limits the current. Put a resistor in the loop.`
+      };
+    });
+  }
+
+  function ratingIssue(c, r, names) {
+    const name = names.get(c.id) || c.id;
+    const I = Math.abs(r.current || 0);
+    if (c.type === 'led') {
+      const led = LedModels.forDataset(c.dataset);
+      if (I > led.maxCurrent) return { id: c.id, kind: 'burned', value: I, limit: led.maxCurrent, message: `${name} burned out: ${mA(I)} is more than its ${mA(led.maxCurrent)} maximum. Add a series resistor.` };
+    } else if (c.type === 'resistor') {
+      const P = I * Math.abs(r.voltageDrop || 0);
+      const rating = Number(c.dataset.powerRating) || DEFAULT_RESISTOR_POWER;
+      if (P > rating) return { id: c.id, kind: 'overheated', value: P, limit: rating, message: `${name} is overheating: it turns ${round(P)} W into heat but is rated for ${round(rating)} W.` };
+    } else if (c.type === 'battery') {
+      const max = Number(c.dataset.maxCurrent) || DEFAULT_BATTERY_CURRENT;
+      if (I > max) return { id: c.id, kind: 'overloaded', value: I, limit: max, message: `${name} is overloaded: ${round(I)} A is more than the ${round(max)} A it can supply.` };
+    }
+    return null;
+  }
+
+  const ORDER = ['short', 'burned', 'overheated', 'overloaded'];
+
+  function check(components, results, names = new Map()) {
+    const issues = findShorts(components, names);
+    components.forEach(c => {
+      const r = results[c.id];
+      if (!r || issues.some(i => i.id === c.id)) return;
+      const issue = ratingIssue(c, r, names);
+      if (issue) issues.push(issue);
+    });
+    return issues.sort((a, b) => ORDER.indexOf(a.kind) - ORDER.indexOf(b.kind));
+  }
+
+  return { check, findShorts, DEFAULT_RESISTOR_POWER, DEFAULT_BATTERY_CURRENT };
+});
@@ -0,0 +1,136 @@
+// Schematic symbols for the workspace's schematic view, in ANSI (US) or IEC (European) style.
+//
+// Each symbol is an SVG the size of its part in that view (size(), in px), drawn so the ends of its
+// leads are where the part's connectors sit (styles.css, `.schematic`): two-terminal parts at the
+// left and right middle, gate inputs down the left edge at the heights of the gate's input
+// connectors and the output at the right middle. The left terminal is the LED's cathode and the
+// battery's − side. Lines use currentColor, so the page sets the colour. Sequential parts keep
+// their labelled box, which is already how they are drawn in schematics.
+//
+//   SchematicSymbols.svg('resistor', 'iec')             // -> '<svg ...>' (null for parts without one)
+//   SchematicSymbols.svg('switch', 'ansi', { state: 'on' })   // one position; without a state both
+//                                                       // are drawn, classed sym-open / sym-closed
+//   SchematicSymbols.pins('nand3')                      // -> [{ terminal, x, y }] where the leads end
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gates.js'));
+  else root.SchematicSymbols = factory(root.Gates);
+})(typeof window !== 'undefined' ? window : globalThis, function(Gates) {
+  'use strict';
+
+  const STYLES = ['ansi', 'iec'];
+  const TWO_TERMINAL = { w: 80, h: 40 };
+  const GATE_W = 80;
+  const GATE_H = { 1: 60, 2: 60, 3: 60, 4: 76 };
+  // input connector heights as fractions of the gate (styles.css, .block.gate[data-inputs])
+  const INPUT_TOPS = { 1: [0.5], 2: [0.28, 0.72], 3: [0.2, 0.5, 0.8], 4: [0.14, 0.38, 0.62, 0.86] };
+  const BASIC = ['resistor', 'capacitor', 'inductor', 'led', 'battery', 'switch'];
+  const IEC_MARK = { and: '&', or: '≥1', xor: '=1' };
+  const BUBBLE_R = 4;
+
+  const n = v => Math.round(v * 100) / 100;
+  const line = (x1, y1, x2, y2) => `<line x1="${n(x1)}" y1="${n(y1)}" x2="${n(x2)}" y2="${n(y2)}"/>`;
+  const wrap = ({ w, h }, body) =>
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${body}</svg>`;
+
+  function size(type) {
+    if (BASIC.includes(type)) return TWO_TERMINAL;
+    const g = Gates.get(type);
+    return g ? { w: GATE_W, h: GATE_H[g.inputs] } : null;
+  }
+
+  function pins(type) {
+    const s = size(type);
+    if (!s) return [];
+    if (BASIC.includes(type)) return [{ terminal: 'left', x: 0, y: s.h / 2 }, { terminal: 'right', x: s.w, y: s.h / 2 }];
+    return Gates.inputTerminals(type).map((terminal, i) => ({ terminal, x: 0, y: n(INPUT_TOPS[Gates.get(type).inputs][i] * s.h) }))
+      .concat({ terminal: Gates.OUTPUT_TERMINAL, x: s.w, y: s.h / 2 });
+  }
+
+  // An arrow from (x1, y1) to (x2, y2) with a small head, for the LED's light
+  function arrow(x1, y1, x2, y2) {
+    const a = Math.atan2(y2 - y1, x2 - x1), head = 4;
+    const hx = s => x2 - head * Math.cos(a + s), hy = s => y2 - head * Math.sin(a + s);
+    return line(x1, y1, x2, y2) + `<polyline points="${n(hx(0.5))},${n(hy(0.5))} ${n(x2)},${n(y2)} ${n(hx(-0.5))},${n(hy(-0.5))}"/>`;
+  }
+
+  const plus = (x, y) => line(x - 3, y, x + 3, y) + line(x, y - 3, x, y + 3);
+
+  function basic(type, style, state) {
+    const ansi = style === 'ansi';
+    const y = TWO_TERMINAL.h / 2;
+    switch (type) {
+      case 'resistor':
+        return ansi
+          ? line(0, y, 20, y) + `<polyline points="20,20 23.33,12 30,28 36.67,12 43.33,28 50,12 56.67,28 60,20"/>` + line(60, y, 80, y)
+          : line(0, y, 18, y) + '<rect x="18" y="13" width="44" height="14"/>' + line(62, y, 80, y);
+      case 'capacitor':
+        return line(0, y, 36, y) + line(36, 8, 36, 32) + line(44, 8, 44, 32) + line(44, y, 80, y);
+      case 'inductor':
+        return ansi
+          ? line(0, y, 16, y) + '<path d="M16 20 a6 6 0 0 1 12 0 a6 6 0 0 1 12 0 a6 6 0 0 1 12 0 a6 6 0 0 1 12 0"/>' + line(64, y, 80, y)
+          : line(0, y, 18, y) + '<rect x="18" y="14" width="44" height="12" fill="currentColor"/>' + line(62, y, 80, y);
+      case 'led':
+        // cathode (bar) on the left: conventional current flows right to left through it
+        return line(0, y, 32, y) + `<polygon class="sym-body" points="52,8 52,32 32,20"${ansi ? ' fill="currentColor"' : ''}/>` + line(32, 8, 32, 32) + line(52, y, 80, y) +
+          `<g class="sym-light">${arrow(40, 8, 47, 1)}${arrow(47, 11, 54, 4)}</g>`;
+      case 'battery': {
+        // long plate +, short plate −; ANSI draws a battery of two cells
+        const cells = ansi ? [28, 44] : [36];
+        const right = cells[cells.length - 1] + 6;
+        return line(0, y, cells[0], y) + cells.map(x => line(x, 13, x, 27) + line(x + 6, 5, x + 6, 35)).join('') +
+          line(right, y, 80, y) + plus(right + 10, 8);
+      }
+      case 'switch': {
+        const open = `<g class="sym-open">${line(24, y, 54, 6)}</g>`, closed = `<g class="sym-closed">${line(24, y, 56, y)}</g>`;
+        const contacts = ansi ? `<circle cx="24" cy="${y}" r="2.5"/><circle cx="56" cy="${y}" r="2.5"/>` : '';
+        return line(0, y, 24, y) + line(56, y, 80, y) + contacts + (state === 'on' ? closed : state === 'off' ? open : open + closed);
+      }
+    }
+    return '';
+  }
+
+  function gate(type, style) {
+    const g = Gates.get(type);
+    const { w, h } = size(type);
+    const ys = pins(type).slice(0, -1).map(p => p.y);
+    const mid = h / 2, top = 6, bottom = h - 6;
+    const family = g.family === 'not' ? 'not' : g.op;
+    const bubble = x => `<circle cx="${n(x + BUBBLE_R)}" cy="${mid}" r="${BUBBLE_R}"/>`;
+    let body, end, leadEnd = () => 16;
+    if (style === 'iec') {
+      body = `<rect x="20" y="4" width="40" height="${h - 8}"/><text x="40" y="20" font-size="13" font-family="Arial, Helvetica, sans-serif" text-anchor="middle" stroke="none" fill="currentColor">${family === 'not' ? '1' : IEC_MARK[family]}</text>`;
+      end = 60;
+      leadEnd = () => 20;
+    } else if (family === 'not') {
+      body = `<polygon points="16,${top + 4} 16,${bottom - 4} 56,${mid}"/>`;
+      end = 56;
+    } else if (family === 'and') {
+      const r = (bottom - top) / 2;
+      body = `<path d="M16 ${top} H40 A${r} ${r} 0 0 1 40 ${bottom} H16 Z"/>`;
+      end = 40 + r;
+    } else {
+      // OR and XOR: a curved back the inputs end on, and a pointed front
+      const back = x0 => y => x0 + 24 * ((y - top) / (bottom - top)) * (1 - (y - top) / (bottom - top));
+      body = `<path d="M16 ${top} Q44 ${top} 66 ${mid} Q44 ${bottom} 16 ${bottom} Q28 ${mid} 16 ${top} Z"/>`;
+      end = 66;
+      leadEnd = back(16);
+      if (family === 'xor') {
+        body += `<path d="M10 ${top} Q22 ${mid} 10 ${bottom}"/>`;
+        leadEnd = back(10);
+      }
+    }
+    const out = g.invert ? bubble(end) : '';
+    const outStart = g.invert ? end + 2 * BUBBLE_R : end;
+    return ys.map(y => line(0, y, leadEnd(y), y)).join('') + body + out + line(outStart, mid, w, mid);
+  }
+
+  function svg(type, style = 'ansi', options = {}) {
+    const s = size(type);
+    if (!s) return null;
+    const st = STYLES.includes(style) ? style : 'ansi';
+    return wrap(s, BASIC.includes(type) ? basic(type, st, options.state) : gate(type, st));
+  }
+
+  return { STYLES, size, pins, svg };
+});
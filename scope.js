@@ -0,0 +1,161 @@
+// Oscilloscope recorder: keeps a list of probes and the samples captured for them on each
+// simulation tick, draws them as time-series traces on a canvas and exports them as CSV.
+// Probes are plain descriptors { id, kind: 'voltage'|'current', label, color }; what a probe
+// is attached to (a connector / a block) is tracked by script.js, which passes the sampled
+// values in to record(). Currents are signed (see CircuitCore's signedCurrent), so a trace can
+// cross zero.
+//
+//   const p = Scope.addProbe('voltage', 'V(b1 right)');
+//   Scope.record(0.02, { [p.id]: 4.2 });      // or a Map; a missing value leaves a gap
+//   Scope.toCSV()                             // -> 'time_s,V(b1 right) (V)\n0.020000,4.2'
+//   Scope.verticalRange('voltage', samples)   // -> { min, max, perDiv } for the probes of a kind
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Scope = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const MAX_SAMPLES = 5000;
+  const DIVISIONS_X = 10;
+  const DIVISIONS_Y = 8;
+  const COLORS = ['#f59e0b', '#10b981', '#3b82f6', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+  let probes = [];
+  let samples = []; // [{ t, values: { probeId: number } }]
+  let probeCounter = 1;
+
+  function addProbe(kind, label) {
+    const probe = { id: `p${probeCounter++}`, kind, label, color: COLORS[probes.length % COLORS.length] };
+    probes.push(probe);
+    return probe;
+  }
+
+  function removeProbe(id) {
+    probes = probes.filter(p => p.id !== id);
+    samples.forEach(s => { delete s.values[id]; });
+  }
+
+  function getProbes() {
+    return probes.slice();
+  }
+
+  function clearSamples() {
+    samples = [];
+  }
+
+  // values: Map or object of probeId -> number (NaN/undefined leaves a gap in the trace)
+  function record(t, values) {
+    const entry = { t, values: {} };
+    const get = id => (values instanceof Map ? values.get(id) : values[id]);
+    probes.forEach(p => { const v = get(p.id); if (typeof v === 'number' && isFinite(v)) entry.values[p.id] = v; });
+    samples.push(entry);
+    if (samples.length > MAX_SAMPLES) samples.splice(0, samples.length - MAX_SAMPLES);
+  }
+
+  // Round a span up to a 1/2/5 step so the axis labels stay readable
+  function niceStep(span) {
+    if (!(span > 0)) return 1;
+    const mag = Math.pow(10, Math.floor(Math.log10(span)));
+    const norm = span / mag;
+    return (norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10) * mag;
+  }
+
+  function formatValue(v, unit) {
+    const a = Math.abs(v);
+    if (a !== 0 && a < 1e-3) return `${(v * 1e6).toFixed(0)} µ${unit}`;
+    if (a !== 0 && a < 1) return `${(v * 1e3).toFixed(a < 0.01 ? 1 : 0)} m${unit}`;
+    return `${v.toFixed(2)} ${unit}`;
+  }
+
+  // Per-kind vertical range covering every visible sample (zero always included)
+  function verticalRange(kind, visible) {
+    let lo = 0, hi = 0;
+    visible.forEach(s => probes.forEach(p => {
+      if (p.kind !== kind || !(p.id in s.values)) return;
+      lo = Math.min(lo, s.values[p.id]); hi = Math.max(hi, s.values[p.id]);
+    }));
+    let perDiv = niceStep((hi - lo) / DIVISIONS_Y || (kind === 'voltage' ? 1 / DIVISIONS_Y : 1e-3 / DIVISIONS_Y));
+    let min = Math.floor(lo / perDiv) * perDiv;
+    // rounding the bottom down can leave the top under the highest sample: take the next step
+    while (min + perDiv * DIVISIONS_Y < hi) {
+      perDiv = niceStep(perDiv * 1.01);
+      min = Math.floor(lo / perDiv) * perDiv;
+    }
+    return { min, max: min + perDiv * DIVISIONS_Y, perDiv };
+  }
+
+  // Draw the most recent `timeBase * DIVISIONS_X` seconds of samples onto a canvas.
+  // Voltage traces share the left axis, current traces share the right axis.
+  function render(canvas, { timeBase = 0.1 } = {}) {
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    const w = canvas.width, h = canvas.height;
+    const pad = { left: 56, right: 56, top: 10, bottom: 22 };
+    const pw = w - pad.left - pad.right, ph = h - pad.top - pad.bottom;
+    const span = timeBase * DIVISIONS_X;
+    const tEnd = samples.length ? Math.max(samples[samples.length - 1].t, span) : span;
+    const tStart = tEnd - span;
+    const visible = samples.filter(s => s.t >= tStart);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#0b1220';
+    ctx.fillRect(pad.left, pad.top, pw, ph);
+    ctx.strokeStyle = 'rgba(148,163,184,0.25)';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= DIVISIONS_X; i++) {
+      const x = pad.left + (pw * i) / DIVISIONS_X;
+      ctx.beginPath(); ctx.moveTo(x, pad.top); ctx.lineTo(x, pad.top + ph); ctx.stroke();
+    }
+    for (let i = 0; i <= DIVISIONS_Y; i++) {
+      const y = pad.top + (ph * i) / DIVISIONS_Y;
+      ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + pw, y); ctx.stroke();
+    }
+
+    const ranges = { voltage: verticalRange('voltage', visible), current: verticalRange('current', visible) };
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.fillStyle = '#6b7280';
+    ['voltage', 'current'].forEach(kind => {
+      if (!probes.some(p => p.kind === kind)) return;
+      const r = ranges[kind];
+      ctx.textAlign = kind === 'voltage' ? 'right' : 'left';
+      const x = kind === 'voltage' ? pad.left - 4 : pad.left + pw + 4;
+      for (let i = 0; i <= DIVISIONS_Y; i += 2) {
+        const v = r.min + r.perDiv * i;
+        ctx.fillText(formatValue(v, kind === 'voltage' ? 'V' : 'A'), x, pad.top + ph - (ph * i) / DIVISIONS_Y + 4);
+      }
+    });
+    ctx.textAlign = 'center';
+    ctx.fillText(`${formatValue(timeBase, 's')}/div`, pad.left + pw / 2, h - 6);
+
+    probes.forEach(p => {
+      const r = ranges[p.kind];
+      ctx.strokeStyle = p.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let penDown = false;
+      visible.forEach(s => {
+        if (!(p.id in s.values)) { penDown = false; return; }
+        const x = pad.left + ((s.t - tStart) / span) * pw;
+        const y = pad.top + ph - ((s.values[p.id] - r.min) / (r.max - r.min)) * ph;
+        if (penDown) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+        penDown = true;
+      });
+      ctx.stroke();
+    });
+  }
+
+  function csvCell(text) {
+    const s = String(text);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCSV() {
+    const header = ['time_s'].concat(probes.map(p => `${p.label} (${p.kind === 'voltage' ? 'V' : 'A'})`));
+    const rows = samples.map(s => [s.t.toFixed(6)].concat(probes.map(p => (p.id in s.values ? String(s.values[p.id]) : ''))));
+    return [header].concat(rows).map(r => r.map(csvCell).join(',')).join('\n');
+  }
+
+  return { addProbe, removeProbe, getProbes, clearSamples, record, render, toCSV, niceStep, formatValue, verticalRange, sampleCount: () => samples.length };
+});
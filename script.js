@@ -1,3 +1,14 @@
+// gate and sequential palette entries come from their registries (gates.js, sequential.js)
+[['gate-palette', Gates, 'gate'], ['sequential-palette', SequentialParts, 'sequential']].forEach(([id, registry, cls]) => {
+  const list = document.getElementById(id);
+  if (list) registry.TYPES.forEach(type => {
+    const item = document.createElement('div');
+    item.className = `block palette ${cls}`;
+    item.dataset.type = type;
+    item.textContent = registry.get(type).title;
+    list.appendChild(item);
+  });
+});
 const paletteBlocks = document.querySelectorAll(".block.palette");
 const workspace = document.getElementById("workspace");
 
@@ -8,7 +19,7 @@ let contextMenu = null;
 let _blockIdCounter = 1;
 let selectedBlock = null;
 let hoverTimer = null;
-const undoStack = [];
+const editHistory = CommandHistory.create({ onChange: () => { renderHistoryPanel(); markProjectDirty(); } });
 let hoverBlurbHideTimer = null;
 // opt-in debug flag; set to true in the browser console to enable detailed logs
 let CT_DEBUG = false;
@@ -18,23 +29,17 @@ let CT_DEBUG = false;
   Overview / flow (high-level):
   - UI creates draggable parts via `createBlockInstance()` and wires via `createWire()`.
   - `connections[]` stores wire endpoints (SVG line + two connector elements).
-  - `evaluateCircuit()` is the central function: it builds electrical "nets" using a union-find
-    over connector DOM nodes, translates components into solver inputs (resistors, voltage
-    sources, diodes), then calls `CircuitSolver.solveMNA(...)` when available.
-  - If the JS solver isn't available or fails, `fallbackSimplePowering()` and path-based
-    heuristics attempt to mark LEDs as powered (and now also attach conservative current/voltage
-    estimates so the tooltip can display values for debugging).
+  - `evaluateCircuit()` is the central function. Circuits go to `CircuitCore.simulate()`
+    (circuit-core.js) on the `exportCircuit()` JSON, as a DC operating point in `evaluateDc()`
+    or, with capacitors/inductors, as a transient in `evaluateTransient()`; results come back
+    keyed by block id and `applyCoreResults()` copies them onto the blocks, along with the
+    explain.js working shown in the Explain panel.
+  - If no solver is loaded, `fallbackSimplePowering()` marks LEDs on a closed battery loop as
+    powered so the workspace still reacts. If a solve fails, `showSolveFailure()` clears the
+    results and says why; nothing is guessed.
 
   Common failure points:
   - Nets: connectors that are isolated or not connected to any wire will have no net id.
-  - Net mapping: if the union-find doesn't include a connector because of a bug, components
-    can get `null` nets and be ignored by the solver.
-  - Solver output mapping: the code relies on array ordering (resistors[], diodes[], vSources[])
-    matching the solver's returned arrays. If ordering mismatches, annotations will attach to
-    wrong blocks.
-  - Fallback heuristics only detect connectivity (not voltages/currents) which can lead tooltips
-    to show no numeric values; to make debugging easier we now estimate and attach conservative
-    numbers when a component is heuristically considered powered.
 */
 
 // Simulation run state
@@ -43,6 +48,34 @@ let simInterval = null;
 let simTickCount = 0;
 let simNoProgressCount = 0;
 let lastSimSummary = { ledCount: 0, totalCurrent: 0 };
+// Real-time length of one simulation tick. Without capacitors or inductors a tick is that much
+// simulated time too, so clocks (sequential.js) run at their set frequency in real time.
+const SIM_TICK_MS = 600;
+// Transient (time-stepping) of capacitors/inductors: each simulation tick advances simulated time
+// (`simTime`), clocks included, by TRANSIENT_TICK_SECONDS, stepped in TRANSIENT_SUBSTEPS steps,
+// i.e. time runs ~30x slower than real time so RC/RL curves are visible.
+const TRANSIENT_TICK_SECONDS = 0.02;
+const TRANSIENT_SUBSTEPS = 20;
+// Clock time, flip-flop/counter contents, last input levels and capacitor/inductor state from
+// CircuitCore (res.digital); null means power-on
+let digitalState = null;
+// A solve failure is on the banner; the next good solve takes it down
+let solveFailureShown = false;
+let simTime = 0;
+// Node voltages from the last MNA solve ({ netFor, byNet: Map(net -> V) }); null when the last
+// evaluation did not produce them, in which case the scope runs its own DC solve.
+let lastNodeVoltages = null;
+// Step-by-step working for the last DC solve (explain.js via CircuitCore); null for transients
+let lastExplanation = null;
+// Shorted batteries and parts past their ratings from the last evaluation (safety.js)
+let lastIssues = [];
+
+// Probe tool / oscilloscope: probe id -> { kind, connector | block }
+let probeMode = false;
+const probeTargets = new Map();
+// Multimeter tool: red and black probe connectors and the mode (multimeter.js)
+let meterMode = false;
+const meter = { mode: 'voltage', red: null, black: null };
 
 function ensureTooltipElement(){
   if (!document.querySelector('.ct-tooltip')){
@@ -86,6 +119,14 @@ function disableEditingDuringSim(enable){
   if (isSimRunning) document.body.classList.add('sim-running'); else document.body.classList.remove('sim-running');
 }
 
+// Edits are refused while the simulation runs and in view-only mode (shared links); `action`
+// completes "Stop simulation before ..."
+function editLocked(action){
+  if (viewOnly) { updateSimBanner('This circuit is view-only. Use “Edit a copy” to change it.', 'error', true); return true; }
+  if (isSimRunning) { updateSimBanner(`Stop simulation before ${action}.`, 'error', true); return true; }
+  return false;
+}
+
 // Data-driven hover blurbs for parts; easy to extend when adding parts
 const partBlurbs = {
   battery: {
@@ -105,15 +146,19 @@ const partBlurbs = {
     desc: 'Controls current flow by making or breaking the circuit. Click to toggle on/off during or before simulation.'
   }
   ,
-  and: {
-    title: 'AND Gate',
-    desc: 'Two-input logic gate. Output is ON only when both inputs are powered.'
+  capacitor: {
+    title: 'Capacitor',
+    desc: 'Stores charge. Its voltage cannot change instantly: it charges and discharges through resistors over a time constant τ = R·C.'
   },
-  or: {
-    title: 'OR Gate',
-    desc: 'Two-input logic gate. Output is ON when either input is powered.'
+  inductor: {
+    title: 'Inductor',
+    desc: 'Stores energy in a magnetic field. Its current cannot change instantly: it builds up through a resistor over τ = L/R.'
   }
 };
+[Gates, SequentialParts].forEach(registry => registry.TYPES.forEach(type => {
+  const p = registry.get(type);
+  partBlurbs[type] = { title: p.title, desc: p.desc };
+}));
 
 // SVG icons per part type
 const svgMap = {
@@ -122,7 +167,9 @@ const svgMap = {
   led: '<svg width="44" height="44" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="9" r="3" fill="#f59e0b"/><path d="M12 12v6" stroke="#f59e0b" stroke-width="1.6" stroke-linecap="round"/><path d="M7 4l1.5 1.5M16.5 4L15 5.5" stroke="#f59e0b" stroke-width="1.2" stroke-linecap="round"/></svg>'
   ,
   and: '<svg width="44" height="44" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="2" y="4" width="20" height="16" rx="3" fill="#e6f4ff" opacity="0.12"/><path d="M6 8h6a4 4 0 010 8H6v-8z" stroke="#0369a1" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round" fill="#7dd3fc"/></svg>',
-  or: '<svg width="44" height="44" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="2" y="4" width="20" height="16" rx="3" fill="#fffbeb" opacity="0.12"/><path d="M6 8s4 2 6 6c2-4 6-6 6-6" stroke="#92400e" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round" fill="#fcd34d"/></svg>'
+  or: '<svg width="44" height="44" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="2" y="4" width="20" height="16" rx="3" fill="#fffbeb" opacity="0.12"/><path d="M6 8s4 2 6 6c2-4 6-6 6-6" stroke="#92400e" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round" fill="#fcd34d"/></svg>',
+  capacitor: '<svg width="44" height="44" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M2 12h8M14 12h8M10 6v12M14 6v12" stroke="#7c3aed" stroke-width="1.8" stroke-linecap="round"/></svg>',
+  inductor: '<svg width="44" height="44" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M2 14h3a2.5 2.5 0 015 0 2.5 2.5 0 015 0 2.5 2.5 0 015 0h2" stroke="#b45309" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"/></svg>'
 };
 
 function updateHoverBlurb(type, event) {
@@ -155,7 +202,9 @@ function updateHoverBlurb(type, event) {
   // (previously we positioned the blurb near hovered elements; reverted)
 
   if (icon) {
-    if (svgMap[type]) icon.innerHTML = svgMap[type];
+    // 3- and 4-input gates share their family's icon
+    const svg = svgMap[type] || (Gates.isGate(type) ? svgMap[Gates.get(type).family] : null);
+    if (svg) icon.innerHTML = svg;
     else icon.textContent = (type && type[0]) ? type[0].toUpperCase() : '?';
   }
   if (title) title.textContent = info.title || '';
@@ -172,6 +221,10 @@ function updateHoverBlurb(type, event) {
 const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
 svg.setAttribute("class", "wire-layer");
 workspace.appendChild(svg);
+// current-flow dots drawn over the wires while the simulation runs (updateWireView)
+const flowLayer = document.createElementNS("http://www.w3.org/2000/svg", "g");
+flowLayer.setAttribute("class", "wire-flow-layer");
+svg.appendChild(flowLayer);
 
 // small counter for user-created wire nodes (bend points)
 let _wireNodeCounter = 1;
@@ -195,10 +248,15 @@ function createWireNode(x, y){
   // make node clickable as a connector
   n.addEventListener('click', e => { e.stopPropagation(); handleConnectorClick(e, n); });
   // small drag support for repositioning nodes
-  let moving=false, sx, sy, ox, oy;
-  n.addEventListener('mousedown', e=>{ if (e.button!==0) return; moving=true; sx=e.clientX; sy=e.clientY; const rect=n.getBoundingClientRect(); ox=rect.left; oy=rect.top; document.body.classList.add('ct-moving'); e.stopPropagation(); });
+  let moving=false, sx, sy, ox, oy, from;
+  n.addEventListener('mousedown', e=>{ if (e.button!==0) return; if (editLocked('moving wires')) return; moving=true; from={ left: n.style.left, top: n.style.top }; sx=e.clientX; sy=e.clientY; const rect=n.getBoundingClientRect(); ox=rect.left; oy=rect.top; document.body.classList.add('ct-moving'); e.stopPropagation(); });
   document.addEventListener('mousemove', e=>{ if (!moving) return; const wsRect = workspace.getBoundingClientRect(); const nx = ox + (e.clientX - sx); const ny = oy + (e.clientY - sy); n.style.left = (nx - wsRect.left) + 'px'; n.style.top = (ny - wsRect.top) + 'px'; updateAllWires(); });
-  document.addEventListener('mouseup', e=>{ if (moving){ moving=false; document.body.classList.remove('ct-moving'); evaluateCircuit(); } });
+  document.addEventListener('mouseup', e=>{
+    if (!moving) return;
+    moving=false; document.body.classList.remove('ct-moving');
+    if (n.style.left !== from.left || n.style.top !== from.top) editHistory.record(moveCommand(partRecord(n), from, { left: n.style.left, top: n.style.top }));
+    evaluateCircuit();
+  });
   workspace.appendChild(n);
   return n;
 }
@@ -226,6 +284,7 @@ function ensureContextMenu() {
       parseInt(currentRotation.match(/rotate\((\d+)deg\)/)[1]) : 0;
     const newDegrees = (currentDegrees + 90) % 360;
     block.style.transform = `rotate(${newDegrees}deg)`;
+    editHistory.record(changeCommand(`Rotate ${partLabel(partRecord(block))}`, block.dataset.id, { transform: currentRotation }, { transform: block.style.transform }));
     
     // Update connections if any
     if (connections.length > 0) {
@@ -242,8 +301,14 @@ function ensureContextMenu() {
       hideContextMenu();
       return;
     }
+    if (e.target.id === 'ct-duplicate') {
+      if (!selectedParts.has(targetBlock)) setSelection([targetBlock]);
+      pasteParts(copySelection(), PASTE_OFFSET, 'Duplicate');
+      hideContextMenu();
+      return;
+    }
     if (e.target.id === 'ct-delete') {
-      removeBlockAndConnections(targetBlock);
+      if (selectedParts.has(targetBlock) && selectedParts.size > 1) deleteSelection(); else removeBlockAndConnections(targetBlock);
       hideContextMenu();
       return;
     }
@@ -265,7 +330,7 @@ function showContextMenu(x, y, block) {
   // populate menu with block-specific controls
   contextMenu._targetBlock = block;
   // include rotate control
-  contextMenu.innerHTML = '<div id="ct-rotate">Rotate</div><div id="ct-delete">Click to delete</div>';
+  contextMenu.innerHTML = '<div id="ct-rotate">Rotate</div><div id="ct-duplicate">Duplicate</div><div id="ct-delete">Click to delete</div>';
   if (block.dataset.type === 'battery') {
     const v = Number(block.dataset.voltage) || 10;
     const editor = document.createElement('div');
@@ -291,7 +356,6 @@ function hideContextMenu() {
 // Rotate (flip) a block's connectors and update logic/visuals
 function rotateBlock(block) {
   if (!block) return;
-  pushUndo();
   // find inputs (they may have class names left/right before swap)
   const inpLeft = block.querySelector('.input.left');
   const inpRight = block.querySelector('.input.right');
@@ -316,13 +380,16 @@ function rotateBlock(block) {
   // update wires and solver
   updateAllWires();
   evaluateCircuit();
+  // flipping twice is no flip
+  const id = block.dataset.id;
+  editHistory.record({ label: `Flip ${partLabel(partRecord(block))}`, undo: () => rotateBlock(findPart(id)), redo: () => rotateBlock(findPart(id)) });
 }
 
 // --- Handle drag start from palette ---
 paletteBlocks.forEach(block => {
   block.addEventListener("mousedown", e => {
     // prevent creating new blocks while simulation is running
-    if (isSimRunning) { updateSimBanner('Stop simulation before editing the workspace.', 'error', true); return; }
+    if (editLocked('editing the workspace')) return;
     const type = block.dataset.type;
     const newBlock = createBlockInstance(type);
 
@@ -376,6 +443,7 @@ document.addEventListener("mouseup", e => {
   draggingBlock.classList.add('instance');
   workspace.appendChild(draggingBlock);
   makeMovable(draggingBlock);
+  editHistory.record(addCommand(`Add ${draggingBlock.dataset.type}`, [partRecord(draggingBlock)], []));
   // evaluate circuit when a new block is placed
   evaluateCircuit();
   } else {
@@ -418,6 +486,8 @@ function createBlockInstance(type) {
   }
   
   block.appendChild(imageContainer);
+  // circuit symbol for the schematic view
+  renderSymbol(block);
 
   // style based on palette version
   // visual styling is handled by CSS classes (palette and instance rules)
@@ -430,40 +500,68 @@ function createBlockInstance(type) {
   leftInput.classList.add('cathode');
   rightInput.classList.add('anode');
 
-  // For logic gates we create a dedicated output connector in addition to left/right inputs
-  let outputInput = null;
-  if (type === 'and' || type === 'or') {
-    outputInput = document.createElement('div');
+  // Logic gates: left/right are the first two inputs (a NOT gate has only left), in3/in4 any
+  // further ones, plus a dedicated output connector (pins from gates.js)
+  const gate = Gates.get(type);
+  const connectors = [leftInput];
+  if (!gate || gate.inputs > 1) connectors.push(rightInput);
+  if (gate) {
+    block.classList.add('gate');
+    block.dataset.inputs = gate.inputs;
+    Gates.inputTerminals(type).slice(2).forEach(t => {
+      const extra = document.createElement('div');
+      extra.className = `input ${t}`;
+      extra.classList.add('cathode');
+      extra.dataset.terminal = t;
+      connectors.push(extra);
+    });
+    const outputInput = document.createElement('div');
     outputInput.className = 'input output';
     // visually mark output as an anode-style connector
     outputInput.classList.add('anode');
+    outputInput.dataset.terminal = Gates.OUTPUT_TERMINAL;
+    connectors.push(outputInput);
+  }
+  // Stateful logic (sequential.js): inputs down the left side, outputs down the right, each
+  // labelled with its pin name
+  const seq = SequentialParts.get(type);
+  if (seq) {
+    block.classList.add('sequential');
+    connectors.length = 0;
+    [[seq.inputs, 'pin-in'], [seq.outputs, 'pin-out']].forEach(([pins, side]) => pins.forEach((pin, i) => {
+      const conn = document.createElement('div');
+      conn.className = `input pin ${side}`;
+      conn.dataset.terminal = pin;
+      conn.dataset.label = pin === 'qn' ? 'Q̅' : pin.toUpperCase();
+      conn.style.top = `${(i + 1) * 100 / (pins.length + 1)}%`;
+      connectors.push(conn);
+    }));
+    if (type === 'counter4') imageContainer.innerHTML = '<span class="seq-value">0</span>';
+    if (type === 'seg7') imageContainer.innerHTML = '<div class="seg7">' + 'abcdefg'.split('').map(s => `<span class="seg seg-${s}" data-seg="${s}"></span>`).join('') + '</div>';
   }
-
-  block.appendChild(leftInput);
-  block.appendChild(rightInput);
-  if (outputInput) block.appendChild(outputInput);
-
-  // tag connectors so we can reference them in graph algorithms
-  leftInput.dataset.blockId = block.dataset.id;
   leftInput.dataset.terminal = 'left';
-  rightInput.dataset.blockId = block.dataset.id;
   rightInput.dataset.terminal = 'right';
-  if (outputInput) {
-    outputInput.dataset.blockId = block.dataset.id;
-    outputInput.dataset.terminal = 'out';
-  }
 
-  leftInput.addEventListener("click", e => handleConnectorClick(e, leftInput));
-  rightInput.addEventListener("click", e => handleConnectorClick(e, rightInput));
-  if (outputInput) outputInput.addEventListener('click', e => handleConnectorClick(e, outputInput));
+  // tag connectors so we can reference them in graph algorithms
+  connectors.forEach(conn => {
+    conn.dataset.blockId = block.dataset.id;
+    block.appendChild(conn);
+    conn.addEventListener('click', e => handleConnectorClick(e, conn));
+  });
 
   // component default properties for simulation
   if (type === 'battery') {
     block.dataset.voltage = 5; // volts
   } else if (type === 'resistor') {
     block.dataset.resistance = 100; // ohms
+  } else if (type === 'capacitor') {
+    block.dataset.capacitance = 0.001; // farads (1000 µF)
+  } else if (type === 'inductor') {
+    block.dataset.inductance = 1; // henries
+  } else if (type === 'clock') {
+    block.dataset.frequency = SequentialParts.DEFAULT_FREQUENCY; // Hz
   } else if (type === 'led') {
-    block.dataset.resistance = 100; // treat LED like a resistor that lights up
+    block.dataset.color = LedModels.DEFAULT_COLOR; // preset in led-models.js
     block.dataset.powered = 'false';
     block.dataset.current = '';
     block.dataset.voltageDrop = '';
@@ -471,8 +569,11 @@ function createBlockInstance(type) {
     block.dataset.state = 'on';
     // Add click handler for switch toggling
     block.addEventListener('click', e => {
+      if (probeMode || e.shiftKey) return; // probe tool clicks attach a probe; shift+click selects
       if (e.target === block) {  // Only toggle if clicking the block itself, not connectors
+        const before = block.dataset.state;
         block.dataset.state = block.dataset.state === 'on' ? 'off' : 'on';
+        editHistory.record(changeCommand(`Switch ${block.dataset.id} ${block.dataset.state}`, block.dataset.id, { dataset: { ...block.dataset, state: before } }, { dataset: {...block.dataset} }));
         // Always re-evaluate the circuit when a switch is toggled so UI updates immediately.
         try { evaluateCircuit(true); } catch (err) { /* non-fatal */ }
       }
@@ -480,9 +581,8 @@ function createBlockInstance(type) {
   }
 
   // Initialize gate datasets
-  if (type === 'and' || type === 'or') {
-    block.dataset.input1Powered = 'false';
-    block.dataset.input2Powered = 'false';
+  if (gate) {
+    for (let i = 1; i <= gate.inputs; i++) block.dataset[`input${i}Powered`] = 'false';
     block.dataset.outputPowered = 'false';
   }
 
@@ -538,6 +638,9 @@ function createBlockInstance(type) {
   // selection on click
   block.addEventListener('click', e => {
     e.stopPropagation();
+    if (probeMode) { toggleCurrentProbe(block); return; }
+    if (e.shiftKey) { toggleSelected(block); return; }
+    setSelection([block]);
     selectBlock(block);
   });
 
@@ -547,15 +650,19 @@ function createBlockInstance(type) {
 // --- Make block movable inside workspace ---
 function makeMovable(block) {
   let moving = false;
-  let startX, startY, origX, origY;
+  let startX, startY, origX, origY, from;
+  let group = []; // the rest of the selection when dragging a selected part: [{ el, left, top }]
 
   block.addEventListener("mousedown", e => {
-    if (isSimRunning) { updateSimBanner('Stop simulation before moving parts.', 'error', true); return; }
+    if (editLocked('moving parts')) return;
     if (e.target.classList.contains("input")) return; // don't move if clicking connector
     e.stopPropagation();
     // prevent text selection while moving
     document.body.classList.add('ct-moving');
     moving = true;
+    from = { left: block.style.left, top: block.style.top };
+    group = selectedParts.has(block) ? Array.from(selectedParts).filter(p => p !== block && p.parentElement)
+      .map(el => ({ el, left: el.style.left, top: el.style.top })) : [];
     startX = e.clientX;
     startY = e.clientY;
     const rect = block.getBoundingClientRect();
@@ -571,6 +678,7 @@ function makeMovable(block) {
     const dy = e.clientY - startY;
     block.style.left = `${origX + dx}px`;
     block.style.top = `${origY + dy}px`;
+    group.forEach(g => { g.el.style.left = `${(parseFloat(g.left) || 0) + dx}px`; g.el.style.top = `${(parseFloat(g.top) || 0) + dy}px`; });
     updateAllWires();
   });
 
@@ -590,15 +698,24 @@ function makeMovable(block) {
       blockRect.top < wsRect.bottom
     );
 
+    const moved = [{ el: block, left: from.left, top: from.top }].concat(group);
+    group = [];
     if (!intersects) {
-      removeBlockAndConnections(block);
+      // deleted from where it was picked up, so undo puts it back there
+      moved.forEach(g => { g.el.style.left = g.left; g.el.style.top = g.top; });
+      if (moved.length > 1) deleteSelection(); else removeBlockAndConnections(block);
       hideContextMenu();
     } else {
       // ensure the block's position is relative to workspace (clamp within)
-      const newLeft = Math.max(0, Math.min(block.offsetLeft, workspace.clientWidth - block.offsetWidth));
-      const newTop = Math.max(0, Math.min(block.offsetTop, workspace.clientHeight - block.offsetHeight));
-      block.style.left = `${newLeft}px`;
-      block.style.top = `${newTop}px`;
+      moved.forEach(({ el }) => {
+        if (!el.classList.contains('block')) return;
+        el.style.left = `${Math.max(0, Math.min(el.offsetLeft, workspace.clientWidth - el.offsetWidth))}px`;
+        el.style.top = `${Math.max(0, Math.min(el.offsetTop, workspace.clientHeight - el.offsetHeight))}px`;
+      });
+      editHistory.group(`Move ${countParts(moved.length)}`, () => moved.forEach(g => {
+        const to = { left: g.el.style.left, top: g.el.style.top };
+        if (to.left !== g.left || to.top !== g.top) editHistory.record(moveCommand(partRecord(g.el), { left: g.left, top: g.top }, to));
+      }));
     }
     // evaluate after any move ends
     evaluateCircuit();
@@ -608,6 +725,7 @@ function makeMovable(block) {
   block.addEventListener('contextmenu', e => {
     e.preventDefault();
     e.stopPropagation();
+    if (viewOnly) return; // everything on the menu is an edit
     showContextMenu(e.pageX, e.pageY, block);
   });
 }
@@ -632,6 +750,33 @@ function updatePropertiesPanel(block) {
     const r = Number(block.dataset.resistance) || 100;
     html += `<div>Resistance: <input id="prop-resistance" type="number" step="1" value="${r}" /></div>`;
   }
+  // reactive parts are edited in friendlier units (µF / mH) but stored in SI units
+  if (type === 'capacitor') {
+    const c = (Number(block.dataset.capacitance) || 0.001) * 1e6;
+    html += `<div>Capacitance (µF): <input id="prop-capacitance" type="number" step="1" min="0" value="${c}" /></div>`;
+  }
+  if (type === 'inductor') {
+    const l = (Number(block.dataset.inductance) || 1) * 1e3;
+    html += `<div>Inductance (mH): <input id="prop-inductance" type="number" step="1" min="0" value="${l}" /></div>`;
+  }
+  if (type === 'led') {
+    const current = LedModels.forDataset(block.dataset);
+    const options = Object.keys(LedModels.COLORS).map(k => {
+      const c = LedModels.COLORS[k];
+      return `<option value="${k}"${k === current.color ? ' selected' : ''}>${c.label} (${c.Vf} V, max ${c.maxCurrent * 1000} mA)</option>`;
+    }).join('');
+    html += `<div>Color: <select id="prop-led-color">${options}</select></div>`;
+  }
+  if (type === 'clock') {
+    const f = SequentialParts.frequency(block.dataset);
+    html += `<div>Frequency (Hz): <input id="prop-frequency" type="number" step="0.1" min="0.1" max="${SequentialParts.MAX_FREQUENCY}" value="${f}" /></div>`;
+  }
+  // logic input thresholds in volts; left empty they follow the supply (30% / 70%)
+  const logicInputs = Gates.isGate(type) || (SequentialParts.isSequential(type) && SequentialParts.get(type).inputs.length > 0);
+  if (logicInputs) {
+    html += `<div>VIL (V): <input id="prop-vil" type="number" step="0.1" min="0" placeholder="30% of supply" value="${block.dataset.vil || ''}" /></div>`;
+    html += `<div>VIH (V): <input id="prop-vih" type="number" step="0.1" min="0" placeholder="70% of supply" value="${block.dataset.vih || ''}" /></div>`;
+  }
   // show computed values
   if (block.dataset.current) html += `<div>Current: ${Number(block.dataset.current).toFixed(6)} A</div>`;
   if (block.dataset.voltageDrop) html += `<div>ΔV: ${Number(block.dataset.voltageDrop).toFixed(4)} V</div>`;
@@ -640,80 +785,271 @@ function updatePropertiesPanel(block) {
 
   const saveBtn = document.getElementById('prop-save');
   if (saveBtn) saveBtn.onclick = () => {
-    pushUndo();
-    if (type === 'battery') {
-      const v = Number(document.getElementById('prop-voltage').value);
-      block.dataset.voltage = String(v);
+    const before = { dataset: {...block.dataset} };
+    // new numeric parameters in SI units, checked before any is applied
+    const values = {};
+    const read = (id, scale = 1) => Number(document.getElementById(id).value) * scale;
+    if (type === 'battery') values.voltage = read('prop-voltage');
+    if (type === 'resistor') values.resistance = read('prop-resistance');
+    if (type === 'capacitor') values.capacitance = read('prop-capacitance', 1e-6);
+    if (type === 'inductor') values.inductance = read('prop-inductance', 1e-3);
+    if (type === 'clock') values.frequency = read('prop-frequency');
+    if (logicInputs) {
+      ['vil', 'vih'].forEach(k => {
+        const v = document.getElementById(`prop-${k}`).value;
+        if (v !== '') values[k] = Number(v);
+      });
     }
-    if (type === 'resistor') {
-      const r = Number(document.getElementById('prop-resistance').value);
-      block.dataset.resistance = String(r);
+    const problems = Object.keys(values).map(k => {
+      const problem = CircuitFormat.paramProblem(type, k, values[k]);
+      return problem && `${k}: ${problem}`;
+    }).filter(Boolean);
+    if (problems.length) { updateSimBanner(`Not saved — ${problems.join('; ')}`, 'error', true); return; }
+    Object.keys(values).forEach(k => { block.dataset[k] = String(values[k]); });
+    if (logicInputs) ['vil', 'vih'].forEach(k => { if (!(k in values)) delete block.dataset[k]; });
+    if (type === 'led') {
+      block.dataset.color = document.getElementById('prop-led-color').value;
     }
+    editHistory.record(changeCommand(`Change ${partLabel(partRecord(block))}`, block.dataset.id, before, { dataset: {...block.dataset} }));
     evaluateCircuit();
     updatePropertiesPanel(block);
   };
 }
 
-function pushUndo() {
-  // snapshot minimal state: blocks (type, id, dataset, position) and connections (indexes by connector)
-  const blocks = Array.from(workspace.querySelectorAll('.block')).map(b=>({ id: b.dataset.id, type: b.dataset.type, dataset: {...b.dataset}, left: b.style.left, top: b.style.top }));
-  // include wire nodes in snapshot
-  const nodes = Array.from(workspace.querySelectorAll('.wire-node')).map(n=>({ id: n.dataset.blockId, type: 'node', dataset:{...n.dataset}, left: n.style.left, top: n.style.top }));
-  const conns = connections.map(c=>({ conn1BlockId: c.conn1.dataset.blockId, conn1Terminal: c.conn1.dataset.terminal, conn2BlockId: c.conn2.dataset.blockId, conn2Terminal: c.conn2.dataset.terminal }));
-  undoStack.push({ blocks: blocks.concat(nodes), conns });
-  if (undoStack.length > 50) undoStack.shift();
+// A connection as saved: both ends, plus the hand-drawn route ([[x, y], ...]) if it has one
+function connEntry(c){
+  const entry = { conn1BlockId: c.conn1.dataset.blockId, conn1Terminal: c.conn1.dataset.terminal, conn2BlockId: c.conn2.dataset.blockId, conn2Terminal: c.conn2.dataset.terminal };
+  if (c.route) entry.route = c.route.map(p => [p.x, p.y]);
+  return entry;
 }
 
-function undo() {
-  const snap = undoStack.pop();
-  if (!snap) return;
-  // Clear workspace
-  // remove current blocks and wires
-  connections.forEach(c=>{ if (c.line && c.line.parentNode) c.line.parentNode.removeChild(c.line); });
-  connections = [];
-  workspace.querySelectorAll('.block').forEach(b=>b.remove());
-  // recreate blocks
-  snap.blocks.forEach(bdata=>{
-    if (bdata.type === 'node'){
-      const node = createWireNode(bdata.left || '0px', bdata.top || '0px');
-      node.dataset.blockId = bdata.id;
-    } else {
-      const b = createBlockInstance(bdata.type);
-      b.dataset.id = bdata.id;
-      Object.keys(bdata.dataset||{}).forEach(k=>b.dataset[k]=bdata.dataset[k]);
-      b.style.position='absolute'; b.style.left = bdata.left; b.style.top = bdata.top; b.classList.add('instance');
-      workspace.appendChild(b);
-      makeMovable(b);
+// Restore a saved hand-drawn route on a wire made by createWire
+function restoreRoute(wire, route){
+  if (!wire || !Array.isArray(route) || route.length < 2) return;
+  wire.route = route.map(([x, y]) => ({ x: Number(x), y: Number(y) }));
+  updateWirePosition(wire);
+}
+
+// --- Edit history (history.js) ---
+// Every edit in the workspace is recorded as a command that undoes and redoes just that edit:
+// parts and wires coming and going, moves, settings, rotation, switch flips and hand-routed wires.
+// Bulk changes (loading a file, importing SPICE, building from an expression) swap the whole
+// circuit. Undo/Redo, Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) and the history list all use editHistory.
+
+const partLabel = rec => `${rec.type === 'node' ? 'wire node' : rec.type} ${rec.id}`;
+
+// A part in the workspace (block or wire node) by its id
+function findPart(id){
+  return Array.from(workspace.querySelectorAll('.block, .wire-node'))
+    .find(x => (x.classList.contains('wire-node') ? x.dataset.blockId : x.dataset.id) === id) || null;
+}
+
+// A part as exportCircuit saves it, plus its rotation
+function partRecord(el){
+  if (el.classList.contains('wire-node')) return { id: el.dataset.blockId, type: 'node', dataset: {...el.dataset}, left: el.style.left || '0px', top: el.style.top || '0px' };
+  return { id: el.dataset.id, type: el.dataset.type, dataset: {...el.dataset}, left: el.style.left, top: el.style.top, transform: el.style.transform || '' };
+}
+
+// Move the id counters past a restored id (b7 -> new parts start at b8), so a part added after
+// loading a file or project never takes an id already in the workspace
+function reserveId(id){
+  const m = /^(b|node)(\d+)$/.exec(id || '');
+  if (!m) return;
+  if (m[1] === 'b') _blockIdCounter = Math.max(_blockIdCounter, Number(m[2]) + 1);
+  else _wireNodeCounter = Math.max(_wireNodeCounter, Number(m[2]) + 1);
+}
+
+// Put a saved part (exportCircuit's blocks, or partRecord) back in the workspace
+function placePart(bdata){
+  if (bdata.type === 'node'){
+    const node = createWireNode(bdata.left || '0px', bdata.top || '0px');
+    node.dataset.blockId = bdata.id || `node${_wireNodeCounter++}`;
+    reserveId(node.dataset.blockId);
+    return node;
+  }
+  const b = createBlockInstance(bdata.type);
+  b.dataset.id = bdata.id || `b${_blockIdCounter++}`;
+  Object.keys(bdata.dataset||{}).forEach(k=>b.dataset[k]=bdata.dataset[k]);
+  reserveId(b.dataset.id);
+  showBlockName(b);
+  // connectors were tagged with the fresh id; point them at the restored one
+  b.querySelectorAll('.input').forEach(c=>{ c.dataset.blockId = b.dataset.id; });
+  b.style.position='absolute'; b.style.left=bdata.left; b.style.top=bdata.top; b.classList.add('instance');
+  if (bdata.transform) b.style.transform = bdata.transform;
+  workspace.appendChild(b); makeMovable(b);
+  return b;
+}
+
+function connectorAt(blockId, terminal){
+  const el = findPart(blockId);
+  if (!el) return null;
+  return el.classList.contains('wire-node') ? el : connectorFor(el, terminal);
+}
+
+// The wire saved as `entry` (connEntry), whichever way round it was drawn
+function findWire(entry){
+  const end = (conn, id, t) => conn.dataset.blockId === id && conn.dataset.terminal === t;
+  return connections.find(c =>
+    (end(c.conn1, entry.conn1BlockId, entry.conn1Terminal) && end(c.conn2, entry.conn2BlockId, entry.conn2Terminal)) ||
+    (end(c.conn1, entry.conn2BlockId, entry.conn2Terminal) && end(c.conn2, entry.conn1BlockId, entry.conn1Terminal))) || null;
+}
+
+function placeWire(entry){
+  const wire = createWire(connectorAt(entry.conn1BlockId, entry.conn1Terminal), connectorAt(entry.conn2BlockId, entry.conn2Terminal));
+  restoreRoute(wire, entry.route);
+  return wire;
+}
+
+function removeWire(wire){
+  [wire.line, wire.dots].forEach(el => { if (el && el.parentNode) el.parentNode.removeChild(el); });
+  const i = connections.indexOf(wire);
+  if (i >= 0) connections.splice(i, 1);
+}
+
+// Parts and the wires between them appearing; undo takes them away again
+function addCommand(label, parts, wires){
+  const put = () => {
+    parts.forEach(placePart);
+    wires.forEach(placeWire);
+    evaluateCircuit();
+  };
+  const take = () => {
+    wires.forEach(w => { const c = findWire(w); if (c) removeWire(c); });
+    parts.forEach(p => { const el = findPart(p.id); if (el) removeBlockAndConnections(el); });
+    evaluateCircuit();
+  };
+  return { label, undo: take, redo: put };
+}
+
+function removeCommand(label, parts, wires){
+  const add = addCommand(label, parts, wires);
+  return { label, undo: add.redo, redo: add.undo };
+}
+
+function moveCommand(rec, from, to){
+  const set = pos => {
+    const el = findPart(rec.id);
+    if (!el) return;
+    el.style.left = pos.left; el.style.top = pos.top;
+    updateAllWires();
+    evaluateCircuit();
+  };
+  return { label: `Move ${partLabel(rec)}`, undo: () => set(from), redo: () => set(to) };
+}
+
+// A part's settings ({ dataset }) or rotation ({ transform }) changing from `before` to `after`
+function changeCommand(label, id, before, after){
+  const set = state => {
+    const el = findPart(id);
+    if (!el) return;
+    if (state.dataset) {
+      Object.keys(el.dataset).forEach(k => { if (!(k in state.dataset)) delete el.dataset[k]; });
+      Object.assign(el.dataset, state.dataset);
+      showBlockName(el);
     }
+    if (state.transform != null) { el.style.transform = state.transform; updateAllWires(); }
+    if (selectedBlock === el) updatePropertiesPanel(el);
+    evaluateCircuit();
+  };
+  return { label, undo: () => set(before), redo: () => set(after) };
+}
+
+// A wire's hand-drawn route (wire-router.js) changing; null is the automatic route
+function routeCommand(entry, before, after){
+  const set = route => {
+    const wire = findWire(entry);
+    if (!wire) return;
+    if (route) wire.route = route.map(p => ({ x: p.x, y: p.y })); else delete wire.route;
+    updateWirePosition(wire);
+  };
+  return { label: 'Move wire', undo: () => set(before), redo: () => set(after) };
+}
+
+// The whole circuit replaced (exportCircuit before and after)
+function circuitCommand(label, before, after){
+  return { label, undo: () => importCircuit(before), redo: () => importCircuit(after) };
+}
+
+function undo(){
+  if (editLocked('undoing')) return;
+  editHistory.undo();
+}
+
+function redo(){
+  if (editLocked('redoing')) return;
+  editHistory.redo();
+}
+
+// The history list: the starting point, then every command; click one to go back (or forward) to
+// just after it. Undone commands stay listed, dimmed, until something new is recorded.
+function renderHistoryPanel(){
+  const undoBtn = document.getElementById('undo-btn'), redoBtn = document.getElementById('redo-btn');
+  if (undoBtn) undoBtn.disabled = !editHistory.canUndo();
+  if (redoBtn) redoBtn.disabled = !editHistory.canRedo();
+  const list = document.getElementById('history-list');
+  if (!list) return;
+  list.innerHTML = '';
+  [{ label: 'Start', applied: true }].concat(editHistory.entries()).forEach((entry, n) => {
+    const li = document.createElement('li');
+    li.textContent = entry.label;
+    if (!entry.applied) li.classList.add('undone');
+    if (n === editHistory.position) li.classList.add('current');
+    li.addEventListener('click', () => {
+      if (editLocked('going back in the history')) return;
+      editHistory.jumpTo(n);
+    });
+    list.appendChild(li);
   });
-  // recreate connections
-  snap.conns.forEach(c=>{
-    const b1 = Array.from(workspace.querySelectorAll('.block')).find(x=>x.dataset.id===c.conn1BlockId);
-    const b2 = Array.from(workspace.querySelectorAll('.block')).find(x=>x.dataset.id===c.conn2BlockId);
-    if (!b1 || !b2) return;
-    const conn1 = b1.querySelector(`.input.${c.conn1Terminal}`);
-    const conn2 = b2.querySelector(`.input.${c.conn2Terminal}`);
-    if (conn1 && conn2) createWire(conn1, conn2);
-  });
-  evaluateCircuit();
+  list.scrollTop = list.scrollHeight;
 }
 
+document.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const t = e.target;
+  if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+});
+
 // Wire up UI buttons
 document.addEventListener('DOMContentLoaded', ()=>{
   const undoBtn = document.getElementById('undo-btn');
   const saveBtn = document.getElementById('save-btn');
   const loadBtn = document.getElementById('load-btn');
   const loadFile = document.getElementById('load-file');
+  const redoBtn = document.getElementById('redo-btn');
   if (undoBtn) undoBtn.onclick = () => undo();
+  if (redoBtn) redoBtn.onclick = () => redo();
+  renderHistoryPanel();
   if (saveBtn) saveBtn.onclick = () => {
-    const data = exportCircuit();
+    const lesson = currentLesson();
+    const data = CircuitFormat.save(exportCircuit(), { title: lesson ? lesson.title : 'Untitled circuit', lesson, savedAt: new Date().toISOString() });
     const blob = new Blob([JSON.stringify(data, null, 2)], {type:'application/json'});
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a'); a.href = url; a.download = 'circuit.json'; a.click(); URL.revokeObjectURL(url);
   };
   if (loadBtn && loadFile) loadBtn.onclick = () => loadFile.click();
   if (loadFile) loadFile.onchange = e=>{
-    const f = e.target.files[0]; if (!f) return; const r = new FileReader(); r.onload = ev=>{ try{ importCircuit(JSON.parse(ev.target.result)); }catch(err){ console.error(err); } }; r.readAsText(f);
+    const f = e.target.files[0]; if (!f) return; const r = new FileReader(); r.onload = ev=>{
+      try{ loadCircuitFile(ev.target.result, f.name); }catch(err){ console.error(err); }
+    }; r.readAsText(f);
+    loadFile.value = '';
+  };
+  const spiceExportBtn = document.getElementById('spice-export-btn');
+  const spiceImportBtn = document.getElementById('spice-import-btn');
+  const spiceFile = document.getElementById('load-spice');
+  if (spiceExportBtn) spiceExportBtn.onclick = () => {
+    const text = exportSpice();
+    if (text == null) return;
+    const blob = new Blob([text], {type:'text/plain'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = 'circuit.cir'; a.click(); URL.revokeObjectURL(url);
+  };
+  if (spiceImportBtn && spiceFile) spiceImportBtn.onclick = () => { if (editLocked('importing')) return; spiceFile.click(); };
+  if (spiceFile) spiceFile.onchange = e=>{
+    const f = e.target.files[0]; if (!f) return; const r = new FileReader(); r.onload = ev=>{ try{ importSpice(ev.target.result); }catch(err){ console.error(err); } }; r.readAsText(f);
+    spiceFile.value = '';
   };
   // clear connector selection when clicking elsewhere
   document.addEventListener('click', (ev) => {
@@ -731,7 +1067,8 @@ workspace.addEventListener('contextmenu', e => {
   e.preventDefault();
   const node = createWireNode(e.clientX, e.clientY);
   // connect selectedConnector -> node and set node as new selectedConnector so user can continue
-  createWire(selectedConnector, node);
+  const wire = createWire(selectedConnector, node);
+  editHistory.record(addCommand('Add wire node', [partRecord(node)], wire ? [connEntry(wire)] : []));
   try { if (selectedConnector && selectedConnector.classList) selectedConnector.classList.remove('selected'); } catch(e){}
   selectedConnector = node; node.classList.add('selected');
 });
@@ -754,70 +1091,535 @@ workspace.addEventListener('contextmenu', e => {
   // system summary persistence removed
 });
 
+// The workspace as JSON: the shape the solvers, tools and importCircuit() use. Files on disk are
+// this converted to the versioned format by CircuitFormat.save() (circuit-format.js).
 function exportCircuit(){
-  const blocks = Array.from(workspace.querySelectorAll('.block')).map(b=>({ id:b.dataset.id, type:b.dataset.type, dataset:{...b.dataset}, left:b.style.left, top:b.style.top }));
+  const blocks = Array.from(workspace.querySelectorAll('.block')).map(partRecord);
   // include wire nodes so they can be persisted
-  const nodes = Array.from(workspace.querySelectorAll('.wire-node')).map(n=>({ id: n.dataset.blockId, type: 'node', dataset: {...n.dataset}, left: n.style.left || '0px', top: n.style.top || '0px' }));
+  const nodes = Array.from(workspace.querySelectorAll('.wire-node')).map(partRecord);
   const allBlocks = blocks.concat(nodes);
-  const conns = connections.map(c=>({ conn1BlockId:c.conn1.dataset.blockId, conn1Terminal:c.conn1.dataset.terminal, conn2BlockId:c.conn2.dataset.blockId, conn2Terminal:c.conn2.dataset.terminal }));
+  const conns = connections.map(connEntry);
   return { blocks: allBlocks, conns };
 }
 
+// Load a saved file (any version): a file with problems is reported in full and not loaded
+function loadCircuitFile(text, fileName = 'circuit.json'){
+  if (editLocked('loading')) return null;
+  const result = CircuitFormat.load(text);
+  if (!result.ok) {
+    console.warn(`CT: ${fileName} was not loaded:`, result.problems);
+    const shown = result.problems.slice(0, 4).join('\n');
+    const more = result.problems.length > 4 ? `\n…and ${result.problems.length - 4} more (see the console)` : '';
+    updateSimBanner(`${fileName} was not loaded: ${result.problems.length} problem(s).\n${shown}${more}`, 'error', true);
+    return result;
+  }
+  const before = exportCircuit();
+  importCircuit(result.circuit);
+  editHistory.record(circuitCommand(`Load ${fileName}`, before, exportCircuit()));
+  const lesson = result.doc.meta.lesson;
+  if (lesson) selectLesson(lesson.level);
+  if (result.migratedFrom) updateSimBanner(`${fileName} was saved in an older format (version ${result.migratedFrom}); saving it again updates it.`, 'ok', true);
+  return result;
+}
+
+// The lesson picked in the lesson panel, as saved in files
+function currentLesson(){
+  const sel = document.getElementById('level-select');
+  if (!sel || sel.value === '') return null;
+  const title = document.getElementById('level-title');
+  const desc = document.querySelector('#level-desc p');
+  const lesson = { level: Number(sel.value), title: title ? title.textContent : '' };
+  if (desc) lesson.description = desc.textContent;
+  return lesson;
+}
+
+function selectLesson(level){
+  const sel = document.getElementById('level-select');
+  if (!sel || !Array.from(sel.options).some(o => Number(o.value) === level)) return;
+  sel.value = String(level);
+  sel.dispatchEvent(new Event('change'));
+}
+
+// --- Projects (project-store.js): named circuits autosaved in the browser ---
+// The open project is saved a few seconds after every edit (anything that reaches editHistory)
+// and when the page is hidden, and is opened again on the next visit, so a refresh or crash
+// loses at most the last few seconds of work.
+const AUTOSAVE_MS = 3000;
+const CURRENT_PROJECT_KEY = 'ct-current-project';
+let projectStore = null;
+let currentProject = null;
+let projectDirty = false;
+let projectSaving = null;   // the save in progress
+
+function markProjectDirty(){
+  if (!currentProject || projectDirty) return;
+  projectDirty = true;
+  showProjectStatus();
+}
+
+function showProjectStatus(text){
+  const name = document.getElementById('project-name');
+  const status = document.getElementById('project-status');
+  if (name) name.textContent = currentProject ? currentProject.name : '';
+  if (!status) return;
+  if (text) status.textContent = text;
+  else if (projectStore && !projectStore.persistent) status.textContent = 'Not kept after closing (browser storage unavailable)';
+  else status.textContent = projectDirty ? 'Unsaved changes' : 'Saved';
+}
+
+function workspaceThumbnail(){
+  return ProjectStore.thumbnail({
+    width: workspace.clientWidth, height: workspace.clientHeight,
+    parts: partBoxes(), wires: connections.map(c => c.points || [])
+  });
+}
+
+// Write the workspace into the open project
+function saveProject(){
+  if (!projectStore || !currentProject) return Promise.resolve();
+  if (projectSaving) return projectSaving.then(() => saveProject());
+  const p = Object.assign({}, currentProject, {
+    doc: CircuitFormat.save(exportCircuit(), { title: currentProject.name, lesson: currentLesson(), savedAt: new Date().toISOString() }),
+    thumbnail: workspaceThumbnail(),
+    updated: Date.now()
+  });
+  projectDirty = false;
+  projectSaving = projectStore.put(p).then(() => {
+    if (currentProject && currentProject.id === p.id) currentProject = p;
+    showProjectStatus();
+  }, err => {
+    console.warn('CT: autosave failed', err);
+    projectDirty = true;
+    showProjectStatus('Autosave failed');
+  }).then(() => { projectSaving = null; });
+  return projectSaving;
+}
+
+// Replace the workspace with a project; `restored` when reopening the last one on page load
+function openProject(p, restored = false){
+  const result = CircuitFormat.load(p.doc);
+  if (!result.ok) {
+    console.warn(`CT: project ${p.name} could not be opened:`, result.problems);
+    updateSimBanner(`“${p.name}” could not be opened: ${result.problems.length} problem(s).\n${result.problems.slice(0, 4).join('\n')}`, 'error', true);
+    return false;
+  }
+  importCircuit(result.circuit);
+  editHistory.clear();
+  currentProject = p;
+  projectDirty = false;
+  try { localStorage.setItem(CURRENT_PROJECT_KEY, p.id); } catch(e){}
+  const lesson = result.doc.meta.lesson;
+  if (lesson) selectLesson(lesson.level);
+  showProjectStatus();
+  if (restored && result.circuit.blocks.length) {
+    updateSimBanner(`Restored “${p.name}” as autosaved at ${new Date(p.updated).toLocaleTimeString()}.`, 'ok', true);
+  }
+  return true;
+}
+
+// The workspace as it is, as a new project
+function keepAsProject(name){
+  return projectStore.list().then(list => {
+    currentProject = ProjectStore.create(ProjectStore.uniqueName(name, list.map(x => x.name)), null);
+    try { localStorage.setItem(CURRENT_PROJECT_KEY, currentProject.id); } catch(e){}
+    return saveProject();
+  }).then(renderProjectList);
+}
+
+// Projects are switched only between edits: the open one is saved first
+function switchProject(id){
+  if (editLocked('switching projects')) return Promise.resolve();
+  return saveProject().then(() => projectStore.get(id)).then(p => {
+    if (p) openProject(p);
+    renderProjectList();
+  });
+}
+
+function newProject(){
+  if (editLocked('starting a new project')) return Promise.resolve();
+  return saveProject().then(() => projectStore.list()).then(list => {
+    const p = ProjectStore.create(ProjectStore.uniqueName('Untitled', list.map(x => x.name)), CircuitFormat.save({ blocks: [], conns: [] }, { title: 'Untitled' }));
+    openProject(p);
+    return saveProject();
+  }).then(renderProjectList);
+}
+
+function renameProject(id){
+  return projectStore.get(id).then(p => {
+    if (!p) return;
+    const name = (prompt('Rename project', p.name) || '').trim();
+    if (!name || name === p.name) return;
+    p.name = name;
+    p.updated = Date.now();
+    if (currentProject && currentProject.id === id) currentProject.name = name;
+    return projectStore.put(p).then(() => showProjectStatus());
+  }).then(renderProjectList);
+}
+
+function duplicateProject(id){
+  const ready = currentProject && currentProject.id === id ? saveProject() : Promise.resolve();
+  return ready.then(() => Promise.all([projectStore.get(id), projectStore.list()])).then(([p, list]) => {
+    if (!p) return;
+    const copy = ProjectStore.create(ProjectStore.copyName(p.name, list.map(x => x.name)), p.doc, p.thumbnail);
+    return projectStore.put(copy);
+  }).then(renderProjectList);
+}
+
+function deleteProject(id){
+  return projectStore.get(id).then(p => {
+    if (!p || !confirm(`Delete “${p.name}”? This cannot be undone.`)) return;
+    return projectStore.remove(id).then(() => {
+      if (!currentProject || currentProject.id !== id) return;
+      currentProject = null;
+      // carry on in the most recent project left, or a new empty one
+      return projectStore.list().then(list => (list.length ? switchProject(list[0].id) : newProject()));
+    });
+  }).then(renderProjectList);
+}
+
+function renderProjectList(){
+  const list = document.getElementById('project-list');
+  if (!list || !projectStore) return Promise.resolve();
+  return projectStore.list().then(projects => {
+    list.innerHTML = '';
+    projects.forEach(p => {
+      const li = document.createElement('li');
+      li.className = 'project-card' + (currentProject && currentProject.id === p.id ? ' current' : '');
+      const img = document.createElement('img');
+      img.alt = '';
+      if (p.thumbnail) img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(p.thumbnail);
+      const name = document.createElement('strong');
+      name.textContent = p.name;
+      const when = document.createElement('small');
+      when.textContent = `Edited ${new Date(p.updated).toLocaleString()}`;
+      const actions = document.createElement('div');
+      actions.className = 'project-actions';
+      [['Open', switchProject], ['Rename', renameProject], ['Duplicate', duplicateProject], ['Delete', deleteProject]].forEach(([label, fn]) => {
+        const b = document.createElement('button');
+        b.textContent = label;
+        b.addEventListener('click', () => { fn(p.id); if (label === 'Open') closeProjectBrowser(); });
+        actions.appendChild(b);
+      });
+      li.append(img, name, when, actions);
+      list.appendChild(li);
+    });
+  });
+}
+
+function openProjectBrowser(){
+  const modal = document.getElementById('projects-modal');
+  if (!modal) return;
+  // the list shows the open project as it is now
+  (projectDirty ? saveProject() : Promise.resolve()).then(renderProjectList);
+  modal.classList.add('visible');
+  modal.setAttribute('aria-hidden', 'false');
+}
+
+function closeProjectBrowser(){
+  const modal = document.getElementById('projects-modal');
+  if (!modal) return;
+  modal.classList.remove('visible');
+  modal.setAttribute('aria-hidden', 'true');
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const modal = document.getElementById('projects-modal');
+  const btn = document.getElementById('projects-btn');
+  if (btn) btn.addEventListener('click', openProjectBrowser);
+  if (modal) {
+    modal.querySelector('.overlay')?.addEventListener('click', closeProjectBrowser);
+    modal.querySelector('.close')?.addEventListener('click', closeProjectBrowser);
+  }
+  const newBtn = document.getElementById('project-new');
+  if (newBtn) newBtn.addEventListener('click', () => { newProject(); closeProjectBrowser(); });
+
+  ProjectStore.open().then(store => {
+    projectStore = store;
+    // a circuit from a link is opened instead of the last project
+    const shared = openSharedLink();
+    if (viewOnly) { showProjectStatus(); return; }   // nothing is saved while viewing a link
+    if (shared) return keepAsProject(shared).then(clearSharedLink);
+    let lastId = null;
+    try { lastId = localStorage.getItem(CURRENT_PROJECT_KEY); } catch(e){}
+    return (lastId ? store.get(lastId) : Promise.resolve(null))
+      .then(p => p || store.list().then(list => list[0] || null))
+      .then(p => {
+        if (p && openProject(p, true)) return;
+        // first visit (or the last project is unreadable): keep whatever is on the workspace
+        return keepAsProject('Untitled');
+      });
+  }).catch(err => console.warn('CT: projects unavailable', err));
+
+  setInterval(() => { if (projectDirty) saveProject(); }, AUTOSAVE_MS);
+  document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden' && projectDirty) saveProject(); });
+  window.addEventListener('pagehide', () => { if (projectDirty) saveProject(); });
+});
+
+// --- Shared links (share-link.js): the circuit compressed into the address ---
+// Opening a link loads its circuit as a new project; with the view option the circuit can be
+// run, probed and measured but not changed (for demos), and nothing is saved until "Edit a copy".
+let viewOnly = false;
+let sharedTitle = null;
+
+function setViewOnly(on){
+  viewOnly = !!on;
+  document.body.classList.toggle('view-only', viewOnly);
+  const bar = document.getElementById('view-only-bar');
+  if (bar) bar.hidden = !viewOnly;
+  if (viewOnly) setSelection([]);
+}
+
+// Load the circuit in the page's address, if any; returns its title, or null
+function openSharedLink(){
+  const link = ShareLink.decode(location.hash);
+  if (!link) return null;
+  if (link.error) { updateSimBanner(`The circuit in this link could not be read: ${link.error}.`, 'error', true); return null; }
+  const result = CircuitFormat.load(link.text);
+  if (!result.ok) {
+    console.warn('CT: shared circuit not loaded:', result.problems);
+    updateSimBanner(`The circuit in this link was not loaded: ${result.problems.length} problem(s).\n${result.problems.slice(0, 4).join('\n')}`, 'error', true);
+    return null;
+  }
+  importCircuit(result.circuit);
+  const lesson = result.doc.meta.lesson;
+  if (lesson) selectLesson(lesson.level);
+  setViewOnly(link.view);
+  sharedTitle = result.doc.meta.title;
+  return sharedTitle;
+}
+
+// Once the circuit is a project, a reload should open the project, not the link again
+function clearSharedLink(){
+  try { history.replaceState(null, '', location.pathname + location.search); } catch(e){}
+}
+
+function copyShareLink(){
+  const view = !!(document.getElementById('share-view') || {}).checked;
+  const title = currentProject ? currentProject.name : 'Shared circuit';
+  const doc = CircuitFormat.save(exportCircuit(), { title, lesson: currentLesson() });
+  const url = location.href.split('#')[0] + ShareLink.encode(doc, { view });
+  const copied = () => {
+    if (url.length > ShareLink.WARN_LENGTH) {
+      updateSimBanner(`Link copied, but it is ${url.length} characters long: some email and chat apps cut links over ${ShareLink.WARN_LENGTH}. If it arrives broken, send a saved file instead.`, 'error', true);
+    } else updateSimBanner(view ? 'View-only link copied.' : 'Link copied.', 'ok', true);
+  };
+  const ask = () => { if (prompt('Copy this link', url) !== null) copied(); };
+  if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(url).then(copied, ask);
+  else ask();
+  return url;
+}
+
+// Leave view-only mode with the circuit as a new project of one's own
+function editSharedCopy(){
+  setViewOnly(false);
+  clearSharedLink();
+  if (projectStore) keepAsProject(sharedTitle || 'Shared circuit');
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const shareBtn = document.getElementById('share-btn');
+  const editBtn = document.getElementById('view-only-edit');
+  if (shareBtn) shareBtn.addEventListener('click', copyShareLink);
+  if (editBtn) editBtn.addEventListener('click', editSharedCopy);
+  // a link pasted into this tab's address bar only changes the fragment
+  window.addEventListener('hashchange', () => {
+    if (!ShareLink.decode(location.hash)) return;
+    (projectDirty ? saveProject() : Promise.resolve()).then(() => location.reload());
+  });
+});
+
+// --- Pictures and worksheets (circuit-image.js) ---
+const PNG_SCALE = 2;   // PNG pixels per workspace pixel, for print
+
+function download(blob, name){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = name; a.click(); URL.revokeObjectURL(url);
+}
+
+// The workspace as CircuitImage draws it; solved values (and the wires' voltage colours) only
+// when asked for
+function imageScene(withValues){
+  const blocks = Array.from(workspace.querySelectorAll('.block.instance'));
+  const names = CircuitExplainer.nameParts(blocks.map(b => ({ id: b.dataset.id, type: b.dataset.type })));
+  const center = el => { const r = workspaceBox(el); return { x: (r.left + r.right) / 2, y: (r.top + r.bottom) / 2 }; };
+  const parts = blocks.map(b => {
+    const type = b.dataset.type;
+    const box = workspaceBox(b), c = center(b);
+    const label = b.querySelector('.component-label');
+    const turn = /rotate\((-?\d+)deg\)/.exec(b.style.transform || '');
+    const values = [];
+    if (withValues && b.dataset.current != null && b.dataset.current !== '') {
+      values.push(Multimeter.format(Number(b.dataset.voltageDrop) || 0, 'V'), Multimeter.format(Number(b.dataset.current) || 0, 'A'));
+    }
+    return {
+      name: names.get(b.dataset.id), type, label: label ? label.textContent : type.toUpperCase(),
+      cx: c.x, cy: c.y, w: b.offsetWidth || box.right - box.left, h: b.offsetHeight || box.bottom - box.top,
+      rotation: turn ? ((Number(turn[1]) % 360) + 360) % 360 : 0,
+      icon: svgMap[type] || (Gates.isGate(type) ? svgMap[Gates.get(type).family] : null),
+      symbol: schematicView ? SchematicSymbols.svg(type, symbolStyle, { state: b.dataset.state }) : null,
+      mirrored: b.dataset.flipped === 'true' && !Gates.isGate(type),
+      pins: Array.from(b.querySelectorAll('.input')).map(p => Object.assign(center(p), {
+        kind: p.classList.contains('anode') ? 'anode' : p.classList.contains('cathode') ? 'cathode' : ''
+      })),
+      values
+    };
+  });
+  const nodes = Array.from(workspace.querySelectorAll('.wire-node')).map(center);
+  const wires = connections.map(c => ({ points: c.points || [], color: withValues ? c.line.getAttribute('stroke') : WIRE_COLOR }));
+  return { parts, nodes, wires };
+}
+
+function withValuesChecked(){
+  const box = document.getElementById('export-values');
+  return !!(box && box.checked);
+}
+
+function exportSvg(){
+  const text = CircuitImage.svg(imageScene(withValuesChecked()));
+  download(new Blob([text], { type: 'image/svg+xml' }), 'circuit.svg');
+  return text;
+}
+
+// The SVG drawn onto a canvas
+function exportPng(){
+  const text = CircuitImage.svg(imageScene(withValuesChecked()));
+  const [, w, h] = /width="([\d.]+)" height="([\d.]+)"/.exec(text).map(Number);
+  const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(w * PNG_SCALE);
+    canvas.height = Math.ceil(h * PNG_SCALE);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(PNG_SCALE, PNG_SCALE);
+    ctx.drawImage(img, 0, 0, w, h);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => download(blob, 'circuit.png'), 'image/png');
+  };
+  img.onerror = () => { URL.revokeObjectURL(url); updateSimBanner('The PNG could not be drawn; try Export SVG.', 'error', true); };
+  img.src = url;
+}
+
+// A worksheet for a lesson ({ title, desc, tips } from the lesson panel's levels), opened for
+// printing; it is for predicting and measuring, so it never shows solved values
+function printWorksheet(lesson){
+  const scene = imageScene(false);
+  const html = CircuitImage.worksheet({
+    title: lesson.title, description: lesson.desc, tips: lesson.tips || [],
+    image: CircuitImage.svg(scene), rows: CircuitImage.measurementRows(scene.parts)
+  });
+  const w = window.open('', '_blank');
+  if (!w) { updateSimBanner('Allow pop-ups for this page to print the worksheet.', 'error', true); return html; }
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  w.print();
+  return html;
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const svgBtn = document.getElementById('export-svg-btn');
+  const pngBtn = document.getElementById('export-png-btn');
+  if (svgBtn) svgBtn.addEventListener('click', exportSvg);
+  if (pngBtn) pngBtn.addEventListener('click', exportPng);
+});
+
+// Replace the workspace with `data` (the exportCircuit() shape). Files, projects and links come
+// through CircuitFormat.load(), which has checked them; anything else with a wire to a part or
+// terminal it does not have is refused whole, leaving the workspace as it was.
 function importCircuit(data){
-  if (!data) return;
+  if (!data) return false;
+  const types = new Map(data.blocks.map(b => [b.id, b.type]));
+  const ends = (id, terminal) => types.get(id) === 'node' || (types.has(id) && CircuitFormat.pins(types.get(id)).includes(terminal));
+  const broken = data.conns.filter(c => !ends(c.conn1BlockId, c.conn1Terminal) || !ends(c.conn2BlockId, c.conn2Terminal));
+  if (broken.length) {
+    console.warn('CT: importCircuit - wires to missing parts or terminals:', broken);
+    updateSimBanner(`Not loaded: ${broken.length} wire(s) end on a part or terminal that is not in the circuit.`, 'error', true);
+    return false;
+  }
   // clear current
-  connections.forEach(c=>{ if (c.line && c.line.parentNode) c.line.parentNode.removeChild(c.line); }); connections=[];
-  workspace.querySelectorAll('.block').forEach(b=>b.remove());
-  data.blocks.forEach(bdata=>{
-    if (bdata.type === 'node'){
-      // create a wire-node at the stored position
-      const node = createWireNode(bdata.left || '0px', bdata.top || '0px');
-      node.dataset.blockId = bdata.id || `node${_wireNodeCounter++}`;
-      // make node draggable already handled in createWireNode
-    } else {
-      const b = createBlockInstance(bdata.type);
-      b.dataset.id = bdata.id || `b${_blockIdCounter++}`;
-      Object.keys(bdata.dataset||{}).forEach(k=>b.dataset[k]=bdata.dataset[k]);
-      b.style.position='absolute'; b.style.left=bdata.left; b.style.top=bdata.top; b.classList.add('instance');
-      workspace.appendChild(b); makeMovable(b);
-    }
+  connections.slice().forEach(removeWire);
+  workspace.querySelectorAll('.block, .wire-node').forEach(b=>b.remove());
+  data.blocks.forEach(placePart);
+  data.conns.forEach(c => restoreRoute(createWire(connectorAt(c.conn1BlockId, c.conn1Terminal), connectorAt(c.conn2BlockId, c.conn2Terminal)), c.route));
+  evaluateCircuit();
+  return true;
+}
+
+// Export the workspace as a SPICE netlist; the first battery's - net becomes node 0 (ground).
+// Returns null, with a message, when no part is wired to anything
+function exportSpice(){
+  const model = buildCircuitModel();
+  const blocks = Array.from(workspace.querySelectorAll('.block'));
+  const components = blocks.map(b => {
+    const nets = {};
+    b.querySelectorAll('.input').forEach(c => { nets[c.dataset.terminal] = model.netFor(c); });
+    return { id: b.dataset.id, type: b.dataset.type, dataset: {...b.dataset}, nets };
   });
-  data.conns.forEach(c=>{
-    // Try to resolve both connection endpoints: can be blocks or wire-nodes
-    const allConnectors = Array.from(workspace.querySelectorAll('.block, .wire-node'));
-    // primary match by dataset.id, fallback to element id if present
-    const b1 = allConnectors.find(x => x.dataset.id === c.conn1BlockId || x.dataset.blockId === c.conn1BlockId || x.id === c.conn1BlockId);
-    const b2 = allConnectors.find(x => x.dataset.id === c.conn2BlockId || x.dataset.blockId === c.conn2BlockId || x.id === c.conn2BlockId);
-    if (!b1 || !b2) {
-      // record missing connection entries for later reporting (do not throw)
-      if (!importCircuit._missingConns) importCircuit._missingConns = [];
-      importCircuit._missingConns.push({ requested: c, found1: !!b1, found2: !!b2 });
-      return;
-    }
-    // connectors may be .input children (blocks) or the node element itself
-    const conn1 = b1.classList && b1.classList.contains('wire-node') ? b1 : b1.querySelector(`.input.${c.conn1Terminal}`);
-    const conn2 = b2.classList && b2.classList.contains('wire-node') ? b2 : b2.querySelector(`.input.${c.conn2Terminal}`);
-    if (conn1 && conn2) createWire(conn1, conn2);
+  const ground = SpiceNetlist.groundNet(components);
+  if (ground == null) {
+    updateSimBanner('SPICE export: wire the parts together first — a netlist needs at least one node.', 'error', true);
+    return null;
+  }
+  return SpiceNetlist.exportNetlist({ title: 'Circuit Studio export', ground, components });
+}
+
+// Replace the workspace with the parts of a SPICE netlist, laid out on a grid and wired by node name
+function importSpice(text){
+  const parsed = SpiceNetlist.parseNetlist(text);
+  // a value the saved-file format refuses (an infinite voltage, say) would make the project unsavable
+  parsed.elements = parsed.elements.filter(el => {
+    const problems = CircuitFormat.validate(CircuitFormat.save({ blocks: [{ id: 'part', type: el.kind, dataset: el.dataset }], conns: [] }));
+    if (problems.length) parsed.warnings.push(`${el.name}: ${problems.map(p => p.replace(/^components\[0\]\.params\./, '')).join('; ')} — skipped`);
+    return !problems.length;
   });
-  // Report any connection entries that referenced non-existent blocks so users can fix JSON
-  if (importCircuit._missingConns && importCircuit._missingConns.length) {
-    try {
-      console.warn('CT: importCircuit - some connections referenced missing blocks:', importCircuit._missingConns);
-      updateSimBanner(`Import: ${importCircuit._missingConns.length} connection(s) referenced missing block IDs. Check the JSON and console for details.`, 'error', true);
-      // keep the missingConns visible briefly
-      setTimeout(()=>{ updateSimBanner('', 'ok', false); }, 4000);
-    } catch(e) { console.warn('CT: failed to report missing conns', e); }
-    // clear for next import
-    importCircuit._missingConns = [];
-  }
-  // system summary import removed
+  if (!parsed.elements.length) {
+    updateSimBanner('SPICE import: no supported elements found (R, C, L, V, D and logic-gate B-sources are understood).', 'error', true);
+    return parsed;
+  }
+  const before = exportCircuit();
+  connections.slice().forEach(removeWire);
+  workspace.querySelectorAll('.block, .wire-node').forEach(b=>b.remove());
+  // sources go first so the layout reads left-to-right from the supply
+  const ordered = parsed.elements.filter(e => e.kind === 'battery').concat(parsed.elements.filter(e => e.kind !== 'battery'));
+  const perRow = Math.max(3, Math.floor((workspace.clientWidth || 720) / 160));
+  const terminalsByNode = new Map();
+  ordered.forEach((el, i) => {
+    const b = createBlockInstance(el.kind);
+    Object.keys(el.dataset).forEach(k => b.dataset[k] = el.dataset[k]);
+    b.style.position = 'absolute';
+    b.style.left = `${40 + (i % perRow) * 160}px`;
+    b.style.top = `${40 + Math.floor(i / perRow) * 130}px`;
+    b.classList.add('instance');
+    workspace.appendChild(b); makeMovable(b);
+    Object.keys(el.nodes).forEach(key => {
+      const node = el.nodes[key];
+      const conn = connectorFor(b, key);
+      if (node == null || !conn) return;
+      if (!terminalsByNode.has(node)) terminalsByNode.set(node, []);
+      terminalsByNode.get(node).push(conn);
+    });
+  });
+  // chain every terminal on a node to the next one
+  terminalsByNode.forEach(conns => { for (let i = 1; i < conns.length; i++) createWire(conns[i - 1], conns[i]); });
+  if (parsed.warnings.length) {
+    console.warn('CT: importSpice warnings:', parsed.warnings);
+    updateSimBanner(`SPICE import: ${parsed.warnings.length} line(s) skipped or simplified. ${parsed.warnings[0]}`, 'error', true);
+    setTimeout(()=>{ updateSimBanner('', 'ok', false); }, 6000);
+  }
+  editHistory.record(circuitCommand('Import SPICE', before, exportCircuit()));
   evaluateCircuit();
+  return parsed;
 }
 
 // --- Handle connecting two inputs ---
 function handleConnectorClick(e, connector) {
   e.stopPropagation();
-  if (isSimRunning) { updateSimBanner('Stop simulation before editing connections.', 'error', true); return; }
+  // probes may be attached while the simulation runs
+  if (probeMode) { toggleVoltageProbe(connector); return; }
+  if (meterMode) { placeMeterProbe(connector); return; }
+  if (editLocked('editing connections')) return;
   if (!selectedConnector) {
     // select the first connector
     selectedConnector = connector;
@@ -840,14 +1642,15 @@ function handleConnectorClick(e, connector) {
     return;
   }
   // connect the two
-  createWire(selectedConnector, connector);
+  const wire = createWire(selectedConnector, connector);
+  if (wire) editHistory.record(addCommand('Add wire', [], [connEntry(wire)]));
   selectedConnector.classList.remove("selected");
   selectedConnector = null;
 }
 
 // --- Draw a wire between two connectors ---
 function createWire(conn1, conn2) {
-  if (isSimRunning) { updateSimBanner('Stop simulation before creating wires.', 'error', true); return; }
+  if (editLocked('creating wires')) return;
   // Validate connectors: must be elements inside the workspace and be input elements
   if (!conn1 || !conn2) return;
   if (!(conn1 instanceof Element) || !(conn2 instanceof Element)) return;
@@ -865,24 +1668,32 @@ function createWire(conn1, conn2) {
     if ((c.conn1 === conn1 && c.conn2 === conn2) || (c.conn1 === conn2 && c.conn2 === conn1)) return;
   }
 
-  const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+  // a polyline: two points when drawn straight, the whole route with wire routing on
+  const line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+  line.setAttribute("class", "wire");
   line.setAttribute("stroke", "#222");
   line.setAttribute("stroke-width", "2");
   line.setAttribute('stroke-linecap', 'round');
+  line.setAttribute('stroke-linejoin', 'round');
+  line.setAttribute('fill', 'none');
   // store lightweight metadata for inspection/debugging
   line.dataset.from = `${conn1.dataset.blockId || '?'}/${conn1.dataset.terminal || '?'}`;
   line.dataset.to = `${conn2.dataset.blockId || '?'}/${conn2.dataset.terminal || '?'}`;
 
-  svg.appendChild(line);
+  svg.insertBefore(line, flowLayer);
 
-  connections.push({ line, conn1, conn2 });
-  updateWirePosition({ line, conn1, conn2 });
+  const wire = { line, conn1, conn2 };
+  connections.push(wire);
+  line.addEventListener('mousedown', e => startSegmentDrag(e, wire));
+  updateWirePosition(wire);
   // evaluate circuit whenever a wire is created
   evaluateCircuit();
+  return wire;
 }
 
 // --- Update wire position ---
-function updateWirePosition(conn) {
+// boxes: part boxes for routing, when the caller has them already (updateAllWires)
+function updateWirePosition(conn, boxes) {
   const { conn1, conn2, line } = conn;
   if (!line) return;
   if (!conn1 || !conn2) {
@@ -901,10 +1712,10 @@ function updateWirePosition(conn) {
     const x2 = rect2.left + rect2.width / 2 - wsRect.left;
     const y2 = rect2.top + rect2.height / 2 - wsRect.top;
 
-    line.setAttribute("x1", x1);
-    line.setAttribute("y1", y1);
-    line.setAttribute("x2", x2);
-    line.setAttribute("y2", y2);
+    const from = { x: x1, y: y1 }, to = { x: x2, y: y2 };
+    conn.points = wireRouting ? routeWire(conn, from, to, boxes) : [from, to];
+    line.setAttribute("points", conn.points.map(p => `${p.x},${p.y}`).join(' '));
+    if (conn.dots) conn.dots.setAttribute('points', line.getAttribute('points'));
   } catch (e) {
     // if anything goes wrong, safely remove line and its connection entry
     try { if (line.parentNode) line.parentNode.removeChild(line); } catch (er) {}
@@ -915,571 +1726,479 @@ function updateWirePosition(conn) {
 
 // --- Update all wires when blocks move ---
 function updateAllWires() {
-  connections.forEach(updateWirePosition);
+  const boxes = wireRouting ? partBoxes() : null;
+  connections.forEach(c => updateWirePosition(c, boxes));
+}
+
+// --- Orthogonal wire routing (wire-router.js) ---
+// With routing on, wires run horizontally and vertically around the parts and are re-routed
+// whenever a part moves. A segment dragged by hand pins the wire's route (wire.route), which then
+// only stretches at its ends as parts move; it is saved with the circuit.
+
+let wireRouting = false;
+
+function workspaceBox(el){
+  const r = el.getBoundingClientRect(), ws = workspace.getBoundingClientRect();
+  return { left: r.left - ws.left, top: r.top - ws.top, right: r.right - ws.left, bottom: r.bottom - ws.top };
+}
+
+function partBoxes(){
+  return Array.from(workspace.querySelectorAll('.block.instance')).map(workspaceBox);
+}
+
+// A wire end for WireRouter: the connector's point, its part's box and the side it is on
+function wireEnd(connector, point){
+  const block = connector.closest('.block');
+  if (!block) return point;
+  const box = workspaceBox(block);
+  const dx = (point.x - (box.left + box.right) / 2) / Math.max(1, box.right - box.left);
+  const dy = (point.y - (box.top + box.bottom) / 2) / Math.max(1, box.bottom - box.top);
+  const dir = Math.abs(dx) >= Math.abs(dy) ? (dx < 0 ? 'left' : 'right') : (dy < 0 ? 'up' : 'down');
+  return { x: point.x, y: point.y, dir, box };
+}
+
+function routeWire(conn, from, to, boxes){
+  if (conn.route) {
+    const fitted = WireRouter.fit(conn.route, from, to);
+    if (fitted) return (conn.route = fitted);
+    delete conn.route; // the parts moved too far for the hand-drawn route: route it again
+  }
+  return WireRouter.route(wireEnd(conn.conn1, from), wireEnd(conn.conn2, to), boxes || partBoxes());
+}
+
+function setWireRouting(on){
+  wireRouting = !!on;
+  document.body.classList.toggle('wire-routing', wireRouting);
+  const btn = document.getElementById('route-toggle');
+  if (btn) btn.classList.toggle('active', wireRouting);
+  try { localStorage.setItem('ct-wire-routing', wireRouting ? 'on' : 'off'); } catch(e){}
+  updateAllWires();
+}
+
+// Drag one segment of a routed wire sideways
+function startSegmentDrag(e, wire){
+  if (!wireRouting || e.button !== 0 || !wire.points || wire.points.length < 2) return;
+  e.stopPropagation();
+  e.preventDefault();
+  if (editLocked('moving wires')) return;
+  const ws = workspace.getBoundingClientRect();
+  const start = wire.points;
+  const index = WireRouter.nearestSegment(start, e.clientX - ws.left, e.clientY - ws.top);
+  const sx = e.clientX, sy = e.clientY;
+  const before = wire.route || null;
+  let moved = false;
+  document.body.classList.add('ct-moving');
+  const move = ev => {
+    moved = true;
+    wire.route = WireRouter.dragSegment(start, index, ev.clientX - sx, ev.clientY - sy);
+    updateWirePosition(wire);
+  };
+  const up = () => {
+    document.removeEventListener('mousemove', move);
+    document.removeEventListener('mouseup', up);
+    document.body.classList.remove('ct-moving');
+    if (!moved) return;
+    wire.route = WireRouter.simplify(wire.route);
+    updateWirePosition(wire);
+    editHistory.record(routeCommand(connEntry(wire), before, wire.route));
+  };
+  document.addEventListener('mousemove', move);
+  document.addEventListener('mouseup', up);
 }
 
-// Remove all connections for a given block and remove the block from DOM
+document.addEventListener('DOMContentLoaded', ()=>{
+  const btn = document.getElementById('route-toggle');
+  if (btn) btn.addEventListener('click', () => setWireRouting(!wireRouting));
+  try { if (localStorage.getItem('ct-wire-routing') === 'on') setWireRouting(true); } catch(e){}
+});
+
+// --- Schematic symbols (schematic-symbols.js) ---
+// The schematic view draws each part as its circuit symbol, ANSI or IEC style, instead of the
+// labelled box. Every part carries its symbol (hidden by CSS outside the view); the connectors,
+// nets and wires are the same ones, moved to the ends of the symbol's leads.
+
+let schematicView = false;
+let symbolStyle = 'ansi';
+
+function renderSymbol(block){
+  const svg = SchematicSymbols.svg(block.dataset.type, symbolStyle);
+  if (!svg) return;
+  let holder = block.querySelector('.schematic-symbol');
+  if (!holder) {
+    holder = document.createElement('div');
+    holder.className = 'schematic-symbol';
+    holder.setAttribute('aria-hidden', 'true');
+    block.insertBefore(holder, block.querySelector('.input'));
+    block.classList.add('has-symbol');
+  }
+  holder.innerHTML = svg;
+}
+
+function setSchematicView(on, style){
+  schematicView = !!on;
+  if (SchematicSymbols.STYLES.includes(style) && style !== symbolStyle) {
+    symbolStyle = style;
+    workspace.querySelectorAll('.block.has-symbol').forEach(renderSymbol);
+  }
+  document.body.classList.toggle('schematic', schematicView);
+  const btn = document.getElementById('symbols-toggle');
+  if (btn) btn.classList.toggle('active', schematicView);
+  const select = document.getElementById('symbol-style');
+  if (select) { select.value = symbolStyle; select.hidden = !schematicView; }
+  try { localStorage.setItem('ct-symbols', schematicView ? symbolStyle : 'off'); } catch(e){}
+  // the parts change size, so their connectors move
+  updateAllWires();
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const btn = document.getElementById('symbols-toggle');
+  if (btn) btn.addEventListener('click', () => setSchematicView(!schematicView));
+  const select = document.getElementById('symbol-style');
+  if (select) select.addEventListener('change', () => setSchematicView(true, select.value));
+  try {
+    const saved = localStorage.getItem('ct-symbols');
+    if (SchematicSymbols.STYLES.includes(saved)) setSchematicView(true, saved);
+  } catch(e){}
+});
+
+// Remove all connections for a given block (or wire node) and remove it from the DOM
 function removeBlockAndConnections(block) {
   if (!block || !block.parentElement) return;
-  if (isSimRunning) { updateSimBanner('Stop simulation before deleting parts.', 'error', true); return; }
+  if (editLocked('deleting parts')) return;
+
+  // a wire node is its own connector
+  const owner = conn => conn.closest('.block, .wire-node');
 
   // If a connector is currently selected on this block, clear selection
-  if (selectedConnector && (selectedConnector.closest('.block') === block)) {
+  if (selectedConnector && owner(selectedConnector) === block) {
     selectedConnector.classList.remove('selected');
     selectedConnector = null;
   }
 
   // remove connections entries and svg lines
-  const toRemove = [];
-  connections.forEach((c, idx) => {
-    const b1 = c.conn1.closest('.block');
-    const b2 = c.conn2.closest('.block');
-    if (b1 === block || b2 === block) {
-      // remove line
-      if (c.line && c.line.parentNode) c.line.parentNode.removeChild(c.line);
-      toRemove.push(idx);
-    }
-  });
-
-  // remove from connections array (reverse indices)
-  for (let i = toRemove.length - 1; i >= 0; i--) {
-    connections.splice(toRemove[i], 1);
-  }
+  const attached = connections.filter(c => owner(c.conn1) === block || owner(c.conn2) === block);
+  const record = partRecord(block), wires = attached.map(connEntry);
+  attached.forEach(removeWire);
 
   // finally remove the block element
   block.parentElement.removeChild(block);
+  if (selectedBlock === block) { selectedBlock = null; updatePropertiesPanel(null); }
+  selectedParts.delete(block);
+  editHistory.record(removeCommand(`Delete ${partLabel(record)}`, [record], wires));
 
   // update wires just in case
   updateAllWires();
   evaluateCircuit();
 }
 
-// Return the other connector (left/right) element for the same block
-function getOtherConnector(conn) {
-  const block = conn.closest('.block');
-  if (!block) return null;
-  return block.querySelector(`.input.${conn.classList.contains('left') ? 'right' : 'left'}`) || null;
+// --- Selection, clipboard and group edits ---
+// Click selects one part and Shift+click adds or removes one; dragging across the empty workspace
+// draws a box that selects every part and wire node it touches (with Shift, added to the
+// selection). Dragging a selected part moves the whole selection. Ctrl+C / Ctrl+V copy and paste
+// the selection with the wires between its parts, Ctrl+D duplicates it, Delete removes it and
+// Ctrl+A selects everything; each is one step in the edit history.
+
+const selectedParts = new Set();
+let clipboard = null;     // { blocks, conns } as partRecord / connEntry
+let pasteCount = 0;       // each paste of the same copy lands one offset further on
+const PASTE_OFFSET = 24;  // px
+
+const countParts = n => (n === 1 ? '1 part' : `${n} parts`);
+
+function setSelection(parts){
+  selectedParts.forEach(p => p.classList.remove('part-selected'));
+  selectedParts.clear();
+  parts.forEach(p => { if (p && p.parentElement) { selectedParts.add(p); p.classList.add('part-selected'); } });
 }
 
-// Evaluate circuits in the workspace and update component states (e.g., LEDs)
-// Control whether automatic evaluation is enabled. Default: off (only run when user starts simulation).
-let autoEvaluateEnabled = false;
+function toggleSelected(part){
+  const parts = Array.from(selectedParts);
+  setSelection(selectedParts.has(part) ? parts.filter(p => p !== part) : parts.concat(part));
+}
 
-function evaluateCircuit(force = false) {
-  // Only run automatically if enabled, or if caller forces evaluation (e.g., manual run)
-  if (!autoEvaluateEnabled && !force) return { success: false, reason: 'auto-eval-disabled' };
-  // Build blocks and reset metadata
-  const blocks = Array.from(workspace.querySelectorAll('.block'));
-  blocks.forEach(b => { 
-    delete b.dataset.current; 
-    delete b.dataset.voltageDrop; 
-    if (b.dataset.type === 'battery' && !b.dataset.voltage) b.dataset.voltage = 5; 
-    if (b.dataset.type === 'resistor' && !b.dataset.resistance) b.dataset.resistance = 100; 
-    if (b.dataset.type === 'led') { 
-      if (!b.dataset.forwardVoltage) b.dataset.forwardVoltage = 2;
-      b.dataset.powered = 'false'; 
-      b.classList.remove('powered'); 
-    } 
-  });
+// The selection as records, with the wires that have both ends in it
+function copySelection(){
+  const parts = Array.from(selectedParts).filter(p => p.parentElement);
+  if (!parts.length) return null;
+  const blocks = parts.map(partRecord);
+  const ids = new Set(blocks.map(b => b.id));
+  const inside = conn => ids.has(conn.dataset.blockId);
+  return { blocks, conns: connections.filter(c => inside(c.conn1) && inside(c.conn2)).map(connEntry) };
+}
 
-  // Build the connection graph and electrical nets using union-find data structure
-  const connectedTo = new Map();
-  let netData;
+// An id no part has yet
+function freshId(node){
+  let id;
+  do { id = node ? `node${_wireNodeCounter++}` : `b${_blockIdCounter++}`; } while (findPart(id));
+  return id;
+}
 
-  // First pass: Build basic connectivity graph
-  connections.forEach(c => {
-    if (!c.conn1 || !c.conn2) return;
-    
-    const block1 = c.conn1.closest('.block');
-    const block2 = c.conn2.closest('.block');
-    if (!block1 || !block2 || block1 === block2) return;
-    
-    const id1 = block1.dataset.id;
-    const id2 = block2.dataset.id;
-    
-    if (!connectedTo.has(id1)) connectedTo.set(id1, new Set());
-    if (!connectedTo.has(id2)) connectedTo.set(id2, new Set());
-    
-    connectedTo.get(id1).add(id2);
-    connectedTo.get(id2).add(id1);
-
-    // Special handling for logic gate connections
-    const gateBlock1 = c.conn1.closest('.block');
-    const gateBlock2 = c.conn2.closest('.block');
-    if (gateBlock1 && gateBlock2) {
-      // If connecting to a logic gate output, mark the connection
-      if ((gateBlock1.dataset.type === 'and' || gateBlock1.dataset.type === 'or') && 
-          c.conn1.classList.contains('output')) {
-        c.isLogicOutput = true;
-      }
-      if ((gateBlock2.dataset.type === 'and' || gateBlock2.dataset.type === 'or') && 
-          c.conn2.classList.contains('output')) {
-        c.isLogicOutput = true;
-      }
-    }
+// Place copies of `copy` (copySelection) with new ids, `offset` px down and right, and select them
+function pasteParts(copy, offset, verb = 'Paste'){
+  if (!copy || !copy.blocks.length) return [];
+  if (editLocked('adding parts')) return [];
+  const ids = new Map();
+  const shift = px => `${(parseFloat(px) || 0) + offset}px`;
+  const blocks = copy.blocks.map(rec => {
+    const node = rec.type === 'node';
+    const id = freshId(node);
+    ids.set(rec.id, id);
+    const dataset = { ...rec.dataset, [node ? 'blockId' : 'id']: id };
+    return { ...rec, id, dataset, left: shift(rec.left), top: shift(rec.top) };
   });
-
-  // Second pass: Build electrical nets with union-find
-  function buildElectricalNets() {
-    // Initialize connector nets
-    const connectorToNet = new Map();
-    const netParents = new Map();
-    let nextNetId = 0;
-
-    // Helper: Find net's root with path compression
-    function findNetRoot(netId) {
-      if (!netParents.has(netId)) {
-        netParents.set(netId, netId);
-        return netId;
-      }
-      if (netParents.get(netId) !== netId) {
-        netParents.set(netId, findNetRoot(netParents.get(netId)));
-      }
-      return netParents.get(netId);
-    }
-
-    // Helper: Union two nets
-    function unifyNets(net1, net2) {
-      const root1 = findNetRoot(net1);
-      const root2 = findNetRoot(net2);
-      if (root1 !== root2) {
-        netParents.set(root2, root1);
-      }
-    }
-
-    // Initialize all connectors with unique nets
-    const connectors = Array.from(workspace.querySelectorAll('.input'));
-    connectors.forEach(conn => {
-      connectorToNet.set(conn, nextNetId++);
-    });
-
-    if (CT_DEBUG) {
-      console.debug('CT: Processing electrical connections...');
-    }
-
-    // Process all connections to unify nets
-    connections.forEach(c => {
-      if (!c.conn1 || !c.conn2) return;
-      
-      const net1 = connectorToNet.get(c.conn1);
-      const net2 = connectorToNet.get(c.conn2);
-      
-      if (net1 != null && net2 != null) {
-        unifyNets(net1, net2);
-        if (CT_DEBUG) {
-          const block1 = c.conn1.closest('.block');
-          const block2 = c.conn2.closest('.block');
-          console.debug(`CT: Connected ${block1.dataset.id}/${c.conn1.dataset.terminal} to ${block2.dataset.id}/${c.conn2.dataset.terminal}`);
-        }
-      }
-    });
-
-    // Build final connector -> net mapping (preserve terminal-level nets)
-    const finalNetMap = new Map();
-    const connectorToNetFinal = new Map();
-    let netCounter = 0;
-
-    // For every connector, find its root and assign a compact net id
-    const allConnectors = Array.from(workspace.querySelectorAll('.input'));
-    allConnectors.forEach(conn => {
-      const origNet = connectorToNet.get(conn);
-      if (origNet == null) return;
-      const root = findNetRoot(origNet);
-      if (!finalNetMap.has(root)) {
-        finalNetMap.set(root, netCounter++);
-      }
-      connectorToNetFinal.set(conn, finalNetMap.get(root));
-    });
-
-    if (CT_DEBUG) {
-      console.debug('CT: Connector net mapping:', Array.from(connectorToNetFinal.entries()).map(([c,n])=>({block:c.dataset.blockId, term:c.dataset.terminal, net:n}))); 
-    }
-
-    return connectorToNetFinal;
-  }
-
-  netData = buildElectricalNets();
-
-  if (CT_DEBUG) {
-    // netData maps blockId -> netNumber
-    // netData is a Map(connectorElement -> netNumber)
-    console.debug('CT: Connector net assignments:', Array.from(netData.entries()).map(([conn, net]) => ({ connector: conn.dataset.blockId + '/' + conn.dataset.terminal, net })));
-  }
-
-  // Function to get net number for a connector
-  const connectorList = Array.from(workspace.querySelectorAll('.input'));
-
-  // Build netMap (netNumber -> set of blockIds) from connector->net mapping
-  const netMap = new Map();
-  try {
-    netData.forEach((net, conn) => {
-      if (!netMap.has(net)) netMap.set(net, new Set());
-      netMap.get(net).add(conn.dataset.blockId || '(no-block)');
-    });
-  } catch (e) {
-    // netData may be undefined or not iterable in some error cases
-  }
-  
-  if (CT_DEBUG) {
-    console.debug('CT: Processing wire connections:', connections.map(c => ({
-      from: `${c.conn1.dataset.blockId}/${c.conn1.dataset.terminal}`,
-      to: `${c.conn2.dataset.blockId}/${c.conn2.dataset.terminal}`
-    })));
-  }
-  
-  // First, just collect all connections to build adjacency
-  const adjList = new Map();
-  connections.forEach(c => {
-    if (!c.conn1 || !c.conn2) return;
-    
-    const id1 = c.conn1.dataset.blockId;
-    const id2 = c.conn2.dataset.blockId;
-    
-    if (!adjList.has(id1)) adjList.set(id1, new Set());
-    if (!adjList.has(id2)) adjList.set(id2, new Set());
-    adjList.get(id1).add(id2);
-    adjList.get(id2).add(id1);
+  const conns = copy.conns.map(c => {
+    const entry = { ...c, conn1BlockId: ids.get(c.conn1BlockId), conn2BlockId: ids.get(c.conn2BlockId) };
+    if (c.route) entry.route = c.route.map(([x, y]) => [x + offset, y + offset]);
+    return entry;
   });
+  const placed = blocks.map(placePart);
+  conns.forEach(placeWire);
+  editHistory.record(addCommand(`${verb} ${countParts(blocks.length)}`, blocks, conns));
+  setSelection(placed);
+  evaluateCircuit();
+  return placed;
+}
 
-  // Now find connected components using simple DFS
-  const visited = new Set();
-  const componentNets = new Map();
-  let currentNet = 0;
+function deleteSelection(){
+  const parts = Array.from(selectedParts).filter(p => p.parentElement);
+  if (!parts.length) return;
+  if (editLocked('deleting parts')) return;
+  editHistory.group(`Delete ${countParts(parts.length)}`, () => parts.forEach(removeBlockAndConnections));
+  setSelection([]);
+}
 
-  function dfs(blockId, netNumber) {
-    if (visited.has(blockId)) return;
-    visited.add(blockId);
-    componentNets.set(blockId, netNumber);
-    
-    const neighbors = adjList.get(blockId) || new Set();
-    neighbors.forEach(neighbor => {
-      dfs(neighbor, netNumber);
+// Rubber-band selection on the empty workspace
+workspace.addEventListener('mousedown', e => {
+  if (e.button !== 0 || e.target !== workspace || probeMode || meterMode) return;
+  const ws = workspace.getBoundingClientRect();
+  const x0 = e.clientX - ws.left, y0 = e.clientY - ws.top;
+  const base = e.shiftKey ? Array.from(selectedParts) : [];
+  const band = document.createElement('div');
+  band.className = 'rubber-band';
+  let box = null;
+  const move = ev => {
+    const x1 = ev.clientX - ws.left, y1 = ev.clientY - ws.top;
+    box = { left: Math.min(x0, x1), top: Math.min(y0, y1), right: Math.max(x0, x1), bottom: Math.max(y0, y1) };
+    if (!band.parentElement) workspace.appendChild(band);
+    Object.assign(band.style, { left: `${box.left}px`, top: `${box.top}px`, width: `${box.right - box.left}px`, height: `${box.bottom - box.top}px` });
+    const hit = Array.from(workspace.querySelectorAll('.block.instance, .wire-node')).filter(p => {
+      const b = workspaceBox(p);
+      return b.right >= box.left && b.left <= box.right && b.bottom >= box.top && b.top <= box.bottom;
     });
-  }
-
-  // Assign nets to connected components
-  blocks.forEach(b => {
-    const blockId = b.dataset.id;
-    if (!visited.has(blockId)) {
-      dfs(blockId, currentNet++);
-    }
-  });
+    setSelection(base.concat(hit.filter(p => !base.includes(p))));
+  };
+  const up = () => {
+    document.removeEventListener('mousemove', move);
+    document.removeEventListener('mouseup', up);
+    band.remove();
+    if (!box) setSelection(base); // a plain click on the workspace clears the selection
+  };
+  document.addEventListener('mousemove', move);
+  document.addEventListener('mouseup', up);
+});
 
-  if (CT_DEBUG) {
-    console.debug('CT: Component groups:', Array.from(componentNets.entries()));
+document.addEventListener('keydown', e => {
+  const t = e.target;
+  if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+  const key = e.key.toLowerCase();
+  if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+    if (key === 'c') { clipboard = copySelection(); pasteCount = 0; }
+    else if (key === 'v') { pasteParts(clipboard, PASTE_OFFSET * ++pasteCount); }
+    else if (key === 'd') { pasteParts(copySelection(), PASTE_OFFSET, 'Duplicate'); }
+    else if (key === 'a') { setSelection(Array.from(workspace.querySelectorAll('.block.instance, .wire-node'))); }
+    else return;
+    e.preventDefault();
+  } else if (key === 'delete' || key === 'backspace') {
+    if (!selectedParts.size) return;
+    e.preventDefault();
+    deleteSelection();
+  } else if (key === 'escape') {
+    setSelection([]);
   }
+});
 
-  // Simplified netFor function - just looks up the component's net
-  function netFor(conn) {
-    // netData is a Map keyed by connector elements
-    return netData.get(conn) ?? null;
-  }
+// Connector of a block by terminal name (left, right, out, in3...), as saved in conns
+// Parts given a name (dataset.name, e.g. the variable a generated switch stands for) show it
+function showBlockName(block) {
+  const label = block.querySelector('.component-label');
+  if (label && block.dataset.name) label.textContent = `${block.dataset.type.toUpperCase()} ${block.dataset.name}`;
+}
 
-  // Extra validation - check for circuit continuity
-  if (CT_DEBUG) {
-    // Determine disconnected component groups (blocks connected by wires)
-    const compGroups = new Set(Array.from(componentNets.values()));
-    if (compGroups.size > 1) {
-      console.warn('CT: Circuit may be disconnected - found separate component groups:', compGroups.size);
-    }
-  }
+function connectorFor(block, terminal) {
+  return block.querySelector(`.input[data-terminal="${terminal}"]`);
+}
 
-  // Debug: print mapping of connectors -> net ids
-  if (CT_DEBUG) {
-    try {
-      console.debug('CT: connectorList count', connectorList.length);
-      connectorList.forEach((c,i)=>{
-        const nid = netFor(c);
-        const bid = c.dataset.blockId || '(no-block)';
-        const term = c.dataset.terminal || '(no-term)';
-        console.debug(`CT: connector[${i}] block=${bid} term=${term} net=${nid}`);
-      });
-    } catch (e) { console.debug('CT: debug mapping failed', e); }
-  }
+// Return the other connector (left/right) element for the same block
+function getOtherConnector(conn) {
+  const block = conn.closest('.block');
+  if (!block) return null;
+  return block.querySelector(`.input.${conn.classList.contains('left') ? 'right' : 'left'}`) || null;
+}
 
-  // Helper to check if component terminals are properly connected
-  function validateComponentConnections(block) {
-    const left = block.querySelector('.input.left');
-    const right = block.querySelector('.input.right');
-    if (!left || !right) return false;
-    
-    const leftNet = netFor(left);
-    const rightNet = netFor(right);
-    
-    if (leftNet === null || rightNet === null) {
-      if (CT_DEBUG) {
-        console.warn(`CT: Component ${block.dataset.id} (${block.dataset.type}) has disconnected terminal(s)`);
-      }
-      return false;
-    }
-    
-    return true;
-  }
+// Evaluate circuits in the workspace and update component states (e.g., LEDs)
+// Control whether automatic evaluation is enabled. Default: off (only run when user starts simulation).
+let autoEvaluateEnabled = false;
 
-  // Collect elements for solver
-  const resistors = []; const vSources = []; const diodes = [];
-  blocks.forEach(b => {
-    const left = b.querySelector('.input.left');
-    const right = b.querySelector('.input.right');
-    if (!left || !right) return;
-    
-    // Skip components with invalid connections
-    if (!validateComponentConnections(b)) return;
-    
-    const na = netFor(left); const nb = netFor(right);
-    if (b.dataset.type === 'resistor') {
-      resistors.push({ n1: na, n2: nb, R: Number(b.dataset.resistance)||1e-12, block: b });
-    } else if (b.dataset.type === 'battery') {
-      vSources.push({ nPlus: nb, nMinus: na, V: Number(b.dataset.voltage)||5, block: b });
-    } else if (b.dataset.type === 'led') {
-      // LEDs are now handled as resistors with meta.type='led' to simplify the circuit model
-      resistors.push({ n1: na, n2: nb, R: Number(b.dataset.resistance)||100, block: b, meta: {type:'led'} });
-    } else if (b.dataset.type === 'switch') {
-      // Model switches only when ON as a very low R; when OFF they are open (no entry)
-      const isOn = b.dataset.state !== 'off';
-      if (isOn) {
-        // Use a small but not vanishing resistance for ON switches so they don't numerically
-        // dominate conductance when splitting currents across forks. 1e-3 is a pragmatic choice
-        // (0.001 ohm) for demo topologies — large enough to avoid hogging, small enough to
-        // behave like a near-short visually.
-        resistors.push({ n1: na, n2: nb, R: 1e-3, block: b, meta: {type: 'switch'} });
-      }
-    }
-    // Logic gates: check inputs and set output dataset flags (we treat left/right as inputs, output as 'out')
-    if (b.dataset.type === 'and' || b.dataset.type === 'or') {
-      const inA = b.querySelector('.input.left');
-      const inB = b.querySelector('.input.right');
-      const out = b.querySelector('.input.output') || b.querySelector('.input.out');
-  if (!inA || !inB || !out) return;
-      const na = netFor(inA); const nb = netFor(inB);
-      let aPowered = false; let bPowered = false;
-      try { for (const vs of vSources) { if (vs && (vs.nPlus === na || vs.nMinus === na)) { aPowered = true; break; } } } catch(e){}
-      try { for (const vs of vSources) { if (vs && (vs.nPlus === nb || vs.nMinus === nb)) { bPowered = true; break; } } } catch(e){}
-      b.dataset.input1Powered = aPowered ? 'true' : 'false';
-      b.dataset.input2Powered = bPowered ? 'true' : 'false';
-      let outVal = false;
-      if (b.dataset.type === 'and') outVal = (aPowered && bPowered);
-      else outVal = (aPowered || bPowered);
-      b.dataset.outputPowered = outVal ? 'true' : 'false';
-      // Visual flag for CSS
-      b.dataset.outputPowered = outVal ? 'true' : 'false';
-    }
+// `advance` is the simulated time (seconds) to step clocks, capacitors and inductors forward; 0
+// re-reads the present state without moving time (hover, edits, lesson checks).
+function evaluateCircuit(force = false, advance = 0) {
+  // Only run automatically if enabled, or if caller forces evaluation (e.g., manual run)
+  if (!autoEvaluateEnabled && !force) return { success: false, reason: 'auto-eval-disabled' };
+  lastNodeVoltages = null;
+  lastExplanation = null;
+  // Build blocks and reset metadata
+  const blocks = Array.from(workspace.querySelectorAll('.block'));
+  blocks.forEach(b => { 
+    delete b.dataset.current; 
+    delete b.dataset.signedCurrent;
+    delete b.dataset.voltageDrop; 
+    delete b.dataset.damage;
+    b.classList.remove('damaged');
+    if (b.dataset.type === 'battery' && !b.dataset.voltage) b.dataset.voltage = 5; 
+    if (b.dataset.type === 'resistor' && !b.dataset.resistance) b.dataset.resistance = 100; 
+    if (b.dataset.type === 'capacitor' && !b.dataset.capacitance) b.dataset.capacitance = 0.001;
+    if (b.dataset.type === 'inductor' && !b.dataset.inductance) b.dataset.inductance = 1;
+    if (b.dataset.type === 'led') { 
+      if (!b.dataset.color) b.dataset.color = LedModels.DEFAULT_COLOR;
+      b.dataset.powered = 'false'; 
+      b.classList.remove('powered'); 
+    } 
   });
 
-  if (CT_DEBUG) {
-    try {
-      console.debug('CT: solver inputs', { connectorCount: connectorList.length, resistors: resistors.length, vSources: vSources.length, diodes: diodes.length });
-    } catch (e) { console.debug('CT: debug inputs failed', e); }
-  }
-
-  // Try the simple, path-based solver first (preferred fallback for teaching/demo)
-  try {
-    if (window.SimpleSolver && window.SimpleSolver.simulate) {
-      const simpleModel = { netMap, connectorList, netFor, resistors, vSources, diodes };
-      const simpleRes = window.SimpleSolver.simulate(simpleModel);
-      if (CT_DEBUG) console.debug('CT: SimpleSolver result', simpleRes);
-      if (simpleRes && simpleRes.success) {
-        // Apply results and exit early - keep behavior simple for demo mode
-        // Normalize small currents to zero before applying so switches/open paths don't leave residual tiny numbers
-        try {
-          (simpleRes.resistorResults || []).forEach(rr => { if (rr && Math.abs(rr.I || 0) < 1e-6) rr.I = 0; if (rr && Math.abs(rr.Vdrop || 0) < 1e-6) rr.Vdrop = 0; });
-        } catch(e){}
-        applyBasicResults(simpleRes);
-        return { success: true, source: 'simple' };
-      }
-    }
-  } catch (e) {
-    if (CT_DEBUG) console.debug('CT: SimpleSolver simulate failed', e);
-  }
-
-  if (netMap.size === 0) {
-    // no nets detected: collect helpful debug info and show banner so user can inspect
-    try {
-      console.warn('CT: evaluateCircuit - no nets detected. connectorCount=', connectorList.length, 'connections=', connections.length);
-      if (!CT_DEBUG) {
-        // provide a friendly banner message when not in CT_DEBUG mode
-        updateSimBanner('No nets detected: components may not be connected (or connection IDs mismatch). Check wiring or imported JSON. See console for details.', 'error', true);
-        setTimeout(()=>{ clearSimBanner(); }, 4000);
-      } else {
-        // print verbose mapping when CT_DEBUG
-        connectorList.forEach((c,i)=>{
-          const nid = netFor(c);
-          const bid = c.dataset.blockId || '(no-block)';
-          const term = c.dataset.terminal || '(no-term)';
-          console.debug(`CT: connector[${i}] block=${bid} term=${term} net=${nid}`);
-        });
-        console.debug('CT: connections (raw):', connections.map(c=>({ from: c.conn1?.dataset?.blockId, to: c.conn2?.dataset?.blockId, line: c.line?.dataset }))); 
-      }
-    } catch(e) { console.debug('CT: debug-no-nets failed', e); }
-    return { success: false, reason: 'no-nets' };
-  }
-  // Compact and validate net numbering: solver expects node indices 0..N-1
-  // Collect all used net IDs from components
-  const usedNets = new Set();
-  resistors.forEach(r => { if (r.n1 != null) usedNets.add(r.n1); if (r.n2 != null) usedNets.add(r.n2); });
-  vSources.forEach(v => { if (v.nPlus != null) usedNets.add(v.nPlus); if (v.nMinus != null) usedNets.add(v.nMinus); });
-  diodes.forEach(d => { if (d.n1 != null) usedNets.add(d.n1); if (d.n2 != null) usedNets.add(d.n2); });
-
-  // Build remapping from old net id -> compact id
-  const usedList = Array.from(usedNets).sort((a,b)=>a-b);
-  const remap = new Map();
-  usedList.forEach((old, idx) => remap.set(old, idx));
-  const N = usedList.length;
+  // Capacitors and inductors need time stepping; everything else is a DC operating point
+  const reactive = hasReactiveParts();
+  const res = reactive ? evaluateTransient(advance) : evaluateDc(advance);
+  if (res.success && solveFailureShown) { solveFailureShown = false; if (!lastIssues.length) clearSimBanner(); }
+  updateMeter();
+  updateWireView();
+  return res;
+}
 
-  if (CT_DEBUG) console.debug('CT: remap nets', { usedList, remap: Object.fromEntries(remap) });
+function hasReactiveParts(){
+  return !!workspace.querySelector('.block[data-type="capacitor"], .block[data-type="inductor"]');
+}
 
-  // Create remapped shallow copies for solver (don't mutate DOM-backed objects)
-  const remappedResistors = resistors.map(r => ({ ...r, n1: r.n1==null?null:remap.get(r.n1), n2: r.n2==null?null:remap.get(r.n2), outputNet: r.outputNet==null?null:(remap.has(r.outputNet)?remap.get(r.outputNet):r.outputNet) }));
-  const remappedVSources = vSources.map(v => ({ ...v, nPlus: v.nPlus==null?null:remap.get(v.nPlus), nMinus: v.nMinus==null?null:remap.get(v.nMinus) }));
-  const remappedDiodes = diodes.map(d => ({ ...d, n1: d.n1==null?null:remap.get(d.n1), n2: d.n2==null?null:remap.get(d.n2) }));
+// Simulated seconds one simulation tick covers (see SIM_TICK_MS and TRANSIENT_TICK_SECONDS)
+function simulatedTickSeconds(){
+  return hasReactiveParts() ? TRANSIENT_TICK_SECONDS : SIM_TICK_MS / 1000;
+}
 
-  if (CT_DEBUG) {
-    try {
-      console.debug('CT: remappedResistors:', remappedResistors.map(r => ({ n1: r.n1, n2: r.n2, block: r.block && r.block.dataset ? r.block.dataset.id : null, R: r.R })));
-      console.debug('CT: remappedVSources:', remappedVSources.map(v => ({ nPlus: v.nPlus, nMinus: v.nMinus, block: v.block && v.block.dataset ? v.block.dataset.id : null, V: v.V })));
-    } catch (e) { /* non-critical */ }
-  }
+// DC operating point from CircuitCore, the same code the tests and tools/simulate.js run, so the
+// numbers on screen are the checked ones. Also keeps the Explain panel's working up to date.
+// Clocked parts carry on from `digitalState`; a simulation tick (advance > 0) moves clocks on by that much.
+function evaluateDc(advance = 0){
+  if (typeof CircuitCore === 'undefined') { fallbackSimplePowering(); return { success:false, reason:'no-solver' }; }
+  const res = CircuitCore.simulate(exportCircuit(), { explain: true, state: digitalState, advance: Math.max(advance, 0) });
+  if (res.digital) digitalState = res.digital;
+  lastExplanation = res.explanation || null;
+  renderExplainPanel();
+  if (!res.success) { showSolveFailure(res); return { success:false, reason: res.reason }; }
+  applyCoreResults(res.components);
+  applyDamage(res.issues);
+  lastNodeVoltages = { netFor: conn => res.netOf(conn.dataset.blockId, conn.dataset.terminal), byNet: new Map(res.nodeVoltages.map((v, net) => [net, v])) };
+  return { success: true, source: 'core', result: res };
+}
 
-  // Call library solver
-  if (typeof CircuitSolver === 'undefined' || !CircuitSolver.solveMNA) { fallbackSimplePowering(); return { success:false, reason:'no-solver' }; }
-  const sol = CircuitSolver.solveMNA(N, remappedResistors, remappedVSources, remappedDiodes, { maxIter: 60, tol: 1e-8, damping: 0.7 });
-  if (!sol || !sol.success) { fallbackSimplePowering(); return { success:false, reason:'solver-failed' }; }
+// Banner text for CircuitCore failures the solver itself reports; 'no-source' and 'short-circuit'
+// come with nothing to solve and are left to the simulation tick and applyDamage()
+const SOLVE_FAILURES = {
+  'no-convergence': 'The solver did not converge (parts switching back and forth?). Try adding a resistor or check the wiring.',
+  'linear-solve-failed': 'The circuit could not be solved (a loop of batteries or wires, or a part connected at one end only?). Check the wiring.',
+  'solver-failed': 'The circuit could not be solved. Check the wiring.'
+};
 
-  // annotate results
-  if (CT_DEBUG) {
-    try { console.debug('CT: solver output', sol); } catch (e) { console.debug('CT: debug output failed', e); }
-  }
-  const V = sol.V; const J = sol.J || [];
-  if (sol.resistorResults) {
-    sol.resistorResults.forEach(rres => {
-      const block = rres.meta && rres.meta.block;
-      if (!block) return;
-      block.dataset.voltageDrop = String(Math.abs(rres.Vdrop || 0));
-      block.dataset.current = String(Math.abs(rres.I || 0));
-    });
-  }
-  if (sol.diodeResults) {
-    sol.diodeResults.forEach((dres, idx) => {
-      const meta = diodes[idx]; if (!meta || !meta.block) return;
-      // update LED metrics
-      const I = Math.abs(dres.I || 0);
-      const Vd = (dres.Vd || 0);
-      meta.block.dataset.voltageDrop = String(Vd);
-      meta.block.dataset.current = String(I);
-      // Consider LED powered if forward voltage is reached and current exceeds micro-amp threshold
-      const Vf = Number(meta.Vf || meta.block.dataset.forwardVoltage || 2);
-      const Ithreshold = 1e-6; // 1 microamp minimal visible current
-      if (Vd >= Vf && I > Ithreshold) {
-        meta.block.dataset.powered = 'true';
-        meta.block.classList.add('powered');
-      } else {
-        meta.block.dataset.powered = 'false';
-        meta.block.classList.remove('powered');
-      }
-      // set LED visual intensity proportional to current (clamped)
-      try {
-        const maxVisualI = 0.02; // 20 mA typical LED bright
-        const intensity = Math.min(1, I / maxVisualI);
-        meta.block.style.setProperty('--led-intensity', String(intensity));
-      } catch (e) { }
-    });
-  }
-  // annotate voltage source currents if provided
-  if (sol.J) {
-    vSources.forEach((vs, idx) => { if (!vs.block) return; vs.block.dataset.current = String(Math.abs(sol.J[idx]||0)); vs.block.dataset.voltageDrop = String(vs.V||0); });
-  }
+// A failed solve leaves no numbers to show: evaluateCircuit() has already cleared the currents,
+// drops and LEDs, so clear the logic levels too and say what went wrong
+function showSolveFailure(res){
+  workspace.querySelectorAll('.block').forEach(b => {
+    b.classList.remove('powered');
+    Object.keys(b.dataset).forEach(k => { if (/^(input\d+|output)Powered$/.test(k)) b.dataset[k] = 'false'; });
+  });
+  workspace.querySelectorAll('.input.pin').forEach(conn => { conn.dataset.powered = 'false'; });
+  const issues = res.issues || [];
+  applyDamage(issues);
+  if (!SOLVE_FAILURES[res.reason] || issues.length) return;
+  updateSimBanner(SOLVE_FAILURES[res.reason], 'error', true);
+  solveFailureShown = true;
+}
 
-  // If solver didn't produce diodeResults (e.g., LED modeled elsewhere), try a simple heuristic:
-  // mark any LED as powered if it's in a complete series path from battery -> resistor -> LED -> battery
-  // This is a fallback for circuits where diode modeling didn't return results.
-  try {
-    const leds = Array.from(diodes || []).map(d => d.block).filter(Boolean);
-    if (leds.length) {
-      leds.forEach(b => {
-        if (b.dataset.powered === 'true') return; // already set via solver
-        // simple heuristic: if LED has a nonzero voltage drop recorded (from adjacent resistor annotation) or current, use that
-        const I = Math.abs(Number(b.dataset.current) || 0);
-        const Vd = Math.abs(Number(b.dataset.voltageDrop) || 0);
-        const Vf = Number(b.dataset.forwardVoltage || 2);
-            if ((Vd >= Vf && I > 1e-6) || I > 1e-6) {
-              // mark powered and attach conservative numeric estimates so the tooltip can show values
-              b.dataset.powered = 'true'; b.classList.add('powered');
-              // attach estimated (or previously computed) voltage drop/current for debug tooltip
-              try { if (!b.dataset.voltageDrop || Number(b.dataset.voltageDrop) === 0) b.dataset.voltageDrop = String(Vf); } catch(e){}
-              try { if (!b.dataset.current || Number(b.dataset.current) === 0) b.dataset.current = String(Math.max(I, 1e-3)); } catch(e){}
-            }
-            try { const maxVisualI = 0.02; const intensity = Math.min(1, Math.max(I, 1e-6) / maxVisualI); b.style.setProperty('--led-intensity', String(intensity)); } catch(e){}
-      });
+// Copy CircuitCore results (keyed by block id) onto the blocks for tooltips, LEDs and gates
+function applyCoreResults(components){
+  Object.keys(components).forEach(id => {
+    const block = workspace.querySelector(`.block[data-id="${id}"]`);
+    const r = components[id];
+    if (!block) return;
+    if (r.outputs !== undefined) { applySequentialState(block, r); return; }
+    if (r.output !== undefined) {
+      r.inputs.forEach((on, i) => { block.dataset[`input${i + 1}Powered`] = String(on); });
+      block.dataset.outputPowered = String(r.output);
+      block.classList[r.output ? 'add' : 'remove']('powered');
+      return;
     }
-  } catch (e) { /* ignore fallback errors */ }
+    block.dataset.current = String(r.current);
+    block.dataset.signedCurrent = String(r.signedCurrent);
+    block.dataset.voltageDrop = String(r.voltageDrop);
+    if (r.type === 'led') applyLedState(block, r.current, r.voltageDrop);
+  });
+}
 
-  // Additional robust path-based powering heuristic:
-  // Build net adjacency from components (exclude voltage sources) and search for paths
-  try {
-    // Build adjacency: netId -> [{ toNet, type, meta }]
-    const adj = new Map();
-    function addAdj(a,b,meta){ if (a==null || b==null) return; if (!adj.has(a)) adj.set(a,[]); adj.get(a).push({to:b, meta}); if (!adj.has(b)) adj.set(b,[]); adj.get(b).push({to:a, meta}); }
-    // add resistors and diodes as edges
-    resistors.forEach((r, idx) => { addAdj(r.n1, r.n2, { type: 'resistor', R: Number(r.R)||0, block: r.block, idx }); });
-    diodes.forEach((d, idx) => { addAdj(d.n1, d.n2, { type: 'led', Vf: d.Vf || Number(d.block?.dataset?.forwardVoltage)||2, block: d.block, idx, n1: d.n1, n2: d.n2 }); });
-
-    // helper BFS to find path of nets excluding using any battery edges
-    function findPath(startNet, endNet){
-      if (startNet==null || endNet==null) return null;
-      const q = [{ net: startNet, via: null }];
-      const seen = new Map(); // net -> { prevNet, viaMeta }
-      seen.set(startNet, { prev: null, via: null });
-      while (q.length){ const cur = q.shift(); const list = adj.get(cur.net) || []; for (const e of list){ const to = e.to; if (seen.has(to)) continue; seen.set(to, { prev: cur.net, via: e.meta }); if (to === endNet) { // reconstruct path
-            const path = []; let curN = to; while (curN !== startNet){ const info = seen.get(curN); path.unshift({ net: curN, via: info.via }); curN = info.prev; } path.unshift({ net: startNet, via: null }); return path; }
-          q.push({ net: to, via: e.meta }); }
-      }
-      return null;
-    }
+// Show a stateful logic part's pins, its count or digit, and whether its output is high
+function applySequentialState(block, r){
+  block.querySelectorAll('.input.pin').forEach(conn => {
+    const pin = conn.dataset.terminal;
+    conn.dataset.powered = String(!!(pin in r.outputs ? r.outputs[pin] : r.inputs[pin]));
+  });
+  block.classList[r.outputs.q || r.outputs.out ? 'add' : 'remove']('powered');
+  if (r.value === undefined) return;
+  block.dataset.value = String(r.value);
+  const value = block.querySelector('.seq-value');
+  if (value) value.textContent = String(r.value);
+  block.querySelectorAll('.seg7 .seg').forEach(seg => {
+    seg.classList[r.segments.includes(seg.dataset.seg) ? 'add' : 'remove']('on');
+  });
+}
 
-    // For each battery, try to find a non-trivial path from plus to minus
-    vSources.forEach(vs => {
-      if (!vs || vs.nPlus==null || vs.nMinus==null) return;
-      const path = findPath(vs.nPlus, vs.nMinus);
-      if (!path || path.length < 3) return; // trivial or no path
-      // compute series resistance along path and collect LED edges encountered with orientation
-      let Rsum = 0; const ledsOnPath = [];
-      for (let i=1;i<path.length;i++){
-        const via = path[i].via; if (!via) continue; if (via.type === 'resistor') Rsum += (Number(via.R) || 0); else if (via.type === 'led') {
-          // determine traversal direction: we moved from prev net to this net; find if that corresponds to n1->n2 (forward)
-          const prevNet = path[i-1].net; const curNet = path[i].net;
-          let forward = false;
-          if (via.n1 != null && via.n2 != null) {
-            // if prevNet === n1 and curNet === n2, we traversed anode->cathode
-            if (prevNet === via.n1 && curNet === via.n2) forward = true;
-            // if prevNet === n2 and curNet === via.n1, then we traversed reverse
-          }
-          ledsOnPath.push({ meta: via, forward, block: via.block });
-        }
-      }
-      // estimate current: if Rsum > 0, I = V / Rsum; otherwise treat as small (avoid infinite)
-      const Vb = Number(vs.V) || 0;
-      const Iest = Rsum > 0 ? Math.abs(Vb) / Rsum : 1e-3; // if no resistor, small conservative current
-      const Ith = 1e-6;
-      if (Iest > Ith && ledsOnPath.length){
-        ledsOnPath.forEach(l => {
-          if (!l.block) return;
-          // only mark if orientation is forward (anode->cathode) or if unknown, mark anyway
-          if (l.forward || l.forward == null) {
-            l.block.dataset.powered = 'true'; l.block.classList.add('powered');
-            // set intensity proportional to Iest, reuse same maxVisualI as elsewhere
-            try { const maxVisualI = 0.02; const intensity = Math.min(1, Iest / maxVisualI); l.block.style.setProperty('--led-intensity', String(intensity)); } catch(e){}
-          }
-        });
-      }
-    });
-  } catch(e) { /* non-critical */ }
+// Transient of a circuit with capacitors/inductors from CircuitCore. With advance > 0 the
+// capacitors, inductors and clocks move on by that much simulated time in TRANSIENT_SUBSTEPS steps,
+// logic settling at every step; otherwise a tiny step reports the present state.
+// Both carry on from `digitalState`.
+function evaluateTransient(advance){
+  if (typeof CircuitCore === 'undefined') { fallbackSimplePowering(); return { success:false, reason:'no-solver' }; }
+  const time = advance > 0 ? advance : 1e-9;
+  const res = CircuitCore.simulate(exportCircuit(), { time, dt: advance > 0 ? time / TRANSIENT_SUBSTEPS : time, state: digitalState, advance: advance > 0 ? time : 0 });
+  renderExplainPanel();
+  if (!res.success) { showSolveFailure(res); return { success:false, reason: res.reason }; }
+  digitalState = res.digital;
+  applyCoreResults(res.components);
+  applyDamage(res.issues);
+  lastNodeVoltages = { netFor: conn => res.netOf(conn.dataset.blockId, conn.dataset.terminal), byNet: new Map(res.nodeVoltages.map((v, net) => [net, v])) };
+  return { success: true, source: 'transient', result: res };
+}
 
-  // system summary logic removed
-  return { success: true, sol };
+// Mark damaged parts and warn about them; the banner only changes when the set of issues does,
+// so a running simulation does not flash the same warning every tick
+function applyDamage(issues){
+  issues.forEach(issue => {
+    const block = workspace.querySelector(`.block[data-id="${issue.id}"]`);
+    if (!block) return;
+    block.dataset.damage = issue.kind;
+    block.classList.add('damaged');
+    // a burned-out LED is dark whatever the solver says flows through it
+    if (issue.kind === 'burned') { block.classList.remove('powered'); block.dataset.powered = 'false'; }
+  });
+  const key = list => list.map(i => `${i.id}:${i.kind}`).join();
+  const changed = key(issues) !== key(lastIssues);
+  const hadIssues = lastIssues.length > 0;
+  lastIssues = issues;
+  if (!changed) return;
+  if (issues.length) {
+    const more = issues.length > 1 ? ` (+${issues.length - 1} more warning${issues.length > 2 ? 's' : ''}; hover the marked parts)` : '';
+    updateSimBanner(issues[0].message + more, 'error', true);
+  } else if (hadIssues) clearSimBanner();
 }
 
-// Build a lightweight circuit model (connectors, nets, components) that can be
-// consumed by either the advanced MNA solver or the basic fallback solver.
+// Build a lightweight circuit model (connectors, nets, analog components) for code that needs
+// DOM connectors mapped to nets: lesson checks, SPICE export, the transient-free voltage probe.
 function buildCircuitModel(){
   const connectorList = Array.from(workspace.querySelectorAll('.input'));
   const cIndex = new Map(connectorList.map((c,i) => [c,i]));
@@ -1549,281 +2268,27 @@ function buildCircuitModel(){
         resistors.push({ n1: na, n2: nb, R: 1e-3, block: b });
       }
     } else if (b.dataset.type === 'led') {
-      // LEDs behave like resistors that light up when current flows (no polarity)
-      resistors.push({ n1: na, n2: nb, R: Number(b.dataset.resistance)||100, block: b, meta: {type:'led'} });
-    } else if (b.dataset.type === 'and' || b.dataset.type === 'or') {
-      // Add logic gate to the model with its input and output nets
-      const inA = b.querySelector('.input.left');
-      const inB = b.querySelector('.input.right');
-      const out = b.querySelector('.input.output') || b.querySelector('.input.out');
-      if (inA && inB && out) {
-        const na2 = netFor(inA);
-        const nb2 = netFor(inB);
-        const nout = netFor(out);
-        
-        // Add logic gate as special resistor type that carries the input/output information
-        resistors.push({
-          n1: na2,
-          n2: nb2,
-          outputNet: nout,
-          R: 1e6, // High impedance for inputs
-          block: b,
-          meta: {
-            type: b.dataset.type,
-            block: b,
-            inputA: inA,
-            inputB: inB,
-            output: out
-          }
-        });
-
-        // SIMPLE LOGIC: if inputs are directly tied to any battery + net, drive the output
-        try {
-
-  // SIMPLE LOGIC HEURISTIC: If a gate's inputs can reach any battery positive net,
-  // consider that input powered. If gate output should be HIGH, add a tiny resistor
-  // from the gate output net to a battery plus net so the SimpleSolver sees a resistive path.
-  try {
-    const batteryPlusNets = vSources.map(v => v.nPlus).filter(x => x != null);
-    // build net adjacency from current resistors (so reachability ignores logic-drive we may add)
-    const netAdj = new Map();
-    function addNetEdge(a,b){ if (a==null||b==null) return; if(!netAdj.has(a)) netAdj.set(a, new Set()); if(!netAdj.has(b)) netAdj.set(b, new Set()); netAdj.get(a).add(b); netAdj.get(b).add(a); }
-    resistors.forEach(r => { try { addNetEdge(r.n1, r.n2); } catch(e){} });
-
-    function netReachableToAny(startNet, targets){
-      if (startNet == null) return false;
-      const q = [startNet]; const seen = new Set([startNet]);
-      while(q.length){ const cur = q.shift(); if (targets.includes(cur)) return true; const nbrs = Array.from(netAdj.get(cur) || []); for (const n of nbrs){ if (!seen.has(n)){ seen.add(n); q.push(n); } } }
-      return false;
-    }
-
-    // Find gate entries among resistors (we stored them with meta.type === 'and'/'or')
-    const gateEntries = resistors.filter(r=> r && r.meta && (r.meta.type === 'and' || r.meta.type === 'or'));
-    gateEntries.forEach(g => {
-      try {
-        const block = g.block || (g.meta && g.meta.block);
-        if (!block) return;
-        const inA = g.n1; const inB = g.n2; const outNet = g.outputNet != null ? g.outputNet : (g.meta && g.meta.outputNet != null ? g.meta.outputNet : null);
-        const aPowered = batteryPlusNets.length && netReachableToAny(inA, batteryPlusNets);
-        const bPowered = batteryPlusNets.length && netReachableToAny(inB, batteryPlusNets);
-        let outHigh = false;
-        if (block.dataset.type === 'and') outHigh = (aPowered && bPowered);
-        else outHigh = (aPowered || bPowered);
-        if (outHigh && outNet != null && batteryPlusNets.length) {
-          // tie output to first battery plus with a tiny resistor
-          resistors.push({ n1: outNet, n2: batteryPlusNets[0], R: 1e-3, block: block, meta: { type: 'logic-drive' } });
-          try { block.dataset.outputPowered = 'true'; block.classList.add('powered'); } catch(e){}
-        } else {
-          try { block.dataset.outputPowered = 'false'; block.classList.remove('powered'); } catch(e){}
-        }
-      } catch(e){}
-    });
-  } catch(e) { /* non-critical */ }
-          // find all battery plus nets in this model
-          const batteryPlusNets = vSources.map(v => v.nPlus).filter(x => x != null);
-          const aHigh = batteryPlusNets.includes(na2);
-          const bHigh = batteryPlusNets.includes(nb2);
-          let outHigh = false;
-          if (b.dataset.type === 'and') outHigh = (aHigh && bHigh);
-          else outHigh = (aHigh || bHigh);
-
-          if (outHigh && nout != null && batteryPlusNets.length > 0) {
-            // Connect output net to the first battery plus net via a low resistance so the solver sees a resistive path
-            resistors.push({ n1: nout, n2: batteryPlusNets[0], R: 1e-3, block: b, meta: { type: 'logic-drive' } });
-            // mark UI dataset so gate appears powered
-            b.dataset.outputPowered = 'true';
-            b.classList.add('powered');
-          } else {
-            b.dataset.outputPowered = 'false';
-            b.classList.remove('powered');
-          }
-        } catch (e) { /* non-critical */ }
-      }
+      // anode is the right terminal; see led-models.js for the colour presets
+      const led = LedModels.forDataset(b.dataset);
+      diodes.push({ n1: nb, n2: na, Is: led.Is, nVt: led.nVt, Rs: led.Rs, block: b });
     }
+    // logic gates are left out: CircuitCore resolves them when it solves the circuit
   });
 
   return { connectorList, cIndex, netMap, netFor, resistors, vSources, diodes };
 }
 
-// Evaluate simple digital logic using net reachability (ideal wires)
-// Returns: { poweredNets: Set, groundNets: Set, logicOutputs: Array<{block, outputNet, powered}> }
-function evaluateLogic(model){
-  // model: { connectorList, cIndex, netMap, netFor, resistors, vSources, diodes }
-  if (!model) return { poweredNets: new Set(), groundNets: new Set(), logicOutputs: [] };
-  const { netMap, resistors, vSources } = model;
-
-  // Build net adjacency ignoring R (treat any resistor/led/logic gate as a conductor for logic reachability)
-  const adj = new Map();
-  function addEdge(a,b){ if (a==null || b==null) return; const ka = String(a), kb = String(b); if (!adj.has(ka)) adj.set(ka, new Set()); if (!adj.has(kb)) adj.set(kb, new Set()); adj.get(ka).add(kb); adj.get(kb).add(ka); }
-  resistors.forEach(r => { try { addEdge(r.n1, r.n2); } catch(e){} });
-
-  // BFS from all battery plus nets to mark powered nets
-  const poweredNets = new Set();
-  const q = [];
-  (vSources || []).forEach(v => { if (v && v.nPlus != null) { const k = String(v.nPlus); if (!poweredNets.has(k)){ poweredNets.add(k); q.push(k); } } });
-  while (q.length){ const cur = q.shift(); const neigh = adj.get(cur) || new Set(); neigh.forEach(nk => { if (!poweredNets.has(nk)){ poweredNets.add(nk); q.push(nk); } }); }
-
-  // BFS from all battery minus nets to mark ground nets
-  const groundNets = new Set();
-  const qg = [];
-  (vSources || []).forEach(v => { if (v && v.nMinus != null) { const k = String(v.nMinus); if (!groundNets.has(k)){ groundNets.add(k); qg.push(k); } } });
-  while (qg.length){ const cur = qg.shift(); const neigh = adj.get(cur) || new Set(); neigh.forEach(nk => { if (!groundNets.has(nk)){ groundNets.add(nk); qg.push(nk); } }); }
-
-  // Find logic gates represented by resistors with meta.type === 'and'|'or'
-  const logicGates = (resistors || []).filter(r => r && r.meta && (r.meta.type === 'and' || r.meta.type === 'or'));
-  const logicOutputs = [];
-  logicGates.forEach(g => {
-    if (!g) return;
-    const block = g.block || (g.meta && g.meta.block) || null;
-    const type = g.meta && g.meta.type ? g.meta.type : (block ? block.dataset.type : null);
-    const in1 = g.n1; const in2 = g.n2;
-    const outNet = g.outputNet != null ? g.outputNet : (g.meta && g.meta.outputNet != null ? g.meta.outputNet : null);
-    const in1p = (in1 != null) && poweredNets.has(String(in1));
-    const in2p = (in2 != null) && poweredNets.has(String(in2));
-    let outp = false;
-    if (type === 'and') outp = in1p && in2p;
-    else if (type === 'or') outp = in1p || in2p;
-    // If gate drives true, treat its output net as powered for downstream logic/LEDs
-    if (outp && outNet != null){ poweredNets.add(String(outNet)); }
-    // update block visuals best-effort
-    try { if (block) { block.dataset.outputPowered = outp ? 'true' : 'false'; block.classList[outp ? 'add' : 'remove']('powered'); } } catch(e){}
-    logicOutputs.push({ block, outputNet: outNet, powered: outp });
-  });
-
-  return { poweredNets, groundNets, logicOutputs };
-}
-// Basic solver runner state
-let isBasicSimRunning = false;
-let basicSimInterval = null;
-
-function applyBasicResults(results){
-  // results: { resistorResults:[{idx,I,Vdrop}] } - LEDs are in resistorResults with meta.type=='led'
-  try {
-    if (results.resistorResults) results.resistorResults.forEach(rr => {
-      const meta = rr.meta; if (!meta || !meta.block) return;
-      const I = Math.abs(rr.I||0);
-      const V = Math.abs(rr.Vdrop||0);
-      meta.block.dataset.current = String(I);
-      meta.block.dataset.voltageDrop = String(V);
-      
-      // If this is an LED, light it up based on current
-      if (meta.type === 'led') {
-        const isLit = I > 1e-6; // LED lights up with any significant current
-        meta.block.dataset.powered = String(isLit);
-        meta.block.classList[isLit ? 'add' : 'remove']('powered');
-        if (isLit) {
-          // Visual intensity uses a max reference current
-          const maxVisualI = 0.02;
-          const intensity = Math.min(1, I / maxVisualI);
-          meta.block.style.setProperty('--led-intensity', String(intensity));
-        }
-      }
-    });
-    // Additional pass: ensure any LED that has a measurable current or sufficient V is marked powered
-    try {
-      const leds = Array.from(workspace.querySelectorAll('.block[data-type="led"]'));
-      leds.forEach(lb => {
-        const I = Math.abs(Number(lb.dataset.current) || 0);
-        const Vd = Math.abs(Number(lb.dataset.voltageDrop) || 0);
-        const Vf = Number(lb.dataset.forwardVoltage || lb.dataset.forwardvoltage || 2);
-        const Ith = 1e-6;
-        if (I > Ith || Vd >= Vf) {
-          lb.dataset.powered = 'true'; lb.classList.add('powered');
-          try { const maxVisualI = 0.02; const intensity = Math.min(1, Math.max(I, 1e-6) / maxVisualI); lb.style.setProperty('--led-intensity', String(intensity)); } catch(e){}
-          // ensure dataset.current/voltageDrop exist for tooltip clarity
-          if (!lb.dataset.current || Number(lb.dataset.current) === 0) lb.dataset.current = String(Math.max(I, 1e-6));
-          if (!lb.dataset.voltageDrop || Number(lb.dataset.voltageDrop) === 0) lb.dataset.voltageDrop = String(Math.max(Vd, Vf));
-        } else {
-          lb.dataset.powered = 'false'; lb.classList.remove('powered');
-        }
-      });
-    } catch(e) { /* non-critical */ }
-  } catch(e){ console.debug('CT: applyBasicResults failed', e); }
-}
-
-function runBasicOnce(){
-  const model = buildCircuitModel();
-  if (!model || !model.netMap || model.netMap.size === 0) { updateSimBanner('Basic sim: no nets detected (check wiring or import).','error',true); setTimeout(()=>clearSimBanner(),3000); return; }
-  // SIMPLE UI-SIDE LOGIC: if gates should drive outputs, mark LEDs directly (bypass solver)
-  try {
-    // Evaluate logic using reachability (powered nets from battery +, ground nets from battery -)
-    const logic = evaluateLogic(model);
-    if (CT_DEBUG) {
-      try { console.debug('CT: Logic eval', { poweredCount: logic.poweredNets.size, groundCount: logic.groundNets.size, logicOutputs: logic.logicOutputs }); } catch(e){}
-    }
-
-    // Mark LEDs as powered when one terminal is in a powered net and the other is in a ground net
-    const leds = Array.from(workspace.querySelectorAll('.block')).filter(b => b.dataset.type === 'led');
-    leds.forEach(lb => {
-      try {
-        const lA = lb.querySelector('.input.left'); const lB = lb.querySelector('.input.right');
-        if (!lA || !lB) return;
-        const lnA = model.netFor(lA); const lnB = model.netFor(lB);
-        const leftPowered = lnA != null && logic.poweredNets.has(String(lnA));
-        const rightPowered = lnB != null && logic.poweredNets.has(String(lnB));
-        const leftGround = lnA != null && logic.groundNets.has(String(lnA));
-        const rightGround = lnB != null && logic.groundNets.has(String(lnB));
-        const lit = (leftPowered && rightGround) || (rightPowered && leftGround);
-        if (lit) {
-          lb.dataset.powered = 'true'; lb.classList.add('powered');
-          lb.dataset.current = String(Math.min(0.02, 0.005));
-          lb.dataset.voltageDrop = String(Number(lb.dataset.forwardVoltage || 2));
-        } else {
-          lb.dataset.powered = 'false'; lb.classList.remove('powered');
-          lb.dataset.current = '0'; lb.dataset.voltageDrop = '0';
-        }
-      } catch(e){}
-    });
-  } catch(e) { /* non-critical */ }
-  if (CT_DEBUG) {
-    try { console.debug('CT: Basic sim model', { nets: model.netMap.size, resistors: model.resistors.length, batteries: model.vSources.length, diodes: model.diodes.length }); } catch(e){}
-  }
-  // Detailed debug: list connectors and their net ids, and component net assignments
-  if (CT_DEBUG) {
-    try {
-      console.debug('CT: connectors mapping:');
-      model.connectorList.forEach((c, i) => {
-        const bid = c.dataset.blockId || c.closest('.block')?.dataset?.id || '(no-block)';
-        const term = c.dataset.terminal || '(no-term)';
-        const net = model.netFor(c);
-        console.debug(`CT: connector[${i}] block=${bid} term=${term} net=${net}`);
-      });
-      console.debug('CT: components:');
-      model.resistors.forEach((r, i) => console.debug(`resistor[${i}] n1=${r.n1} n2=${r.n2} R=${r.R} block=${r.block?.dataset?.id}`));
-      model.vSources.forEach((v, i) => console.debug(`battery[${i}] nPlus=${v.nPlus} nMinus=${v.nMinus} V=${v.V} block=${v.block?.dataset?.id}`));
-      model.diodes.forEach((d, i) => console.debug(`led[${i}] n1=${d.n1} n2=${d.n2} Vf=${d.Vf} block=${d.block?.dataset?.id}`));
-    } catch(e) { console.debug('CT: connector/component debug failed', e); }
-  }
-  if (!window.SimpleSolver || !window.SimpleSolver.simulate) { updateSimBanner('Basic sim backend not loaded.', 'error', true); setTimeout(()=>clearSimBanner(),2000); return; }
-  const res = window.SimpleSolver.simulate(model);
-  if (CT_DEBUG) try { console.debug('CT: Basic sim result', res); } catch(e){}
-  if (res && res.success) { applyBasicResults(res); } else { updateSimBanner('Basic sim failed to produce results.', 'error', true); setTimeout(()=>clearSimBanner(),2000); }
-  return res;
-}
-
-function startBasicSimulation(button){
-  if (isBasicSimRunning) return;
-  isBasicSimRunning = true; disableEditingDuringSim(true);
-  if (button) { button.classList.add('stop'); button.textContent = 'Stop Basic'; }
-  updateSimBanner('Basic simulation running…','ok',true);
-  // ensure simple solver script is loaded (dynamic load)
-  if (!window.SimpleSolver) {
-    const s = document.createElement('script'); s.src = './simple-solver.js'; s.onload = ()=>{ console.info('CT: SimpleSolver loaded'); };
-    s.onerror = ()=>{ updateSimBanner('Failed to load SimpleSolver.js', 'error', true); };
-    document.body.appendChild(s);
-  }
-  // immediate run
-  try { runBasicOnce(); } catch(e){ console.error(e); }
-  basicSimInterval = setInterval(()=>{ runBasicOnce(); }, 700);
-}
-
-function stopBasicSimulation(button){
-  if (!isBasicSimRunning) return;
-  isBasicSimRunning = false; disableEditingDuringSim(false);
-  if (button) { button.classList.remove('stop'); button.textContent = 'Run Basic Simulation'; }
-  if (basicSimInterval) { clearInterval(basicSimInterval); basicSimInterval = null; }
-  updateSimBanner('Basic simulation stopped.', 'ok', true);
-  setTimeout(()=>clearSimBanner(),1200);
+// Show an LED's solved state: current, anode-cathode voltage, lit/dark and brightness in its colour
+function applyLedState(block, I, Vdrop){
+  const led = LedModels.forDataset(block.dataset);
+  const forward = Math.max(0, I);
+  const lit = forward > LedModels.LIT_CURRENT;
+  block.dataset.current = String(forward);
+  block.dataset.voltageDrop = String(Vdrop);
+  block.dataset.powered = String(lit);
+  block.classList[lit ? 'add' : 'remove']('powered');
+  block.style.setProperty('--led-glow', led.glow);
+  block.style.setProperty('--led-intensity', String(LedModels.brightness(led, forward)));
 }
 
 // Update tooltip contents for a block element
@@ -1836,6 +2301,9 @@ function updateTooltipForBlock(block, tt) {
   if (block.dataset.voltageDrop) lines.push(`ΔV: ${Number(block.dataset.voltageDrop).toFixed(4)} V`);
   if (block.dataset.current) lines.push(`I: ${Number(block.dataset.current).toFixed(6)} A`);
   if (block.dataset.powered === 'true') lines.push('Powered: yes');
+  if (block.dataset.value) lines.push(`Value: ${block.dataset.value}`);
+  const issue = block.dataset.damage && lastIssues.find(i => i.id === block.dataset.id);
+  if (issue) lines.push(`⚠ ${issue.message}`);
   // If debugging is enabled, append raw dataset for quick inspection
   if (CT_DEBUG) {
     try {
@@ -1894,7 +2362,7 @@ function fallbackSimplePowering() {
           if (!(l && r)) return;
           if (reachableFromPos.has(l) && reachableFromPos.has(r) && reachableToNeg.has(l) && reachableToNeg.has(r)) {
             if (!b.dataset.current) b.dataset.current = String(Iest);
-            if (!b.dataset.voltageDrop) b.dataset.voltageDrop = String(Number(b.dataset.forwardVoltage || 2));
+            if (!b.dataset.voltageDrop) b.dataset.voltageDrop = String(LedModels.forDataset(b.dataset).Vf);
             try { const intensity = Math.min(1, Iest / 0.02); b.style.setProperty('--led-intensity', String(intensity)); } catch(e){}
           }
         });
@@ -1910,28 +2378,35 @@ function fallbackSimplePowering() {
       autoEvaluateEnabled = true;
       disableEditingDuringSim(true);
       if (button) { button.classList.add('stop'); button.textContent = 'Stop Simulation'; }
-      simTickCount = 0; simNoProgressCount = 0; lastSimSummary = { ledCount: 0, totalCurrent: 0 };
+      simTickCount = 0; simNoProgressCount = 0; lastSimSummary = { ledCount: 0, totalCurrent: 0 }; lastIssues = [];
+      // every run starts with discharged capacitors and de-energized inductors
+      simTime = 0; digitalState = null;
       updateSimBanner('Simulation running…', 'ok', true);
       // immediate run
       try { evaluateCircuit(); } catch(e){ console.error(e); }
+      Scope.clearSamples();
+      sampleScope();
       simInterval = setInterval(()=>{
         simTickCount++;
-        const res = evaluateCircuit();
+        const step = simulatedTickSeconds();
+        const res = evaluateCircuit(false, step);
+        simTime += step;
+        sampleScope();
         // summarize
         const ledsPowered = workspace.querySelectorAll('.block[data-type="led"].powered').length;
         let totalCurrent = 0;
         Array.from(workspace.querySelectorAll('.block')).forEach(b=>{ totalCurrent += Math.abs(Number(b.dataset.current) || 0); });
-        // detect solver failure
-        if (res && res.success === false){
-          if (res.reason === 'solver-failed') updateSimBanner('Solver failed to converge (singular / looped circuit). Try adding a resistor or check wiring.', 'error', true);
-          else if (res.reason === 'no-nets') updateSimBanner('No nets detected: components are not connected.', 'error', true);
-        }
-        // detect lack of visible progress: no LEDs lit and near-zero currents
-        const noProgress = (ledsPowered === 0 && totalCurrent < 1e-6);
-        if (noProgress){ simNoProgressCount++; } else { simNoProgressCount = 0; clearSimBanner(); }
-        if (simNoProgressCount >= 6){ updateSimBanner('No powered components detected. Check wiring, polarity, or battery voltage.', 'error', true); }
+        // solver failures are on the banner already (showSolveFailure); a missing source is not
+        const failed = !!res && res.success === false;
+        if (failed && res.reason === 'no-source') updateSimBanner('Nothing powers the circuit: add a battery or a clock.', 'error', true);
+        // detect lack of visible progress: no LEDs lit, no logic output high and near-zero currents
+        const logicHigh = workspace.querySelectorAll('.block.gate.powered, .block.sequential.powered').length;
+        const noProgress = (ledsPowered === 0 && totalCurrent < 1e-6 && logicHigh === 0);
+        // damage warnings stay up until the circuit is fixed
+        if (noProgress){ simNoProgressCount++; } else { simNoProgressCount = 0; if (!lastIssues.length) clearSimBanner(); }
+        if (simNoProgressCount >= 6 && !lastIssues.length && !failed){ updateSimBanner('No powered components detected. Check wiring, polarity, or battery voltage.', 'error', true); }
         lastSimSummary = { ledCount: ledsPowered, totalCurrent };
-      }, 600);
+      }, SIM_TICK_MS);
     }
 
     function stopSimulation(button){
@@ -1941,10 +2416,428 @@ function fallbackSimplePowering() {
       disableEditingDuringSim(false);
       if (button) { button.classList.remove('stop'); button.textContent = 'Run Simulation'; }
       if (simInterval) { clearInterval(simInterval); simInterval = null; }
+      updateWireView();
       updateSimBanner('Simulation stopped.', 'ok', true);
       setTimeout(()=>{ clearSimBanner(); }, 1400);
     }
 
+// --- Wire view: net voltage colours and current-flow dots while the simulation runs ---
+
+const WIRE_COLOR = '#222';
+const DOT_SPEED_PER_AMP = 2000; // px/s: 20 mA moves the dots 40 px a second
+const MAX_DOT_SPEED = 240;      // px/s
+const MIN_FLOW_CURRENT = 1e-6;  // A, below this a wire shows no dots
+let electronFlow = false;
+let flowFrame = null;
+
+const connectorKey = conn => `${conn.dataset.blockId}/${conn.dataset.terminal}`;
+
+// Current into each part at its connectors, for WireFlow.solve(): resistive parts from their
+// solved current and the voltages at their ends, sources and storage parts left to Kirchhoff
+function partCurrents(volts){
+  const known = new Map(), unknowns = [];
+  workspace.querySelectorAll('.block').forEach(b => {
+    const type = b.dataset.type;
+    const left = connectorFor(b, 'left'), right = connectorFor(b, 'right');
+    const I = Number(b.dataset.current) || 0;
+    const set = (conn, value) => { if (conn) known.set(connectorKey(conn), value); };
+    if (type === 'resistor' || type === 'switch') {
+      const dir = volts(left) >= volts(right) ? 1 : -1; // from the higher end to the lower
+      set(left, dir * I); set(right, -dir * I);
+    } else if (type === 'led') {
+      set(right, I); set(left, -I); // anode to cathode
+    } else if (type === 'battery' || type === 'capacitor' || type === 'inductor') {
+      unknowns.push([connectorKey(right), connectorKey(left)]);
+    } else if (Gates.isGate(type) || SequentialParts.isSequential(type)) {
+      const part = Gates.isGate(type) ? { inputs: Gates.inputTerminals(type), outputs: [Gates.OUTPUT_TERMINAL] } : SequentialParts.get(type);
+      part.inputs.forEach(t => set(connectorFor(b, t), 0));
+      part.outputs.forEach(t => { const c = connectorFor(b, t); if (c) unknowns.push([connectorKey(c)]); });
+    }
+  });
+  return { known, unknowns };
+}
+
+// While the simulation runs, colour every wire by its net's voltage (legend under the controls)
+// and move dots along it at a speed proportional to its current, in the direction of
+// conventional current or, with the Electron flow box ticked, the other way
+function updateWireView(){
+  const legend = document.getElementById('wire-legend');
+  flowLayer.innerHTML = '';
+  connections.forEach(c => { delete c.dots; });
+  if (!isSimRunning || !lastNodeVoltages) {
+    connections.forEach(c => { if (c.line) c.line.setAttribute('stroke', WIRE_COLOR); });
+    if (legend) legend.hidden = true;
+    if (flowFrame) { cancelAnimationFrame(flowFrame); flowFrame = null; }
+    return;
+  }
+  const nv = lastNodeVoltages;
+  const volts = conn => (conn && nv.byNet.get(nv.netFor(conn))) || 0;
+  const values = Array.from(nv.byNet.values());
+  const min = Math.min(0, ...values), max = Math.max(0, ...values);
+  const { known, unknowns } = partCurrents(volts);
+  const flows = WireFlow.solve({ known, unknowns, wires: connections.map(c => [connectorKey(c.conn1), connectorKey(c.conn2)]) });
+  connections.forEach((c, i) => {
+    if (!c.line) return;
+    c.line.setAttribute('stroke', WireFlow.voltageColor(volts(c.conn1), min, max));
+    const I = flows[i];
+    if (Math.abs(I) < MIN_FLOW_CURRENT) return;
+    const dots = c.line.cloneNode(false);
+    dots.setAttribute('class', 'wire-flow');
+    dots.removeAttribute('stroke');
+    dots.removeAttribute('stroke-width');
+    c.dots = dots;
+    // positive speed moves the dots from conn1 towards conn2
+    c.dotSpeed = Math.sign(I) * (electronFlow ? -1 : 1) * Math.min(MAX_DOT_SPEED, Math.abs(I) * DOT_SPEED_PER_AMP);
+    c.dotOffset = c.dotOffset || 0;
+    flowLayer.appendChild(dots);
+  });
+  if (legend) {
+    legend.hidden = false;
+    const lo = document.getElementById('wire-legend-min'), hi = document.getElementById('wire-legend-max');
+    if (lo) lo.textContent = `${min.toFixed(2)} V`;
+    if (hi) hi.textContent = `${max.toFixed(2)} V`;
+  }
+  if (!flowFrame) {
+    let last = null;
+    const step = t => {
+      const dt = last == null ? 0 : Math.min(0.1, (t - last) / 1000);
+      last = t;
+      connections.forEach(c => {
+        if (!c.dots) return;
+        c.dotOffset = (c.dotOffset + c.dotSpeed * dt) % 1000;
+        c.dots.setAttribute('stroke-dashoffset', String(-c.dotOffset));
+      });
+      flowFrame = requestAnimationFrame(step);
+    };
+    flowFrame = requestAnimationFrame(step);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const box = document.getElementById('electron-flow');
+  if (box) box.addEventListener('change', () => { electronFlow = box.checked; updateWireView(); });
+});
+
+// --- Probe tool and oscilloscope panel ---
+
+function probeLabelForConnector(connector){
+  const term = connector.dataset.terminal || '?';
+  return term === 'node' ? `V(${connector.dataset.blockId})` : `V(${connector.dataset.blockId}/${term})`;
+}
+
+function toggleVoltageProbe(connector){
+  for (const [id, t] of probeTargets) {
+    if (t.connector === connector) { removeProbe(id); return; }
+  }
+  const probe = Scope.addProbe('voltage', probeLabelForConnector(connector));
+  probeTargets.set(probe.id, { kind: 'voltage', connector });
+  connector.classList.add('probed'); connector.style.setProperty('--probe-color', probe.color);
+  renderScopePanel();
+}
+
+function toggleCurrentProbe(block){
+  for (const [id, t] of probeTargets) {
+    if (t.block === block) { removeProbe(id); return; }
+  }
+  const probe = Scope.addProbe('current', `I(${block.dataset.id} ${block.dataset.type})`);
+  probeTargets.set(probe.id, { kind: 'current', block });
+  block.classList.add('probed'); block.style.setProperty('--probe-color', probe.color);
+  renderScopePanel();
+}
+
+function removeProbe(id){
+  const t = probeTargets.get(id);
+  const el = t && (t.connector || t.block);
+  if (el) { el.classList.remove('probed'); el.style.removeProperty('--probe-color'); }
+  probeTargets.delete(id);
+  Scope.removeProbe(id);
+  renderScopePanel();
+}
+
+function setProbeMode(on){
+  probeMode = !!on;
+  if (probeMode) setMeterMode(false);
+  document.body.classList.toggle('probe-mode', probeMode);
+  const btn = document.getElementById('probe-tool');
+  if (btn) btn.classList.toggle('active', probeMode);
+  if (probeMode) {
+    const panel = document.getElementById('scope-panel');
+    if (panel) panel.hidden = false;
+    renderScopePanel();
+  }
+}
+
+// --- Multimeter tool ---
+
+// Clicks in meter mode place the red probe, then the black one; a third click starts over
+function placeMeterProbe(connector){
+  if (!meter.red || meter.black) { clearMeterProbes(); meter.red = connector; }
+  else if (connector !== meter.red) meter.black = connector;
+  connector.classList.add(connector === meter.red ? 'meter-red' : 'meter-black');
+  updateMeter();
+}
+
+function clearMeterProbes(){
+  [meter.red, meter.black].forEach(c => { if (c) c.classList.remove('meter-red', 'meter-black'); });
+  meter.red = meter.black = null;
+  updateMeter();
+}
+
+function setMeterMode(on){
+  meterMode = !!on;
+  if (meterMode) setProbeMode(false);
+  document.body.classList.toggle('meter-mode', meterMode);
+  const btn = document.getElementById('meter-tool');
+  if (btn) btn.classList.toggle('active', meterMode);
+  const panel = document.getElementById('meter-panel');
+  if (panel && meterMode) panel.hidden = false;
+  updateMeter();
+}
+
+const meterProbe = conn => ({ blockId: conn.dataset.blockId, terminal: conn.dataset.terminal });
+
+// Show the reading for the placed probes. Voltages come from the last evaluation when there is
+// one (so they follow capacitors charging); current and resistance need the meter in the circuit,
+// so multimeter.js solves a copy with it. Probes on removed parts are dropped.
+function updateMeter(){
+  const display = document.getElementById('meter-display');
+  const leads = document.getElementById('meter-leads');
+  if (!display || !leads) return;
+  if (meter.red && !meter.red.isConnected) meter.red = null;
+  if (meter.black && !meter.black.isConnected) meter.black = null;
+  const model = buildCircuitModel();
+  const where = conn => {
+    if (!conn) return '—';
+    const net = model.netFor(conn);
+    const name = conn.dataset.terminal === 'node' ? conn.dataset.blockId : `${conn.dataset.blockId}/${conn.dataset.terminal}`;
+    return net != null ? `${name} (net ${net})` : name;
+  };
+  leads.textContent = `Red: ${where(meter.red)} · Black: ${where(meter.black)}`;
+  if (!meter.red || !meter.black) { display.textContent = meterMode ? 'Click two connectors' : '—'; return; }
+  let reading;
+  const nv = meter.mode === 'voltage' && lastNodeVoltages;
+  if (nv) {
+    const v = conn => { const net = nv.netFor(conn); return nv.byNet.get(net) || 0; };
+    const value = v(meter.red) - v(meter.black);
+    reading = { value, text: Multimeter.format(value, 'V') };
+  } else {
+    reading = Multimeter.measure(exportCircuit(), meter.mode, meterProbe(meter.red), meterProbe(meter.black));
+  }
+  display.textContent = reading.text;
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const btn = document.getElementById('meter-tool');
+  if (btn) btn.addEventListener('click', e => { e.stopPropagation(); setMeterMode(!meterMode); });
+  document.querySelectorAll('#meter-panel input[name="meter-mode"]').forEach(input => {
+    input.addEventListener('change', () => { if (input.checked) { meter.mode = input.value; updateMeter(); } });
+  });
+  const clear = document.getElementById('meter-clear');
+  if (clear) clear.addEventListener('click', clearMeterProbes);
+});
+
+// DC node voltages for the current workspace, grounded at the first battery's - terminal
+function solveDcNodeVoltages(){
+  if (typeof CircuitCore === 'undefined') return null;
+  const res = CircuitCore.simulate(exportCircuit());
+  if (!res.success) return null;
+  return { netFor: conn => res.netOf(conn.dataset.blockId, conn.dataset.terminal), byNet: new Map(res.nodeVoltages.map((v, net) => [net, v])) };
+}
+
+// Record one sample for every probe at the current simulated time and redraw
+function sampleScope(){
+  if (!probeTargets.size) return;
+  const needsVoltages = Array.from(probeTargets.values()).some(t => t.kind === 'voltage');
+  const nv = needsVoltages ? (lastNodeVoltages || solveDcNodeVoltages()) : null;
+  const values = new Map();
+  probeTargets.forEach((t, id) => {
+    if (t.kind === 'current') {
+      // signed, so a capacitor's charging and discharging currents plot either side of zero
+      values.set(id, t.block.isConnected ? Number(t.block.dataset.signedCurrent) || 0 : NaN);
+    } else if (nv && t.connector.isConnected) {
+      const net = nv.netFor(t.connector);
+      values.set(id, nv.byNet.has(net) ? nv.byNet.get(net) : NaN);
+    }
+  });
+  Scope.record(simTime, values);
+  renderScopePanel();
+}
+
+function renderScopePanel(){
+  const panel = document.getElementById('scope-panel');
+  if (!panel || panel.hidden) return;
+  const tb = Number(document.getElementById('scope-timebase')?.value) || 0.1;
+  Scope.render(document.getElementById('scope-canvas'), { timeBase: tb });
+  const list = document.getElementById('scope-traces');
+  if (!list) return;
+  const probes = Scope.getProbes();
+  if (!probes.length) { list.innerHTML = '<li class="scope-empty">Use the Probe tool to add traces.</li>'; return; }
+  // labels hold part ids from loaded files, so they go in as text
+  list.innerHTML = '';
+  probes.forEach(p => {
+    const li = document.createElement('li');
+    const sw = document.createElement('span'); sw.className = 'sw'; sw.style.background = p.color;
+    const btn = document.createElement('button');
+    btn.textContent = '✕';
+    btn.setAttribute('aria-label', `Remove ${p.label}`);
+    btn.onclick = () => removeProbe(p.id);
+    li.append(sw, p.label, btn);
+    list.appendChild(li);
+  });
+}
+
+const EXPLAIN_HEADINGS = { logic: 'Logic gates', reduction: 'Series and parallel', nodal: 'Node voltages' };
+
+// Fill the Explain panel from lastExplanation; hovering a step outlines the parts it talks about
+function renderExplainPanel(){
+  const panel = document.getElementById('explain-panel');
+  const body = document.getElementById('explain-body');
+  if (!panel || panel.hidden || !body) return;
+  body.innerHTML = '';
+  const groups = lastExplanation ? lastExplanation.groups.filter(g => g.steps.length) : [];
+  if (!groups.length) {
+    const p = document.createElement('p'); p.className = 'explain-empty';
+    p.textContent = workspace.querySelector('.block[data-type="capacitor"], .block[data-type="inductor"]')
+      ? 'Step-by-step working covers DC circuits; capacitors and inductors change over time, so use the Scope instead.'
+      : 'Run the simulation on a circuit with a battery to see the working.';
+    body.appendChild(p);
+    return;
+  }
+  const highlight = (ids, on) => ids.forEach(id => {
+    const b = workspace.querySelector(`.block[data-id="${id}"]`);
+    if (b) b.classList[on ? 'add' : 'remove']('explain-highlight');
+  });
+  groups.forEach(g => {
+    if (groups.length > 1) { const h = document.createElement('h4'); h.textContent = EXPLAIN_HEADINGS[g.method] || g.method; body.appendChild(h); }
+    const ol = document.createElement('ol');
+    g.steps.forEach(step => {
+      const li = document.createElement('li');
+      li.className = step.kind;
+      li.textContent = step.text;
+      li.addEventListener('mouseenter', () => highlight(step.ids, true));
+      li.addEventListener('mouseleave', () => highlight(step.ids, false));
+      ol.appendChild(li);
+    });
+    body.appendChild(ol);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const explainBtn = document.getElementById('explain-toggle');
+  const explainPanel = document.getElementById('explain-panel');
+  if (explainBtn && explainPanel) explainBtn.addEventListener('click', () => {
+    explainPanel.hidden = !explainPanel.hidden;
+    if (!explainPanel.hidden && !lastExplanation) evaluateCircuit(true);
+    renderExplainPanel();
+  });
+});
+
+// Fill the Truth Table panel: inputs (switches, with their part names) then outputs, one row per
+// combination
+function renderTruthTablePanel(){
+  const panel = document.getElementById('truth-panel');
+  const body = document.getElementById('truth-body');
+  if (!panel || panel.hidden || !body) return;
+  body.innerHTML = '';
+  const table = TruthTable.generate(exportCircuit());
+  const note = text => { const p = document.createElement('p'); p.className = 'truth-empty'; p.textContent = text; body.appendChild(p); };
+  if (table.error) return note(table.error);
+  if (!table.inputs.length) return note('Add switches as inputs to see the truth table.');
+  if (!table.outputs.length) return note('Add an LED or a logic gate as the output.');
+  const el = document.createElement('table');
+  const head = el.createTHead().insertRow();
+  const th = (text, sub, cls) => {
+    const cell = document.createElement('th');
+    if (cls) cell.className = cls;
+    cell.textContent = text;
+    if (sub) { const s = document.createElement('small'); s.textContent = sub; cell.appendChild(s); }
+    head.appendChild(cell);
+  };
+  table.inputs.forEach(i => th(i.name, i.part));
+  table.outputs.forEach((o, k) => th(o.name, null, k === 0 ? 'out' : ''));
+  const tbody = el.createTBody();
+  table.rows.forEach(r => {
+    const tr = tbody.insertRow();
+    r.inputs.forEach(v => { tr.insertCell().textContent = v ? '1' : '0'; });
+    r.outputs.forEach((v, k) => {
+      const td = tr.insertCell();
+      td.textContent = v ? '1' : '0';
+      td.className = `${k === 0 ? 'out ' : ''}${v ? 'on' : ''}`.trim();
+    });
+  });
+  body.appendChild(el);
+}
+
+// Build the circuit for a boolean expression (logic-synth.js) to the right of what is already on
+// the workspace; returns the expression that was built, or null (the reason is shown in the panel)
+function buildFromExpression(text, minimize){
+  const msg = document.getElementById('synth-message');
+  const say = (t, cls) => { if (msg) { msg.textContent = t; msg.className = cls; } };
+  if (isSimRunning) { say('Stop the simulation before adding parts.', 'error'); return null; }
+  if (viewOnly) { say('This circuit is view-only.', 'error'); return null; }
+  const parsed = LogicSynth.parse(text);
+  if (parsed.error) { say(parsed.error, 'error'); return null; }
+  const expr = minimize ? LogicSynth.minimize(parsed.expr, parsed.variables) : parsed.expr;
+  const existing = Array.from(workspace.querySelectorAll('.block, .wire-node'));
+  const x = existing.length ? Math.max(...existing.map(b => (parseFloat(b.style.left) || 0) + (b.offsetWidth || 100))) + 60 : 40;
+  const plan = LogicSynth.layout(expr, parsed.variables, { x, y: 40 });
+  const placed = new Map();
+  plan.blocks.forEach(p => {
+    const b = createBlockInstance(p.type);
+    Object.keys(p.dataset).forEach(k => { b.dataset[k] = p.dataset[k]; });
+    showBlockName(b);
+    b.style.position = 'absolute'; b.style.left = p.left; b.style.top = p.top;
+    b.classList.add('instance');
+    workspace.appendChild(b); makeMovable(b);
+    placed.set(p.id, b);
+  });
+  const wires = plan.conns.map(c => createWire(connectorFor(placed.get(c.conn1BlockId), c.conn1Terminal), connectorFor(placed.get(c.conn2BlockId), c.conn2Terminal)));
+  editHistory.record(addCommand(`Build ${LogicSynth.toString(expr)}`, Array.from(placed.values()).map(partRecord), wires.filter(Boolean).map(connEntry)));
+  evaluateCircuit();
+  say(`Built ${LogicSynth.toString(expr)} with ${plan.blocks.filter(b => Gates.isGate(b.type)).length} gate(s).`, 'ok');
+  return expr;
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const synthBtn = document.getElementById('synth-toggle');
+  const synthPanel = document.getElementById('synth-panel');
+  if (synthBtn && synthPanel) synthBtn.addEventListener('click', () => { synthPanel.hidden = !synthPanel.hidden; });
+  const form = document.getElementById('synth-form');
+  if (form) form.addEventListener('submit', e => {
+    e.preventDefault();
+    buildFromExpression(document.getElementById('synth-expr').value, document.getElementById('synth-minimize').checked);
+  });
+});
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const truthBtn = document.getElementById('truth-toggle');
+  const truthPanel = document.getElementById('truth-panel');
+  if (truthBtn && truthPanel) truthBtn.addEventListener('click', () => {
+    truthPanel.hidden = !truthPanel.hidden;
+    renderTruthTablePanel();
+  });
+  const refresh = document.getElementById('truth-refresh');
+  if (refresh) refresh.addEventListener('click', renderTruthTablePanel);
+});
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  const probeBtn = document.getElementById('probe-tool');
+  const scopeBtn = document.getElementById('scope-toggle');
+  const panel = document.getElementById('scope-panel');
+  if (probeBtn) probeBtn.addEventListener('click', e => { e.stopPropagation(); setProbeMode(!probeMode); });
+  if (scopeBtn && panel) scopeBtn.addEventListener('click', () => { panel.hidden = !panel.hidden; renderScopePanel(); });
+  const tb = document.getElementById('scope-timebase');
+  if (tb) tb.addEventListener('change', renderScopePanel);
+  const clearBtn = document.getElementById('scope-clear');
+  if (clearBtn) clearBtn.addEventListener('click', () => { Scope.clearSamples(); renderScopePanel(); });
+  const csvBtn = document.getElementById('scope-csv');
+  if (csvBtn) csvBtn.addEventListener('click', () => {
+    const blob = new Blob([Scope.toCSV()], {type:'text/csv'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = 'scope.csv'; a.click(); URL.revokeObjectURL(url);
+  });
+});
+
 // --- Lesson / teaching UI (levels, show answer modal, submit feedback) ---
 (function(){
   const levels = [
@@ -1959,7 +2852,11 @@ function fallbackSimplePowering() {
         'Ask yourself why a component is (or isn\'t) powered tracing the path of current helps a lot.',
         'Connector polarity tip: battery RIGHT → component RIGHT (anode) → component LEFT (cathode) → battery LEFT — this is the easiest series wiring pattern to light an LED.'
       ],
-      image: 'https://i.imgur.com/abcd123.png'
+      image: 'https://i.imgur.com/abcd123.png',
+      checks: [
+        LessonChecks.usesPart('battery'),
+        LessonChecks.circuitClosed()
+      ]
     },
     {
       id: 1,
@@ -1970,7 +2867,12 @@ function fallbackSimplePowering() {
         'Make sure the LED is oriented correctly (anode vs cathode) LEDs only light when forward biased.',
         'If the LED does not light, double-check your wires form a closed loop back to the battery.'
       ],
-      image: null
+      image: null,
+      checks: [
+        LessonChecks.usesPart('battery'),
+        LessonChecks.usesPart('resistor'),
+        LessonChecks.ledPowered({ maxCurrent: 0.02 })
+      ]
     },
     {
       id: 2,
@@ -1981,7 +2883,11 @@ function fallbackSimplePowering() {
         'Higher voltage can increase current use resistors to protect LEDs and other parts.',
         'Observe the system summary for voltage and current changes as you add batteries.'
       ],
-      image: null
+      image: null,
+      checks: [
+        LessonChecks.batteriesInSeries(2),
+        LessonChecks.ledPowered({ maxCurrent: 0.02 })
+      ]
     },
     {
       id: 3,
@@ -1992,7 +2898,12 @@ function fallbackSimplePowering() {
         'Measure how current through a branch changes when you alter resistor values.',
         'Think about how splitting current in parallel affects component voltages.'
       ],
-      image: null
+      image: null,
+      checks: [
+        LessonChecks.resistorsInSeries(),
+        LessonChecks.resistorsInParallel(),
+        LessonChecks.circuitClosed()
+      ]
     },
     {
       id: 4,
@@ -2004,7 +2915,11 @@ function fallbackSimplePowering() {
         'Start by connecting a single AND or OR gate and testing its behavior before combining multiple gates.',
         'Think about how to combine multiple gates to get more complex True/False outputs.'
       ],
-      image: null
+      image: null,
+      checks: [
+        LessonChecks.usesPart('and', 1, 'AND gate'),
+        LessonChecks.matchesTruthTable({ inputs: 2, expect: '0001', description: 'LED is lit only when both switches are on (A AND B)' })
+      ]
     },
     {
       id: 5,
@@ -2094,15 +3009,74 @@ function fallbackSimplePowering() {
     modal.setAttribute('aria-hidden','true');
   }
 
+  // Read the solver annotations (dataset.current / powered) for every block into a results Map
+  function collectResults(){
+    const results = new Map();
+    workspace.querySelectorAll('.block').forEach(b => {
+      results.set(b.dataset.id, {
+        current: Number(b.dataset.current) || 0,
+        voltageDrop: Number(b.dataset.voltageDrop) || 0,
+        powered: b.dataset.powered === 'true' || b.dataset.outputPowered === 'true'
+      });
+    });
+    return results;
+  }
+
+  // Build the context LessonChecks criteria run against: components with their nets from
+  // buildCircuitModel() plus the latest solver results.
+  function buildLessonContext(){
+    evaluateCircuit(true);
+    const model = buildCircuitModel();
+    const netSizes = new Map();
+    model.connectorList.forEach(c => {
+      const n = model.netFor(c);
+      if (n == null) return;
+      netSizes.set(n, (netSizes.get(n) || 0) + 1);
+    });
+    const netOf = (b, sel) => { const c = b.querySelector(sel); return c ? model.netFor(c) : null; };
+    // order left-to-right so "first switch" means the leftmost one on the workspace
+    const blocks = Array.from(workspace.querySelectorAll('.block')).sort((a, b) => (parseFloat(a.style.left) || 0) - (parseFloat(b.style.left) || 0));
+    const components = blocks.map(b => ({
+      id: b.dataset.id,
+      type: b.dataset.type,
+      state: b.dataset.state,
+      nets: { left: netOf(b, '.input.left'), right: netOf(b, '.input.right'), out: netOf(b, '.input.output') }
+    }));
+    return {
+      components,
+      results: collectResults(),
+      netSize: net => netSizes.get(net) || 0,
+      truthTable: inputs => TruthTable.generate(exportCircuit(), { inputs })
+    };
+  }
+
   function submitAnswer(){
-    // For now simply show congrats message briefly
     const res = document.getElementById('answer-result');
     if (!res) return;
-    res.textContent = 'Congrats!';
+    const sel = document.getElementById('level-select');
+    const lvl = levels.find(l => l.id === (sel ? Number(sel.value) : 0)) || levels[0];
+    clearTimeout(submitAnswer._hideTimer);
+    res.classList.remove('pass', 'fail');
     res.style.display = 'block';
-    // small highlight animation
     res.style.opacity = '1';
-    setTimeout(()=>{ if (res) { res.style.display = 'none'; } }, 2200);
+    if (!Array.isArray(lvl.checks) || !lvl.checks.length) {
+      // open-ended levels have nothing to verify
+      res.textContent = 'Congrats! This level is open-ended — keep experimenting.';
+      res.classList.add('pass');
+      submitAnswer._hideTimer = setTimeout(()=>{ if (res) { res.style.display = 'none'; } }, 2200);
+      return;
+    }
+    const outcome = LessonChecks.run(lvl.checks, buildLessonContext());
+    // labels and details name parts by id, which a loaded file sets: write them as text
+    const el = (tag, className, text) => { const e = document.createElement(tag); if (className) e.className = className; if (text != null) e.textContent = text; return e; };
+    const list = el('ul', 'answer-checks');
+    outcome.results.forEach(r => {
+      const li = el('li', r.pass ? 'pass' : 'fail');
+      li.append(el('strong', null, `${r.pass ? '✓' : '✗'} ${r.label}`), el('div', 'check-detail', r.detail));
+      list.appendChild(li);
+    });
+    res.replaceChildren(el('div', 'answer-summary', outcome.passed ? 'Congrats! Every requirement is met.' : 'Not yet — some requirements are not met:'), list);
+    res.classList.add(outcome.passed ? 'pass' : 'fail');
   }
 
   // wire up UI after DOM ready
@@ -2117,13 +3091,6 @@ function fallbackSimplePowering() {
           if (!isSimRunning) startSimulation(simBtn); else stopSimulation(simBtn);
         });
       }
-      // basic/simple solver control
-      const basicBtn = document.getElementById('sim-basic');
-      if (basicBtn){
-        basicBtn.addEventListener('click', ()=>{
-          if (!isBasicSimRunning) startBasicSimulation(basicBtn); else stopBasicSimulation(basicBtn);
-        });
-      }
       // top-right undo button (quick workspace undo)
       const undoTopBtn = document.getElementById('undo-top');
       if (undoTopBtn) undoTopBtn.addEventListener('click', ()=>{ undo(); });
@@ -2141,6 +3108,11 @@ function fallbackSimplePowering() {
     if (submitBtn) submitBtn.addEventListener('click', ()=>{
       submitAnswer();
     });
+    const worksheetBtn = document.getElementById('worksheet-btn');
+    if (worksheetBtn) worksheetBtn.addEventListener('click', ()=>{
+      const sel = document.getElementById('level-select');
+      printWorksheet(levels.find(l => l.id === (sel ? Number(sel.value) : 0)) || levels[0]);
+    });
     if (modal) {
       modal.querySelector('.overlay')?.addEventListener('click', closeAnswerModal);
       modal.querySelector('.close')?.addEventListener('click', closeAnswerModal);
@@ -0,0 +1,118 @@
+// Stateful logic parts: a clock source, an SR latch, D/JK/T flip-flops, a 4-bit counter and a
+// 7-segment display, defined once for the solver (circuit-core.js) and the workspace (script.js).
+//
+// Each part lists its input and output pins (terminal names) and steps its state from the input
+// levels now and one propagation step earlier, so an edge is "low before, high now":
+//   flip-flops and the counter act on the rising edge of clk and sample their data inputs as they
+//   were just before it; the SR latch follows its inputs whenever they change (S and R both high
+//   forces Q and Q̅ low, as in a NOR latch); the counter's rst clears it while high; the display
+//   shows d3..d0 as a hex digit.
+// Clocks start low at t = 0 and toggle every half period; their level is a function of time, so
+// two runs over the same span see the same edges whatever steps they are taken in.
+//
+//   SequentialParts.get('dff')                          // { type, title, inputs, outputs, desc }
+//   SequentialParts.step('dff', state, now, before)     // -> next state
+//   SequentialParts.outputs('dff', state)               // -> { q, qn }
+//   SequentialParts.clockEdges(dataset, t0, t1)         // -> edge times in (t0, t1]
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SequentialParts = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const DEFAULT_FREQUENCY = 1; // Hz
+  // Hz: every edge is a full settle of the circuit, so a faster clock would stall the page
+  const MAX_FREQUENCY = 100;
+  const EDGE_EPS = 1e-9;       // absorbs float error in k / (2f)
+
+  const PARTS = new Map([
+    ['clock', { title: 'Clock', inputs: [], outputs: ['out'], desc: 'Square-wave source: its output switches between low and high at the set frequency.' }],
+    ['srlatch', { title: 'SR Latch', inputs: ['s', 'r'], outputs: ['q', 'qn'], desc: 'Set-reset latch: S makes Q high, R makes it low, and with both low Q remembers its last value.' }],
+    ['dff', { title: 'D Flip-Flop', inputs: ['d', 'clk'], outputs: ['q', 'qn'], desc: 'On each rising clock edge Q takes the value D had; between edges it holds.' }],
+    ['jkff', { title: 'JK Flip-Flop', inputs: ['j', 'k', 'clk'], outputs: ['q', 'qn'], desc: 'On a rising clock edge: J sets, K resets, both toggle Q, neither holds it.' }],
+    ['tff', { title: 'T Flip-Flop', inputs: ['t', 'clk'], outputs: ['q', 'qn'], desc: 'Toggles Q on every rising clock edge while T is high. Chain them to count.' }],
+    ['counter4', { title: '4-bit Counter', inputs: ['clk', 'rst'], outputs: ['q0', 'q1', 'q2', 'q3'], desc: 'Counts rising clock edges from 0 to 15 and wraps; q0 is the lowest bit. rst clears it.' }],
+    ['seg7', { title: '7-Segment Display', inputs: ['d0', 'd1', 'd2', 'd3'], outputs: [], desc: 'Shows the 4-bit number on d3..d0 as a digit 0-9 or A-F.' }]
+  ]);
+  PARTS.forEach((p, type) => { p.type = type; });
+  const TYPES = Array.from(PARTS.keys());
+
+  // lit segments per hex digit (segments a..g clockwise from the top, g in the middle)
+  const SEGMENTS = ['abcdef', 'bc', 'abdeg', 'abcdg', 'bcfg', 'acdfg', 'acdefg', 'abc', 'abcdefg', 'abcdfg', 'abcefg', 'cdefg', 'adef', 'bcdeg', 'adefg', 'aefg'];
+
+  function get(type) {
+    return PARTS.get(type) || null;
+  }
+
+  function isSequential(type) {
+    return PARTS.has(type);
+  }
+
+  function terminals(type) {
+    const p = PARTS.get(type);
+    return p ? p.inputs.concat(p.outputs) : [];
+  }
+
+  function initialState(type) {
+    if (type === 'srlatch') return { q: false, qn: true };
+    if (type === 'counter4') return { count: 0 };
+    if (type === 'seg7') return { value: 0 };
+    return { q: false };
+  }
+
+  // now / before: { pin: bool } input levels after and before the latest propagation step
+  function step(type, state, now, before) {
+    const rising = pin => now[pin] && !before[pin];
+    switch (type) {
+      case 'srlatch':
+        if (now.s && now.r) return { q: false, qn: false };
+        if (now.s) return { q: true, qn: false };
+        if (now.r) return { q: false, qn: true };
+        return state;
+      case 'dff': return rising('clk') ? { q: !!before.d } : state;
+      case 'jkff':
+        if (!rising('clk')) return state;
+        if (before.j && before.k) return { q: !state.q };
+        if (before.j || before.k) return { q: !!before.j };
+        return state;
+      case 'tff': return rising('clk') && before.t ? { q: !state.q } : state;
+      case 'counter4':
+        if (now.rst) return { count: 0 };
+        return rising('clk') ? { count: (state.count + 1) % 16 } : state;
+      case 'seg7': return { value: ['d0', 'd1', 'd2', 'd3'].reduce((v, pin, i) => v | (now[pin] ? 1 << i : 0), 0) };
+      default: return state;
+    }
+  }
+
+  function outputs(type, state) {
+    switch (type) {
+      case 'srlatch': return { q: state.q, qn: state.qn };
+      case 'dff': case 'jkff': case 'tff': return { q: state.q, qn: !state.q };
+      case 'counter4': return { q0: !!(state.count & 1), q1: !!(state.count & 2), q2: !!(state.count & 4), q3: !!(state.count & 8) };
+      default: return {};
+    }
+  }
+
+  function frequency(dataset) {
+    const f = Number(dataset && dataset.frequency);
+    return f > 0 ? Math.min(f, MAX_FREQUENCY) : DEFAULT_FREQUENCY;
+  }
+
+  function clockLevel(dataset, t) {
+    return Math.floor(2 * frequency(dataset) * t + EDGE_EPS) % 2 === 1;
+  }
+
+  function clockEdges(dataset, t0, t1) {
+    const f2 = 2 * frequency(dataset);
+    const edges = [];
+    for (let k = Math.floor(f2 * t0 + EDGE_EPS) + 1; k <= Math.floor(f2 * t1 + EDGE_EPS); k++) edges.push(k / f2);
+    return edges;
+  }
+
+  function segments(value) {
+    return SEGMENTS[value & 15];
+  }
+
+  return { TYPES, DEFAULT_FREQUENCY, MAX_FREQUENCY, get, isSequential, terminals, initialState, step, outputs, frequency, clockLevel, clockEdges, segments };
+});
@@ -0,0 +1,111 @@
+// Circuits in a link: a saved-file document (circuit-format.js), compressed into the URL fragment,
+// so a circuit can be passed around as a link. The fragment never reaches the server.
+//
+// The JSON is UTF-8 encoded and LZW compressed (codes packed least significant bit first, each as
+// wide as the largest code it could be, up to 16 bits; the table stops growing when full), then
+// written in URL-safe base64. Nets are left out (they are worked out from the wires again).
+//
+//   ShareLink.encode(doc, { view: true })   // -> '#c=...&view'
+//   ShareLink.decode(location.hash)         // -> null (no circuit), { text, view } or { error }
+//   ShareLink.WARN_LENGTH                   // links longer than this get cut by some mail and chat apps
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ShareLink = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const PARAM = 'c';
+  const VIEW = 'view';
+  const WARN_LENGTH = 2000;
+  const MAX_BITS = 16;
+  const TABLE_SIZE = 1 << MAX_BITS;
+
+  // width of the i-th code: enough for every code the table can hold by then
+  const widthAt = i => Math.min(MAX_BITS, 32 - Math.clz32(255 + i));
+
+  function toBase64url(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.slice(i, i + 0x8000));
+    return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64url(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('not base64url');
+    const s = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(s, c => c.charCodeAt(0));
+  }
+
+  function compress(text) {
+    const input = new TextEncoder().encode(text);
+    const table = new Map(); // prefix code * 256 + byte -> code
+    const out = [];
+    let next = 256, count = 0, acc = 0, bits = 0;
+    const emit = code => {
+      acc |= code << bits;
+      bits += widthAt(count++);
+      while (bits >= 8) { out.push(acc & 255); acc >>>= 8; bits -= 8; }
+    };
+    let w = -1;
+    for (const b of input) {
+      if (w < 0) { w = b; continue; }
+      const key = w * 256 + b;
+      if (table.has(key)) { w = table.get(key); continue; }
+      emit(w);
+      if (next < TABLE_SIZE) table.set(key, next++);
+      w = b;
+    }
+    if (w >= 0) emit(w);
+    if (bits > 0) out.push(acc & 255);
+    return toBase64url(out);
+  }
+
+  function decompress(data) {
+    const bytes = fromBase64url(data);
+    let pos = 0, count = 0, acc = 0, bits = 0;
+    const read = () => {
+      const width = widthAt(count++);
+      while (bits < width) {
+        if (pos >= bytes.length) return -1;
+        acc |= bytes[pos++] << bits;
+        bits += 8;
+      }
+      const code = acc & ((1 << width) - 1);
+      acc >>>= width;
+      bits -= width;
+      return code;
+    };
+    const table = [];
+    for (let i = 0; i < 256; i++) table.push([i]);
+    const out = [];
+    let w = null;
+    for (let code = read(); code >= 0; code = read()) {
+      let entry;
+      if (code < table.length) entry = table[code];
+      else if (w && code === table.length) entry = w.concat(w[0]);
+      else throw new Error('corrupt data');
+      entry.forEach(b => out.push(b));
+      if (w && table.length < TABLE_SIZE) table.push(w.concat(entry[0]));
+      w = entry;
+    }
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(out));
+  }
+
+  function encode(doc, options = {}) {
+    const shared = Object.assign({}, doc);
+    delete shared.nets;
+    return `#${PARAM}=${compress(JSON.stringify(shared))}${options.view ? `&${VIEW}` : ''}`;
+  }
+
+  function decode(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if (!params.has(PARAM)) return null;
+    try {
+      return { text: decompress(params.get(PARAM)), view: params.has(VIEW) };
+    } catch (e) {
+      return { error: 'the link is damaged or incomplete' };
+    }
+  }
+
+  return { WARN_LENGTH, compress, decompress, encode, decode };
+});
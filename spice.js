@@ -0,0 +1,231 @@
+// SPICE netlist export/import.
+// exportNetlist() turns the workspace components (with their nets from buildCircuitModel())
+// into a .cir deck that ngspice / LTspice can run; parseNetlist() reads a simple deck back into
+// element descriptors that script.js turns into blocks and wires.
+//
+// Terminal conventions (matching the blocks): battery + and LED anode are the RIGHT connector,
+// battery - and LED cathode the LEFT one. Two-terminal parts are written "right left"; switches
+// are written as resistors named RSW_<id> (tiny R when on, huge R when off) so they survive a
+// round trip, and logic gates (gates.js) as ngspice behavioral (B) sources driven from their input
+// nodes: inputs compared against half the supply and joined with &&, || or != (XOR), the output
+// ternary swapped (? 0 : high) for the inverting gates.
+// LEDs use one .model card per colour (LED_RED, LED_BLUE...) built from the led-models.js presets.
+//
+//   SpiceNetlist.exportNetlist({ title, ground: SpiceNetlist.groundNet(components), components })
+//   SpiceNetlist.parseNetlist(text)   // -> { title, elements, warnings }
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./led-models.js'), require('./gates.js'));
+  else root.SpiceNetlist = factory(root.LedModels, root.Gates);
+})(typeof window !== 'undefined' ? window : globalThis, function(LedModels, Gates) {
+  'use strict';
+
+  const SWITCH_ON_R = 1e-3;
+  const SWITCH_OFF_R = 1e9;
+  const SUFFIXES = [['t', 1e12], ['g', 1e9], ['meg', 1e6], ['k', 1e3], ['mil', 25.4e-6], ['m', 1e-3], ['u', 1e-6], ['µ', 1e-6], ['n', 1e-9], ['p', 1e-12], ['f', 1e-15]];
+  const LOGIC_OPS = { and: '&&', or: '||', xor: '!=' };
+  const FORMAT_STEPS = [[1e12, 'T'], [1e9, 'G'], [1e6, 'Meg'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'u'], [1e-9, 'n'], [1e-12, 'p'], [1e-15, 'f']];
+
+  // Format a number with a SPICE engineering suffix (1500 -> "1.5k", 1e-4 -> "100u")
+  function formatValue(v) {
+    const n = Number(v);
+    if (!isFinite(n) || n === 0) return '0';
+    const a = Math.abs(n);
+    for (const [scale, suffix] of FORMAT_STEPS) {
+      if (a >= scale * 0.9995) return `${Number((n / scale).toPrecision(4))}${suffix}`;
+    }
+    return String(n);
+  }
+
+  // Parse a SPICE number ("4.7k", "100u", "1meg", "10V" -> trailing units ignored); NaN if invalid
+  function parseValue(text) {
+    const m = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-zµ]*)$/i.exec(String(text).trim());
+    if (!m) return NaN;
+    const base = Number(m[1]);
+    const rest = m[2].toLowerCase();
+    for (const [suffix, scale] of SUFFIXES) {
+      // round away float noise (10u -> 1e-5, not 9.999999999999999e-6)
+      if (rest.startsWith(suffix)) return Number((base * scale).toPrecision(12));
+    }
+    return base;
+  }
+
+  function nodeName(net, ground) {
+    if (net == null) return null;
+    return net === ground ? '0' : `n${net}`;
+  }
+
+  // Net to write as node 0: the first battery's - net, else the first net any part is wired to;
+  // null when nothing is wired
+  function groundNet(components) {
+    const battery = components.find(c => c.type === 'battery' && c.nets.left != null);
+    if (battery) return battery.nets.left;
+    for (const c of components) {
+      const net = Object.values(c.nets).find(n => n != null);
+      if (net != null) return net;
+    }
+    return null;
+  }
+
+  // model: { title, ground, components: [{ id, type, dataset, nets: { left, right, out } }] }
+  // Returns the netlist text.
+  function exportNetlist(model) {
+    const ground = model.ground;
+    const lines = [`* ${model.title || 'Circuit Studio export'}`];
+    const body = [];
+    const skipped = [];
+    const ledColors = new Set();
+    let reactive = false;
+    const batteries = model.components.filter(c => c.type === 'battery');
+    const logicHigh = batteries.length ? Number(batteries[0].dataset.voltage) || 5 : 5;
+    // a gate input nobody else touches is floating; SPICE would reject the dangling node, read it as low
+    const netUse = new Map();
+    model.components.forEach(c => Object.keys(c.nets).forEach(k => {
+      if (c.nets[k] != null) netUse.set(c.nets[k], (netUse.get(c.nets[k]) || 0) + 1);
+    }));
+    const logicInput = net => (net == null || (net !== ground && netUse.get(net) < 2) ? '0' : `V(${nodeName(net, ground)})`);
+
+    model.components.forEach(c => {
+      const a = nodeName(c.nets.right, ground);
+      const b = nodeName(c.nets.left, ground);
+      const d = c.dataset || {};
+      switch (c.type) {
+        case 'resistor':
+          body.push(`R${c.id} ${a} ${b} ${formatValue(Number(d.resistance) || 100)}`);
+          break;
+        case 'battery':
+          body.push(`V${c.id} ${a} ${b} DC ${formatValue(Number(d.voltage) || 5)}`);
+          break;
+        case 'led': {
+          const led = LedModels.forDataset(d);
+          ledColors.add(led.color);
+          body.push(`D${c.id} ${a} ${b} LED_${led.color.toUpperCase()}`);
+          break;
+        }
+        case 'switch': {
+          const on = d.state !== 'off';
+          body.push(`RSW_${c.id} ${a} ${b} ${formatValue(on ? SWITCH_ON_R : SWITCH_OFF_R)} ; switch ${on ? 'on' : 'off'}`);
+          break;
+        }
+        case 'capacitor':
+          reactive = true;
+          body.push(`C${c.id} ${a} ${b} ${formatValue(Number(d.capacitance) || 0.001)}`);
+          break;
+        case 'inductor':
+          reactive = true;
+          body.push(`L${c.id} ${a} ${b} ${formatValue(Number(d.inductance) || 1)}`);
+          break;
+        default: {
+          const gate = Gates.get(c.type);
+          if (!gate) { skipped.push(c.id); break; }
+          const out = nodeName(c.nets.out, ground);
+          const th = formatValue(logicHigh / 2);
+          const terms = Gates.inputTerminals(c.type).map(t => `(${logicInput(c.nets[t])}>${th})`);
+          const expr = terms.length > 1 ? `(${terms.join(` ${LOGIC_OPS[gate.op]} `)})` : terms[0];
+          const high = formatValue(logicHigh);
+          body.push(`B${c.id} ${out} 0 V=${expr} ? ${gate.invert ? `0 : ${high}` : `${high} : 0`}`);
+        }
+      }
+    });
+
+    if (skipped.length) lines.push(`* skipped unsupported parts: ${skipped.join(', ')}`);
+    lines.push(...body);
+    // one diode model per LED colour, with the parameters the in-app solver uses
+    ledColors.forEach(color => {
+      const p = LedModels.COLORS[color];
+      lines.push(`.model LED_${color.toUpperCase()} D(IS=${p.Is} N=${p.n} RS=${p.Rs})`);
+    });
+    lines.push(reactive ? '.tran 1m 1' : '.op');
+    lines.push('.end');
+    return lines.join('\n') + '\n';
+  }
+
+  // Split a deck into logical lines: drop comments, join "+" continuations, drop the title line
+  function logicalLines(text) {
+    const raw = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const title = raw.length ? raw[0].replace(/^\*\s*/, '').trim() : '';
+    const out = [];
+    raw.slice(1).forEach((line, i) => {
+      const stripped = line.replace(/[;$].*$/, '').trim();
+      const comment = (/;\s*(.*)$/.exec(line) || [])[1] || '';
+      if (!stripped || stripped.startsWith('*')) return;
+      if (stripped.startsWith('+') && out.length) { out[out.length - 1].text += ' ' + stripped.slice(1).trim(); return; }
+      out.push({ text: stripped, comment, lineNo: i + 2 });
+    });
+    return { title, lines: out };
+  }
+
+  // Parse a netlist into { title, elements, warnings }.
+  // element: { kind, name, nodes: { left, right, out? }, dataset }
+  function parseNetlist(text) {
+    const { title, lines } = logicalLines(text);
+    const elements = [];
+    const warnings = [];
+
+    lines.forEach(({ text: line, comment, lineNo }) => {
+      if (line.startsWith('.')) {
+        if (!/^\.(end|op|tran|model|title|options?|ends?|dc|ac|print|plot|ic|temp)\b/i.test(line)) warnings.push(`line ${lineNo}: ignored directive "${line.split(/\s+/)[0]}"`);
+        return;
+      }
+      const tokens = line.split(/\s+/);
+      const name = tokens[0];
+      const letter = name[0].toUpperCase();
+      const bad = why => warnings.push(`line ${lineNo}: ${why} — skipped "${line}"`);
+
+      if ('RCLVD'.includes(letter) && tokens.length < (letter === 'D' ? 3 : 4)) return bad('too few fields');
+      // two-terminal parts are written "right left" (see the header comment)
+      const nodes = { right: tokens[1], left: tokens[2] };
+
+      if (letter === 'R') {
+        const R = parseValue(tokens[3]);
+        if (!(R >= 0)) return bad('invalid resistance');
+        if (/^RSW/i.test(name) || /switch/i.test(comment)) {
+          // a closed switch may be written as 0 Ω; a resistor may not
+          elements.push({ kind: 'switch', name, nodes, dataset: { state: R < 1 ? 'on' : 'off' } });
+        } else {
+          if (!(R > 0)) return bad('resistance must be above 0');
+          elements.push({ kind: 'resistor', name, nodes, dataset: { resistance: String(R) } });
+        }
+      } else if (letter === 'C' || letter === 'L') {
+        const v = parseValue(tokens[3]);
+        if (!(v > 0)) return bad(`invalid ${letter === 'C' ? 'capacitance' : 'inductance'}`);
+        if (letter === 'C') elements.push({ kind: 'capacitor', name, nodes, dataset: { capacitance: String(v) } });
+        else elements.push({ kind: 'inductor', name, nodes, dataset: { inductance: String(v) } });
+      } else if (letter === 'V') {
+        // accept "V1 a b 5", "V1 a b DC 5"; take the DC value of anything fancier
+        const rest = tokens.slice(3);
+        const dcIdx = rest.findIndex(t => t.toUpperCase() === 'DC');
+        let V = parseValue(dcIdx >= 0 ? rest[dcIdx + 1] : rest[0]);
+        if (isNaN(V)) {
+          const firstNum = rest.map(t => parseValue(t.replace(/^[a-z]+\(/i, ''))).find(x => !isNaN(x));
+          if (firstNum == null) return bad('invalid source value');
+          V = firstNum;
+          warnings.push(`line ${lineNo}: only the DC value ${V} V of "${name}" was imported`);
+        }
+        elements.push({ kind: 'battery', name, nodes, dataset: { voltage: String(V) } });
+      } else if (letter === 'D') {
+        // models written by exportNetlist() are named LED_<COLOUR>; anything else becomes the default colour
+        const color = ((tokens[3] || '').match(/^LED_(\w+)$/i) || [])[1];
+        const known = color && LedModels.COLORS[color.toLowerCase()];
+        elements.push({ kind: 'led', name, nodes, dataset: { color: known ? color.toLowerCase() : LedModels.DEFAULT_COLOR } });
+      } else if (letter === 'B') {
+        // only the gate form written by exportNetlist() maps onto a gate block
+        // inputs are V(node) references, or a literal 0 for an input that was left floating
+        const inputs = Array.from(line.matchAll(/(?:V\(\s*([^)\s]+)\s*\)|\(\s*0\s*>)/gi)).map(m => m[1] || null);
+        const ops = Object.keys(LOGIC_OPS).filter(op => line.includes(LOGIC_OPS[op]) || new RegExp(`\\b${op}\\b`, 'i').test(line));
+        const op = inputs.length === 1 && !ops.length ? 'and' : ops.length === 1 ? ops[0] : null;
+        const gate = op && Gates.find(op, /\?\s*0\s*:/.test(line), inputs.length);
+        if (!gate) return bad('only logic-gate behavioral sources (AND, OR, NAND, NOR, XOR, XNOR, NOT) are supported');
+        const nodes = { out: tokens[1] };
+        Gates.inputTerminals(gate.type).forEach((t, i) => { nodes[t] = inputs[i]; });
+        elements.push({ kind: gate.type, name, nodes, dataset: {} });
+      } else {
+        bad(`unsupported element type "${letter}"`);
+      }
+    });
+
+    return { title, elements, warnings };
+  }
+
+  return { groundNet, exportNetlist, parseNetlist, formatValue, parseValue };
+});
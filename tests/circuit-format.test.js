@@ -0,0 +1,127 @@
+// Saved-file format (circuit-format.js): migration of unversioned files, round trips, and
+// validation that reports every problem instead of loading part of a file.
+
+const assert = require('node:assert');
+const path = require('path');
+const CircuitFormat = require(path.join(__dirname, '..', 'circuit-format.js'));
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const REFERENCE_CIRCUITS = require('./reference-circuits.js');
+
+// What the Save button wrote before the format was versioned
+const V1 = {
+  blocks: [
+    { id: 'b1', type: 'battery', dataset: { type: 'battery', id: 'b1', voltage: '9', current: '0.02' }, left: '40px', top: '60px' },
+    { id: 'b2', type: 'resistor', dataset: { type: 'resistor', id: 'b2', resistance: '330', voltageDrop: '7' }, left: '160px', top: '60px', transform: 'rotate(90deg)' },
+    { id: 'b3', type: 'led', dataset: { type: 'led', id: 'b3', color: 'green', powered: 'true' }, left: '280px', top: '60px' },
+    { id: 'node1', type: 'node', dataset: { blockId: 'node1', terminal: 'node' }, left: '300px', top: '160px' }
+  ],
+  conns: [
+    { conn1BlockId: 'b1', conn1Terminal: 'right', conn2BlockId: 'b2', conn2Terminal: 'left' },
+    { conn1BlockId: 'b2', conn1Terminal: 'right', conn2BlockId: 'b3', conn2Terminal: 'right', route: [[170, 70], [290, 70]] },
+    { conn1BlockId: 'b3', conn1Terminal: 'left', conn2BlockId: 'node1', conn2Terminal: 'node' },
+    { conn1BlockId: 'node1', conn1Terminal: 'node', conn2BlockId: 'b1', conn2Terminal: 'left' }
+  ]
+};
+
+module.exports = ({ test }) => {
+  test('unversioned files are migrated to typed components, nodes, wires and nets', () => {
+    const r = CircuitFormat.load(JSON.stringify(V1));
+    assert.ok(r.ok, r.problems && r.problems.join('\n'));
+    assert.strictEqual(r.migratedFrom, 1);
+    assert.strictEqual(r.doc.version, CircuitFormat.VERSION);
+    assert.deepStrictEqual(r.doc.components[1], { id: 'b2', type: 'resistor', params: { resistance: 330 }, layout: { x: 160, y: 60, rotation: 90 } });
+    assert.deepStrictEqual(r.doc.components[2].params, { color: 'green' });
+    assert.deepStrictEqual(r.doc.nodes, [{ id: 'node1', layout: { x: 300, y: 160 } }]);
+    assert.deepStrictEqual(r.doc.nets, [['b1.left', 'b3.left', 'node1.node'], ['b1.right', 'b2.left'], ['b2.right', 'b3.right']]);
+    assert.deepStrictEqual(r.doc.wires[1].route, [[170, 70], [290, 70]]);
+    // and loads back as the same circuit
+    const res = CircuitCore.simulate(r.circuit), was = CircuitCore.simulate(V1);
+    assert.ok(Math.abs(res.components.b2.current - was.components.b2.current) < 1e-12);
+    assert.strictEqual(r.circuit.blocks[1].transform, 'rotate(90deg)');
+  });
+
+  test('saved reference circuits load back and solve the same', () => {
+    REFERENCE_CIRCUITS.forEach(ref => {
+      const doc = CircuitFormat.save(ref.circuit, { title: ref.name, lesson: { level: 1, title: 'Connect an LED' } });
+      assert.deepStrictEqual(CircuitFormat.validate(doc), [], ref.name);
+      const r = CircuitFormat.load(JSON.stringify(doc));
+      assert.ok(r.ok && r.migratedFrom === null, ref.name);
+      const a = CircuitCore.simulate(ref.circuit), b = CircuitCore.simulate(r.circuit);
+      Object.keys(a.components).forEach(id => assert.strictEqual(b.components[id].current, a.components[id].current, `${ref.name} ${id}`));
+    });
+  });
+
+  test('every problem is reported and nothing is loaded', () => {
+    const doc = CircuitFormat.save(V1, { title: 'Broken' });
+    doc.components[0].params.voltage = 'nine';
+    doc.components[1].params.resistance = -5;
+    doc.components[2].params.glow = 1;
+    doc.components.push({ id: 'b9', type: 'flux', params: {}, layout: { x: 0 } });
+    doc.wires.push({ from: { part: 'b1', pin: 'middle' }, to: { part: 'b7', pin: 'left' } });
+    const r = CircuitFormat.load(doc);
+    assert.strictEqual(r.ok, false);
+    assert.strictEqual(r.circuit, undefined);
+    assert.deepStrictEqual(r.problems, [
+      'components[0].params.voltage: expected a number (V), got "nine"',
+      'components[1].params.resistance: expected a number above 0 (Ω), got -5',
+      'components[2].params.glow: not a parameter of led',
+      'components[3].type: unknown part type "flux"',
+      'components[3].layout.y: expected a number, got undefined',
+      'wires[4].from.pin: "middle" is not a pin of b1 (left, right)',
+      'wires[4].to.part: no component or node "b7"'
+    ]);
+    // ids go into selectors and the page, so only plain ones are accepted
+    const ids = CircuitFormat.save(V1, { title: 'Ids' });
+    ids.components[0].id = 'b1"]';
+    ids.components[1].id = '<img src=x onerror=alert(1)>';
+    ids.nodes[0].id = '7up';
+    ids.wires = [];
+    ids.nets = [];
+    assert.deepStrictEqual(CircuitFormat.load(ids).problems, [
+      'components[0].id: expected a letter then letters, digits, _ or -, got "b1"]"',
+      'components[1].id: expected a letter then letters, digits, _ or -, got "<img src=x onerror=alert(1)>"',
+      'nodes[0].id: expected a letter then letters, digits, _ or -, got "7up"'
+    ]);
+    // unversioned files with wires to missing parts are rejected too
+    const v1 = JSON.parse(JSON.stringify(V1));
+    v1.conns.push({ conn1BlockId: 'b1', conn1Terminal: 'left', conn2BlockId: 'gone', conn2Terminal: 'left' });
+    assert.deepStrictEqual(CircuitFormat.load(v1).problems, ['wires[4].to.part: no component or node "gone"']);
+  });
+
+  test('paramProblem() refuses the values load() would', () => {
+    assert.strictEqual(CircuitFormat.paramProblem('resistor', 'resistance', 220), null);
+    assert.strictEqual(CircuitFormat.paramProblem('resistor', 'resistance', 0), 'expected a number above 0 (Ω), got 0');
+    assert.strictEqual(CircuitFormat.paramProblem('capacitor', 'capacitance', NaN), 'expected a number above 0 (F), got null');
+    assert.strictEqual(CircuitFormat.paramProblem('dff', 'vil', 1), null);
+    assert.strictEqual(CircuitFormat.paramProblem('led', 'resistance', 1), 'not a parameter of led');
+    assert.strictEqual(CircuitFormat.paramProblem('clock', 'frequency', 1e4), 'expected a number above 0 and at most 100 (Hz), got 10000');
+    // what the panel used to let through: saved, then refused on the way back
+    const v1 = JSON.parse(JSON.stringify(V1));
+    v1.blocks[1].dataset.resistance = '0';
+    assert.deepStrictEqual(CircuitFormat.load(CircuitFormat.save(v1)).problems, ['components[1].params.resistance: expected a number above 0 (Ω), got 0']);
+  });
+
+  test('files from newer versions, other JSON and bad syntax are refused', () => {
+    assert.match(CircuitFormat.load({ format: 'circuit-studio', version: 99 }).problems[0], /newer version/);
+    [0, -1].forEach(version => {
+      assert.deepStrictEqual(CircuitFormat.load({ format: 'circuit-studio', version }),
+        { ok: false, problems: [`version: no version of the app saved file version ${version} (expected 1 to ${CircuitFormat.VERSION})`] });
+    });
+    assert.match(CircuitFormat.load({ hello: 1 }).problems[0], /not a Circuit Studio circuit/);
+    assert.match(CircuitFormat.load('{ "blocks": [').problems[0], /not valid JSON/);
+  });
+
+  test('nets can stand in for wires but must agree with them', () => {
+    const doc = CircuitFormat.save(V1, { title: 'Nets' });
+    const nets = doc.nets;
+    delete doc.wires;
+    const r = CircuitFormat.load(doc);
+    assert.ok(r.ok, r.problems && r.problems.join('\n'));
+    assert.deepStrictEqual(CircuitFormat.netsOf(CircuitFormat.save(r.circuit).wires), nets);
+    const mismatch = CircuitFormat.save(V1, { title: 'Nets' });
+    mismatch.nets[1] = ['b1.right', 'b3.left'];
+    assert.deepStrictEqual(CircuitFormat.load(mismatch).problems, ['nets[1][1]: b3.left is in more than one net']);
+    mismatch.nets[0] = ['b1.left', 'node1.node'];
+    assert.match(CircuitFormat.load(mismatch).problems[0], /^nets: do not match the wires/);
+  });
+};
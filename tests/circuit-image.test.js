@@ -0,0 +1,46 @@
+// Exported pictures and worksheets (circuit-image.js).
+
+const assert = require('node:assert');
+const path = require('path');
+const CircuitImage = require(path.join(__dirname, '..', 'circuit-image.js'));
+
+const part = (name, cx, cy, more = {}) => Object.assign({
+  name, label: name.replace(/\d+$/, ''), cx, cy, w: 80, h: 60, rotation: 0,
+  pins: [{ x: cx - 40, y: cy, kind: 'cathode' }, { x: cx + 40, y: cy, kind: 'anode' }], values: []
+}, more);
+
+module.exports = ({ test }) => {
+  test('the drawing is cropped to the parts and wires, with a margin', () => {
+    const text = CircuitImage.svg({
+      parts: [part('B1', 100, 100), part('R1', 300, 100, { rotation: 90, pins: [{ x: 300, y: 60, kind: '' }, { x: 300, y: 140, kind: '' }] })],
+      nodes: [{ x: 200, y: 250 }],
+      wires: [{ points: [{ x: 140, y: 100 }, { x: 260, y: 100 }], color: '#222' }]
+    });
+    // left edge of B1 (60) to the right of the turned R1 (330); its top (60) to the node (250)
+    assert.match(text, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="318" height="238" viewBox="36 36 318 238"/);
+    assert.match(text, /<g transform="translate\(300 100\) rotate\(90\)">/);
+    assert.match(text, /<polyline points="140,100 260,100" stroke="#222"\/>/);
+    assert.strictEqual((text.match(/<circle/g) || []).length, 5);
+    assert.strictEqual(CircuitImage.svg({ parts: [] }).match(/viewBox="([^"]*)"/)[1], '0 0 200 100');
+  });
+
+  test('names and solved values go level under each part, escaped', () => {
+    const text = CircuitImage.svg({ parts: [part('R1', 100, 100, { label: 'R <a&b>', values: ['3.00 V', '3.00 mA'] })] });
+    assert.ok(text.includes('>R &lt;a&amp;b&gt;</text>'));
+    const under = [...text.matchAll(/<text x="100" y="([\d.]+)"[^>]*>([^<]*)</g)].map(m => [Number(m[1]), m[2]]);
+    assert.deepStrictEqual(under, [[142, 'R1'], [156, '3.00 V'], [170, '3.00 mA']]);
+  });
+
+  test('worksheet rows: voltage and current, or logic output levels', () => {
+    const rows = CircuitImage.measurementRows([{ name: 'B1', type: 'battery' }, { name: 'S1', type: 'switch' }, { name: 'AND1', type: 'and' }, { name: 'SR1', type: 'srlatch' }]);
+    assert.deepStrictEqual(rows.map(r => `${r.name} ${r.quantity} (${r.unit})`), [
+      'B1 Voltage across (V)', 'B1 Current (mA)', 'S1 Voltage across (V)', 'AND1 Output (high / low)',
+      'SR1 Output Q (high / low)', 'SR1 Output QN (high / low)'
+    ]);
+    const html = CircuitImage.worksheet({ title: 'Ohm & you', description: 'Measure it.', tips: ['Tip one'], image: '<svg></svg>', rows: rows.slice(0, 2) });
+    assert.ok(html.includes('<h1>Ohm &amp; you</h1>') && html.includes('<li>Tip one</li>') && html.includes('<div class="figure"><svg></svg></div>'));
+    // two parts' rows and three spare ones, with the predicted and measured cells left empty
+    assert.strictEqual((html.match(/<tr><td>/g) || []).length, 5);
+    assert.ok(html.includes('<tr><td>B1</td><td>Current</td><td class="unit">mA</td><td></td><td></td></tr>'));
+  });
+};
@@ -0,0 +1,104 @@
+// The gate registry (gates.js): truth tables, every gate driving an LED through CircuitCore, and
+// the electrical boundary (VIL/VIH thresholds, output resistance).
+
+const assert = require('node:assert');
+const path = require('path');
+const Gates = require(path.join(__dirname, '..', 'gates.js'));
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const { circuit } = require('./reference-circuits.js');
+
+// expected output for every input combination, listed from all-low upwards (first input is the low bit)
+const TRUTH = {
+  not: '10',
+  and: '0001', or: '0111', nand: '1110', nor: '1000', xor: '0110', xnor: '1001',
+  and3: '00000001', or3: '01111111', nand3: '11111110', nor3: '10000000',
+  and4: '0000000000000001', or4: '0111111111111111', nand4: '1111111111111110', nor4: '1000000000000000'
+};
+
+const combos = n => Array.from({ length: 1 << n }, (_, k) => Array.from({ length: n }, (_, i) => !!(k & (1 << i))));
+
+// battery -> a switch per input (on = input high) -> gate -> 220 Ω -> LED
+function gateCircuit(type, levels) {
+  const parts = { bat: ['battery', { voltage: '5' }], g: [type, {}], r: ['resistor', { resistance: '220' }], d: ['led', {}] };
+  const wires = ['g.out r.left', 'r.right d.right', 'd.left bat.left'];
+  Gates.inputTerminals(type).forEach((t, i) => {
+    parts[`s${i}`] = ['switch', { state: levels[i] ? 'on' : 'off' }];
+    wires.push(`bat.right s${i}.left`, `s${i}.right g.${t}`);
+  });
+  return circuit(parts, wires);
+}
+
+// NOT gate whose input sits on a divider across a 5 V battery (top and bottom in ohms)
+function dividerCircuit(top, bottom, gate = {}) {
+  return circuit({ bat: ['battery', { voltage: '5' }], r1: ['resistor', { resistance: String(top) }], r2: ['resistor', { resistance: String(bottom) }], g: ['not', gate] },
+    ['bat.right r1.left', 'r1.right g.left', 'g.left r2.left', 'r2.right bat.left']);
+}
+
+module.exports = ({ test }) => {
+  Object.keys(TRUTH).forEach(type => {
+    test(`${type} truth table`, () => {
+      const got = combos(Gates.get(type).inputs).map(levels => (Gates.evaluate(type, levels) ? '1' : '0')).join('');
+      assert.strictEqual(got, TRUTH[type]);
+    });
+  });
+
+  test('every registered gate has a truth table here', () => {
+    const missing = Gates.TYPES.filter(t => !TRUTH[t]);
+    assert.deepStrictEqual(missing, []);
+  });
+
+  ['not', 'nand', 'xor', 'nor3', 'and4'].forEach(type => {
+    test(`${type} drives an LED in the solved circuit`, () => {
+      combos(Gates.get(type).inputs).forEach(levels => {
+        const res = CircuitCore.simulate(gateCircuit(type, levels));
+        assert.ok(res.success, res.reason);
+        const want = Gates.evaluate(type, levels);
+        assert.strictEqual(res.components.g.output, want, `inputs ${levels}`);
+        assert.strictEqual(res.components.d.powered, want, `LED for inputs ${levels}`);
+        assert.deepStrictEqual(res.components.g.inputs, levels);
+      });
+    });
+  });
+
+  test('an unconnected input reads low', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '5' }], g: ['not', {}], r: ['resistor', { resistance: '220' }], d: ['led', {}] },
+      ['g.out r.left', 'r.right d.right', 'd.left bat.left']));
+    assert.strictEqual(res.components.g.output, true);
+    assert.strictEqual(res.components.d.powered, true);
+  });
+
+  test('an input between VIL and VIH keeps its last level', () => {
+    const low = CircuitCore.simulate(dividerCircuit(1000, 1000)); // 2.5 V, no level before: low
+    assert.deepStrictEqual(low.components.g.inputs, [false]);
+    const high = CircuitCore.simulate(dividerCircuit(1000, 9000)); // 4.5 V
+    assert.deepStrictEqual(high.components.g.inputs, [true]);
+    const held = CircuitCore.simulate(dividerCircuit(1000, 1000), { state: high.digital });
+    assert.deepStrictEqual(held.components.g.inputs, [true]);
+    assert.strictEqual(held.components.g.output, false);
+    const dropped = CircuitCore.simulate(dividerCircuit(9000, 1000), { state: held.digital }); // 0.5 V
+    assert.deepStrictEqual(dropped.components.g.inputs, [false]);
+  });
+
+  test('thresholds can be set per gate in volts', () => {
+    const res = CircuitCore.simulate(dividerCircuit(1000, 1000, { vih: '2', vil: '1' }));
+    assert.deepStrictEqual(res.components.g.inputs, [true]);
+    assert.deepStrictEqual(Gates.thresholds({}, 5), { vil: 1.5, vih: 3.5 });
+  });
+
+  test('a heavy load pulls a high output below the supply', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '5' }], g: ['not', {}], r: ['resistor', { resistance: '10' }] },
+      ['g.out r.left', 'r.right bat.left']));
+    assert.strictEqual(res.components.g.output, true);
+    const want = 5 * 10 / (10 + Gates.OUTPUT_RESISTANCE);
+    assert.ok(Math.abs(res.components.g.outputVoltage - want) < 1e-6, `${res.components.g.outputVoltage} V`);
+    assert.ok(Math.abs(res.components.r.current - want / 10) < 1e-6);
+  });
+
+  test('a NOT gate fed back to itself is reported as not settling', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '5' }], g: ['not', {}], r: ['resistor', { resistance: '1000' }] },
+      ['g.out g.left', 'g.out r.left', 'r.right bat.left']));
+    assert.ok(res.success);
+    assert.strictEqual(res.logicSettled, false);
+    assert.strictEqual(CircuitCore.simulate(gateCircuit('not', [true])).logicSettled, true);
+  });
+};
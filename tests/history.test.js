@@ -0,0 +1,75 @@
+// Command history (history.js): undo, redo, jumping and what recording drops.
+
+const assert = require('node:assert');
+const path = require('path');
+const CommandHistory = require(path.join(__dirname, '..', 'history.js'));
+
+// commands that add a letter to a string
+function setup(limit) {
+  const state = { text: '' };
+  const history = CommandHistory.create({ limit });
+  const type = ch => {
+    state.text += ch;
+    history.record({ label: `Type ${ch}`, undo: () => { state.text = state.text.slice(0, -1); }, redo: () => { state.text += ch; } });
+  };
+  return { state, history, type };
+}
+
+module.exports = ({ test }) => {
+  test('undo and redo apply one command at a time', () => {
+    const { state, history, type } = setup();
+    'abc'.split('').forEach(type);
+    assert.strictEqual(history.undo().label, 'Type c');
+    history.undo();
+    assert.strictEqual(state.text, 'a');
+    assert.strictEqual(history.redo().label, 'Type b');
+    assert.strictEqual(state.text, 'ab');
+    history.undo(); history.undo();
+    assert.strictEqual(history.undo(), null);
+    assert.strictEqual(state.text, '');
+    assert.ok(!history.canUndo() && history.canRedo());
+  });
+
+  test('jumping moves through several commands and entries show what is applied', () => {
+    const { state, history, type } = setup();
+    'abcd'.split('').forEach(type);
+    history.jumpTo(1);
+    assert.strictEqual(state.text, 'a');
+    assert.deepStrictEqual(history.entries().map(e => e.applied), [true, false, false, false]);
+    history.jumpTo(3);
+    assert.strictEqual(state.text, 'abc');
+    assert.strictEqual(history.position, 3);
+  });
+
+  test('recording after an undo drops the redo; the oldest fall off past the limit', () => {
+    const { state, history, type } = setup(3);
+    'abc'.split('').forEach(type);
+    history.undo();
+    type('x');
+    assert.strictEqual(state.text, 'abx');
+    assert.ok(!history.canRedo());
+    type('y');
+    assert.deepStrictEqual(history.entries().map(e => e.label), ['Type b', 'Type x', 'Type y']);
+  });
+
+  test('commands that record while being applied are not recorded again', () => {
+    const history = CommandHistory.create();
+    const inner = { label: 'inner', undo() {}, redo() {} };
+    history.record({ label: 'outer', undo: () => history.record(inner), redo: () => history.record(inner) });
+    history.undo();
+    history.redo();
+    assert.deepStrictEqual(history.entries().map(e => e.label), ['outer']);
+  });
+
+  test('a group is undone and redone as one command', () => {
+    const { state, history, type } = setup();
+    type('a');
+    history.group('Type bc', () => { type('b'); type('c'); });
+    history.group('Nothing', () => {});
+    assert.deepStrictEqual(history.entries().map(e => e.label), ['Type a', 'Type bc']);
+    history.undo();
+    assert.strictEqual(state.text, 'a');
+    history.redo();
+    assert.strictEqual(state.text, 'abc');
+  });
+};
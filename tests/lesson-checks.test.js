@@ -0,0 +1,79 @@
+// Lesson goals (lesson-checks.js) checked against reference circuits solved by circuit-core.js.
+
+const assert = require('node:assert');
+const path = require('path');
+const LessonChecks = require(path.join(__dirname, '..', 'lesson-checks.js'));
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const TruthTable = require(path.join(__dirname, '..', 'truth-table.js'));
+const REFERENCE_CIRCUITS = require('./reference-circuits.js');
+const { circuit } = REFERENCE_CIRCUITS;
+
+// The context script.js builds from the workspace, built from the saved circuit instead
+function context(c) {
+  const netlist = CircuitCore.buildNetlist(c);
+  const res = CircuitCore.simulate(c);
+  const netSizes = new Map();
+  netlist.components.forEach(p => Object.values(p.nets).forEach(n => {
+    if (n != null) netSizes.set(n, (netSizes.get(n) || 0) + 1);
+  }));
+  const results = new Map(Object.entries(res.components).map(([id, r]) => [id, {
+    current: r.current || 0, voltageDrop: r.voltageDrop || 0, powered: !!(r.powered || r.output)
+  }]));
+  return {
+    components: netlist.components.map(p => ({ id: p.id, type: p.type, state: p.dataset.state, nets: { left: p.nets.left, right: p.nets.right, out: p.nets.out } })),
+    results,
+    netSize: net => netSizes.get(net) || 0,
+    truthTable: inputs => TruthTable.generate(c, { inputs })
+  };
+}
+
+const ref = name => context(REFERENCE_CIRCUITS.find(r => r.name === name).circuit);
+const check = (criterion, ctx) => LessonChecks.run([criterion], ctx).results[0];
+
+module.exports = ({ test }) => {
+  test('batteries count as in series only when chained + to -', () => {
+    assert.strictEqual(check(LessonChecks.batteriesInSeries(2), ref('two batteries in series')).pass, true);
+    const facing = circuit({ b1: ['battery', { voltage: '4.5' }], b2: ['battery', { voltage: '4.5' }], r: ['resistor', { resistance: '900' }] },
+      ['b1.right b2.right', 'b2.left r.left', 'r.right b1.left']);
+    const outcome = check(LessonChecks.batteriesInSeries(2), context(facing));
+    assert.strictEqual(outcome.pass, false);
+    assert.match(outcome.detail, /\+ \(right\) terminal/);
+    assert.match(check(LessonChecks.batteriesInSeries(2), ref('voltage divider')).detail, /Place at least 2 batteries/);
+  });
+
+  test('series and parallel resistors are told apart', () => {
+    const divider = ref('voltage divider'), parallel = ref('two resistors in parallel');
+    assert.strictEqual(check(LessonChecks.resistorsInSeries(), divider).pass, true);
+    assert.strictEqual(check(LessonChecks.resistorsInParallel(), divider).pass, false);
+    assert.strictEqual(check(LessonChecks.resistorsInSeries(), parallel).pass, false);
+    assert.strictEqual(check(LessonChecks.resistorsInParallel(), parallel).pass, true);
+    // r2 and r3 are in parallel; r1 shares their top net with both, so it is in series with neither
+    const feeding = ref('series resistor feeding a parallel pair');
+    assert.strictEqual(check(LessonChecks.resistorsInParallel(), feeding).detail, 'r2 and r3 are in parallel.');
+    assert.strictEqual(check(LessonChecks.resistorsInSeries(), feeding).pass, false);
+    assert.strictEqual(check(LessonChecks.circuitClosed(), divider).pass, true);
+    assert.strictEqual(check(LessonChecks.circuitClosed(), ref('open switch stops the current')).pass, false);
+  });
+
+  test('an LED goal needs the LEDs lit and under the current limit', () => {
+    const lit = ref('resistor and LED in series');
+    assert.strictEqual(check(LessonChecks.ledPowered({ maxCurrent: 0.02 }), lit).pass, true);
+    assert.match(check(LessonChecks.ledPowered({ maxCurrent: 0.005 }), lit).detail, /add more resistance to stay under 5\.0 mA/);
+    assert.match(check(LessonChecks.ledPowered(), ref('reversed LED blocks the current')).detail, /^0 LEDs lit/);
+    assert.match(check(LessonChecks.ledPowered(), ref('voltage divider')).detail, /no LED/);
+    assert.strictEqual(check(LessonChecks.ledPowered({ count: 2, maxCurrent: 0.02 }), ref('two LEDs in series')).pass, true);
+    assert.strictEqual(check(LessonChecks.ledPowered({ count: 2, maxCurrent: 0.02 }), ref('resistor and LED in series')).pass, false);
+  });
+
+  test('run() reports every goal and turns a throwing check into a failure', () => {
+    const outcome = LessonChecks.run([
+      LessonChecks.usesPart('battery'),
+      LessonChecks.usesPart('resistor', 3),
+      { label: 'Broken', check() { throw new Error('boom'); } }
+    ], ref('voltage divider'));
+    assert.strictEqual(outcome.passed, false);
+    assert.deepStrictEqual(outcome.results.map(r => r.pass), [true, false, false]);
+    assert.strictEqual(outcome.results[1].detail, 'Found 2 resistors; add 1 more.');
+    assert.strictEqual(outcome.results[2].detail, 'Check failed to run (boom).');
+  });
+};
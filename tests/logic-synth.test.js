@@ -0,0 +1,82 @@
+// Expression synthesis (logic-synth.js): parsing, minimisation and the generated circuits, which
+// are solved and read back with truth-table.js.
+
+const assert = require('node:assert');
+const path = require('path');
+const LogicSynth = require(path.join(__dirname, '..', 'logic-synth.js'));
+const TruthTable = require(path.join(__dirname, '..', 'truth-table.js'));
+
+const column = (expr, variables) => {
+  const terms = new Set(LogicSynth.minterms(expr, variables));
+  return Array.from({ length: 1 << variables.length }, (_, m) => (terms.has(m) ? '1' : '0')).join('');
+};
+
+const EXPRESSIONS = [
+  '(A AND B) OR C',
+  'A & !B | ~A & B',
+  "A' + B·C",
+  'A XOR B XOR C',
+  'NOT (A NAND B) NOR C',
+  'A XNOR B',
+  'A AND B AND C AND D AND E',
+  'A OR 1',
+  'A AND NOT A'
+];
+
+module.exports = ({ test }) => {
+  test('parses operators, precedence and constants', () => {
+    const { expr, variables } = LogicSynth.parse('a and not b or c');
+    assert.deepStrictEqual(variables, ['a', 'b', 'c']);
+    assert.strictEqual(LogicSynth.toString(expr), '(a AND NOT b) OR c');
+    assert.strictEqual(column(LogicSynth.parse('A | B & C').expr, ['A', 'B', 'C']), '00011111');
+    assert.strictEqual(column(LogicSynth.parse("(A + B)'").expr, ['A', 'B']), '1000');
+    assert.strictEqual(column(LogicSynth.parse('A NOR B NOR C').expr, ['A', 'B', 'C']), '00101010'); // (A NOR B) NOR C
+  });
+
+  test('operations wider than any gate evaluate like chained gates', () => {
+    const wide = (op, invert, n) => ({ op, invert, args: 'ABCDE'.slice(0, n).split('').map(name => ({ op: 'var', name })) });
+    const five = 'ABCDE'.split('');
+    assert.strictEqual(column(wide('and', false, 5), five), '0'.repeat(31) + '1');
+    assert.strictEqual(column(wide('or', true, 5), five), '1' + '0'.repeat(31));
+    assert.strictEqual(column(wide('xor', false, 3), ['A', 'B', 'C']), '01101001');
+    assert.strictEqual(column(wide('xor', true, 3), ['A', 'B', 'C']), '10010110');
+  });
+
+  test('reports syntax errors with a position', () => {
+    assert.match(LogicSynth.parse('A AND (B OR C').error, /Expected "\)" at the end/);
+    assert.match(LogicSynth.parse('A $ B').error, /Unexpected "\$" at position 3/);
+    assert.match(LogicSynth.parse('A B').error, /Unexpected "B" at position 3/);
+    assert.ok(LogicSynth.parse('').error);
+  });
+
+  test('minimising keeps the function and finds the sum of products', () => {
+    EXPRESSIONS.forEach(text => {
+      const { expr, variables } = LogicSynth.parse(text);
+      assert.strictEqual(column(LogicSynth.minimize(expr, variables), variables), column(expr, variables), text);
+    });
+    const { expr, variables } = LogicSynth.parse('A&B&C | A&B&!C | !A&B&C');
+    assert.strictEqual(LogicSynth.toString(LogicSynth.minimize(expr, variables)), '(A AND B) OR (B AND C)');
+    assert.strictEqual(LogicSynth.toString(LogicSynth.minimize(LogicSynth.parse('A | !A').expr, ['A'])), '1');
+  });
+
+  test('generated circuits have the truth table of their expression', () => {
+    EXPRESSIONS.forEach(text => {
+      const { expr, variables } = LogicSynth.parse(text);
+      [expr, LogicSynth.minimize(expr, variables)].forEach(e => {
+        const table = TruthTable.generate(LogicSynth.layout(e, variables));
+        assert.deepStrictEqual(table.inputs.map(i => i.name), variables, text);
+        assert.strictEqual(TruthTable.column(table, 0), column(expr, variables), `${text} as ${LogicSynth.toString(e)}`);
+      });
+    });
+  });
+
+  test('layout reuses shared subexpressions and splits wide operations', () => {
+    const shared = LogicSynth.layout(LogicSynth.parse('!A & B | !A & C').expr, ['A', 'B', 'C']);
+    assert.strictEqual(shared.blocks.filter(b => b.type === 'not').length, 1);
+    const wide = LogicSynth.layout(LogicSynth.parse('A & B & C & D & E').expr, ['A', 'B', 'C', 'D', 'E']);
+    assert.deepStrictEqual(wide.blocks.filter(b => b.type.startsWith('and')).map(b => b.type).sort(), ['and', 'and4']);
+    // columns run left to right: switches, then each gate right of what drives it, then the LED
+    const x = id => parseFloat(wide.blocks.find(b => b.id === id).left);
+    assert.ok(x('s1') < x('g1') && x('g1') < x('g2') && x('g2') < x('r') && x('r') < x('d'));
+  });
+};
@@ -0,0 +1,48 @@
+// Multimeter readings (multimeter.js) on small hand-checked circuits.
+
+const assert = require('node:assert');
+const path = require('path');
+const Multimeter = require(path.join(__dirname, '..', 'multimeter.js'));
+const { circuit } = require('./reference-circuits.js');
+
+const at = (blockId, terminal) => ({ blockId, terminal });
+const close = (got, want, tol = 1e-6) => assert.ok(Math.abs(got - want) <= tol * Math.max(1, Math.abs(want)), `${got} vs ${want}`);
+
+// 9 V across 1 kΩ + 2 kΩ; with `gap` the wire between the resistors is left out
+function divider(gap = false) {
+  return circuit({ bat: ['battery', { voltage: '9' }], r1: ['resistor', { resistance: '1000' }], r2: ['resistor', { resistance: '2000' }] },
+    ['bat.right r1.left', 'r2.right bat.left'].concat(gap ? [] : ['r1.right r2.left']));
+}
+
+module.exports = ({ test }) => {
+  test('voltmeter reads red minus black', () => {
+    close(Multimeter.measure(divider(), 'voltage', at('r2', 'left'), at('bat', 'left')).value, 6);
+    close(Multimeter.measure(divider(), 'voltage', at('bat', 'left'), at('r1', 'left')).value, -9);
+    assert.strictEqual(Multimeter.measure(divider(), 'voltage', at('r1', 'right'), at('r2', 'left')).text, '0.00 V');
+  });
+
+  test('ammeter in series closes the gap and reads the loop current', () => {
+    const r = Multimeter.measure(divider(true), 'current', at('r1', 'right'), at('r2', 'left'));
+    close(r.value, 9 / (3000 + Multimeter.SHUNT_R));
+    assert.strictEqual(r.text, '3.00 mA');
+    close(Multimeter.measure(divider(true), 'current', at('r2', 'left'), at('r1', 'right')).value, -9 / (3000 + Multimeter.SHUNT_R));
+    // both probes on one net: the meter is bypassed by the wire
+    assert.strictEqual(Multimeter.measure(divider(), 'current', at('r1', 'right'), at('r2', 'left')).value, 0);
+  });
+
+  test('ohmmeter takes the battery out', () => {
+    close(Multimeter.measure(divider(), 'resistance', at('r1', 'left'), at('r1', 'right')).value, 1000);
+    close(Multimeter.measure(divider(), 'resistance', at('bat', 'right'), at('bat', 'left')).value, 3000);
+    const open = Multimeter.measure(divider(true), 'resistance', at('r1', 'right'), at('r2', 'left'));
+    assert.strictEqual(open.value, Infinity);
+    assert.strictEqual(open.text, 'OL');
+  });
+
+  test('readings work through wire nodes', () => {
+    const c = divider(true);
+    c.blocks.push({ id: 'n1', type: 'node', dataset: {} });
+    c.conns.push({ conn1BlockId: 'r1', conn1Terminal: 'right', conn2BlockId: 'n1', conn2Terminal: 'node' });
+    close(Multimeter.measure(c, 'voltage', at('n1', 'node'), at('bat', 'left')).value, 9);
+    close(Multimeter.measure(c, 'current', at('n1', 'node'), at('r2', 'left')).value, 9 / (3000 + Multimeter.SHUNT_R));
+  });
+};
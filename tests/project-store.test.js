@@ -0,0 +1,51 @@
+// Project records, names and thumbnails (project-store.js). Under Node the store is the in-memory
+// one; the IndexedDB side needs a browser.
+
+const assert = require('node:assert');
+const path = require('path');
+const ProjectStore = require(path.join(__dirname, '..', 'project-store.js'));
+
+module.exports = ({ test }) => {
+  test('new, duplicated and untitled projects get names not already taken', () => {
+    assert.strictEqual(ProjectStore.uniqueName('Untitled', []), 'Untitled');
+    assert.strictEqual(ProjectStore.uniqueName('Untitled', ['Untitled', 'Untitled 2']), 'Untitled 3');
+    assert.strictEqual(ProjectStore.copyName('Blink', ['Blink']), 'Blink (copy)');
+    assert.strictEqual(ProjectStore.copyName('Blink', ['Blink', 'Blink (copy)']), 'Blink (copy 2)');
+    // copying a copy does not stack "(copy)"s
+    assert.strictEqual(ProjectStore.copyName('Blink (copy 2)', ['Blink', 'Blink (copy)', 'Blink (copy 2)']), 'Blink (copy 3)');
+    const a = ProjectStore.create('Blink', { format: 'circuit-studio' }), b = ProjectStore.create('Blink', null);
+    assert.notStrictEqual(a.id, b.id);
+    assert.strictEqual(a.created, a.updated);
+  });
+
+  test('thumbnails draw each part and wire in workspace coordinates', () => {
+    const svg = ProjectStore.thumbnail({
+      width: 800, height: 500,
+      parts: [{ left: 10, top: 20, right: 90, bottom: 60 }, { left: 200.4, top: 20, right: 280, bottom: 60 }],
+      wires: [[{ x: 90, y: 40 }, { x: 200, y: 40 }], [{ x: 5, y: 5 }]]
+    });
+    assert.match(svg, /viewBox="0 0 800 500"/);
+    assert.deepStrictEqual(svg.match(/<rect x[^>]*>/g), ['<rect x="10" y="20" width="80" height="40" rx="4"/>', '<rect x="200" y="20" width="80" height="40" rx="4"/>']);
+    assert.deepStrictEqual(svg.match(/<polyline[^>]*>/g), ['<polyline points="90,40 200,40"/>']);
+  });
+
+  test('the in-memory store keeps, lists, finds and removes projects', async () => {
+    const store = await ProjectStore.open();
+    assert.strictEqual(store.persistent, false);
+    const older = Object.assign(ProjectStore.create('Older', { n: 1 }), { updated: 1000 });
+    const newer = Object.assign(ProjectStore.create('Newer', { n: 2 }), { updated: 2000 });
+    assert.strictEqual(await store.put(older), older);
+    await store.put(newer);
+    assert.deepStrictEqual((await store.list()).map(p => p.name), ['Newer', 'Older']);
+    // records are copies: changing one after put() or get() does not change what is stored
+    older.doc.n = 99;
+    const got = await store.get(older.id);
+    assert.deepStrictEqual(got.doc, { n: 1 });
+    got.name = 'Renamed';
+    assert.strictEqual((await store.get(older.id)).name, 'Older');
+    assert.strictEqual(await store.get('missing'), null);
+    await store.remove(newer.id);
+    assert.deepStrictEqual((await store.list()).map(p => p.id), [older.id]);
+    assert.strictEqual(await store.get(newer.id), null);
+  });
+};
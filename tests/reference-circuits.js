@@ -0,0 +1,178 @@
+// Reference circuits with hand-worked answers.
+// Each entry: { name, circuit, expect: { <id>: { current?, voltageDrop?, powered?, output? } }, method }
+// `circuit` is in the exportCircuit() format and is built with circuit() below. Expected values
+// use the part models from circuit-core.js; LED currents come from ledLoop() below, which solves
+// the diode equation on its own so the solver is not checked against itself.
+// `method` is how explain.js should explain the circuit: 'reduction' (series/parallel
+// combination) or 'nodal' (node voltages, for networks that do not reduce or have several sources).
+
+const LedModels = require('../led-models.js');
+const Gates = require('../gates.js');
+
+// parts: { b1: ['battery', { voltage: '9' }], ... }
+// wires: ['b1.right b2.left', ...] (terminal names as in dataset.terminal: left, right, out)
+function circuit(parts, wires) {
+  const blocks = Object.keys(parts).map(id => ({ id, type: parts[id][0], dataset: Object.assign({}, parts[id][1] || {}) }));
+  const conns = wires.map(w => {
+    const [a, b] = w.split(/\s+/).map(end => end.split('.'));
+    return { conn1BlockId: a[0], conn1Terminal: a[1], conn2BlockId: b[0], conn2Terminal: b[1] };
+  });
+  return { blocks, conns };
+}
+
+const battery = V => ['battery', { voltage: String(V) }];
+const resistor = R => ['resistor', { resistance: String(R) }];
+const led = (color = 'red') => ['led', { color }];
+const sw = state => ['switch', { state }];
+
+// AND(s1, s2) -> OR with s3 -> 220 Ω -> LED; the switches connect their gate input to battery +
+// A high gate output is the supply behind Gates.OUTPUT_RESISTANCE, in series with r
+const GATE_LOAD = 220 + Gates.OUTPUT_RESISTANCE;
+
+function gateChain(s1, s2, s3) {
+  return circuit({
+    bat: battery(5), s1: sw(s1), s2: sw(s2), s3: sw(s3), g1: ['and', {}], g2: ['or', {}], r: resistor(220), d: led()
+  }, [
+    'bat.right s1.left', 'bat.right s2.left', 'bat.right s3.left',
+    's1.right g1.left', 's2.right g1.right', 'g1.out g2.left', 's3.right g2.right',
+    'g2.out r.left', 'r.right d.right', 'd.left bat.left'
+  ]);
+}
+
+// Current around a loop of V volts, R ohms and `count` LEDs of one colour in series: bisect
+// V = I·R + count·(I·Rs + n·Vt·ln(I/Is + 1)) for I
+function ledLoop(V, R, color = 'red', count = 1) {
+  const p = LedModels.COLORS[color];
+  const drop = I => I * R + count * (I * p.Rs + p.nVt * Math.log(I / p.Is + 1));
+  let lo = 0, hi = V / R;
+  for (let i = 0; i < 200; i++) { const mid = (lo + hi) / 2; if (drop(mid) > V) hi = mid; else lo = mid; }
+  return (lo + hi) / 2;
+}
+
+const bridgeA = 40 / 7, bridgeB = 30 / 7; // node voltages of the unbalanced bridge
+
+module.exports = [
+  {
+    name: 'voltage divider',
+    circuit: circuit({ bat: battery(9), r1: resistor(1000), r2: resistor(2000) },
+      ['bat.right r1.left', 'r1.right r2.left', 'r2.right bat.left']),
+    expect: { r1: { current: 3e-3, voltageDrop: 3 }, r2: { current: 3e-3, voltageDrop: 6 } },
+    method: 'reduction'
+  },
+  {
+    name: 'two resistors in parallel',
+    circuit: circuit({ bat: battery(6), r1: resistor(1000), r2: resistor(2000) },
+      ['bat.right r1.left', 'bat.right r2.left', 'r1.right bat.left', 'r2.right bat.left']),
+    expect: { r1: { current: 6e-3, voltageDrop: 6 }, r2: { current: 3e-3, voltageDrop: 6 }, bat: { current: 9e-3 } },
+    method: 'reduction'
+  },
+  {
+    name: 'series resistor feeding a parallel pair',
+    circuit: circuit({ bat: battery(12), r1: resistor(100), r2: resistor(200), r3: resistor(300) },
+      ['bat.right r1.left', 'r1.right r2.left', 'r1.right r3.left', 'r2.right bat.left', 'r3.right bat.left']),
+    // 100 + (200 || 300) = 220 Ω
+    expect: {
+      r1: { current: 12 / 220, voltageDrop: 1200 / 220 },
+      r2: { current: (12 * 120 / 220) / 200 },
+      r3: { current: (12 * 120 / 220) / 300 }
+    },
+    method: 'reduction'
+  },
+  {
+    name: 'two batteries in series',
+    circuit: circuit({ b1: battery(4.5), b2: battery(4.5), r: resistor(900) },
+      ['b1.right b2.left', 'b2.right r.left', 'r.right b1.left']),
+    expect: { r: { current: 10e-3, voltageDrop: 9 } },
+    method: 'nodal'
+  },
+  {
+    name: 'resistor and LED in series',
+    circuit: circuit({ bat: battery(5), r: resistor(220), d: led() },
+      ['bat.right r.left', 'r.right d.right', 'd.left bat.left']),
+    expect: { r: { current: ledLoop(5, 220) }, d: { current: ledLoop(5, 220), powered: true } },
+    method: 'nodal'
+  },
+  {
+    name: 'two LEDs in series',
+    circuit: circuit({ bat: battery(9), r: resistor(330), d1: led(), d2: led() },
+      ['bat.right r.left', 'r.right d1.right', 'd1.left d2.right', 'd2.left bat.left']),
+    expect: { d1: { current: ledLoop(9, 330, 'red', 2), powered: true }, d2: { current: ledLoop(9, 330, 'red', 2), powered: true } },
+    method: 'nodal'
+  },
+  {
+    name: 'LEDs in parallel branches',
+    circuit: circuit({ bat: battery(5), r1: resistor(150), r2: resistor(400), d1: led(), d2: led('green') },
+      ['bat.right r1.left', 'bat.right r2.left', 'r1.right d1.right', 'r2.right d2.right', 'd1.left bat.left', 'd2.left bat.left']),
+    expect: { d1: { current: ledLoop(5, 150), powered: true }, d2: { current: ledLoop(5, 400, 'green'), powered: true } },
+    method: 'nodal'
+  },
+  {
+    name: 'open switch stops the current',
+    circuit: circuit({ bat: battery(5), s: sw('off'), r: resistor(100), d: led() },
+      ['bat.right s.left', 's.right r.left', 'r.right d.right', 'd.left bat.left']),
+    expect: { r: { current: 0 }, d: { current: 0, powered: false } },
+    method: 'reduction'
+  },
+  {
+    name: 'reversed LED blocks the current',
+    circuit: circuit({ bat: battery(5), r: resistor(220), d: led() },
+      ['bat.right r.left', 'r.right d.left', 'd.right bat.left']),
+    expect: { r: { current: 0 }, d: { current: 0, powered: false, voltageDrop: -5 } },
+    method: 'reduction'
+  },
+  {
+    name: 'blue LED from a 3.3 V supply',
+    circuit: circuit({ bat: battery(3.3), r: resistor(47), d: led('blue') },
+      ['bat.right r.left', 'r.right d.right', 'd.left bat.left']),
+    expect: { r: { current: ledLoop(3.3, 47, 'blue') }, d: { current: ledLoop(3.3, 47, 'blue'), powered: true } },
+    method: 'nodal'
+  },
+  {
+    name: 'balanced Wheatstone bridge',
+    circuit: circuit({ bat: battery(10), r1: resistor(100), r2: resistor(200), r3: resistor(100), r4: resistor(200), r5: resistor(50) },
+      ['bat.right r1.left', 'bat.right r3.left', 'r1.right r2.left', 'r3.right r4.left', 'r2.right bat.left', 'r4.right bat.left',
+        'r1.right r5.left', 'r3.right r5.right']),
+    expect: { r1: { current: 10 / 300 }, r4: { current: 10 / 300 }, r5: { current: 0 } },
+    method: 'nodal'
+  },
+  {
+    name: 'unbalanced Wheatstone bridge',
+    circuit: circuit({ bat: battery(10), r1: resistor(100), r2: resistor(200), r3: resistor(200), r4: resistor(100), r5: resistor(100) },
+      ['bat.right r1.left', 'bat.right r3.left', 'r1.right r2.left', 'r3.right r4.left', 'r2.right bat.left', 'r4.right bat.left',
+        'r1.right r5.left', 'r3.right r5.right']),
+    expect: {
+      r1: { current: (10 - bridgeA) / 100 },
+      r2: { current: bridgeA / 200 },
+      r3: { current: (10 - bridgeB) / 200 },
+      r4: { current: bridgeB / 100 },
+      r5: { current: (bridgeA - bridgeB) / 100, voltageDrop: bridgeA - bridgeB }
+    },
+    method: 'nodal'
+  },
+  {
+    name: 'gate chain: (s1 AND s2) OR s3, all off',
+    circuit: gateChain('off', 'off', 'off'),
+    expect: { g1: { output: false }, g2: { output: false }, d: { current: 0, powered: false } },
+    method: 'nodal'
+  },
+  {
+    name: 'gate chain: (s1 AND s2) OR s3, s1 and s2 on',
+    circuit: gateChain('on', 'on', 'off'),
+    expect: { g1: { output: true }, g2: { output: true }, d: { current: ledLoop(5, GATE_LOAD), powered: true } },
+    method: 'nodal'
+  },
+  {
+    name: 'gate chain: (s1 AND s2) OR s3, only s1 on',
+    circuit: gateChain('on', 'off', 'off'),
+    expect: { g1: { output: false }, g2: { output: false }, d: { current: 0, powered: false } },
+    method: 'nodal'
+  },
+  {
+    name: 'gate chain: (s1 AND s2) OR s3, only s3 on',
+    circuit: gateChain('off', 'off', 'on'),
+    expect: { g1: { output: false }, g2: { output: true }, d: { current: ledLoop(5, GATE_LOAD), powered: true } },
+    method: 'nodal'
+  }
+];
+
+module.exports.circuit = circuit;
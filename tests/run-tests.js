@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Minimal test runner: loads every tests/*.test.js and runs the tests they register.
+//
+//   node tests/run-tests.js [filter]
+//
+// A test file exports a function receiving { test }: test(name, fn) registers a test (fn throws
+// or returns a promise that rejects to fail, e.g. via node:assert). Tests run one at a time.
+
+const fs = require('fs');
+const path = require('path');
+
+const filter = process.argv[2] || '';
+const tests = [];
+
+fs.readdirSync(__dirname).filter(f => f.endsWith('.test.js')).sort().forEach(file => {
+  require(path.join(__dirname, file))({
+    test: (name, fn) => tests.push({ name: `${file.replace(/\.test\.js$/, '')}: ${name}`, fn })
+  });
+});
+
+let failed = 0, ran = 0;
+(async () => {
+  for (const t of tests.filter(x => x.name.includes(filter))) {
+    ran++;
+    try {
+      await t.fn();
+      console.log(`ok   ${t.name}`);
+    } catch (e) {
+      failed++;
+      console.log(`FAIL ${t.name}\n     ${String(e.message).split('\n').join('\n     ')}`);
+    }
+  }
+  console.log(`\n${ran - failed}/${ran} passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,55 @@
+// Ratings and short-circuit detection (safety.js) on solved circuits.
+
+const assert = require('node:assert');
+const path = require('path');
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const { circuit } = require('./reference-circuits.js');
+
+const kinds = res => res.issues.map(i => `${i.id}:${i.kind}`).sort();
+
+module.exports = ({ test }) => {
+  test('a 220 Ω resistor keeps a red LED on 5 V within its ratings', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '5' }], r: ['resistor', { resistance: '220' }], d: ['led', {}] },
+      ['bat.right r.left', 'r.right d.right', 'd.left bat.left']));
+    assert.ok(res.success);
+    assert.deepStrictEqual(kinds(res), []);
+  });
+
+  test('an LED straight across 9 V burns out and overloads the battery', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '9' }], d: ['led', {}] },
+      ['bat.right d.right', 'd.left bat.left']));
+    assert.ok(res.success);
+    assert.deepStrictEqual(kinds(res), ['bat:overloaded', 'd:burned']);
+    assert.match(res.issues[0].message, /^LED1 burned out/);
+  });
+
+  test('a resistor past its power rating overheats', () => {
+    // 9 V across 100 Ω is 0.81 W; a 1 W part copes, the default 0.25 W one does not
+    const parts = rating => ({ bat: ['battery', { voltage: '9' }], r: ['resistor', { resistance: '100', powerRating: rating }] });
+    const wires = ['bat.right r.left', 'r.right bat.left'];
+    assert.deepStrictEqual(kinds(CircuitCore.simulate(circuit(parts(undefined), wires))), ['r:overheated']);
+    assert.deepStrictEqual(kinds(CircuitCore.simulate(circuit(parts('1'), wires))), []);
+  });
+
+  test('a wire across the battery is a short circuit', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '9' }], r: ['resistor', { resistance: '100' }] },
+      ['bat.right bat.left', 'bat.right r.left', 'r.right bat.left']));
+    assert.strictEqual(res.success, false);
+    assert.strictEqual(res.reason, 'short-circuit');
+    assert.deepStrictEqual(kinds(res), ['bat:short']);
+  });
+
+  test('a closed switch across the battery is a short circuit, reported once', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '9' }], s: ['switch', { state: 'on' }], d: ['led', {}], r: ['resistor', { resistance: '470' }] },
+      ['bat.right s.left', 's.right bat.left', 'bat.right r.left', 'r.right d.right', 'd.left bat.left']));
+    assert.ok(res.success);
+    assert.deepStrictEqual(kinds(res), ['bat:short']);
+    assert.match(res.issues[0].message, /through S1/);
+  });
+
+  test('an open switch across the battery is safe', () => {
+    const res = CircuitCore.simulate(circuit({ bat: ['battery', { voltage: '9' }], s: ['switch', { state: 'off' }], r: ['resistor', { resistance: '470' }] },
+      ['bat.right s.left', 's.right bat.left', 'bat.right r.left', 'r.right bat.left']));
+    assert.deepStrictEqual(kinds(res), []);
+  });
+};
@@ -0,0 +1,73 @@
+// Schematic symbols (schematic-symbols.js): which parts have one, and leads that end on the
+// connectors.
+
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SchematicSymbols = require(path.join(__dirname, '..', 'schematic-symbols.js'));
+const Gates = require(path.join(__dirname, '..', 'gates.js'));
+const SequentialParts = require(path.join(__dirname, '..', 'sequential.js'));
+const CircuitImage = require(path.join(__dirname, '..', 'circuit-image.js'));
+
+const BASIC = ['resistor', 'capacitor', 'inductor', 'led', 'battery', 'switch'];
+
+// Every end of every <line> in a symbol
+function lineEnds(svg) {
+  const ends = [];
+  svg.replace(/<line x1="([\d.]+)" y1="([\d.]+)" x2="([\d.]+)" y2="([\d.]+)"\/>/g, (m, x1, y1, x2, y2) => {
+    ends.push([+x1, +y1], [+x2, +y2]);
+  });
+  return ends;
+}
+
+module.exports = ({ test }) => {
+  test('basic parts and gates have a symbol in each style; sequential parts keep their box', () => {
+    BASIC.concat(Gates.TYPES).forEach(type => {
+      const { w, h } = SchematicSymbols.size(type);
+      SchematicSymbols.STYLES.forEach(style => {
+        const svg = SchematicSymbols.svg(type, style);
+        assert.ok(svg.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}"`), `${type} ${style}`);
+      });
+    });
+    ['resistor', 'inductor', 'battery', 'and', 'or3', 'nand4', 'xnor'].forEach(type => {
+      assert.notStrictEqual(SchematicSymbols.svg(type, 'ansi'), SchematicSymbols.svg(type, 'iec'), type);
+    });
+    assert.match(SchematicSymbols.svg('nor', 'iec'), />≥1</);
+    assert.match(SchematicSymbols.svg('not', 'iec'), />1</);
+    SequentialParts.TYPES.forEach(type => assert.strictEqual(SchematicSymbols.svg(type, 'ansi'), null, type));
+    assert.strictEqual(SchematicSymbols.svg('wire-node'), null);
+  });
+
+  test('every lead ends on a connector, and gate inputs sit where styles.css puts them', () => {
+    BASIC.concat(Gates.TYPES).forEach(type => SchematicSymbols.STYLES.forEach(style => {
+      const ends = lineEnds(SchematicSymbols.svg(type, style));
+      SchematicSymbols.pins(type).forEach(p => {
+        assert.ok(ends.some(([x, y]) => x === p.x && y === p.y), `${type} ${style}: no lead to ${p.terminal}`);
+      });
+    }));
+    const css = fs.readFileSync(path.join(__dirname, '..', 'styles.css'), 'utf8');
+    Gates.TYPES.forEach(type => {
+      const g = Gates.get(type), { h } = SchematicSymbols.size(type);
+      SchematicSymbols.pins(type).filter(p => p.terminal !== Gates.OUTPUT_TERMINAL).forEach(p => {
+        const rule = new RegExp(`\\.block\\.gate\\[data-inputs="${g.inputs}"\\] \\.input\\.${p.terminal} \\{ top: ([\\d.]+)%; \\}`).exec(css);
+        assert.ok(rule, `${type} ${p.terminal}`);
+        assert.ok(Math.abs(Number(rule[1]) / 100 * h - p.y) < 0.01, `${type} ${p.terminal}`);
+      });
+      assert.deepStrictEqual(SchematicSymbols.pins(type).slice(-1)[0], { terminal: 'out', x: 80, y: h / 2 });
+    });
+  });
+
+  test('a switch shows the position it is in, and pictures draw symbols instead of boxes', () => {
+    const both = SchematicSymbols.svg('switch', 'ansi');
+    assert.ok(both.includes('sym-open') && both.includes('sym-closed'));
+    assert.ok(!SchematicSymbols.svg('switch', 'ansi', { state: 'on' }).includes('sym-open'));
+    assert.ok(!SchematicSymbols.svg('switch', 'ansi', { state: 'off' }).includes('sym-closed'));
+
+    const part = { name: 'D1', label: 'LED', cx: 100, cy: 100, w: 80, h: 40, rotation: 0, pins: [], values: [] };
+    const boxed = CircuitImage.svg({ parts: [part] });
+    const drawn = CircuitImage.svg({ parts: [Object.assign({}, part, { symbol: SchematicSymbols.svg('led', 'iec'), mirrored: true })] });
+    assert.match(boxed, /rx="8"/);
+    assert.doesNotMatch(drawn, /rx="8"|>LED</);
+    assert.match(drawn, /<g color="#111827" transform="scale\(-1 1\)"><svg xmlns="http:\/\/www.w3.org\/2000\/svg" x="-40" y="-20" width="80" height="40"/);
+  });
+};
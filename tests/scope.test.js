@@ -0,0 +1,88 @@
+// Oscilloscope (scope.js): axis steps and ranges, value labels, CSV export, and the signed
+// currents from circuit-core.js that current probes plot.
+
+const assert = require('node:assert');
+const path = require('path');
+const Scope = require(path.join(__dirname, '..', 'scope.js'));
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const { circuit } = require('./reference-circuits.js');
+
+// Probes and samples live in the module: start every test without any
+function reset() {
+  Scope.getProbes().forEach(p => Scope.removeProbe(p.id));
+  Scope.clearSamples();
+}
+
+module.exports = ({ test }) => {
+  test('axis steps are 1, 2 or 5 times a power of ten', () => {
+    assert.deepStrictEqual([0.3, 1, 1.5, 3, 7, 12, 0.0042].map(Scope.niceStep), [0.5, 1, 2, 5, 10, 20, 0.005]);
+    assert.strictEqual(Scope.niceStep(0), 1);
+    assert.strictEqual(Scope.niceStep(NaN), 1);
+  });
+
+  test('labels switch to mA and µA for small values', () => {
+    assert.strictEqual(Scope.formatValue(4.2, 'V'), '4.20 V');
+    assert.strictEqual(Scope.formatValue(0, 'A'), '0.00 A');
+    assert.strictEqual(Scope.formatValue(0.25, 'A'), '250 mA');
+    assert.strictEqual(Scope.formatValue(0.0042, 'A'), '4.2 mA');
+    assert.strictEqual(Scope.formatValue(-0.00035, 'A'), '-350 µA');
+    assert.strictEqual(Scope.formatValue(0.1, 's'), '100 ms');
+  });
+
+  test('the vertical range covers every sample of its kind and includes zero', () => {
+    reset();
+    const v = Scope.addProbe('voltage', 'V1'), i = Scope.addProbe('current', 'I1');
+    const samples = [[0, 3.3, 0.004], [0.02, 4.9, -0.0021], [0.04, 0.5, 0.0005]].map(([t, volts, amps]) => ({ t, values: { [v.id]: volts, [i.id]: amps } }));
+    const covers = (r, lo, hi) => r.min <= lo + 1e-12 && r.max >= hi - 1e-12;
+    const volts = Scope.verticalRange('voltage', samples);
+    assert.ok(covers(volts, 0, 4.9), JSON.stringify(volts));
+    assert.strictEqual(volts.perDiv, 1);
+    const amps = Scope.verticalRange('current', samples);
+    assert.ok(covers(amps, -0.0021, 0.004), JSON.stringify(amps));
+    assert.ok(amps.min < 0);
+    // rounding the bottom down must not push the top under the highest sample
+    for (let k = 1; k < 500; k++) {
+      const lo = -k * 3.7e-5, hi = k * 9e-5;
+      const r = Scope.verticalRange('current', [{ t: 0, values: { [i.id]: lo } }, { t: 1, values: { [i.id]: hi } }]);
+      assert.ok(covers(r, lo, hi), `${lo}..${hi}: ${JSON.stringify(r)}`);
+    }
+    // no samples: a default span
+    assert.deepStrictEqual(Scope.verticalRange('voltage', []), { min: 0, max: 1.6, perDiv: 0.2 });
+    reset();
+  });
+
+  test('CSV has a column per probe, blanks for gaps and quoted labels', () => {
+    reset();
+    const v = Scope.addProbe('voltage', 'V(b1 right)'), i = Scope.addProbe('current', 'I(r1, "load")');
+    Scope.record(0, new Map([[v.id, 5], [i.id, -0.002]]));
+    Scope.record(0.02, { [v.id]: 4.5 });
+    Scope.record(0.04, { [v.id]: NaN, [i.id]: 0.001 });
+    assert.strictEqual(Scope.toCSV(), [
+      'time_s,V(b1 right) (V),"I(r1, ""load"") (A)"',
+      '0.000000,5,-0.002',
+      '0.020000,4.5,',
+      '0.040000,,0.001'
+    ].join('\n'));
+    Scope.removeProbe(i.id);
+    assert.strictEqual(Scope.toCSV().split('\n')[1], '0.000000,5');
+    assert.strictEqual(Scope.sampleCount(), 3);
+    reset();
+  });
+
+  test('current probes read a capacitor charging and discharging with opposite signs', () => {
+    // s1 charges the capacitor from the battery through r1; s2 discharges it through r2
+    const c = (s1, s2) => circuit({
+      bat: ['battery', { voltage: '5' }], s1: ['switch', { state: s1 }], r1: ['resistor', { resistance: '1000' }],
+      cap: ['capacitor', { capacitance: '0.001' }], s2: ['switch', { state: s2 }], r2: ['resistor', { resistance: '1000' }]
+    }, ['bat.right s1.left', 's1.right r1.left', 'r1.right cap.right', 'cap.left bat.left', 'cap.right s2.left', 's2.right r2.left', 'r2.right cap.left']);
+    const charging = CircuitCore.simulate(c('on', 'off'), { time: 0.5, dt: 1e-3 });
+    assert.ok(charging.success, charging.reason);
+    assert.ok(charging.components.cap.signedCurrent > 1e-3, `charging: ${charging.components.cap.signedCurrent} A`);
+    assert.ok(charging.components.bat.signedCurrent < 0, 'a battery delivering current has it leave at its + side');
+    const discharging = CircuitCore.simulate(c('off', 'on'), { state: charging.digital, time: 0.1, dt: 1e-3 });
+    assert.ok(discharging.components.cap.signedCurrent < -1e-3, `discharging: ${discharging.components.cap.signedCurrent} A`);
+    // the unsigned current stays what the tooltips and meters show
+    assert.strictEqual(discharging.components.cap.current, Math.abs(discharging.components.cap.signedCurrent));
+    assert.strictEqual(discharging.components.r2.current, Math.abs(discharging.components.r2.signedCurrent));
+  });
+};
@@ -0,0 +1,132 @@
+// Clocked and stateful logic (sequential.js) through CircuitCore: edges, held state between
+// calls, and the same answer however the simulated time is split up.
+
+const assert = require('node:assert');
+const path = require('path');
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const SequentialParts = require(path.join(__dirname, '..', 'sequential.js'));
+const { circuit } = require('./reference-circuits.js');
+
+const bat = ['battery', { voltage: '5' }];
+const sw = state => ['switch', { state }];
+const clock = hz => ['clock', { frequency: String(hz) }];
+
+// 10 Hz clock into a counter whose outputs feed a 7-segment display
+const counterCircuit = () => circuit({ c: clock(10), n: ['counter4', {}], disp: ['seg7', {}] },
+  ['c.out n.clk', 'n.q0 disp.d0', 'n.q1 disp.d1', 'n.q2 disp.d2', 'n.q3 disp.d3']);
+
+// run `steps` calls of `dt` seconds each, threading the digital state through
+function run(c, steps, dt) {
+  let res = null;
+  for (let i = 0; i < steps; i++) res = CircuitCore.simulate(c, { state: res ? res.digital : undefined, advance: dt });
+  return res;
+}
+
+module.exports = ({ test }) => {
+  test('a counter counts rising clock edges and the display shows the count', () => {
+    // a 10 Hz clock rises at 0.05 s, 0.15 s, ... : 11 rising edges by 1.07 s
+    const res = CircuitCore.simulate(counterCircuit(), { advance: 1.07 });
+    assert.ok(res.success, res.reason);
+    assert.strictEqual(res.components.n.value, 11);
+    assert.deepStrictEqual(res.components.n.outputs, { q0: true, q1: true, q2: false, q3: true });
+    assert.strictEqual(res.components.disp.value, 11);
+    assert.strictEqual(res.components.disp.segments, 'cdefg'); // "b"
+  });
+
+  test('splitting the run into ticks gives the same state', () => {
+    const whole = CircuitCore.simulate(counterCircuit(), { advance: 2.4 });
+    const ticked = run(counterCircuit(), 120, 0.02);
+    assert.strictEqual(ticked.components.n.value, whole.components.n.value);
+    assert.ok(Math.abs(ticked.digital.time - 2.4) < 1e-9);
+  });
+
+  test('clocks above MAX_FREQUENCY run at MAX_FREQUENCY', () => {
+    const fast = c => circuit({ c, n: ['counter4', {}] }, ['c.out n.clk']);
+    const capped = CircuitCore.simulate(fast(clock(10000)), { advance: 0.071 });
+    const max = CircuitCore.simulate(fast(clock(SequentialParts.MAX_FREQUENCY)), { advance: 0.071 });
+    assert.ok(capped.success, capped.reason);
+    assert.strictEqual(capped.components.n.value, max.components.n.value);
+    assert.strictEqual(capped.components.n.value, 7);
+  });
+
+  test('D flip-flop takes D on the rising edge and holds it', () => {
+    const parts = d => ({ bat, s: sw(d), c: clock(1), f: ['dff', {}], r: ['resistor', { resistance: '220' }], led: ['led', {}] });
+    const wires = ['bat.right s.left', 's.right f.d', 'c.out f.clk', 'f.q r.left', 'r.right led.right', 'led.left bat.left'];
+    // D high, before the first edge (0.5 s): Q still low
+    let res = CircuitCore.simulate(circuit(parts('on'), wires), { advance: 0.4 });
+    assert.strictEqual(res.components.f.outputs.q, false);
+    assert.strictEqual(res.components.led.powered, false);
+    res = CircuitCore.simulate(circuit(parts('on'), wires), { state: res.digital, advance: 0.2 });
+    assert.strictEqual(res.components.f.outputs.q, true);
+    assert.strictEqual(res.components.led.powered, true);
+    // D goes low between edges: Q holds until the next rising edge at 1.5 s
+    res = CircuitCore.simulate(circuit(parts('off'), wires), { state: res.digital, advance: 0.7 });
+    assert.strictEqual(res.components.f.outputs.q, true);
+    res = CircuitCore.simulate(circuit(parts('off'), wires), { state: res.digital, advance: 0.2 });
+    assert.strictEqual(res.components.f.outputs.q, false);
+  });
+
+  test('T flip-flops chained Q̅ to clock count in binary', () => {
+    const c = circuit({ bat, s: sw('on'), c: clock(1), t0: ['tff', {}], t1: ['tff', {}] },
+      ['bat.right s.left', 's.right t0.t', 's.right t1.t', 'c.out t0.clk', 't0.qn t1.clk']);
+    const counts = [0.4, 1.4, 2.4, 3.4, 4.4].map(t => {
+      const res = CircuitCore.simulate(c, { advance: t });
+      return Number(res.components.t0.outputs.q) + 2 * Number(res.components.t1.outputs.q);
+    });
+    assert.deepStrictEqual(counts, [0, 1, 2, 3, 0]);
+  });
+
+  test('JK flip-flop sets, resets, holds and toggles', () => {
+    const c = (j, k) => circuit({ bat, sj: sw(j), sk: sw(k), c: clock(1), f: ['jkff', {}] },
+      ['bat.right sj.left', 'bat.right sk.left', 'sj.right f.j', 'sk.right f.k', 'c.out f.clk']);
+    const seq = [['on', 'off'], ['off', 'off'], ['off', 'on'], ['on', 'on'], ['on', 'on']];
+    let res = null;
+    const qs = seq.map(([j, k]) => {
+      res = CircuitCore.simulate(c(j, k), { state: res ? res.digital : undefined, advance: 1 });
+      return res.components.f.outputs.q;
+    });
+    assert.deepStrictEqual(qs, [true, true, false, true, false]);
+  });
+
+  test('SR latch remembers the last set or reset', () => {
+    const c = (s, r) => circuit({ bat, ss: sw(s), sr: sw(r), l: ['srlatch', {}] },
+      ['bat.right ss.left', 'bat.right sr.left', 'ss.right l.s', 'sr.right l.r']);
+    const seq = [['on', 'off'], ['off', 'off'], ['off', 'on'], ['off', 'off'], ['on', 'on']];
+    let res = null;
+    const states = seq.map(([s, r]) => {
+      res = CircuitCore.simulate(c(s, r), { state: res ? res.digital : undefined });
+      return [res.components.l.outputs.q, res.components.l.outputs.qn];
+    });
+    assert.deepStrictEqual(states, [[true, false], [true, false], [false, true], [false, true], [false, false]]);
+  });
+
+  test('a clocked flip-flop charges and discharges a capacitor in a transient', () => {
+    // toggle flip-flop (D from Q̅) on a 1 Hz clock: Q rises at 0.5 s and falls at 1.5 s; RC = 1 s
+    const c = circuit({ bat, c: clock(1), f: ['dff', {}], r: ['resistor', { resistance: '1000' }], cap: ['capacitor', { capacitance: '0.001' }] },
+      ['c.out f.clk', 'f.qn f.d', 'f.q r.left', 'r.right cap.right', 'cap.left bat.left']);
+    let res = CircuitCore.simulate(c, { time: 0.4, dt: 1e-3 });
+    assert.ok(res.success, res.reason);
+    assert.strictEqual(res.components.f.outputs.q, false);
+    assert.ok(res.components.cap.voltageDrop < 1e-6, `capacitor before the edge: ${res.components.cap.voltageDrop} V`);
+    res = CircuitCore.simulate(c, { state: res.digital, time: 0.2, dt: 1e-3, advance: 0.2 });
+    assert.strictEqual(res.components.f.outputs.q, true);
+    const charged = res.components.cap.voltageDrop;
+    assert.ok(Math.abs(charged - 5 * (1 - Math.exp(-0.1))) < 0.01, `capacitor 0.1 s after the edge: ${charged} V`);
+    // ticks of 20 ms carry on from the capacitor's charge and see the falling edge at 1.5 s
+    for (let i = 0; i < 45; i++) res = CircuitCore.simulate(c, { state: res.digital, time: 0.02, dt: 1e-3, advance: 0.02 });
+    assert.ok(Math.abs(res.digital.time - 1.5) < 1e-9);
+    assert.strictEqual(res.components.f.outputs.q, false);
+    const peak = 5 * (1 - Math.exp(-1));
+    assert.ok(Math.abs(res.components.cap.voltageDrop - peak) < 0.05, `capacitor at the falling edge: ${res.components.cap.voltageDrop} V, want about ${peak}`);
+    res = CircuitCore.simulate(c, { state: res.digital, time: 0.5, dt: 1e-3, advance: 0.5 });
+    assert.ok(Math.abs(res.components.cap.voltageDrop - peak * Math.exp(-0.5)) < 0.05, `capacitor 0.5 s after the falling edge: ${res.components.cap.voltageDrop} V`);
+  });
+
+  test('counter reset clears it while high', () => {
+    const c = rst => circuit({ bat, s: sw(rst), c: clock(10), n: ['counter4', {}] }, ['bat.right s.left', 's.right n.rst', 'c.out n.clk']);
+    let res = CircuitCore.simulate(c('off'), { advance: 0.5 });
+    assert.strictEqual(res.components.n.value, 5);
+    res = CircuitCore.simulate(c('on'), { state: res.digital, advance: 0.5 });
+    assert.strictEqual(res.components.n.value, 0);
+  });
+};
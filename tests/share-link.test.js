@@ -0,0 +1,47 @@
+// Circuits in links (share-link.js): compression round trips and reading the URL fragment.
+
+const assert = require('node:assert');
+const path = require('path');
+const ShareLink = require(path.join(__dirname, '..', 'share-link.js'));
+const CircuitFormat = require(path.join(__dirname, '..', 'circuit-format.js'));
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const REFERENCE_CIRCUITS = require('./reference-circuits.js');
+
+module.exports = ({ test }) => {
+  test('compression round-trips text of any size', () => {
+    ['', 'a', 'abababababababab', 'Ω µF — 漢字 🙂', 'x'.repeat(100000)].forEach(text => {
+      assert.strictEqual(ShareLink.decompress(ShareLink.compress(text)), text);
+    });
+    // enough distinct sequences to fill the 16-bit code table
+    let noise = '', seed = 1;
+    for (let i = 0; i < 200000; i++) { seed = (seed * 48271) % 2147483647; noise += String.fromCharCode(33 + seed % 90); }
+    assert.strictEqual(ShareLink.decompress(ShareLink.compress(noise)), noise);
+    assert.match(ShareLink.compress(noise), /^[A-Za-z0-9_-]+$/);
+  });
+
+  test('a shared circuit loads back and solves the same', () => {
+    const ref = REFERENCE_CIRCUITS.find(r => r.name === 'unbalanced Wheatstone bridge');
+    const doc = CircuitFormat.save(ref.circuit, { title: 'Bridge', lesson: { level: 3, title: 'Bridges' } });
+    const hash = ShareLink.encode(doc);
+    assert.ok(hash.length < JSON.stringify(doc).length, 'smaller than the file');
+    const link = ShareLink.decode(hash);
+    assert.strictEqual(link.view, false);
+    const loaded = CircuitFormat.load(link.text);
+    assert.ok(loaded.ok, loaded.problems && loaded.problems.join('\n'));
+    assert.strictEqual(loaded.doc.nets, undefined);
+    assert.deepStrictEqual(loaded.doc.meta, doc.meta);
+    const a = CircuitCore.simulate(ref.circuit), b = CircuitCore.simulate(loaded.circuit);
+    Object.keys(a.components).forEach(id => assert.strictEqual(b.components[id].current, a.components[id].current, id));
+  });
+
+  test('the fragment says whether there is a circuit and whether it is view-only', () => {
+    const hash = ShareLink.encode({ format: 'circuit-studio' }, { view: true });
+    assert.match(hash, /^#c=[A-Za-z0-9_-]+&view$/);
+    assert.deepStrictEqual(ShareLink.decode(hash), { text: '{"format":"circuit-studio"}', view: true });
+    assert.strictEqual(ShareLink.decode(''), null);
+    assert.strictEqual(ShareLink.decode('#section-2'), null);
+    // cut short or mangled
+    assert.deepStrictEqual(ShareLink.decode(hash.slice(0, 12)), { error: 'the link is damaged or incomplete' });
+    assert.deepStrictEqual(ShareLink.decode('#c=not*base64'), { error: 'the link is damaged or incomplete' });
+  });
+};
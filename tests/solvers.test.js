@@ -0,0 +1,105 @@
+// The MNA core and its explanations against the reference circuits, plus direct CircuitSolver
+// checks that the reference circuits cannot reach (transients, symbolic-factorization reuse).
+
+const assert = require('node:assert');
+const path = require('path');
+const CircuitSolver = require(path.join(__dirname, '..', 'circuit-solver.js'));
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const references = require('./reference-circuits.js');
+
+const MNA_TOL = 1e-4;   // relative; closed switches add 1 mΩ
+const ABS_TOL = 1e-7;
+
+function close(actual, expected, rel) {
+  return Math.abs(actual - expected) <= Math.max(ABS_TOL, rel * Math.abs(expected));
+}
+
+// List every expected field that the result misses, as "id.field: got x, want y"
+function mismatches(result, expect, rel) {
+  const out = [];
+  Object.keys(expect).forEach(id => {
+    const got = result.components[id];
+    if (!got) { out.push(`${id}: no result`); return; }
+    Object.keys(expect[id]).forEach(field => {
+      const want = expect[id][field];
+      const ok = typeof want === 'number' ? close(got[field], want, rel) : got[field] === want;
+      if (!ok) out.push(`${id}.${field}: got ${got[field]}, want ${want}`);
+    });
+  });
+  return out;
+}
+
+function reversed(circuit) {
+  return { blocks: circuit.blocks.slice().reverse(), conns: circuit.conns.slice().reverse() };
+}
+
+module.exports = ({ test }) => {
+  references.forEach(ref => {
+    test(`MNA: ${ref.name}`, () => {
+      const res = CircuitCore.simulate(ref.circuit);
+      assert.ok(res.success, `solver failed: ${res.reason}`);
+      const bad = mismatches(res, ref.expect, MNA_TOL);
+      assert.deepStrictEqual(bad, [], bad.join('\n'));
+    });
+
+    // results are keyed by block id, so the order blocks and wires were saved in must not matter
+    test(`MNA, reversed file order: ${ref.name}`, () => {
+      const res = CircuitCore.simulate(reversed(ref.circuit));
+      assert.ok(res.success, `solver failed: ${res.reason}`);
+      const bad = mismatches(res, ref.expect, MNA_TOL);
+      assert.deepStrictEqual(bad, [], bad.join('\n'));
+    });
+
+    // every number quoted in an explanation must be the one the solver reports
+    test(`explanation agrees with MNA: ${ref.name}`, () => {
+      const res = CircuitCore.simulate(ref.circuit, { explain: true });
+      assert.ok(res.success, `solver failed: ${res.reason}`);
+      const groups = res.explanation.groups.filter(g => g.method !== 'logic');
+      assert.deepStrictEqual(groups.map(g => g.method), [ref.method]);
+      const bad = [];
+      groups[0].steps.forEach(step => {
+        const v = step.values;
+        if (step.kind === 'ohm' || step.kind === 'diode') {
+          const got = res.components[v.id];
+          if (!close(v.current, Math.abs(got.current), MNA_TOL)) bad.push(`${step.text}: solver current ${got.current}`);
+          if (!close(Math.abs(v.voltage), Math.abs(got.voltageDrop), MNA_TOL)) bad.push(`${step.text}: solver drop ${got.voltageDrop}`);
+        }
+        if (step.kind === 'kvl' && Math.abs(v.sum) > 1e-6) bad.push(`${step.text}: loop sums to ${v.sum}`);
+      });
+      assert.deepStrictEqual(bad, [], bad.join('\n'));
+    });
+  });
+
+  test('RC charging follows 1 - e^(-t/RC)', () => {
+    // 5 V -> 1 kΩ -> 1 mF, tau = 1 s
+    const res = CircuitCore.simulate(references.circuit(
+      { bat: ['battery', { voltage: '5' }], r: ['resistor', { resistance: '1000' }], c: ['capacitor', { capacitance: '0.001' }] },
+      ['bat.right r.left', 'r.right c.right', 'c.left bat.left']
+    ), { time: 1, dt: 1e-3 });
+    assert.ok(res.success);
+    const want = 5 * (1 - Math.exp(-1));
+    assert.ok(close(res.components.c.voltageDrop, want, 1e-4), `capacitor at 1 s: ${res.components.c.voltageDrop} V, want ${want}`);
+  });
+
+  test('RL current rise follows 1 - e^(-tR/L)', () => {
+    // 10 V -> 10 Ω -> 1 H, tau = 0.1 s
+    const res = CircuitCore.simulate(references.circuit(
+      { bat: ['battery', { voltage: '10' }], r: ['resistor', { resistance: '10' }], l: ['inductor', { inductance: '1' }] },
+      ['bat.right r.left', 'r.right l.right', 'l.left bat.left']
+    ), { time: 0.1, dt: 1e-4 });
+    assert.ok(res.success);
+    const want = 1 - Math.exp(-1);
+    assert.ok(close(res.components.l.current, want, 1e-4), `inductor at 0.1 s: ${res.components.l.current} A, want ${want}`);
+  });
+
+  test('symbolic factorization is reused for the same topology', () => {
+    CircuitSolver.clearSymbolicCache();
+    const before = CircuitSolver.stats.cacheHits;
+    const rs = V => [[{ n1: 1, n2: 2, R: 100 }, { n1: 2, n2: 0, R: 200 }], [{ nPlus: 1, nMinus: 0, V }]];
+    const a = CircuitSolver.solveMNA(3, ...rs(3), [], { groundNode: 0 });
+    const b = CircuitSolver.solveMNA(3, ...rs(6), [], { groundNode: 0 });
+    assert.ok(a.success && b.success);
+    assert.ok(close(b.V[2], 4, 1e-9), `divider node: ${b.V[2]}`);
+    assert.strictEqual(CircuitSolver.stats.cacheHits - before, 1);
+  });
+};
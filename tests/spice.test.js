@@ -0,0 +1,90 @@
+// SPICE netlists (spice.js): engineering values, the choice of ground, and reference circuits
+// written out and read back solving the same.
+
+const assert = require('node:assert');
+const path = require('path');
+const SpiceNetlist = require(path.join(__dirname, '..', 'spice.js'));
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const REFERENCE_CIRCUITS = require('./reference-circuits.js');
+
+// The model script.js hands to exportNetlist(), from a saved circuit
+function spiceModel(c) {
+  const components = CircuitCore.buildNetlist(c).components.map(p => ({ id: p.id, type: p.type, dataset: p.dataset, nets: p.nets }));
+  return { title: 'test', ground: SpiceNetlist.groundNet(components), components };
+}
+
+// A parsed netlist as a saved circuit, every terminal on a node wired to the next as importSpice() does.
+// Parts keep their element names (RSW_s1, Dd...).
+function fromElements(elements) {
+  const blocks = elements.map(el => ({ id: el.name, type: el.kind, dataset: Object.assign({}, el.dataset) }));
+  const byNode = new Map();
+  elements.forEach(el => Object.keys(el.nodes).forEach(t => {
+    const node = el.nodes[t];
+    if (node == null) return;
+    if (!byNode.has(node)) byNode.set(node, []);
+    byNode.get(node).push([el.name, t]);
+  }));
+  const conns = [];
+  byNode.forEach(ends => ends.slice(1).forEach(([id, t], i) => {
+    conns.push({ conn1BlockId: ends[i][0], conn1Terminal: ends[i][1], conn2BlockId: id, conn2Terminal: t });
+  }));
+  return { blocks, conns };
+}
+
+const originalId = name => name.replace(/^(RSW_|[RCLVDB])/, '');
+
+module.exports = ({ test }) => {
+  test('values read and write with engineering suffixes', () => {
+    [['4.7k', 4700], ['100u', 1e-4], ['1meg', 1e6], ['1M', 1e-3], ['10V', 10], ['2.2nF', 2.2e-9], ['.5', 0.5], ['1e3', 1000], ['-3m', -3e-3]]
+      .forEach(([text, want]) => assert.strictEqual(SpiceNetlist.parseValue(text), want, text));
+    ['', 'k', 'abc', '1..2'].forEach(text => assert.ok(Number.isNaN(SpiceNetlist.parseValue(text)), text));
+    assert.deepStrictEqual([1500, 1e-4, 1e6, 0, 5, 0.001, 220e-12].map(SpiceNetlist.formatValue), ['1.5k', '100u', '1Meg', '0', '5', '1m', '220p']);
+    [1500, 33e-6, 4.7e6, 0.1].forEach(v => assert.strictEqual(SpiceNetlist.parseValue(SpiceNetlist.formatValue(v)), v));
+  });
+
+  test('ground is the first battery\'s - net, else the first wired net', () => {
+    const nets = (left, right) => ({ left, right, out: null });
+    assert.strictEqual(SpiceNetlist.groundNet([{ type: 'resistor', nets: nets(0, 1) }, { type: 'battery', nets: nets(2, 0) }]), 2);
+    // an unwired part first, and no battery: node 0 is still a real node
+    const parts = [{ id: 'r1', type: 'resistor', dataset: { resistance: '100' }, nets: nets(null, null) },
+      { id: 'r2', type: 'resistor', dataset: { resistance: '100' }, nets: nets(3, 4) }];
+    assert.strictEqual(SpiceNetlist.groundNet(parts), 3);
+    assert.match(SpiceNetlist.exportNetlist({ ground: SpiceNetlist.groundNet(parts), components: parts }), /^Rr2 n4 0 100$/m);
+    assert.strictEqual(SpiceNetlist.groundNet([{ type: 'led', nets: nets(null, null) }]), null);
+  });
+
+  test('reference circuits survive a round trip through a netlist', () => {
+    ['voltage divider', 'LEDs in parallel branches', 'two batteries in series', 'open switch stops the current',
+      'gate chain: (s1 AND s2) OR s3, s1 and s2 on'].forEach(name => {
+      const ref = REFERENCE_CIRCUITS.find(r => r.name === name);
+      const text = SpiceNetlist.exportNetlist(spiceModel(ref.circuit));
+      assert.match(text, / 0 /, `${name}: no node 0`);
+      const parsed = SpiceNetlist.parseNetlist(text);
+      assert.deepStrictEqual(parsed.warnings, [], name);
+      assert.strictEqual(parsed.elements.length, ref.circuit.blocks.length, name);
+      const before = CircuitCore.simulate(ref.circuit), after = CircuitCore.simulate(fromElements(parsed.elements));
+      assert.ok(after.success, name);
+      Object.keys(after.components).forEach(id => {
+        const a = after.components[id], b = before.components[originalId(id)];
+        assert.strictEqual(a.type, b.type, `${name}: ${id}`);
+        assert.ok(Math.abs((a.current || 0) - (b.current || 0)) < 1e-9, `${name}: ${id} current ${a.current} vs ${b.current}`);
+        assert.strictEqual(a.output, b.output, `${name}: ${id} output`);
+      });
+    });
+  });
+
+  test('unsupported lines are skipped with a warning', () => {
+    const parsed = SpiceNetlist.parseNetlist('* deck\nR1 a 0 1k\nQ1 a b c npn\n.foo\nXU1 a b sub\n.end\n');
+    assert.strictEqual(parsed.title, 'deck');
+    assert.deepStrictEqual(parsed.elements.map(e => e.kind), ['resistor']);
+    assert.strictEqual(parsed.warnings.length, 3);
+    assert.match(parsed.warnings[0], /^line 3: unsupported element type "Q"/);
+  });
+
+  test('resistors of 0 Ω or less are skipped; a closed switch may be 0 Ω', () => {
+    const parsed = SpiceNetlist.parseNetlist('* deck\nR1 a 0 0\nR2 a 0 -1k\nRSW_s1 a b 0 ; switch on\nR3 b 0 1k\n');
+    assert.deepStrictEqual(parsed.elements.map(e => e.name), ['RSW_s1', 'R3']);
+    assert.strictEqual(parsed.elements[0].dataset.state, 'on');
+    assert.deepStrictEqual(parsed.warnings.map(w => w.split(' — ')[0]), ['line 2: resistance must be above 0', 'line 3: invalid resistance']);
+  });
+};
@@ -0,0 +1,62 @@
+// Truth tables (truth-table.js): input/output detection, row order and comparison.
+
+const assert = require('node:assert');
+const path = require('path');
+const TruthTable = require(path.join(__dirname, '..', 'truth-table.js'));
+const { circuit } = require('./reference-circuits.js');
+
+// (A AND B) OR C: switches placed left to right in the order given, gate chain to an LED
+function chain(order = ['s1', 's2', 's3']) {
+  const c = circuit({
+    bat: ['battery', { voltage: '5' }], s1: ['switch', { state: 'off' }], s2: ['switch', { state: 'off' }], s3: ['switch', { state: 'off' }],
+    g1: ['and', {}], g2: ['or', {}], r: ['resistor', { resistance: '220' }], d: ['led', {}]
+  }, [
+    'bat.right s1.left', 'bat.right s2.left', 'bat.right s3.left',
+    's1.right g1.left', 's2.right g1.right', 'g1.out g2.left', 's3.right g2.right',
+    'g2.out r.left', 'r.right d.right', 'd.left bat.left'
+  ]);
+  c.blocks.forEach(b => { const i = order.indexOf(b.id); b.left = `${i >= 0 ? i * 100 : 500}px`; b.top = '0px'; });
+  return c;
+}
+
+module.exports = ({ test }) => {
+  test('switches are inputs, the LED is the output, rows count up from all-off', () => {
+    const table = TruthTable.generate(chain());
+    assert.deepStrictEqual(table.inputs.map(i => [i.id, i.name]), [['s1', 'A'], ['s2', 'B'], ['s3', 'C']]);
+    assert.deepStrictEqual(table.outputs.map(o => o.id), ['d']);
+    assert.deepStrictEqual(table.rows[1].inputs, [false, false, true]);
+    assert.strictEqual(TruthTable.column(table, 0), '01010111');
+  });
+
+  test('inputs follow the switch positions on the workspace', () => {
+    const table = TruthTable.generate(chain(['s3', 's1', 's2']));
+    assert.deepStrictEqual(table.inputs.map(i => i.id), ['s3', 's1', 's2']);
+    assert.strictEqual(TruthTable.column(table, 0), '00011111'); // C OR (A AND B) with C first
+  });
+
+  test('without an LED the last gate is the output', () => {
+    const c = chain();
+    c.blocks = c.blocks.filter(b => b.id !== 'd' && b.id !== 'r');
+    c.conns = c.conns.filter(w => ![w.conn1BlockId, w.conn2BlockId].some(id => id === 'd' || id === 'r'));
+    const table = TruthTable.generate(c);
+    assert.deepStrictEqual(table.outputs.map(o => o.id), ['g2']);
+    assert.strictEqual(TruthTable.column(table, 0), '01010111');
+  });
+
+  test('the circuit passed in is not changed', () => {
+    const c = chain();
+    const before = JSON.stringify(c);
+    TruthTable.generate(c);
+    assert.strictEqual(JSON.stringify(c), before);
+  });
+
+  test('compare finds the matching output or the first wrong row', () => {
+    const table = TruthTable.generate(chain(), { inputs: 2 }); // s3 stays off: A AND B
+    assert.strictEqual(table.rows.length, 4);
+    assert.deepStrictEqual(TruthTable.compare(table, '0001'), { pass: true, matched: [0] });
+    const miss = TruthTable.compare(table, '0111');
+    assert.strictEqual(miss.pass, false);
+    assert.deepStrictEqual(miss.mismatch, { column: 0, output: 0, row: 1, want: true });
+    assert.strictEqual(TruthTable.compare(table, '01').pass, false);
+  });
+};
@@ -0,0 +1,56 @@
+// Wire currents and voltage colours for the running-simulation view (wire-flow.js).
+
+const assert = require('node:assert');
+const path = require('path');
+const WireFlow = require(path.join(__dirname, '..', 'wire-flow.js'));
+
+const close = (got, want) => assert.ok(Math.abs(got - want) < 1e-12, `${got} vs ${want}`);
+
+module.exports = ({ test }) => {
+  test('a series loop carries the same current along every wire', () => {
+    // battery + -> r1 -> node -> led -> battery -, 5 mA
+    const I = 0.005;
+    const known = new Map([['r1/left', I], ['r1/right', -I], ['d1/right', I], ['d1/left', -I]]);
+    const flows = WireFlow.solve({
+      known,
+      unknowns: [['bat/right', 'bat/left']],
+      wires: [['bat/right', 'r1/left'], ['r1/right', 'n1/node'], ['n1/node', 'd1/right'], ['bat/left', 'd1/left']]
+    });
+    [I, I, I, -I].forEach((want, i) => close(flows[i], want));
+  });
+
+  test('current splits at a node, and every connector gets what its part takes', () => {
+    // battery + -> node; node -> r1 (2 mA) and node -> r2 (3 mA); both back to battery -; the
+    // last wire makes a loop within the top net
+    const known = new Map([['r1/left', 0.002], ['r1/right', -0.002], ['r2/left', 0.003], ['r2/right', -0.003]]);
+    const wires = [['bat/right', 'n1/node'], ['n1/node', 'r1/left'], ['r2/left', 'n1/node'], ['r1/right', 'bat/left'], ['r2/right', 'bat/left'], ['r1/left', 'r2/left']];
+    const flows = WireFlow.solve({ known, unknowns: [['bat/right', 'bat/left']], wires });
+    close(flows[0], 0.005);
+    close(flows[3], 0.002);
+    close(flows[4], 0.003);
+    const into = new Map();
+    wires.forEach(([a, b], i) => {
+      into.set(a, (into.get(a) || 0) - flows[i]);
+      into.set(b, (into.get(b) || 0) + flows[i]);
+    });
+    known.forEach((I, k) => close(into.get(k), I));
+    close(into.get('n1/node'), 0);
+  });
+
+  test('a logic output feeds its load', () => {
+    const flows = WireFlow.solve({
+      known: new Map([['g1/left', 0], ['r1/left', 0.01], ['r1/right', -0.01]]),
+      unknowns: [['g1/out']],
+      wires: [['g1/out', 'r1/left']]
+    });
+    close(flows[0], 0.01);
+  });
+
+  test('voltage colours run from blue through grey to red', () => {
+    assert.strictEqual(WireFlow.voltageColor(0, 0, 9), 'rgb(59, 130, 246)');
+    assert.strictEqual(WireFlow.voltageColor(4.5, 0, 9), 'rgb(148, 163, 184)');
+    assert.strictEqual(WireFlow.voltageColor(9, 0, 9), 'rgb(239, 68, 68)');
+    assert.strictEqual(WireFlow.voltageColor(12, 0, 9), 'rgb(239, 68, 68)');
+    assert.strictEqual(WireFlow.voltageColor(0, 0, 0), 'rgb(148, 163, 184)');
+  });
+};
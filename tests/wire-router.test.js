@@ -0,0 +1,57 @@
+// Orthogonal wire routing (wire-router.js): routes avoid parts, bend as little as they can and
+// stay orthogonal when a segment is dragged or the parts move.
+
+const assert = require('node:assert');
+const path = require('path');
+const WireRouter = require(path.join(__dirname, '..', 'wire-router.js'));
+
+const box = (left, top, width, height) => ({ left, top, right: left + width, bottom: top + height });
+const orthogonal = points => points.every((p, i) => i === 0 || p.x === points[i - 1].x || p.y === points[i - 1].y);
+const crosses = (points, b) => points.some((p, i) => {
+  if (i === 0) return false;
+  const q = points[i - 1];
+  // sample along the segment
+  for (let t = 0; t <= 1; t += 0.05) {
+    const x = q.x + (p.x - q.x) * t, y = q.y + (p.y - q.y) * t;
+    if (x > b.left && x < b.right && y > b.top && y < b.bottom) return true;
+  }
+  return false;
+});
+
+// two parts side by side with their facing connectors at y = 120
+const A = box(0, 100, 80, 40), B = box(300, 100, 80, 40);
+const from = { x: 80, y: 120, dir: 'right', box: A }, to = { x: 300, y: 120, dir: 'left', box: B };
+
+module.exports = ({ test }) => {
+  test('a clear run is one straight segment', () => {
+    assert.deepStrictEqual(WireRouter.route(from, to, [A, B]), [{ x: 80, y: 120 }, { x: 300, y: 120 }]);
+  });
+
+  test('routes go around parts in the way', () => {
+    const M = box(150, 90, 80, 60);
+    const r = WireRouter.route(from, to, [A, B, M]);
+    assert.ok(orthogonal(r));
+    assert.ok(!crosses(r, M), JSON.stringify(r));
+    assert.deepStrictEqual([r[0], r[r.length - 1]], [{ x: 80, y: 120 }, { x: 300, y: 120 }]);
+    assert.strictEqual(r.length, 6); // out, over the part and back in: four bends
+    // connectors on the far sides: the wire leaves each part away from it and comes round
+    const back = WireRouter.route({ x: 0, y: 120, dir: 'left', box: A }, { x: 380, y: 120, dir: 'right', box: B }, [A, B]);
+    assert.ok(orthogonal(back) && !crosses(back, A) && !crosses(back, B), JSON.stringify(back));
+  });
+
+  test('dragging a segment keeps the wire orthogonal and its ends in place', () => {
+    const straight = WireRouter.route(from, to, [A, B]);
+    const jogged = WireRouter.dragSegment(straight, 0, 5, 30);
+    assert.ok(orthogonal(jogged));
+    assert.deepStrictEqual(WireRouter.simplify(jogged), [{ x: 80, y: 120 }, { x: 80, y: 150 }, { x: 300, y: 150 }, { x: 300, y: 120 }]);
+    const moved = WireRouter.dragSegment(WireRouter.simplify(jogged), 1, 0, -10);
+    assert.strictEqual(moved[1].y, 140);
+  });
+
+  test('a dragged route stretches with its parts until it no longer fits', () => {
+    const route = [{ x: 80, y: 120 }, { x: 80, y: 150 }, { x: 300, y: 150 }, { x: 300, y: 120 }];
+    assert.deepStrictEqual(WireRouter.fit(route, { x: 60, y: 100 }, { x: 320, y: 110 }),
+      [{ x: 60, y: 100 }, { x: 60, y: 150 }, { x: 320, y: 150 }, { x: 320, y: 110 }]);
+    assert.strictEqual(WireRouter.fit([{ x: 0, y: 0 }, { x: 100, y: 0 }], { x: 0, y: 0 }, { x: 100, y: 20 }), null);
+  });
+};
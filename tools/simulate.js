@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Batch-simulate saved circuits (the files written by the Save button, any format version)
+// without a browser.
+//
+//   node tools/simulate.js [--explain] [--time seconds] circuit.json [more.json ...]
+//
+// Prints one JSON line per file: { file, success, reason?, problems?, components, issues }. A file
+// that does not validate (circuit-format.js) gets `problems` and is not simulated. With --explain
+// the step-by-step working is printed as text after each DC result.
+
+const fs = require('fs');
+const path = require('path');
+const CircuitCore = require(path.join(__dirname, '..', 'circuit-core.js'));
+const CircuitFormat = require(path.join(__dirname, '..', 'circuit-format.js'));
+
+function parseArgs(argv) {
+  const opts = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--explain') opts.explain = true;
+    else if (a === '--time') opts.time = Number(argv[++i]);
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else opts.files.push(a);
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (opts.help || !opts.files.length) {
+  console.log('usage: node tools/simulate.js [--explain] [--time seconds] circuit.json [...]');
+  process.exit(opts.help ? 0 : 1);
+}
+
+let failed = 0;
+opts.files.forEach(file => {
+  try {
+    const loaded = CircuitFormat.load(fs.readFileSync(file, 'utf8'));
+    if (!loaded.ok) {
+      failed++;
+      console.log(JSON.stringify({ file, success: false, reason: 'invalid circuit file', problems: loaded.problems }));
+      return;
+    }
+    const res = CircuitCore.simulate(loaded.circuit, { time: opts.time, explain: opts.explain });
+    if (!res.success) failed++;
+    console.log(JSON.stringify({ file, success: res.success, reason: res.reason, components: res.components, issues: res.issues.map(i => ({ id: i.id, kind: i.kind, message: i.message })) }));
+    if (res.explanation) {
+      res.explanation.groups.forEach(g => {
+        console.log(`# ${g.method}`);
+        g.steps.forEach(step => console.log(`  ${step.text}`));
+      });
+    }
+  } catch (e) {
+    failed++;
+    console.log(JSON.stringify({ file, success: false, reason: e.message }));
+  }
+});
+process.exit(failed ? 2 : 0);
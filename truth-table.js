@@ -0,0 +1,103 @@
+// Truth tables for logic circuits: switches are the inputs, LEDs the outputs (or, in a circuit
+// without LEDs, the gates whose output feeds no other gate). Every combination of switch states
+// is solved from power-on with CircuitCore on a copy of the circuit, so the workspace is untouched.
+//
+// Inputs are named A, B, C... from the leftmost switch (then the topmost), or by the switch's
+// dataset.name when it has one (logic-synth.js names its switches after the variables). Rows run
+// from all-off upwards with A as the most significant bit, as truth tables are usually written;
+// an expected output column is a string of 0/1 in that row order ('0001' is A AND B).
+//
+//   const table = TruthTable.generate(exportCircuit());
+//   table.inputs   // [{ id, name: 'A', part: 'S1' }]
+//   table.outputs  // [{ id, name: 'LED1', type }]
+//   table.rows     // [{ inputs: [false, true], outputs: [false] }]
+//   TruthTable.compare(table, '0001')   // -> { pass, matched: [outputIndex], mismatch? }
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./circuit-core.js'), require('./explain.js'), require('./gates.js'));
+  else root.TruthTable = factory(root.CircuitCore, root.CircuitExplainer, root.Gates);
+})(typeof window !== 'undefined' ? window : globalThis, function(CircuitCore, CircuitExplainer, Gates) {
+  'use strict';
+
+  const MAX_INPUTS = 8; // 256 rows, each a full solve
+
+  const position = b => [parseFloat(b.left) || 0, parseFloat(b.top) || 0];
+  const byPosition = (a, b) => { const pa = position(a), pb = position(b); return pa[0] - pb[0] || pa[1] - pb[1]; };
+
+  // Gates whose output net is no other logic part's input, or every gate if they all feed each other
+  function finalGates(components) {
+    const gates = components.filter(c => Gates.isGate(c.type));
+    const fed = new Set();
+    components.forEach(c => {
+      if (Gates.isGate(c.type)) Gates.inputTerminals(c.type).forEach(t => fed.add(c.nets[t]));
+    });
+    const last = gates.filter(g => g.nets.out == null || !fed.has(g.nets.out));
+    return last.length ? last : gates;
+  }
+
+  // options.inputs: use only the first n switches (the others keep their state)
+  function generate(circuit, options = {}) {
+    const netlist = CircuitCore.buildNetlist(circuit);
+    const names = CircuitExplainer.nameParts(netlist.components);
+    const blocks = (circuit && circuit.blocks) || [];
+    let switches = blocks.filter(b => b.type === 'switch').sort(byPosition);
+    if (options.inputs != null) switches = switches.slice(0, options.inputs);
+    const leds = netlist.components.filter(c => c.type === 'led');
+    const outs = leds.length ? leds : finalGates(netlist.components);
+    const table = {
+      inputs: switches.map((s, i) => ({ id: s.id, name: (s.dataset && s.dataset.name) || String.fromCharCode(65 + i), part: names.get(s.id) || s.id })),
+      outputs: outs.map(c => ({ id: c.id, name: names.get(c.id) || c.id, type: c.type })),
+      rows: []
+    };
+    if (switches.length > MAX_INPUTS) {
+      table.error = `Too many switches: a truth table covers at most ${MAX_INPUTS} inputs.`;
+      return table;
+    }
+    const n = switches.length;
+    for (let k = 0; k < 1 << n; k++) {
+      const levels = switches.map((_, i) => !!(k & (1 << (n - 1 - i))));
+      const copy = JSON.parse(JSON.stringify({ blocks, conns: circuit.conns || [] }));
+      copy.blocks.forEach(b => {
+        const i = switches.findIndex(s => s.id === b.id);
+        if (i >= 0) b.dataset = Object.assign({}, b.dataset, { state: levels[i] ? 'on' : 'off' });
+      });
+      const res = CircuitCore.simulate(copy);
+      const on = id => {
+        const r = res.success && res.components[id];
+        return !!(r && (r.output !== undefined ? r.output : r.powered));
+      };
+      table.rows.push({ inputs: levels, outputs: table.outputs.map(o => on(o.id)) });
+    }
+    return table;
+  }
+
+  // Output k of the table as a 0/1 string in row order
+  function column(table, k) {
+    return table.rows.map(r => (r.outputs[k] ? '1' : '0')).join('');
+  }
+
+  // Check the table against expected output columns (one string, or an array for several
+  // outputs); each expected column has to be matched by some output. `matched` gives the output
+  // for each column; `mismatch` describes the first row where the closest output differs.
+  function compare(table, expect) {
+    const wanted = [].concat(expect);
+    const matched = [];
+    for (let j = 0; j < wanted.length; j++) {
+      const want = wanted[j];
+      if (want.length !== table.rows.length) {
+        return { pass: false, matched, mismatch: { column: j, reason: `expected ${want.length} rows but the circuit has ${table.rows.length}` } };
+      }
+      const k = table.outputs.findIndex((_, i) => column(table, i) === want);
+      if (k >= 0) { matched.push(k); continue; }
+      if (!table.outputs.length) return { pass: false, matched, mismatch: { column: j, reason: 'there is no output' } };
+      // report the output that gets the most rows right
+      const score = i => Array.from(want).filter((bit, r) => (bit === '1') === table.rows[r].outputs[i]).length;
+      const best = table.outputs.reduce((b, _, i) => (score(i) > score(b) ? i : b), 0);
+      const row = table.rows.findIndex((r, ri) => r.outputs[best] !== (want[ri] === '1'));
+      return { pass: false, matched, mismatch: { column: j, output: best, row, want: want[row] === '1' } };
+    }
+    return { pass: true, matched };
+  }
+
+  return { MAX_INPUTS, generate, column, compare };
+});
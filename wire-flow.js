@@ -0,0 +1,100 @@
+// Current along each wire, and the colour of a net's voltage, for the running-simulation view.
+//
+// The solvers give node voltages and part currents, but a net's wires are all one node, so what
+// flows along each wire has to be worked out from the parts on the net. Each connector has the
+// current flowing from it into its part; the wires of a net carry whatever it takes to feed
+// those, so along a tree of wires the flow into a branch is the sum over the connectors beyond
+// it (a wire closing a loop within a net carries nothing).
+//
+// Parts whose current has a known direction (resistors, switches, LEDs) give their terminal
+// currents directly. Sources and storage parts (batteries, capacitors, coils, logic outputs)
+// give only the part: their current comes from Kirchhoff's current law, one net at a time, from
+// the nets where they are the only unknown.
+//
+//   WireFlow.solve({ known, unknowns, wires })
+//     known:    Map connector key -> current into the part at that connector (A)
+//     unknowns: [[key, key?]] parts with an unknown current; for two keys, what flows in at the
+//               first flows out at the second
+//     wires:    [[keyA, keyB]] every wire, between two connector keys
+//     -> [current from keyA to keyB along each wire], in `wires` order
+//   WireFlow.voltageColor(v, min, max)   // -> 'rgb(...)', blue (min) through grey to red (max)
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WireFlow = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const LOW = [59, 130, 246];   // #3b82f6
+  const MID = [148, 163, 184];  // #94a3b8
+  const HIGH = [239, 68, 68];   // #ef4444
+
+  function solve({ known, unknowns, wires }) {
+    // nets of connectors joined by wires
+    const parent = new Map();
+    const find = k => { if (!parent.has(k)) parent.set(k, k); while (parent.get(k) !== k) k = parent.get(k); return k; };
+    wires.forEach(([a, b]) => { const ra = find(a), rb = find(b); if (ra !== rb) parent.set(rb, ra); });
+    known.forEach((_, k) => find(k));
+    unknowns.forEach(keys => keys.forEach(find));
+
+    const into = new Map(known);
+    const netSum = new Map();      // net -> sum of known currents into parts
+    const netOpen = new Map();     // net -> unknown parts touching it (counted per terminal)
+    known.forEach((I, k) => { const n = find(k); netSum.set(n, (netSum.get(n) || 0) + I); });
+    unknowns.forEach((keys, u) => keys.forEach(k => {
+      const n = find(k);
+      if (!netOpen.has(n)) netOpen.set(n, []);
+      netOpen.get(n).push({ u, k });
+    }));
+    // peel: a net with one unknown terminal left fixes that part's current
+    const solved = new Set();
+    let progress = true;
+    while (progress) {
+      progress = false;
+      netOpen.forEach((open, n) => {
+        const left = open.filter(o => !solved.has(o.u));
+        if (left.length !== 1) return;
+        const { u, k } = left[0];
+        const I = -(netSum.get(n) || 0); // currents into the parts on a net add up to zero
+        const keys = unknowns[u];
+        const sign = keys[0] === k ? 1 : -1;
+        keys.forEach((key, i) => {
+          const Ik = (i === 0 ? 1 : -1) * sign * I;
+          into.set(key, Ik);
+          const m = find(key);
+          netSum.set(m, (netSum.get(m) || 0) + Ik);
+        });
+        solved.add(u);
+        progress = true;
+      });
+    }
+
+    // spanning tree of each net's wires; flow along a tree wire feeds everything beyond it
+    const adjacent = new Map();
+    const link = (a, b, i, dir) => { if (!adjacent.has(a)) adjacent.set(a, []); adjacent.get(a).push({ to: b, i, dir }); };
+    wires.forEach(([a, b], i) => { link(a, b, i, 1); link(b, a, i, -1); });
+    const flows = wires.map(() => 0);
+    const seen = new Set();
+    const subtree = k => {
+      seen.add(k);
+      let total = into.get(k) || 0;
+      (adjacent.get(k) || []).forEach(({ to, i, dir }) => {
+        if (seen.has(to)) return;
+        const beyond = subtree(to);
+        flows[i] = dir * beyond; // from k towards `to`
+        total += beyond;
+      });
+      return total;
+    };
+    adjacent.forEach((_, k) => { if (!seen.has(k)) subtree(k); });
+    return flows;
+  }
+
+  function voltageColor(v, min, max) {
+    const t = max > min ? Math.max(0, Math.min(1, (v - min) / (max - min))) : 0.5;
+    const [a, b, f] = t < 0.5 ? [LOW, MID, t * 2] : [MID, HIGH, (t - 0.5) * 2];
+    return `rgb(${a.map((c, i) => Math.round(c + (b[i] - c) * f)).join(', ')})`;
+  }
+
+  return { solve, voltageColor };
+});
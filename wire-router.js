@@ -0,0 +1,188 @@
+// Orthogonal (Manhattan) wire routing around part bounding boxes, in workspace pixels.
+//
+// A wire leaves each connector straight out of its part (`dir`, the side the connector is on) to
+// an escape point just clear of the part, then follows the grid of lines through the obstacle
+// edges and the two escape points; the route is the shortest such path, with each bend costing
+// BEND_COST px so fewer bends win over a slightly shorter path. Wire nodes have no part and no
+// `dir`. Without a free path the wire takes a plain Z between the escape points.
+//
+// A route is a list of points where consecutive segments alternate horizontal and vertical.
+// Dragging a segment sideways keeps it so (the end segments grow a jog at the connector), and
+// `fit` moves the ends of a dragged route to where its connectors are now.
+//
+//   WireRouter.route({ x, y, dir: 'right', box }, { x, y, dir: 'left', box }, [box, box...])
+//   // box: { left, top, right, bottom }   -> [{ x, y }, ...] from the first connector to the second
+//   WireRouter.dragSegment(points, i, dx, dy)   // segment i moved across by dx (vertical) or dy (horizontal)
+//   WireRouter.fit(points, from, to)            // -> points with new ends, or null if it no longer fits
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WireRouter = factory();
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  const MARGIN = 10;     // px kept clear around every part
+  const BEND_COST = 24;  // px of extra length one bend is worth
+  const STEP = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+  const MOVES = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+  const MOVE_OF = { right: 0, left: 1, down: 2, up: 3 };
+  const INTO = { right: 1, left: 0, down: 3, up: 2 }; // travelling into a connector on that side
+
+  const inflate = (b, m) => ({ left: b.left - m, top: b.top - m, right: b.right + m, bottom: b.bottom + m });
+  const inside = (b, x, y) => x > b.left && x < b.right && y > b.top && y < b.bottom;
+  const sorted = values => Array.from(new Set(values.map(v => Math.round(v)))).sort((a, b) => a - b);
+
+  // Drop repeated points and points in the middle of a straight run
+  function simplify(points) {
+    const out = [];
+    points.forEach(p => {
+      const last = out[out.length - 1];
+      if (last && last.x === p.x && last.y === p.y) return;
+      const prev = out[out.length - 2];
+      if (prev && ((prev.x === last.x && last.x === p.x) || (prev.y === last.y && last.y === p.y))) out.pop();
+      out.push({ x: p.x, y: p.y });
+    });
+    return out;
+  }
+
+  const orthogonal = points => points.every((p, i) => i === 0 || p.x === points[i - 1].x || p.y === points[i - 1].y);
+
+  // Where a wire leaving `end` clears its part
+  function escape(end) {
+    const step = STEP[end.dir];
+    if (!step || !end.box) return { x: Math.round(end.x), y: Math.round(end.y) };
+    const b = inflate(end.box, MARGIN + 2);
+    return {
+      x: Math.round(step[0] < 0 ? b.left : step[0] > 0 ? b.right : end.x),
+      y: Math.round(step[1] < 0 ? b.top : step[1] > 0 ? b.bottom : end.y)
+    };
+  }
+
+  // Dijkstra over the grid of obstacle edges, with the direction of travel in the state so bends
+  // cost; `leave` is the direction out of the start, `arrive` the one the wire has to end on
+  function search(start, goal, boxes, leave, arrive) {
+    // parts covering an end (or an escape point) cannot be avoided, so they are not obstacles
+    const solid = boxes.filter(b => !inside(b, start.x, start.y) && !inside(b, goal.x, goal.y));
+    const xs = sorted([start.x, goal.x, (start.x + goal.x) / 2].concat(...solid.map(b => [b.left, b.right])));
+    const ys = sorted([start.y, goal.y, (start.y + goal.y) / 2].concat(...solid.map(b => [b.top, b.bottom])));
+    const W = xs.length, H = ys.length;
+    const blocked = new Map();
+    // grid lines include every box edge, so a grid segment is inside a box exactly when its middle is
+    const free = (i, j, k, l) => {
+      const key = `${i},${j},${k},${l}`;
+      if (!blocked.has(key)) {
+        const mx = (xs[i] + xs[k]) / 2, my = (ys[j] + ys[l]) / 2;
+        blocked.set(key, solid.some(b => inside(b, mx, my)));
+      }
+      return !blocked.get(key);
+    };
+    const id = (i, j, d) => (j * W + i) * 4 + d;
+    const cost = new Map(), prev = new Map();
+    const heap = [];
+    const push = (c, s) => {
+      heap.push([c, s]);
+      for (let n = heap.length - 1; n > 0;) {
+        const p = (n - 1) >> 1;
+        if (heap[p][0] <= heap[n][0]) break;
+        [heap[p], heap[n]] = [heap[n], heap[p]]; n = p;
+      }
+    };
+    const pop = () => {
+      const top = heap[0], last = heap.pop();
+      if (heap.length) {
+        heap[0] = last;
+        for (let n = 0;;) {
+          const l = 2 * n + 1, r = l + 1;
+          let m = n;
+          if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+          if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+          if (m === n) break;
+          [heap[m], heap[n]] = [heap[n], heap[m]]; n = m;
+        }
+      }
+      return top;
+    };
+    const si = xs.indexOf(start.x), sj = ys.indexOf(start.y);
+    const gi = xs.indexOf(goal.x), gj = ys.indexOf(goal.y);
+    for (let d = 0; d < 4; d++) {
+      if (leave != null && d !== leave) continue;
+      cost.set(id(si, sj, d), 0); push(0, id(si, sj, d));
+    }
+    while (heap.length) {
+      const [c, s] = pop();
+      if (c > cost.get(s)) continue;
+      const d = s % 4, cell = (s - d) / 4, i = cell % W, j = (cell - i) / W;
+      if (i === gi && j === gj) {
+        const path = [];
+        for (let t = s; t !== undefined; t = prev.get(t)) {
+          const ti = ((t - (t % 4)) / 4) % W, tj = ((t - (t % 4)) / 4 - ti) / W;
+          path.unshift({ x: xs[ti], y: ys[tj] });
+        }
+        return path;
+      }
+      MOVES.forEach(([di, dj], nd) => {
+        const k = i + di, l = j + dj;
+        if (k < 0 || l < 0 || k >= W || l >= H || !free(i, j, k, l)) return;
+        const bends = (nd === d || (leave == null && i === si && j === sj) ? 0 : 1) + (k === gi && l === gj && arrive != null && nd !== arrive ? 1 : 0);
+        const nc = c + Math.abs(xs[k] - xs[i]) + Math.abs(ys[l] - ys[j]) + bends * BEND_COST;
+        const ns = id(k, l, nd);
+        if (nc < (cost.has(ns) ? cost.get(ns) : Infinity)) { cost.set(ns, nc); prev.set(ns, s); push(nc, ns); }
+      });
+    }
+    return null;
+  }
+
+  // from, to: { x, y, dir?, box? }; obstacles: part boxes (including the two ends' own parts)
+  function route(from, to, obstacles = []) {
+    const a = escape(from), b = escape(to);
+    const boxes = obstacles.map(o => inflate(o, MARGIN));
+    const mid = Math.round((a.x + b.x) / 2);
+    const path = search(a, b, boxes, MOVE_OF[from.dir], INTO[to.dir]) || [a, { x: mid, y: a.y }, { x: mid, y: b.y }, b];
+    const ends = [{ x: Math.round(from.x), y: Math.round(from.y) }, { x: Math.round(to.x), y: Math.round(to.y) }];
+    // a wire node's own point is its escape point; a part's connector is reached straight along dir
+    return simplify([ends[0]].concat(path, ends[1]));
+  }
+
+  // Move segment i (points[i] to points[i + 1]) across its direction; an end segment keeps its
+  // connector where it is by starting (or finishing) with a new jog
+  function dragSegment(points, i, dx, dy) {
+    const pts = points.map(p => ({ x: p.x, y: p.y }));
+    if (i < 0 || i >= pts.length - 1) return pts;
+    const horizontal = pts[i].y === pts[i + 1].y;
+    if (i === 0) { pts.unshift({ x: pts[0].x, y: pts[0].y }); i++; }
+    if (i + 1 === pts.length - 1) pts.push({ x: pts[pts.length - 1].x, y: pts[pts.length - 1].y });
+    [pts[i], pts[i + 1]].forEach(p => { if (horizontal) p.y += Math.round(dy); else p.x += Math.round(dx); });
+    return pts;
+  }
+
+  // A route with its ends moved to from/to: the first and last bends slide along with them
+  function fit(points, from, to) {
+    const pts = simplify(points);
+    const n = pts.length - 1;
+    if (n < 1) return null;
+    const a = { x: Math.round(from.x), y: Math.round(from.y) }, b = { x: Math.round(to.x), y: Math.round(to.y) };
+    const firstH = n > 0 && pts[0].y === pts[1].y;
+    const lastH = pts[n - 1].y === pts[n].y;
+    pts[0] = a; pts[n] = b;
+    if (n > 1) {
+      if (firstH) pts[1].y = a.y; else pts[1].x = a.x;
+      if (lastH) pts[n - 1].y = b.y; else pts[n - 1].x = b.x;
+    }
+    return orthogonal(pts) ? simplify(pts) : null;
+  }
+
+  // Index of the segment of `points` nearest to (x, y)
+  function nearestSegment(points, x, y) {
+    let best = -1, bestDist = Infinity;
+    for (let i = 0; i < points.length - 1; i++) {
+      const p = points[i], q = points[i + 1];
+      const cx = Math.max(Math.min(p.x, q.x), Math.min(Math.max(p.x, q.x), x));
+      const cy = Math.max(Math.min(p.y, q.y), Math.min(Math.max(p.y, q.y), y));
+      const d = Math.hypot(x - cx, y - cy);
+      if (d < bestDist) { bestDist = d; best = i; }
+    }
+    return best;
+  }
+
+  return { MARGIN, BEND_COST, route, simplify, dragSegment, fit, nearestSegment };
+});